@@ -0,0 +1,51 @@
+// Archivo: scripts/reconcile-points.js
+// Script para recalcular el saldo de puntos de los clientes a partir de su historial de movimientos
+// Uso: node scripts/reconcile-points.js [--dry-run] [--client=<id>]
+
+require('dotenv').config();
+const { connectDB, closeConnection } = require('../src/config/database');
+
+// Solo se necesitan los modelos del saldo y del historial
+require('../src/models/Client');
+require('../src/models/PointsTransaction');
+
+const { reconcileBalances } = require('../src/services/pointsService');
+
+async function reconcilePoints() {
+  const dryRun = process.argv.includes('--dry-run');
+  const clientArg = process.argv.find(arg => arg.startsWith('--client='));
+  const clientId = clientArg ? clientArg.split('=')[1] : null;
+
+  console.log('🧮 RECONCILIACIÓN DE SALDOS DE PUNTOS');
+  console.log(dryRun ? '🔎 Modo de prueba: solo se reportan diferencias' : '✏️  Se corregirán los saldos con diferencias');
+  console.log('');
+
+  try {
+    await connectDB();
+
+    const result = await reconcileBalances({ clientId, apply: !dryRun });
+
+    console.log(`📊 Clientes revisados: ${result.checked}`);
+    console.log(`⚠️  Clientes con diferencias: ${result.drifted.length}`);
+
+    for (const row of result.drifted) {
+      const sign = row.drift > 0 ? '+' : '';
+      console.log(`   ${row.client_id}: saldo ${row.total_points}, historial ${row.ledger_points} (${sign}${row.drift})`);
+    }
+
+    if (result.drifted.length === 0) {
+      console.log('✅ Todos los saldos coinciden con el historial');
+    } else if (result.applied) {
+      console.log('✅ Saldos corregidos según el historial');
+    }
+
+    process.exitCode = result.drifted.length > 0 && dryRun ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Error en la reconciliación:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+}
+
+reconcilePoints();
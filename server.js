@@ -11,6 +11,7 @@ const rateLimit = require('express-rate-limit');
 
 // Importar configuración de base de datos
 const { sequelize, connectDB, recreateTablesIfRequested } = require('./src/config/database');
+const { startScheduledJobs } = require('./src/jobs');
 
 // Crear aplicación Express
 const app = express();
@@ -35,7 +36,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
 // Configurar rate limiting
@@ -80,8 +81,21 @@ app.get('/', (req, res) => {
   });
 });
 
-// Aquí irán las rutas de la API cuando las creemos
-// app.use('/api/auth', require('./src/routes/authRoutes'));
+// Rutas de la API
+app.use('/api/auth', require('./src/routes/authRoutes'));
+app.use('/api/clients/auth', require('./src/routes/clientAuthRoutes'));
+app.use('/api/checkins', require('./src/routes/checkinRoutes'));
+app.use('/api/locations', require('./src/routes/locationRoutes'));
+app.use('/api/fraud-rules', require('./src/routes/fraudRuleRoutes'));
+app.use('/api/gym-closures', require('./src/routes/gymClosureRoutes'));
+app.use('/api/points', require('./src/routes/pointsRoutes'));
+app.use('/api/points-rules', require('./src/routes/pointsRuleRoutes'));
+app.use('/api/rewards', require('./src/routes/rewardRoutes'));
+app.use('/api/leaderboards', require('./src/routes/leaderboardRoutes'));
+app.use('/api/badges', require('./src/routes/badgeRoutes'));
+app.use('/api/tiers', require('./src/routes/tierRoutes'));
+app.use('/api/referrals', require('./src/routes/referralRoutes'));
+app.use('/api/roulette', require('./src/routes/rouletteRoutes'));
 // app.use('/api/clients', require('./src/routes/clientRoutes'));
 // ... más rutas
 
@@ -89,11 +103,15 @@ app.get('/', (req, res) => {
 app.use((err, req, res, next) => {
   console.error('Error del servidor:', err.stack);
   
-  res.status(err.status || 500).json({
+  const status = err.status || 500;
+
+  // Los errores de negocio (4xx) muestran su mensaje también en producción
+  res.status(status).json({
     success: false,
-    message: process.env.NODE_ENV === 'production' 
+    message: process.env.NODE_ENV === 'production' && status >= 500
       ? 'Error interno del servidor' 
       : err.message,
+    ...(err.data && { data: err.data }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
@@ -117,6 +135,9 @@ async function startServer() {
     // Verificar si necesitamos recrear las tablas
     await recreateTablesIfRequested();
     
+    // Iniciar tareas programadas (cierre automático de visitas, etc.)
+    const jobs = startScheduledJobs();
+    
     // Iniciar el servidor
     const server = app.listen(PORT, () => {
       console.log(`✅ Servidor ejecutándose en puerto ${PORT}`);
@@ -130,6 +151,7 @@ async function startServer() {
       console.log('🔄 Recibida señal SIGTERM, cerrando servidor...');
       server.close(() => {
         console.log('✅ Servidor cerrado correctamente');
+        jobs.forEach(job => job.stop());
         sequelize.close();
         process.exit(0);
       });
@@ -139,6 +161,7 @@ async function startServer() {
       console.log('🔄 Recibida señal SIGINT, cerrando servidor...');
       server.close(() => {
         console.log('✅ Servidor cerrado correctamente');
+        jobs.forEach(job => job.stop());
         sequelize.close();
         process.exit(0);
       });
@@ -0,0 +1,51 @@
+// Archivo: src/config/auth.js
+// Configuración centralizada de autenticación JWT para el personal y los clientes
+
+const crypto = require('crypto');
+
+// Función para obtener un secreto obligatorio desde las variables de entorno
+function getRequiredSecret(varName) {
+  const value = process.env[varName];
+
+  if (!value) {
+    throw new Error(`Variable de entorno ${varName} no configurada. Es requerida para emitir tokens JWT`);
+  }
+
+  return value;
+}
+
+// Función para derivar el secreto de los tokens de propósito específico a partir de JWT_SECRET
+// Es un HMAC y no una concatenación, así ningún propósito puede coincidir con el secreto de refresco
+function getPurposeSecret(purpose) {
+  return crypto
+    .createHmac('sha256', getRequiredSecret('JWT_SECRET'))
+    .update(`purpose:${purpose}`)
+    .digest('hex');
+}
+
+module.exports = {
+  // Secretos (se leen en cada uso para no fallar al importar el módulo)
+  getAccessSecret: () => getRequiredSecret('JWT_SECRET'),
+  getRefreshSecret: () => process.env.JWT_REFRESH_SECRET || getRequiredSecret('JWT_SECRET') + ':refresh',
+  getPurposeSecret,
+
+  // Duración de los tokens
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+
+  // Emisor para validar que el token fue generado por esta API
+  issuer: process.env.JWT_ISSUER || 'elite-fitness-api',
+
+  // Inicio de sesión con Google (ID tokens de Google Identity Services)
+  google: {
+    // IDs de cliente OAuth aceptados como audiencia, separados por coma
+    getClientIds: () => (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean),
+    // JWKS fijo en JSON (útil sin salida a internet); si no existe se descarga desde jwksUri
+    getStaticJwks: () => process.env.GOOGLE_JWKS || null,
+    jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['accounts.google.com', 'https://accounts.google.com']
+  }
+};
@@ -0,0 +1,83 @@
+// Archivo: src/config/badges.js
+// Catálogo declarativo de insignias: cuándo se revisan, qué miden y qué recompensa otorgan
+
+// event: momento en que se revisa la insignia
+//   checkin   = check-in válido o aprobado (ClientCheckin)
+//   points    = puntos acreditados (PointsTransaction)
+//   prize_win = premio ganado (PrizeWinning)
+// metric: valor que se compara con target (ver METRIC_RESOLVERS en services/badgeService)
+// params: parámetros de la métrica (ej: before para las llegadas temprano)
+// reward: { points } suma puntos, { spin } entrega un QR para girar la ruleta con esa categoría de premio
+const BADGES = [
+  {
+    code: 'first_checkin',
+    name: 'Primer check-in',
+    description: 'Registra tu primera visita al gimnasio',
+    event: 'checkin',
+    metric: 'checkins',
+    target: 1,
+    reward: { points: 20 }
+  },
+  {
+    code: 'visits_100',
+    name: '100 visitas',
+    description: 'Completa 100 visitas al gimnasio',
+    event: 'checkin',
+    metric: 'checkins',
+    target: 100,
+    reward: { spin: 'premium' }
+  },
+  {
+    code: 'streak_30',
+    name: 'Racha de 30 días',
+    description: 'Mantén una racha de 30 días consecutivos de asistencia',
+    event: 'checkin',
+    metric: 'streak',
+    target: 30,
+    reward: { spin: 'basic' }
+  },
+  {
+    code: 'early_bird',
+    name: 'Madrugador',
+    description: 'Haz 10 check-ins antes de las 7:00',
+    event: 'checkin',
+    metric: 'early_checkins',
+    params: { before: '07:00' },
+    target: 10,
+    reward: { points: 50 }
+  },
+  {
+    code: 'points_1000',
+    name: '1,000 puntos',
+    description: 'Acumula 1,000 puntos ganados',
+    event: 'points',
+    metric: 'points_earned',
+    target: 1000,
+    reward: null
+  },
+  {
+    code: 'first_roulette_win',
+    name: 'Primer premio en la ruleta',
+    description: 'Gana tu primer premio girando la ruleta',
+    event: 'prize_win',
+    metric: 'roulette_wins',
+    target: 1,
+    reward: { points: 25 }
+  }
+];
+
+// Función para buscar una insignia por su código
+function getBadge(code) {
+  return BADGES.find(badge => badge.code === code) || null;
+}
+
+// Función para obtener las insignias que se revisan en un evento
+function getBadgesForEvent(event) {
+  return BADGES.filter(badge => badge.event === event);
+}
+
+module.exports = {
+  BADGES,
+  getBadge,
+  getBadgesForEvent
+};
@@ -342,8 +342,13 @@ async function importModelsInCorrectOrder() {
     'Client.js',         // Puede referenciar Image
     'ClientPreferences.js', // Depende de Client
     'ClientMembership.js',  // Depende de Client y MembershipType
+    'PointsRule.js',     // Depende de MembershipType y User
     'Prize.js',          // Puede referenciar Product e Image
     'Roulette.js',       // Sin dependencias complejas
+    'RouletteVersion.js', // Depende de Roulette y User
+    'Location.js',       // Sin dependencias (sedes del gimnasio)
+    'FraudRule.js',      // Depende de User
+    'GymClosure.js',     // Depende de Location y User
     'QRCode.js',         // Depende de Product y Prize
     'Order.js',          // Depende de Client
     'OrderItem.js',      // Depende de Order y Product
@@ -351,7 +356,15 @@ async function importModelsInCorrectOrder() {
     'BankTransfer.js',   // Depende de Client y Payment
     'ClientCheckin.js',  // Depende de Client y ClientMembership
     'PointsTransaction.js', // Depende de Client y ClientCheckin
-    'PrizeWinning.js',   // Depende de Client, Prize, Roulette, QRCode
+    'CheckinReview.js',  // Depende de ClientCheckin y User
+    'LocationWaitlist.js', // Depende de Location, Client y ClientCheckin
+    'PrizeWinning.js',   // Depende de Client, Prize, Roulette, RouletteVersion, QRCode
+    'RewardCatalogItem.js', // Depende de Product, Prize y User
+    'RewardRedemption.js',  // Depende de Client, RewardCatalogItem, Order, PrizeWinning
+    'LeaderboardEntry.js',  // Depende de Client y MembershipType
+    'ClientBadge.js',       // Depende de Client, PointsTransaction y QRCode
+    'Referral.js',          // Depende de Client y ClientMembership
+    'RouletteSeed.js',      // Depende de Client
     'Notification.js'    // Depende de Client
   ];
   
@@ -0,0 +1,60 @@
+// Archivo: src/config/permissions.js
+// Mapa de capacidades por rol del personal (admin, manager, staff)
+
+// Catálogo de capacidades disponibles en el sistema
+const PERMISSIONS = {
+  CHECKINS_VIEW: 'checkins.view',
+  CHECKINS_VALIDATE: 'checkins.validate',
+  FRAUD_RULES_CONFIGURE: 'fraud_rules.configure',
+  TRANSFERS_VIEW: 'transfers.view',
+  TRANSFERS_VERIFY: 'transfers.verify',
+  POINTS_VIEW: 'points.view',
+  POINTS_ADJUST: 'points.adjust',
+  POINTS_RULES_CONFIGURE: 'points_rules.configure',
+  PRIZES_VIEW: 'prizes.view',
+  PRIZES_CONFIGURE: 'prizes.configure',
+  CLIENTS_VIEW: 'clients.view',
+  CLIENTS_MANAGE: 'clients.manage',
+  LOCATIONS_MANAGE: 'locations.manage',
+  REPORTS_VIEW: 'reports.view',
+  USERS_MANAGE: 'users.manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Capacidades asignadas a cada rol de User.role
+const ROLE_PERMISSIONS = {
+  // El administrador tiene acceso total
+  admin: ALL_PERMISSIONS,
+
+  // El gerente gestiona la operación pero no administra cuentas del personal
+  manager: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.USERS_MANAGE),
+
+  // El personal atiende la recepción y valida operaciones del día a día
+  staff: [
+    PERMISSIONS.CHECKINS_VIEW,
+    PERMISSIONS.CHECKINS_VALIDATE,
+    PERMISSIONS.TRANSFERS_VIEW,
+    PERMISSIONS.POINTS_VIEW,
+    PERMISSIONS.PRIZES_VIEW,
+    PERMISSIONS.CLIENTS_VIEW
+  ]
+};
+
+// Función para obtener las capacidades de un rol
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Función para verificar si un rol tiene una capacidad
+function roleHasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  roleHasPermission
+};
@@ -0,0 +1,30 @@
+// Archivo: src/config/prizeCosts.js
+// Equivalencias en GTQ de las unidades de valor de los premios (para estimar lo que cuesta una ruleta)
+
+// Función para leer un decimal de las variables de entorno
+function readFloat(name, fallback) {
+  return parseFloat(process.env[name] || String(fallback));
+}
+
+// Cuántos GTQ vale una unidad de cada moneda de Prize.currency
+// PERCENT no tiene equivalencia fija: el costo de esos premios sale de Prize.unit_cost
+const GTQ_RATES = {
+  GTQ: 1,
+  USD: readFloat('PRIZE_COST_USD_RATE', 7.75),
+  POINTS: readFloat('PRIZE_COST_POINT_VALUE', 0.05),
+  DAYS: readFloat('PRIZE_COST_MEMBERSHIP_DAY_VALUE', 10)
+};
+
+// Función para convertir un valor a GTQ (null si la unidad no tiene equivalencia)
+function toGTQ(value, currency) {
+  const rate = GTQ_RATES[currency];
+
+  if (rate === undefined) return null;
+
+  return Math.round(parseFloat(value) * rate * 100) / 100;
+}
+
+module.exports = {
+  GTQ_RATES,
+  toGTQ
+};
@@ -0,0 +1,30 @@
+// Archivo: src/config/referrals.js
+// Recompensas del programa de referidos para quien invita y para el nuevo miembro
+
+// Función para leer un entero de las variables de entorno
+function readInt(name, fallback) {
+  return parseInt(process.env[name] || String(fallback), 10);
+}
+
+// Se entregan cuando el referido paga su primera membresía
+// points: puntos, membership_days: días extra en la membresía, spin: categoría de premio del QR de ruleta (o null)
+const REFERRAL_REWARDS = {
+  referrer: {
+    points: readInt('REFERRAL_REFERRER_POINTS', 200),
+    membership_days: readInt('REFERRAL_REFERRER_DAYS', 7),
+    spin: process.env.REFERRAL_REFERRER_SPIN || 'basic'
+  },
+  referred: {
+    points: readInt('REFERRAL_REFERRED_POINTS', 100),
+    membership_days: readInt('REFERRAL_REFERRED_DAYS', 7),
+    spin: process.env.REFERRAL_REFERRED_SPIN || null
+  }
+};
+
+// Longitud del código personal de referido
+const REFERRAL_CODE_LENGTH = 8;
+
+module.exports = {
+  REFERRAL_REWARDS,
+  REFERRAL_CODE_LENGTH
+};
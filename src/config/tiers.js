@@ -0,0 +1,74 @@
+// Archivo: src/config/tiers.js
+// Niveles de los miembros (Bronce a Platino): requisitos y beneficios de cada uno
+
+// Días de la ventana móvil en que se cuentan las visitas para calificar a un nivel
+const TIER_VISITS_WINDOW_DAYS = parseInt(process.env.TIER_VISITS_WINDOW_DAYS || '90', 10);
+
+// Días de gracia desde que el cliente deja de calificar hasta que baja de nivel
+const TIER_DEMOTION_GRACE_DAYS = parseInt(process.env.TIER_DEMOTION_GRACE_DAYS || '30', 10);
+
+// Ordenados de menor a mayor. Se califica con min_points (puntos ganados en total) o con
+// min_visits (días con asistencia dentro de la ventana móvil)
+const TIERS = [
+  {
+    code: 'bronze',
+    name: 'Bronce',
+    min_points: 0,
+    min_visits: 0,
+    points_multiplier: 1.00,
+    roulette_categories: ['basic'],
+    product_discount_percent: 0
+  },
+  {
+    code: 'silver',
+    name: 'Plata',
+    min_points: 1000,
+    min_visits: 24,
+    points_multiplier: 1.10,
+    roulette_categories: ['basic', 'premium'],
+    product_discount_percent: 5
+  },
+  {
+    code: 'gold',
+    name: 'Oro',
+    min_points: 3000,
+    min_visits: 48,
+    points_multiplier: 1.25,
+    roulette_categories: ['basic', 'premium'],
+    product_discount_percent: 10
+  },
+  {
+    code: 'platinum',
+    name: 'Platino',
+    min_points: 7500,
+    min_visits: 72,
+    points_multiplier: 1.50,
+    roulette_categories: ['basic', 'premium', 'exclusive'],
+    product_discount_percent: 15
+  }
+];
+
+const TIER_CODES = TIERS.map(tier => tier.code);
+
+// Categorías de ruleta que dependen del nivel (special y seasonal quedan abiertas para todos)
+const TIERED_ROULETTE_CATEGORIES = ['basic', 'premium', 'exclusive'];
+
+// Función para buscar un nivel por su código (Bronce si no existe)
+function getTier(code) {
+  return TIERS.find(tier => tier.code === code) || TIERS[0];
+}
+
+// Función para comparar niveles: positivo si a es mayor que b
+function compareTiers(a, b) {
+  return TIER_CODES.indexOf(a) - TIER_CODES.indexOf(b);
+}
+
+module.exports = {
+  TIERS,
+  TIER_CODES,
+  TIER_VISITS_WINDOW_DAYS,
+  TIER_DEMOTION_GRACE_DAYS,
+  TIERED_ROULETTE_CATEGORIES,
+  getTier,
+  compareTiers
+};
@@ -0,0 +1,290 @@
+// Archivo: src/controllers/authController.js
+// Controlador de autenticación para administradores y personal del gimnasio
+
+const { sequelize } = require('../config/database');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  signPurposeToken,
+  verifyPurposeToken
+} = require('../utils/tokens');
+
+const MAX_LOGIN_ATTEMPTS = 5;
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
+
+// Función para construir la información de bloqueo de una cuenta
+function buildLockInfo(user) {
+  const remainingMs = user.getLockTimeRemaining();
+
+  return {
+    locked: true,
+    locked_until: user.locked_until,
+    remaining_seconds: Math.ceil(remainingMs / 1000),
+    remaining_minutes: Math.ceil(remainingMs / 60000)
+  };
+}
+
+// Función para emitir los tokens de sesión de un usuario
+function issueUserTokens(user) {
+  return generateTokenPair({
+    id: user.id,
+    type: 'user',
+    role: user.role,
+    tokenVersion: user.token_version
+  });
+}
+
+// POST /api/auth/login
+async function login(req, res, next) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email y contraseña son requeridos'
+      });
+    }
+
+    const { User } = sequelize.models;
+    const user = await User.findActiveByEmail(String(email).toLowerCase().trim());
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Credenciales inválidas'
+      });
+    }
+
+    // Cuenta bloqueada por intentos fallidos
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        data: buildLockInfo(user)
+      });
+    }
+
+    const isValid = await user.validatePassword(password);
+
+    if (!isValid) {
+      await user.incrementLoginAttempts();
+
+      // El intento actual pudo haber provocado el bloqueo
+      if (user.isLocked()) {
+        return res.status(423).json({
+          success: false,
+          message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+          data: buildLockInfo(user)
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Credenciales inválidas',
+        data: {
+          attempts_remaining: Math.max(0, MAX_LOGIN_ATTEMPTS - user.login_attempts)
+        }
+      });
+    }
+
+    // Con 2FA activo la sesión no se emite hasta verificar el segundo factor
+    if (user.two_factor_enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Ingresa el código de verificación de tu aplicación de autenticación',
+        data: {
+          requires_two_factor: true,
+          two_factor_token: signPurposeToken(
+            { sub: user.id, tv: user.token_version },
+            'two_factor',
+            TWO_FACTOR_TOKEN_EXPIRES_IN
+          )
+        }
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      data: {
+        user,
+        permissions: user.getPermissions(),
+        tokens: issueUserTokens(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/2fa/verify
+// Segundo paso del login: código TOTP de 6 dígitos o código de recuperación
+async function verifyTwoFactor(req, res, next) {
+  try {
+    const { two_factor_token: twoFactorToken, code, recovery_code: recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de verificación y código son requeridos'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyPurposeToken(twoFactorToken, 'two_factor');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'La verificación expiró, inicia sesión nuevamente'
+      });
+    }
+
+    const { User } = sequelize.models;
+    const user = await User.findByPk(payload.sub);
+
+    if (!user || !user.is_active || !user.two_factor_enabled || user.token_version !== payload.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida, inicia sesión nuevamente'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        data: buildLockInfo(user)
+      });
+    }
+
+    const isValid = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      // Los códigos fallidos cuentan como intentos de login
+      await user.incrementLoginAttempts();
+
+      if (user.isLocked()) {
+        return res.status(423).json({
+          success: false,
+          message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+          data: buildLockInfo(user)
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Código de verificación inválido',
+        data: {
+          attempts_remaining: Math.max(0, MAX_LOGIN_ATTEMPTS - user.login_attempts)
+        }
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      data: {
+        user,
+        permissions: user.getPermissions(),
+        recovery_codes_remaining: user.two_factor_recovery_codes.length,
+        tokens: issueUserTokens(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/refresh
+async function refresh(req, res, next) {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de refresco requerido'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token de refresco inválido o expirado'
+      });
+    }
+
+    const { User } = sequelize.models;
+    const user = payload.type === 'user' ? await User.findByPk(payload.sub) : null;
+
+    if (!user || !user.is_active || user.token_version !== payload.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida, inicia sesión nuevamente'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        data: buildLockInfo(user)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens renovados correctamente',
+      data: {
+        tokens: issueUserTokens(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/logout
+async function logout(req, res, next) {
+  try {
+    // Incrementar la versión invalida todos los tokens emitidos anteriormente
+    await req.user.revokeTokens();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/auth/me
+async function me(req, res) {
+  res.status(200).json({
+    success: true,
+    data: {
+      user: req.user,
+      permissions: req.user.getPermissions()
+    }
+  });
+}
+
+module.exports = {
+  login,
+  verifyTwoFactor,
+  refresh,
+  logout,
+  me
+};
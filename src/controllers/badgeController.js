@@ -0,0 +1,78 @@
+// Archivo: src/controllers/badgeController.js
+// Controlador del catálogo de insignias y del progreso de los clientes
+
+const { sequelize } = require('../config/database');
+const { BADGES } = require('../config/badges');
+const badgeService = require('../services/badgeService');
+
+// GET /api/badges
+async function list(req, res, next) {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        badges: BADGES.map(badge => ({
+          code: badge.code,
+          name: badge.name,
+          description: badge.description,
+          target: badge.target,
+          reward: badge.reward
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/badges/me
+async function myProgress(req, res, next) {
+  try {
+    const badges = await badgeService.getBadgeProgress(req.client.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        earned_count: badges.filter(badge => badge.earned).length,
+        badges
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/badges/clients/:clientId
+// Progreso de un cliente para el personal
+async function clientProgress(req, res, next) {
+  try {
+    const { ClientBadge } = sequelize.models;
+    const badges = await badgeService.getBadgeProgress(req.params.clientId);
+
+    if (!badges) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const awards = await ClientBadge.findByClient(req.params.clientId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        earned_count: awards.length,
+        badges,
+        awards
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  myProgress,
+  clientProgress
+};
@@ -0,0 +1,299 @@
+// Archivo: src/controllers/checkinController.js
+// Controlador de check-ins de los clientes desde la app
+
+const { sequelize } = require('../config/database');
+const checkinService = require('../services/checkinService');
+const occupancyService = require('../services/occupancyService');
+const streakService = require('../services/streakService');
+const { isUUID } = require('../utils/uuid');
+const { getDateRange, sendInvalidDateRange } = require('../utils/dateRange');
+
+// Función para validar que un valor sea una coordenada numérica dentro de rango
+function isValidCoordinate(value, limit) {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && Math.abs(number) <= limit;
+}
+
+// POST /api/checkins
+async function create(req, res, next) {
+  try {
+    const { latitude, longitude, accuracy, device_info, app_version, platform, network_info } = req.body;
+
+    if (!isValidCoordinate(latitude, 90) || !isValidCoordinate(longitude, 180)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitud y longitud válidas son requeridas'
+      });
+    }
+
+    const result = await checkinService.performCheckin(req.client.id, {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      accuracy: accuracy !== undefined ? Number(accuracy) : null,
+      device_info,
+      app_version,
+      platform,
+      network_info
+    }, {
+      ip: req.ip
+    });
+
+    if (result.waitlisted) {
+      return res.status(202).json({
+        success: true,
+        message: `La sede ${result.location.name} está llena. Te agregamos a la lista de espera y te avisaremos cuando haya lugar`,
+        data: {
+          waitlisted: true,
+          waitlist_entry_id: result.waitlistEntry.id,
+          position: await result.waitlistEntry.getPosition(),
+          occupancy: result.occupancy
+        }
+      });
+    }
+
+    const { checkin, client, location, points } = result;
+    const accepted = checkin.status === 'valid' && checkin.location_valid;
+
+    res.status(201).json({
+      success: true,
+      message: accepted
+        ? `Check-in registrado. ¡Ganaste ${points.points_awarded} puntos!`
+        : 'Check-in registrado, quedará pendiente de revisión',
+      data: {
+        checkin: {
+          id: checkin.id,
+          status: checkin.status,
+          checkin_date: checkin.checkin_date,
+          checkin_time: checkin.checkin_time,
+          location_valid: checkin.location_valid,
+          distance_from_gym: Math.round(checkin.distance_from_gym),
+          is_first_checkin_today: checkin.is_first_checkin_today
+        },
+        location: location ? { id: location.id, name: location.name } : null,
+        points,
+        total_points: client.total_points,
+        consecutive_days: client.consecutive_days,
+        streak: result.streak ? {
+          streak_broken: result.streak.streak_broken,
+          freezes_used: result.streak.freezes_used,
+          freezes_earned: result.streak.freezes_earned,
+          streak_freezes: result.streak.streak_freezes,
+          milestone_bonus: result.streak.milestone_bonus ? result.streak.milestone_bonus.points_change : 0
+        } : null,
+        badges_earned: result.badges.map(badge => badge.toPublic()),
+        tier: {
+          code: client.tier,
+          change: result.tier ? result.tier.change : null
+        },
+        can_earn_points: client.canEarnPoints()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Función para dar formato a una fila de estadísticas de duración
+function formatDurationStats(row) {
+  return {
+    total_visits: parseInt(row.total_visits, 10) || 0,
+    avg_duration_minutes: row.avg_duration_minutes !== null && row.avg_duration_minutes !== undefined
+      ? Math.round(parseFloat(row.avg_duration_minutes))
+      : null,
+    auto_closed_visits: parseInt(row.auto_closed_visits, 10) || 0
+  };
+}
+
+// POST /api/checkins/checkout
+async function checkout(req, res, next) {
+  try {
+    const session = await checkinService.performCheckout(req.client.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: `Salida registrada. Tu visita duró ${session.workout_duration_minutes} minutos`,
+      data: {
+        checkin_id: session.id,
+        checkin_time: session.checkin_time,
+        checkout_time: session.checkout_time,
+        checkout_method: session.checkout_method,
+        workout_duration_minutes: session.workout_duration_minutes,
+        workout_type: session.workout_type
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/me/visit-stats
+async function myVisitStats(req, res, next) {
+  try {
+    const { ClientCheckin } = sequelize.models;
+    const range = getDateRange(req.query);
+
+    if (!range) {
+      return sendInvalidDateRange(res);
+    }
+
+    const { startDate, endDate } = range;
+    const stats = await ClientCheckin.getClientVisitDuration(req.client.id, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        start_date: startDate,
+        end_date: endDate,
+        ...formatDurationStats(stats || {})
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/stats/duration/clients/:clientId
+async function clientVisitStats(req, res, next) {
+  try {
+    const { ClientCheckin } = sequelize.models;
+    if (!isUUID(req.params.clientId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const range = getDateRange(req.query);
+
+    if (!range) {
+      return sendInvalidDateRange(res);
+    }
+
+    const { startDate, endDate } = range;
+    const stats = await ClientCheckin.getClientVisitDuration(req.params.clientId, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        client_id: req.params.clientId,
+        start_date: startDate,
+        end_date: endDate,
+        ...formatDurationStats(stats || {})
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/stats/duration?start_date&end_date&location_id
+async function dailyVisitStats(req, res, next) {
+  try {
+    const { ClientCheckin } = sequelize.models;
+    const range = getDateRange(req.query);
+
+    if (!range) {
+      return sendInvalidDateRange(res);
+    }
+
+    if (req.query.location_id && !isUUID(req.query.location_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'location_id no es un ID de sede válido'
+      });
+    }
+
+    const { startDate, endDate } = range;
+    const rows = await ClientCheckin.getDailyVisitDuration(startDate, endDate, req.query.location_id || null);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        start_date: startDate,
+        end_date: endDate,
+        days: rows.map(row => ({
+          checkin_date: row.checkin_date,
+          ...formatDurationStats(row)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/me/streak
+async function myStreak(req, res, next) {
+  try {
+    const status = await streakService.getStreakStatus(req.client);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        streak: status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/waitlist
+async function myWaitlist(req, res, next) {
+  try {
+    const { LocationWaitlist } = sequelize.models;
+    const entry = await LocationWaitlist.findActiveForClient(req.client.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        waitlist_entry: entry,
+        position: entry ? await entry.getPosition() : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// DELETE /api/checkins/waitlist
+async function leaveWaitlist(req, res, next) {
+  try {
+    const { LocationWaitlist } = sequelize.models;
+    const entry = await LocationWaitlist.findActiveForClient(req.client.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No estás en ninguna lista de espera'
+      });
+    }
+
+    const wasNotified = entry.status === 'notified';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Si tenía un lugar reservado, pasa al siguiente de la fila
+    if (wasNotified) {
+      await occupancyService.releaseSpots(entry.location_id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saliste de la lista de espera'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  create,
+  myStreak,
+  myWaitlist,
+  leaveWaitlist,
+  checkout,
+  myVisitStats,
+  clientVisitStats,
+  dailyVisitStats
+};
@@ -0,0 +1,109 @@
+// Archivo: src/controllers/checkinReviewController.js
+// Controlador de la cola de revisión de check-ins sospechosos para el personal
+
+const checkinReviewService = require('../services/checkinReviewService');
+const { isUUID } = require('../utils/uuid');
+
+const MAX_BULK_REVIEW = 100;
+
+// Función para convertir un parámetro de query a entero opcional
+function parseOptionalInt(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+// GET /api/checkins/review/queue
+async function queue(req, res, next) {
+  try {
+    const { min_risk, max_risk, indicators, date_from, date_to, location_id, page, limit } = req.query;
+
+    if (location_id && !isUUID(location_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'location_id no es un ID de sede válido'
+      });
+    }
+
+    const result = await checkinReviewService.getReviewQueue({
+      minRisk: parseOptionalInt(min_risk),
+      maxRisk: parseOptionalInt(max_risk),
+      indicators: indicators ? String(indicators).split(',').map(item => item.trim()).filter(Boolean) : [],
+      dateFrom: date_from,
+      dateTo: date_to,
+      locationId: location_id,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/checkins/review/:id
+async function detail(req, res, next) {
+  try {
+    const result = await checkinReviewService.getReviewDetail(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Función para crear el handler de aprobación o rechazo masivo
+function buildDecisionHandler(decision) {
+  return async (req, res, next) => {
+    try {
+      const { checkin_ids: checkinIds, notes } = req.body;
+
+      if (!Array.isArray(checkinIds) || checkinIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'checkin_ids debe ser un arreglo con al menos un ID'
+        });
+      }
+
+      if (checkinIds.length > MAX_BULK_REVIEW) {
+        return res.status(400).json({
+          success: false,
+          message: `Solo se pueden revisar ${MAX_BULK_REVIEW} check-ins por solicitud`
+        });
+      }
+
+      // Rechazar requiere explicar el motivo al cliente y a otros revisores
+      if (decision === 'rejected' && !notes) {
+        return res.status(400).json({
+          success: false,
+          message: 'Las notas son requeridas para rechazar check-ins'
+        });
+      }
+
+      const results = await checkinReviewService.reviewCheckins([...new Set(checkinIds)], decision, req.user, notes || null);
+      const processed = results.filter(result => result.success).length;
+
+      res.status(200).json({
+        success: true,
+        message: `${processed} de ${results.length} check-ins ${decision === 'approved' ? 'aprobados' : 'rechazados'}`,
+        data: { results }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  queue,
+  detail,
+  approve: buildDecisionHandler('approved'),
+  reject: buildDecisionHandler('rejected')
+};
@@ -0,0 +1,600 @@
+// Archivo: src/controllers/clientAuthController.js
+// Controlador de registro, login y recuperación de cuenta para los clientes (miembros)
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  signPurposeToken,
+  verifyPurposeToken
+} = require('../utils/tokens');
+const { verifyGoogleIdToken } = require('../services/googleAuthService');
+const { findReferrer, registerReferral } = require('../services/referralService');
+
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const PASSWORD_RESET_EXPIRES_IN = process.env.PASSWORD_RESET_EXPIRES_IN || '1h';
+const GOOGLE_LINK_EXPIRES_IN = '10m';
+const MIN_PASSWORD_LENGTH = 6;
+
+// Función para emitir los tokens de sesión de un cliente
+function issueClientTokens(client) {
+  return generateTokenPair({
+    id: client.id,
+    type: 'client',
+    tokenVersion: client.token_version
+  });
+}
+
+// Función para obtener la huella de la contraseña actual
+// Hace que un token de restablecimiento deje de servir en cuanto la contraseña cambia
+function getPasswordFingerprint(client) {
+  return crypto.createHash('sha256').update(client.password || '').digest('hex').slice(0, 16);
+}
+
+// Función para construir enlaces hacia el frontend
+function buildFrontendUrl(path, token) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+}
+
+// Función para adaptar un nombre de Google a las validaciones del modelo (2 a 50 caracteres)
+function normalizeGoogleName(value, fallback) {
+  const name = (value || '').trim().slice(0, 50);
+  return name.length >= 2 ? name : fallback;
+}
+
+// Función para enviar el email de verificación de cuenta
+async function sendVerificationEmail(client) {
+  const { Notification } = sequelize.models;
+  const token = signPurposeToken(
+    { sub: client.id, email: client.email },
+    'email_verification',
+    EMAIL_VERIFICATION_EXPIRES_IN
+  );
+
+  await Notification.createFromTemplate('email_verification', client.id, { first_name: client.first_name }, {
+    title: 'Verifica tu email',
+    message: `Hola ${client.first_name}, confirma tu email para activar tu cuenta y empezar a acumular puntos.`,
+    type: 'system',
+    priority: 'high',
+    channels: ['email'],
+    action_url: buildFrontendUrl('/verify-email', token),
+    action_text: 'Verificar email'
+  });
+}
+
+// POST /api/clients/auth/register
+async function register(req, res, next) {
+  try {
+    const { email, password, first_name, last_name, phone, date_of_birth, gender, referral_code } = req.body;
+    // Huella del dispositivo que envía la app (control de abuso de referidos)
+    const deviceFingerprint = req.body.device_fingerprint || req.get('X-Device-Fingerprint') || null;
+
+    if (!email || !password || !first_name || !last_name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, contraseña, nombre y apellido son requeridos'
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`
+      });
+    }
+
+    const { Client, ClientPreferences } = sequelize.models;
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existing = await Client.findOne({ where: { email: normalizedEmail }, paranoid: false });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una cuenta registrada con este email'
+      });
+    }
+
+    // Un código inexistente se rechaza antes de crear la cuenta para que el cliente lo corrija
+    const referrer = referral_code ? await findReferrer(referral_code) : null;
+
+    // El cliente, sus preferencias y su invitación se crean juntos o no se crea nada
+    const client = await sequelize.transaction(async (transaction) => {
+      const newClient = await Client.create({
+        email: normalizedEmail,
+        password,
+        first_name,
+        last_name,
+        phone,
+        date_of_birth,
+        gender,
+        registration_device_fingerprint: deviceFingerprint
+      }, { transaction });
+
+      await ClientPreferences.createDefault(newClient.id, { transaction });
+
+      if (referrer) {
+        await registerReferral(newClient, referrer, {
+          deviceFingerprint,
+          ipAddress: req.ip
+        }, { transaction });
+      }
+
+      return newClient;
+    });
+
+    await sendVerificationEmail(client);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registro exitoso. Revisa tu email para verificar tu cuenta',
+      data: {
+        client,
+        tokens: issueClientTokens(client)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/login
+async function login(req, res, next) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email y contraseña son requeridos'
+      });
+    }
+
+    const { Client } = sequelize.models;
+    const client = await Client.findActiveByEmail(String(email).toLowerCase().trim());
+
+    if (!client || !(await client.validatePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Credenciales inválidas'
+      });
+    }
+
+    client.last_login = new Date();
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      data: {
+        client,
+        email_verified: client.email_verified,
+        tokens: issueClientTokens(client)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/google
+async function googleSignIn(req, res, next) {
+  try {
+    const { id_token: idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'El ID token de Google es requerido'
+      });
+    }
+
+    const profile = await verifyGoogleIdToken(idToken);
+    const { Client, ClientPreferences } = sequelize.models;
+
+    // 1. Cuenta ya vinculada a este usuario de Google
+    let client = await Client.findByGoogleId(profile.googleId);
+
+    if (!client) {
+      const existing = await Client.findOne({ where: { email: profile.email }, paranoid: false });
+
+      if (existing) {
+        if (!existing.is_active || existing.isSoftDeleted()) {
+          return res.status(403).json({
+            success: false,
+            message: 'Esta cuenta está desactivada'
+          });
+        }
+
+        // La cuenta ya está vinculada a otro usuario de Google
+        if (existing.google_id) {
+          return res.status(409).json({
+            success: false,
+            message: 'Este email ya está vinculado a otra cuenta de Google'
+          });
+        }
+
+        // 2. Cuenta con contraseña: se requiere confirmarla antes de vincular
+        if (existing.password) {
+          const linkToken = signPurposeToken(
+            { sub: existing.id, gid: profile.googleId, email: profile.email },
+            'google_link',
+            GOOGLE_LINK_EXPIRES_IN
+          );
+
+          return res.status(409).json({
+            success: false,
+            message: 'Ya existe una cuenta con este email. Confirma tu contraseña para vincular Google',
+            data: {
+              requires_link_confirmation: true,
+              link_token: linkToken
+            }
+          });
+        }
+
+        // Cuenta sin contraseña: el email verificado por Google basta para vincularla
+        existing.google_id = profile.googleId;
+        existing.email_verified = true;
+        client = existing;
+      } else {
+        // 3. Cliente nuevo: se crea junto con sus preferencias
+        client = await sequelize.transaction(async (transaction) => {
+          const newClient = await Client.create({
+            email: profile.email,
+            google_id: profile.googleId,
+            first_name: normalizeGoogleName(profile.firstName, 'Cliente'),
+            last_name: normalizeGoogleName(profile.lastName, 'Google'),
+            email_verified: true
+          }, { transaction });
+
+          await ClientPreferences.createDefault(newClient.id, { transaction });
+
+          return newClient;
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: 'Registro con Google exitoso',
+          data: {
+            client,
+            is_new: true,
+            tokens: issueClientTokens(client)
+          }
+        });
+      }
+    }
+
+    client.last_login = new Date();
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inicio de sesión con Google exitoso',
+      data: {
+        client,
+        is_new: false,
+        tokens: issueClientTokens(client)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/google/link
+async function confirmGoogleLink(req, res, next) {
+  try {
+    const { link_token: linkToken, password } = req.body;
+
+    if (!linkToken || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de vinculación y contraseña son requeridos'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyPurposeToken(linkToken, 'google_link');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'La solicitud de vinculación es inválida o expiró'
+      });
+    }
+
+    const { Client } = sequelize.models;
+    const client = await Client.findByPk(payload.sub);
+
+    if (!client || !client.is_active || client.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'La solicitud de vinculación es inválida o expiró'
+      });
+    }
+
+    if (!(await client.validatePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Credenciales inválidas'
+      });
+    }
+
+    // Evitar que dos clientes queden con el mismo Google ID
+    const alreadyLinked = await Client.findOne({ where: { google_id: payload.gid }, paranoid: false });
+    if ((client.google_id && client.google_id !== payload.gid) || (alreadyLinked && alreadyLinked.id !== client.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Esta cuenta de Google ya está vinculada a otro cliente'
+      });
+    }
+
+    client.google_id = payload.gid;
+    // Google ya verificó que el email le pertenece
+    client.email_verified = true;
+    client.last_login = new Date();
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cuenta de Google vinculada correctamente',
+      data: {
+        client,
+        tokens: issueClientTokens(client)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/refresh
+async function refresh(req, res, next) {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de refresco requerido'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token de refresco inválido o expirado'
+      });
+    }
+
+    const { Client } = sequelize.models;
+    const client = payload.type === 'client' ? await Client.findByPk(payload.sub) : null;
+
+    if (!client || !client.is_active || client.token_version !== payload.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida, inicia sesión nuevamente'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens renovados correctamente',
+      data: {
+        tokens: issueClientTokens(client)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/logout
+async function logout(req, res, next) {
+  try {
+    await req.client.revokeTokens();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/clients/auth/me
+async function me(req, res) {
+  res.status(200).json({
+    success: true,
+    data: {
+      client: req.client,
+      can_earn_points: req.client.canEarnPoints()
+    }
+  });
+}
+
+// POST /api/clients/auth/verify-email
+async function verifyEmail(req, res, next) {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de verificación requerido'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyPurposeToken(token, 'email_verification');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de verificación es inválido o expiró'
+      });
+    }
+
+    const { Client } = sequelize.models;
+    const client = await Client.findByPk(payload.sub);
+
+    // El token solo es válido para el email con el que fue emitido
+    if (!client || client.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de verificación es inválido o expiró'
+      });
+    }
+
+    if (!client.email_verified) {
+      client.email_verified = true;
+      await client.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verificado correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/resend-verification
+async function resendVerification(req, res, next) {
+  try {
+    if (req.client.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tu email ya está verificado'
+      });
+    }
+
+    await sendVerificationEmail(req.client);
+
+    res.status(200).json({
+      success: true,
+      message: 'Te enviamos un nuevo email de verificación'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/forgot-password
+async function forgotPassword(req, res, next) {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'El email es requerido'
+      });
+    }
+
+    const { Client, Notification } = sequelize.models;
+    const client = await Client.findActiveByEmail(String(email).toLowerCase().trim());
+
+    // Solo las cuentas con contraseña pueden restablecerla (las de Google no la tienen)
+    if (client && client.password) {
+      const token = signPurposeToken(
+        { sub: client.id, pwh: getPasswordFingerprint(client) },
+        'password_reset',
+        PASSWORD_RESET_EXPIRES_IN
+      );
+
+      await Notification.createFromTemplate('password_reset', client.id, { first_name: client.first_name }, {
+        title: 'Restablece tu contraseña',
+        message: `Hola ${client.first_name}, recibimos una solicitud para restablecer tu contraseña. Si no fuiste tú, ignora este mensaje.`,
+        type: 'system',
+        priority: 'high',
+        channels: ['email'],
+        action_url: buildFrontendUrl('/reset-password', token),
+        action_text: 'Restablecer contraseña'
+      });
+    }
+
+    // Misma respuesta exista o no la cuenta, para no revelar emails registrados
+    res.status(200).json({
+      success: true,
+      message: 'Si el email está registrado, recibirás instrucciones para restablecer tu contraseña'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/clients/auth/reset-password
+async function resetPassword(req, res, next) {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token y nueva contraseña son requeridos'
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyPurposeToken(token, 'password_reset');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de restablecimiento es inválido o expiró'
+      });
+    }
+
+    const { Client } = sequelize.models;
+    const client = await Client.findByPk(payload.sub);
+
+    // Si la contraseña ya cambió, el token quedó usado
+    if (!client || !client.is_active || payload.pwh !== getPasswordFingerprint(client)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de restablecimiento es inválido o expiró'
+      });
+    }
+
+    client.password = password;
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    client.token_version += 1;
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contraseña actualizada correctamente, inicia sesión nuevamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  issueClientTokens,
+  register,
+  login,
+  googleSignIn,
+  confirmGoogleLink,
+  refresh,
+  logout,
+  me,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,122 @@
+// Archivo: src/controllers/fraudRuleController.js
+// Controlador para configurar las reglas antifraude y explicar la evaluación de un check-in
+
+const { sequelize } = require('../config/database');
+const { BUILT_IN_RULES, SUSPICIOUS_SCORE, getEffectiveRules, evaluateCheckin } = require('../services/fraudRuleEngine');
+const { isUUID } = require('../utils/uuid');
+
+// GET /api/fraud-rules
+async function list(req, res, next) {
+  try {
+    const rules = await getEffectiveRules();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suspicious_threshold: SUSPICIOUS_SCORE,
+        rules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// PUT /api/fraud-rules/:key
+async function update(req, res, next) {
+  try {
+    const { key } = req.params;
+    const builtIn = BUILT_IN_RULES[key];
+
+    if (!builtIn) {
+      return res.status(404).json({
+        success: false,
+        message: `Regla desconocida: ${key}`
+      });
+    }
+
+    const { weight, threshold, is_enabled, name, description } = req.body;
+    const { FraudRule } = sequelize.models;
+    let rule = await FraudRule.findOne({ where: { key } });
+
+    // La primera modificación crea la configuración partiendo de los valores por defecto
+    if (!rule) {
+      rule = FraudRule.build({
+        key,
+        name: builtIn.name,
+        description: builtIn.description,
+        weight: builtIn.weight,
+        threshold: builtIn.threshold
+      });
+    }
+
+    if (weight !== undefined) rule.weight = weight;
+    if (threshold !== undefined) rule.threshold = threshold;
+    if (is_enabled !== undefined) rule.is_enabled = Boolean(is_enabled);
+    if (name !== undefined) rule.name = name;
+    if (description !== undefined) rule.description = description;
+    rule.updated_by_user_id = req.user.id;
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Regla actualizada correctamente',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(item => item.message).join(', ')
+      });
+    }
+    next(error);
+  }
+}
+
+// GET /api/checkins/:id/fraud-explanation?recompute=true
+async function explain(req, res, next) {
+  try {
+    const { ClientCheckin } = sequelize.models;
+    const checkin = isUUID(req.params.id) ? await ClientCheckin.findByPk(req.params.id) : null;
+
+    if (!checkin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Check-in no encontrado'
+      });
+    }
+
+    // recompute evalúa con las reglas actuales sin modificar el check-in
+    const recompute = req.query.recompute === 'true';
+    const evaluation = recompute ? await evaluateCheckin(checkin) : checkin.fraud_evaluation;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        checkin_id: checkin.id,
+        status: checkin.status,
+        stored_score: checkin.fraud_risk_score,
+        recomputed: recompute,
+        // Los check-ins anteriores al motor de reglas solo tienen la lista de indicadores
+        evaluation: evaluation || {
+          score: checkin.fraud_risk_score,
+          indicators: checkin.fraud_indicators || [],
+          rules: null
+        },
+        fired_rules: evaluation && evaluation.rules
+          ? evaluation.rules.filter(rule => rule.fired)
+          : (checkin.fraud_indicators || []).map(key => ({ key, fired: true }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  update,
+  explain
+};
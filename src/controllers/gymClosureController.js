@@ -0,0 +1,106 @@
+// Archivo: src/controllers/gymClosureController.js
+// Controlador para registrar los días festivos y cierres del gimnasio
+
+const { sequelize } = require('../config/database');
+
+// GET /api/gym-closures?from=YYYY-MM-DD&to=YYYY-MM-DD&location_id=
+async function list(req, res, next) {
+  try {
+    const { GymClosure, Location } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const { from, to, location_id: locationId } = req.query;
+    const where = {};
+
+    if (from || to) {
+      where.closure_date = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+    if (locationId) {
+      where[Op.or] = [{ location_id: null }, { location_id: locationId }];
+    }
+
+    const closures = await GymClosure.findAll({
+      where,
+      include: [{
+        model: Location,
+        as: 'location',
+        attributes: ['id', 'name', 'code']
+      }],
+      order: [['closure_date', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { closures }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/gym-closures
+async function create(req, res, next) {
+  try {
+    const { GymClosure } = sequelize.models;
+    const { closure_date: closureDate, location_id: locationId, reason } = req.body;
+
+    const closure = await GymClosure.create({
+      closure_date: closureDate,
+      location_id: locationId || null,
+      reason,
+      created_by_user_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cierre registrado correctamente',
+      data: { closure }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(item => item.message).join(', ')
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un cierre registrado para esa fecha y sede'
+      });
+    }
+    next(error);
+  }
+}
+
+// DELETE /api/gym-closures/:id
+async function remove(req, res, next) {
+  try {
+    const { GymClosure } = sequelize.models;
+    const closure = await GymClosure.findByPk(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cierre no encontrado'
+      });
+    }
+
+    await closure.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cierre eliminado correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  create,
+  remove
+};
@@ -0,0 +1,53 @@
+// Archivo: src/controllers/leaderboardController.js
+// Controlador de las tablas de clasificación y de la privacidad del cliente en ellas
+
+const leaderboardService = require('../services/leaderboardService');
+
+// GET /api/leaderboards?metric=points&period=weekly&membership_type_id=&limit=10
+async function list(req, res, next) {
+  try {
+    const leaderboard = await leaderboardService.getLeaderboard(req.query, req.client.id);
+    const visible = leaderboard.me ? true : await leaderboardService.isVisible(req.client.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...leaderboard,
+        show_in_leaderboard: visible
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// PUT /api/leaderboards/me/visibility
+async function updateVisibility(req, res, next) {
+  try {
+    const { show_in_leaderboard: showInLeaderboard } = req.body;
+
+    if (typeof showInLeaderboard !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'show_in_leaderboard debe ser true o false'
+      });
+    }
+
+    await leaderboardService.setVisibility(req.client.id, showInLeaderboard);
+
+    res.status(200).json({
+      success: true,
+      message: showInLeaderboard
+        ? 'Aparecerás en las tablas de clasificación en la próxima actualización'
+        : 'Ya no apareces en las tablas de clasificación',
+      data: { show_in_leaderboard: showInLeaderboard }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  updateVisibility
+};
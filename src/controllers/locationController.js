@@ -0,0 +1,319 @@
+// Archivo: src/controllers/locationController.js
+// Controlador para administrar las sedes del gimnasio y consultar su asistencia
+
+const { sequelize } = require('../config/database');
+const { getLocalMoment } = require('../utils/timezone');
+
+const EDITABLE_FIELDS = [
+  'name', 'code', 'address', 'latitude', 'longitude',
+  'radius_meters', 'opening_hours', 'timezone', 'phone',
+  'max_capacity', 'capacity_policy', 'is_active'
+];
+
+// Función para tomar solo los campos editables del body
+function pickLocationFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Función para responder errores de validación de Sequelize con 400
+function handleValidationError(error, res, next) {
+  if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors.map(item => item.message).join(', ')
+    });
+  }
+  next(error);
+}
+
+// GET /api/locations
+async function list(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const locations = await Location.findAll({
+      where: { is_active: true },
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        locations: locations.map(location => ({
+          ...location.toJSON(),
+          is_open_now: location.isOpen()
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/locations/:id
+async function getById(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location: {
+          ...location.toJSON(),
+          is_open_now: location.isOpen()
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/locations
+async function create(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const location = await Location.create(pickLocationFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Sede creada correctamente',
+      data: { location }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// PUT /api/locations/:id
+async function update(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    await location.update(pickLocationFields(req.body));
+
+    res.status(200).json({
+      success: true,
+      message: 'Sede actualizada correctamente',
+      data: { location }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// DELETE /api/locations/:id
+// Solo se desactiva: los check-ins históricos siguen referenciando la sede
+async function deactivate(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    location.is_active = false;
+    await location.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sede desactivada correctamente'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/locations/stats/attendance?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD
+async function attendanceStats(req, res, next) {
+  try {
+    const { start_date: startDate, end_date: endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date y end_date son requeridos'
+      });
+    }
+
+    const { Location, ClientCheckin } = sequelize.models;
+    const [locations, rows] = await Promise.all([
+      Location.findAll({ attributes: ['id', 'name', 'code'] }),
+      ClientCheckin.getAttendanceStatsByLocation(startDate, endDate)
+    ]);
+
+    // Agrupar las filas por sede; los check-ins sin sede van a "sin_sede"
+    const byLocation = {};
+    for (const row of rows) {
+      const key = row.location_id || 'sin_sede';
+      const location = locations.find(item => item.id === row.location_id);
+
+      if (!byLocation[key]) {
+        byLocation[key] = {
+          location_id: row.location_id,
+          name: location ? location.name : 'Sin sede asignada',
+          total_checkins: 0,
+          days: []
+        };
+      }
+
+      const totalCheckins = parseInt(row.total_checkins, 10);
+      byLocation[key].total_checkins += totalCheckins;
+      byLocation[key].days.push({
+        checkin_date: row.checkin_date,
+        total_checkins: totalCheckins,
+        unique_clients: parseInt(row.unique_clients, 10),
+        avg_points: Math.round(parseFloat(row.avg_points) * 100) / 100
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        start_date: startDate,
+        end_date: endDate,
+        locations: Object.values(byLocation)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/locations/:id/occupancy
+async function occupancy(req, res, next) {
+  try {
+    const { Location } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        occupancy: {
+          ...(await location.getOccupancy()),
+          is_open_now: location.isOpen()
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/locations/:id/occupancy/hourly?date=YYYY-MM-DD
+async function hourlyOccupancy(req, res, next) {
+  try {
+    if (req.query.date && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date debe tener el formato YYYY-MM-DD'
+      });
+    }
+
+    const { Location, ClientCheckin } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    // Sin fecha se muestra el día de hoy en la sede
+    const date = req.query.date || getLocalMoment(new Date(), location.timezone).date;
+    const hours = await ClientCheckin.getHourlyOccupancy(location.id, date, location.timezone);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location_id: location.id,
+        date,
+        max_capacity: location.max_capacity,
+        peak_visitors: Math.max(...hours.map(item => item.visitors)),
+        hours
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/locations/:id/waitlist
+async function waitlist(req, res, next) {
+  try {
+    const { Location, LocationWaitlist, Client } = sequelize.models;
+    const location = await Location.findByPk(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sede no encontrada'
+      });
+    }
+
+    const entries = await LocationWaitlist.findAll({
+      where: {
+        location_id: location.id,
+        status: ['waiting', 'notified']
+      },
+      include: [{
+        model: Client,
+        as: 'client',
+        attributes: ['id', 'first_name', 'last_name', 'email']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        occupancy: await location.getOccupancy(),
+        entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  getById,
+  create,
+  update,
+  deactivate,
+  attendanceStats,
+  occupancy,
+  hourlyOccupancy,
+  waitlist
+};
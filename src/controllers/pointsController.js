@@ -0,0 +1,65 @@
+// Archivo: src/controllers/pointsController.js
+// Controlador del saldo de puntos de los clientes desde la app
+
+const { sequelize } = require('../config/database');
+
+// GET /api/points/me?days=30
+async function myPoints(req, res, next) {
+  try {
+    const { PointsTransaction } = sequelize.models;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const expirations = await PointsTransaction.getUpcomingExpirations(req.client.id, days);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total_points: req.client.total_points,
+        expiration_days: PointsTransaction.POINTS_EXPIRATION_DAYS,
+        expiring_points: expirations.reduce((sum, item) => sum + item.points, 0),
+        upcoming_expirations: expirations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/points/me/history?page=1&limit=20
+async function myHistory(req, res, next) {
+  try {
+    const { PointsTransaction } = sequelize.models;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { rows, count } = await PointsTransaction.findAndCountAll({
+      where: { client_id: req.client.id },
+      attributes: [
+        'id', 'transaction_type', 'source_type', 'points_change', 'balance_after',
+        'reason', 'expires_at', 'points_remaining', 'checkin_date', 'created_at'
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactions: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  myPoints,
+  myHistory
+};
@@ -0,0 +1,252 @@
+// Archivo: src/controllers/pointsRuleController.js
+// Controlador para configurar las reglas de puntos y simular su impacto antes de activarlas
+
+const { sequelize } = require('../config/database');
+const { DEFAULT_POINTS_CONFIG, DEFAULT_RULES, getRuleSet, previewRuleChange } = require('../services/pointsRuleEngine');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'priority', 'membership_type_id', 'start_date', 'end_date',
+  'days_of_week', 'hour_windows', 'base_points', 'bonus_points',
+  'streak_points_per_day', 'streak_max_days', 'multiplier', 'max_points'
+];
+
+// Función para tomar solo los campos editables del body
+function pickRuleFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Función para responder errores de validación de Sequelize con 400
+function handleValidationError(error, res, next) {
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors.map(item => item.message).join(', ')
+    });
+  }
+  next(error);
+}
+
+// Función para obtener el período de la vista previa (por defecto, el mes calendario anterior)
+function getPreviewRange(body) {
+  if (body.start_date && body.end_date) {
+    return { startDate: body.start_date, endDate: body.end_date };
+  }
+
+  const now = new Date();
+  const firstDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const lastDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+
+  return {
+    startDate: firstDay.toISOString().split('T')[0],
+    endDate: lastDay.toISOString().split('T')[0]
+  };
+}
+
+// Función para buscar una regla o responder 404
+async function findRuleOr404(id, res) {
+  const rule = await sequelize.models.PointsRule.findByPk(id);
+
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      message: 'Regla de puntos no encontrada'
+    });
+  }
+
+  return rule;
+}
+
+// GET /api/points-rules?status=active
+async function list(req, res, next) {
+  try {
+    const { PointsRule, MembershipType } = sequelize.models;
+    const { usesDefaultRules } = await getRuleSet();
+    const rules = await PointsRule.findAll({
+      where: req.query.status ? { status: req.query.status } : {},
+      include: [{
+        model: MembershipType,
+        as: 'membershipType',
+        attributes: ['id', 'name']
+      }],
+      order: [['status', 'ASC'], ['priority', 'DESC'], ['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        defaults: DEFAULT_POINTS_CONFIG,
+        uses_default_rules: usesDefaultRules,
+        default_rules: DEFAULT_RULES,
+        rules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/points-rules
+// Las reglas nuevas quedan como borrador hasta que se activan
+async function create(req, res, next) {
+  try {
+    const { PointsRule } = sequelize.models;
+    const rule = await PointsRule.create({
+      ...pickRuleFields(req.body),
+      status: 'draft',
+      created_by_user_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regla creada como borrador. Revisa la vista previa antes de activarla',
+      data: { rule }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// PUT /api/points-rules/:id
+async function update(req, res, next) {
+  try {
+    const rule = await findRuleOr404(req.params.id, res);
+    if (!rule) return;
+
+    if (rule.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'No se puede editar una regla activa. Desactívala o crea una nueva regla'
+      });
+    }
+
+    // Cualquier cambio invalida la vista previa anterior
+    await rule.update({
+      ...pickRuleFields(req.body),
+      previewed_at: null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Regla actualizada correctamente',
+      data: { rule }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// POST /api/points-rules/preview
+// Simula una regla que todavía no se ha guardado
+async function previewDraft(req, res, next) {
+  try {
+    const { PointsRule } = sequelize.models;
+    const rule = PointsRule.build({ ...pickRuleFields(req.body), status: 'active' });
+    await rule.validate();
+
+    const preview = await previewRuleChange({ rule, ...getPreviewRange(req.body) });
+
+    res.status(200).json({
+      success: true,
+      data: { preview }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// POST /api/points-rules/:id/preview
+// En una regla activa simula su desactivación; en las demás, su activación
+async function preview(req, res, next) {
+  try {
+    const rule = await findRuleOr404(req.params.id, res);
+    if (!rule) return;
+
+    const { PointsRule } = sequelize.models;
+    const range = getPreviewRange(req.body);
+    const action = rule.status === 'active' ? 'deactivate' : 'activate';
+    const result = action === 'deactivate'
+      ? await previewRuleChange({ deactivateRuleId: rule.id, ...range })
+      : await previewRuleChange({ rule: PointsRule.build({ ...rule.toJSON(), status: 'active' }), ...range });
+
+    rule.previewed_at = new Date();
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action,
+        preview: result
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/points-rules/:id/activate
+async function activate(req, res, next) {
+  try {
+    const rule = await findRuleOr404(req.params.id, res);
+    if (!rule) return;
+
+    if (rule.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'La regla ya está activa'
+      });
+    }
+
+    if (!rule.previewed_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revisa la vista previa del impacto antes de activar la regla'
+      });
+    }
+
+    rule.status = 'active';
+    rule.activated_at = new Date();
+    rule.activated_by_user_id = req.user.id;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Regla activada. Se aplicará a los próximos check-ins',
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/points-rules/:id/deactivate
+async function deactivate(req, res, next) {
+  try {
+    const rule = await findRuleOr404(req.params.id, res);
+    if (!rule) return;
+
+    rule.status = 'inactive';
+    rule.previewed_at = null;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Regla desactivada correctamente',
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  create,
+  update,
+  previewDraft,
+  preview,
+  activate,
+  deactivate
+};
@@ -0,0 +1,45 @@
+// Archivo: src/controllers/referralController.js
+// Controlador del programa de referidos: código y referidos del cliente, reporte para gerencia
+
+const referralService = require('../services/referralService');
+const { getDateRange, sendInvalidDateRange } = require('../utils/dateRange');
+
+// GET /api/referrals/me
+async function myReferrals(req, res, next) {
+  try {
+    const summary = await referralService.getClientReferrals(req.client);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/referrals/report?start_date=YYYY-MM-DD&end_date=YYYY-MM-DD
+async function report(req, res, next) {
+  try {
+    const range = getDateRange(req.query);
+
+    if (!range) {
+      return sendInvalidDateRange(res);
+    }
+
+    const { startDate, endDate } = range;
+    const summary = await referralService.getReferralReport(startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  myReferrals,
+  report
+};
@@ -0,0 +1,183 @@
+// Archivo: src/controllers/rewardController.js
+// Controlador del catálogo de recompensas y del canje de puntos
+
+const { sequelize } = require('../config/database');
+const rewardService = require('../services/rewardService');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'reward_type', 'points_cost', 'product_id', 'product_quantity',
+  'membership_days', 'prize_id', 'stock_quantity', 'max_per_client',
+  'valid_from', 'valid_until', 'is_active', 'sort_order'
+];
+
+// Función para tomar solo los campos editables del body
+function pickItemFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Función para responder errores de validación de Sequelize con 400
+function handleValidationError(error, res, next) {
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors.map(item => item.message).join(', ')
+    });
+  }
+  next(error);
+}
+
+// GET /api/rewards
+async function list(req, res, next) {
+  try {
+    const { RewardCatalogItem } = sequelize.models;
+    const items = await RewardCatalogItem.findAvailable();
+
+    res.status(200).json({
+      success: true,
+      data: { items }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/rewards/manage
+// Catálogo completo para el personal, incluidas las recompensas inactivas o agotadas
+async function listAll(req, res, next) {
+  try {
+    const { RewardCatalogItem } = sequelize.models;
+    const items = await RewardCatalogItem.findAll({
+      order: [['is_active', 'DESC'], ['sort_order', 'ASC'], ['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { items }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/rewards
+async function create(req, res, next) {
+  try {
+    const { RewardCatalogItem } = sequelize.models;
+    const item = await RewardCatalogItem.create({
+      ...pickItemFields(req.body),
+      created_by_user_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recompensa agregada al catálogo',
+      data: { item }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// PUT /api/rewards/:id
+async function update(req, res, next) {
+  try {
+    const { RewardCatalogItem } = sequelize.models;
+    const item = await RewardCatalogItem.findByPk(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recompensa no encontrada'
+      });
+    }
+
+    await item.update(pickItemFields(req.body));
+
+    res.status(200).json({
+      success: true,
+      message: 'Recompensa actualizada correctamente',
+      data: { item }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// POST /api/rewards/:id/redeem
+// Requiere el encabezado Idempotency-Key (o idempotency_key en el body) para reintentos seguros
+async function redeem(req, res, next) {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotency_key;
+
+    if (!idempotencyKey || String(idempotencyKey).length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere el encabezado Idempotency-Key (máximo 100 caracteres)'
+      });
+    }
+
+    const { redemption, replayed } = await rewardService.redeemReward(
+      req.client.id,
+      req.params.id,
+      String(idempotencyKey)
+    );
+    const { Client } = sequelize.models;
+    const client = await Client.findByPk(req.client.id, { attributes: ['id', 'total_points'] });
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      message: replayed
+        ? 'Este canje ya se había registrado'
+        : `¡Canjeaste ${redemption.item_name} por ${redemption.points_spent} puntos!`,
+      data: {
+        redemption,
+        total_points: client.total_points
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/rewards/me/redemptions
+async function myRedemptions(req, res, next) {
+  try {
+    const { RewardRedemption, PrizeWinning, Order } = sequelize.models;
+    const redemptions = await RewardRedemption.findAll({
+      where: { client_id: req.client.id },
+      include: [
+        {
+          model: PrizeWinning,
+          as: 'prizeWinning',
+          attributes: ['id', 'status', 'redemption_code', 'expires_date']
+        },
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'order_number', 'status']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: 100
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { redemptions }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  listAll,
+  create,
+  update,
+  redeem,
+  myRedemptions
+};
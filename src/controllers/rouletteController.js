@@ -0,0 +1,144 @@
+// Archivo: src/controllers/rouletteController.js
+// Controlador de los giros de ruleta: el servidor decide el premio y la app solo anima el resultado
+// También simula ruletas para que gerencia conozca su costo antes de publicarlas
+
+const { sequelize } = require('../config/database');
+const rouletteService = require('../services/rouletteService');
+const fairnessService = require('../services/fairnessService');
+const rouletteSimulationService = require('../services/rouletteSimulationService');
+const { isUUID } = require('../utils/uuid');
+
+// POST /api/roulette/spin
+async function spin(req, res, next) {
+  try {
+    const result = await rouletteService.spinRoulette(req.client.id, req.body, { ip: req.ip });
+    const { prizeWinning } = result;
+
+    res.status(201).json({
+      success: true,
+      message: `¡Ganaste: ${prizeWinning.prize_name}!`,
+      data: {
+        roulette: result.roulette.toPublic(result.prizes),
+        sector_index: result.animation.sector_index,
+        animation: result.animation,
+        prize_winning: {
+          id: prizeWinning.id,
+          prize_name: prizeWinning.prize_name,
+          prize_description: prizeWinning.prize_description,
+          prize_type: prizeWinning.prize_type,
+          prize_value: prizeWinning.prize_value,
+          prize_currency: prizeWinning.prize_currency,
+          status: prizeWinning.status,
+          redemption_code: prizeWinning.redemption_code,
+          requires_verification: prizeWinning.requires_verification,
+          won_date: prizeWinning.won_date,
+          expires_date: prizeWinning.expires_date
+        },
+        // Datos para verificar el giro cuando se revele la semilla del servidor
+        fairness: {
+          server_seed_hash: prizeWinning.fair_server_seed_hash,
+          client_seed: prizeWinning.fair_client_seed,
+          nonce: prizeWinning.fair_nonce
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/roulette/fairness
+// Par de semillas activo: el hash de la semilla del servidor se conoce antes de girar
+async function getSeeds(req, res, next) {
+  try {
+    const seed = await fairnessService.getActiveSeed(req.client.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: seed.toPublic(),
+        algorithm: fairnessService.ALGORITHM
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/roulette/fairness/rotate
+// Revela la semilla del servidor actual y compromete una nueva (con la semilla de cliente opcional)
+async function rotateSeeds(req, res, next) {
+  try {
+    const { revealed, active } = await fairnessService.rotateSeed(req.client.id, req.body.client_seed || null);
+
+    res.status(200).json({
+      success: true,
+      message: revealed
+        ? 'Semilla del servidor revelada. Ya puedes verificar tus giros anteriores'
+        : 'Semillas creadas',
+      data: {
+        revealed: revealed ? revealed.toPublic() : null,
+        active: active.toPublic()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/roulette/spins/:id/verify
+// Pública: cualquiera con el ID del giro puede repetir el sorteo
+async function verifySpin(req, res, next) {
+  try {
+    // Un ID que no es UUID haría fallar la consulta: se responde igual que un giro inexistente
+    const prizeWinning = isUUID(req.params.id)
+      ? await sequelize.models.PrizeWinning.findByPk(req.params.id)
+      : null;
+
+    if (!prizeWinning || !prizeWinning.fair_server_seed_hash) {
+      return res.status(404).json({
+        success: false,
+        message: 'Giro verificable no encontrado'
+      });
+    }
+
+    const result = fairnessService.verifySpin(prizeWinning);
+
+    res.status(200).json({
+      success: true,
+      message: result.revealed
+        ? (result.verification.valid ? 'El resultado coincide con las semillas comprometidas' : 'El resultado NO coincide con las semillas comprometidas')
+        : 'La semilla del servidor se revela cuando el cliente rota sus semillas',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/roulette/simulate
+// Body: { roulette_id, sectors_config, budget_period, budget_amount, spins, spins_per_day }
+// Con roulette_id se simula la ruleta guardada; el resto de campos prueban cambios sin guardarlos
+async function simulate(req, res, next) {
+  try {
+    const report = await rouletteSimulationService.simulateRoulette(req.body);
+
+    res.status(200).json({
+      success: true,
+      message: report.warnings.length > 0
+        ? `Simulación completada con ${report.warnings.length} advertencia(s)`
+        : 'Simulación completada',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  spin,
+  getSeeds,
+  rotateSeeds,
+  verifySpin,
+  simulate
+};
@@ -0,0 +1,120 @@
+// Archivo: src/controllers/rouletteVersionController.js
+// Controlador de las versiones de ruleta: borradores, programación y su historial
+
+const rouletteVersionService = require('../services/rouletteVersionService');
+
+// Función para responder errores de validación de Sequelize con 400
+function handleValidationError(error, res, next) {
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors.map(item => item.message).join(', ')
+    });
+  }
+  next(error);
+}
+
+// GET /api/roulette/:rouletteId/versions
+async function list(req, res, next) {
+  try {
+    const { roulette, versions } = await rouletteVersionService.listVersions(req.params.rouletteId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roulette_id: roulette.id,
+        current_version_id: roulette.current_version_id,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/roulette/versions/:id
+async function show(req, res, next) {
+  try {
+    const result = await rouletteVersionService.getVersion(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/roulette/:rouletteId/versions
+// Las versiones nuevas quedan como borrador (sin sectores se copian los de la ruleta)
+async function create(req, res, next) {
+  try {
+    const version = await rouletteVersionService.createVersion(req.params.rouletteId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Versión ${version.version_number} creada como borrador`,
+      data: { version }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// PUT /api/roulette/versions/:id
+async function update(req, res, next) {
+  try {
+    const version = await rouletteVersionService.updateVersion(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Versión actualizada correctamente',
+      data: { version }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// POST /api/roulette/versions/:id/schedule
+// Body: { valid_from, valid_until }. Sin valid_from la versión se activa de inmediato
+async function schedule(req, res, next) {
+  try {
+    const { version, warnings, activated } = await rouletteVersionService.scheduleVersion(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: activated
+        ? `Versión ${version.version_number} activada`
+        : `Versión ${version.version_number} programada para el ${new Date(version.valid_from).toISOString()}`,
+      data: { version, warnings }
+    });
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+}
+
+// POST /api/roulette/versions/:id/unschedule
+async function unschedule(req, res, next) {
+  try {
+    const version = await rouletteVersionService.unscheduleVersion(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Programación cancelada. La versión volvió a borrador',
+      data: { version }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  show,
+  create,
+  update,
+  schedule,
+  unschedule
+};
@@ -0,0 +1,66 @@
+// Archivo: src/controllers/tierController.js
+// Controlador de los niveles de los miembros y de su estado
+
+const { sequelize } = require('../config/database');
+const { TIERS, TIER_VISITS_WINDOW_DAYS, TIER_DEMOTION_GRACE_DAYS } = require('../config/tiers');
+const tierService = require('../services/tierService');
+
+// GET /api/tiers
+async function list(req, res, next) {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        visits_window_days: TIER_VISITS_WINDOW_DAYS,
+        demotion_grace_days: TIER_DEMOTION_GRACE_DAYS,
+        tiers: TIERS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/tiers/me
+async function myStatus(req, res, next) {
+  try {
+    const status = await tierService.getTierStatus(req.client);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /api/tiers/clients/:clientId
+// Estado del nivel de un cliente para el personal
+async function clientStatus(req, res, next) {
+  try {
+    const client = await sequelize.models.Client.findByPk(req.params.clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    const status = await tierService.getTierStatus(client);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  list,
+  myStatus,
+  clientStatus
+};
@@ -0,0 +1,152 @@
+// Archivo: src/controllers/twoFactorController.js
+// Controlador para el enrolamiento y la administración de 2FA (TOTP) del personal
+
+// POST /api/auth/2fa/setup
+// Genera un secreto nuevo; 2FA no queda activo hasta confirmar con un código
+async function setup(req, res, next) {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    const enrollment = await req.user.startTwoFactorEnrollment();
+
+    res.status(200).json({
+      success: true,
+      message: 'Escanea el código en tu aplicación de autenticación y confirma con un código',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/2fa/enable
+async function enable(req, res, next) {
+  try {
+    const { code } = req.body;
+
+    if (req.user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    if (!req.user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero debes iniciar la configuración de 2FA'
+      });
+    }
+
+    const isValid = await req.user.verifyTwoFactorCode(code);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    req.user.two_factor_enabled = true;
+    await req.user.save();
+    const recoveryCodes = await req.user.generateRecoveryCodes();
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticación de dos factores activada. Guarda tus códigos de recuperación',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/2fa/disable
+// Requiere contraseña y un código vigente (o de recuperación)
+async function disable(req, res, next) {
+  try {
+    const { password, code, recovery_code: recoveryCode } = req.body;
+
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    if (!password || !(await req.user.validatePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Contraseña incorrecta'
+      });
+    }
+
+    const isValid = code
+      ? await req.user.verifyTwoFactorCode(code)
+      : await req.user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    await req.user.disableTwoFactor();
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticación de dos factores desactivada'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /api/auth/2fa/recovery-codes
+// Regenera los códigos de recuperación invalidando los anteriores
+async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    const isValid = await req.user.verifyTwoFactorCode(req.body.code);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const recoveryCodes = await req.user.generateRecoveryCodes();
+
+    res.status(200).json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,65 @@
+// Archivo: src/jobs/autoCheckoutJob.js
+// Tarea programada que cierra las visitas que quedaron abiertas al cerrar la sede
+
+const cron = require('node-cron');
+const { sequelize } = require('../config/database');
+
+// Cada 15 minutos: el error máximo de la hora de salida estimada es de 15 minutos
+const SCHEDULE = process.env.AUTO_CHECKOUT_CRON || '*/15 * * * *';
+// Sedes 24 horas (o sin sede): visitas abiertas por más de este tiempo se cierran
+const OPEN_SESSION_LIMIT_MINUTES = parseInt(process.env.AUTO_CHECKOUT_AFTER_MINUTES || '240', 10);
+// Visitas más recientes que esto nunca se cierran automáticamente
+const MIN_SESSION_MINUTES = 30;
+
+// Función para decidir si una visita abierta debe cerrarse
+function shouldAutoClose(session, now) {
+  const { ClientCheckin } = sequelize.models;
+  const elapsedMinutes = (now - new Date(session.createdAt)) / 60000;
+
+  if (elapsedMinutes >= ClientCheckin.MAX_SESSION_MINUTES) return true;
+
+  // Sede con horario: se cierra en cuanto la sede cierra
+  if (session.location && session.location.opening_hours) {
+    return !session.location.isOpen(now);
+  }
+
+  return elapsedMinutes >= OPEN_SESSION_LIMIT_MINUTES;
+}
+
+// Función para cerrar las visitas abiertas que ya deberían haber terminado
+async function runAutoCheckout(now = new Date()) {
+  const { ClientCheckin } = sequelize.models;
+  const sessions = await ClientCheckin.findOpenSessions(new Date(now.getTime() - MIN_SESSION_MINUTES * 60 * 1000));
+  let closed = 0;
+
+  for (const session of sessions) {
+    if (!shouldAutoClose(session, now)) continue;
+
+    try {
+      await session.checkout('auto', { at: now });
+      closed += 1;
+    } catch (error) {
+      console.error(`❌ Error al cerrar automáticamente la visita ${session.id}:`, error.message);
+    }
+  }
+
+  if (closed > 0) {
+    console.log(`🚪 Cierre automático: ${closed} visita(s) cerradas`);
+  }
+
+  return closed;
+}
+
+// Función para programar la tarea
+function startAutoCheckoutJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runAutoCheckout().catch(error => {
+      console.error('❌ Error en el cierre automático de visitas:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runAutoCheckout,
+  startAutoCheckoutJob
+};
@@ -0,0 +1,33 @@
+// Archivo: src/jobs/index.js
+// Registro central de las tareas programadas del servidor
+
+const { startAutoCheckoutJob } = require('./autoCheckoutJob');
+const { startWaitlistJob } = require('./waitlistJob');
+const { startPointsExpirationJob } = require('./pointsExpirationJob');
+const { startLeaderboardJob } = require('./leaderboardJob');
+const { startTierJob } = require('./tierJob');
+const { startRouletteVersionJob } = require('./rouletteVersionJob');
+
+// Función para iniciar todas las tareas programadas (se desactivan con ENABLE_JOBS=false)
+function startScheduledJobs() {
+  if (process.env.ENABLE_JOBS === 'false') {
+    console.log('⏸️  Tareas programadas desactivadas (ENABLE_JOBS=false)');
+    return [];
+  }
+
+  const jobs = [
+    startAutoCheckoutJob(),
+    startWaitlistJob(),
+    startPointsExpirationJob(),
+    startLeaderboardJob(),
+    startTierJob(),
+    startRouletteVersionJob()
+  ];
+
+  console.log(`⏰ Tareas programadas iniciadas: ${jobs.length}`);
+  return jobs;
+}
+
+module.exports = {
+  startScheduledJobs
+};
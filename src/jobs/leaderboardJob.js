@@ -0,0 +1,31 @@
+// Archivo: src/jobs/leaderboardJob.js
+// Tarea programada que recalcula la caché de las tablas de clasificación
+
+const cron = require('node-cron');
+const { refreshLeaderboards } = require('../services/leaderboardService');
+
+// Cada 15 minutos
+const SCHEDULE = process.env.LEADERBOARD_CRON || '*/15 * * * *';
+
+// Función para recalcular todas las tablas
+async function runLeaderboardRefresh(now = new Date()) {
+  const entries = await refreshLeaderboards(now);
+
+  console.log(`🏆 Tablas de clasificación actualizadas: ${entries} posición(es)`);
+
+  return entries;
+}
+
+// Función para programar la tarea
+function startLeaderboardJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runLeaderboardRefresh().catch(error => {
+      console.error('❌ Error al actualizar las tablas de clasificación:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runLeaderboardRefresh,
+  startLeaderboardJob
+};
@@ -0,0 +1,32 @@
+// Archivo: src/jobs/pointsExpirationJob.js
+// Tarea programada nocturna que vence los puntos y avisa de los que están por vencer
+
+const cron = require('node-cron');
+const { expirePoints, notifyExpiringPoints } = require('../services/pointsExpirationService');
+
+// Todas las noches a las 02:00
+const SCHEDULE = process.env.POINTS_EXPIRATION_CRON || '0 2 * * *';
+
+// Función para procesar vencimientos y avisos
+async function runPointsExpiration(now = new Date()) {
+  const expiredClients = await expirePoints(now);
+  const notifiedClients = await notifyExpiringPoints(now);
+
+  console.log(`⌛ Vencimiento de puntos: ${expiredClients} cliente(s) con puntos vencidos, ${notifiedClients} aviso(s) enviados`);
+
+  return { expiredClients, notifiedClients };
+}
+
+// Función para programar la tarea
+function startPointsExpirationJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runPointsExpiration().catch(error => {
+      console.error('❌ Error en el vencimiento de puntos:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runPointsExpiration,
+  startPointsExpirationJob
+};
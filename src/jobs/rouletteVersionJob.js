@@ -0,0 +1,38 @@
+// Archivo: src/jobs/rouletteVersionJob.js
+// Tarea programada que activa las versiones de ruleta programadas y retira las vencidas
+
+const cron = require('node-cron');
+const { activateDueVersions, retireExpiredVersions } = require('../services/rouletteVersionService');
+
+// Cada minuto: las versiones se activan a la hora programada con un minuto de margen
+const SCHEDULE = process.env.ROULETTE_VERSION_CRON || '* * * * *';
+
+// Función para activar y retirar las versiones cuya fecha llegó
+async function runRouletteVersions(now = new Date()) {
+  const retired = await retireExpiredVersions(now);
+  const { activated, failed } = await activateDueVersions(now);
+
+  if (activated > 0 || retired > 0) {
+    console.log(`🎡 Versiones de ruleta: ${activated} activada(s), ${retired} retirada(s)`);
+  }
+
+  for (const item of failed) {
+    console.error(`❌ No se pudo activar la versión de ruleta ${item.version_id}:`, item.error);
+  }
+
+  return { activated, retired, failed };
+}
+
+// Función para programar la tarea
+function startRouletteVersionJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runRouletteVersions().catch(error => {
+      console.error('❌ Error al procesar las versiones de ruleta:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runRouletteVersions,
+  startRouletteVersionJob
+};
@@ -0,0 +1,31 @@
+// Archivo: src/jobs/tierJob.js
+// Tarea programada que recalcula el nivel de los miembros y aplica los descensos vencidos
+
+const cron = require('node-cron');
+const { evaluateAllTiers } = require('../services/tierService');
+
+// Todos los días a las 2:30 a.m.
+const SCHEDULE = process.env.TIER_CRON || '30 2 * * *';
+
+// Función para recalcular los niveles de todos los clientes activos
+async function runTierEvaluation(now = new Date()) {
+  const summary = await evaluateAllTiers(now);
+
+  console.log(`🎖️  Niveles recalculados: ${summary.evaluated} cliente(s), ${summary.promoted} ascenso(s), ${summary.demoted} descenso(s), ${summary.grace_started} en período de gracia`);
+
+  return summary;
+}
+
+// Función para programar la tarea
+function startTierJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runTierEvaluation().catch(error => {
+      console.error('❌ Error al recalcular los niveles:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runTierEvaluation,
+  startTierJob
+};
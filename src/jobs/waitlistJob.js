@@ -0,0 +1,33 @@
+// Archivo: src/jobs/waitlistJob.js
+// Tarea programada que vence reservas no usadas y avisa a los siguientes en las listas de espera
+
+const cron = require('node-cron');
+const occupancyService = require('../services/occupancyService');
+
+// Cada 2 minutos: cubre los lugares liberados por el cierre automático y las reservas vencidas
+const SCHEDULE = process.env.WAITLIST_CRON || '*/2 * * * *';
+
+// Función para procesar las listas de espera de todas las sedes
+async function runWaitlist() {
+  const notified = await occupancyService.processWaitlists();
+
+  if (notified > 0) {
+    console.log(`🔔 Lista de espera: ${notified} cliente(s) notificados`);
+  }
+
+  return notified;
+}
+
+// Función para programar la tarea
+function startWaitlistJob() {
+  return cron.schedule(SCHEDULE, () => {
+    runWaitlist().catch(error => {
+      console.error('❌ Error al procesar las listas de espera:', error.message);
+    });
+  });
+}
+
+module.exports = {
+  runWaitlist,
+  startWaitlistJob
+};
@@ -0,0 +1,113 @@
+// Archivo: src/middleware/auth.js
+// Middleware para autenticar las peticiones del personal y de los clientes mediante JWT
+
+const { sequelize } = require('../config/database');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Función para extraer el token Bearer del header Authorization
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+// Middleware para exigir un usuario administrativo autenticado
+async function authenticateUser(req, res, next) {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de acceso requerido'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token de acceso expirado' : 'Token de acceso inválido'
+    });
+  }
+
+  if (payload.type !== 'user') {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de acceso inválido'
+    });
+  }
+
+  try {
+    const { User } = sequelize.models;
+    const user = await User.findByPk(payload.sub);
+
+    // El usuario debe seguir activo y la versión del token debe coincidir (logout invalida)
+    if (!user || !user.is_active || user.token_version !== payload.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida, inicia sesión nuevamente'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware para exigir un cliente (miembro) autenticado
+async function authenticateClient(req, res, next) {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de acceso requerido'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token de acceso expirado' : 'Token de acceso inválido'
+    });
+  }
+
+  if (payload.type !== 'client') {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de acceso inválido'
+    });
+  }
+
+  try {
+    const { Client } = sequelize.models;
+    const client = await Client.findByPk(payload.sub);
+
+    if (!client || !client.is_active || client.token_version !== payload.tv) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida, inicia sesión nuevamente'
+      });
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  extractBearerToken,
+  authenticateUser,
+  authenticateClient
+};
@@ -0,0 +1,38 @@
+// Archivo: src/middleware/authorize.js
+// Middleware de autorización basado en las capacidades de cada rol
+
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+// Middleware que exige todas las capacidades indicadas (usar después de authenticateUser)
+function requirePermission(...permissions) {
+  // Validar al definir la ruta para detectar errores de escritura en capacidades
+  permissions.forEach(permission => {
+    if (!ALL_PERMISSIONS.includes(permission)) {
+      throw new Error(`Capacidad desconocida: ${permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token de acceso requerido'
+      });
+    }
+
+    const missing = permissions.find(permission => !req.user.hasPermission(permission));
+
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `No tienes permiso para realizar esta acción (${missing})`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requirePermission
+};
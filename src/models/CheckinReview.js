@@ -0,0 +1,119 @@
+// Archivo: src/models/CheckinReview.js
+// Modelo para auditar las decisiones del personal sobre check-ins sospechosos
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CheckinReview = sequelize.define('CheckinReview', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la revisión'
+  },
+  checkin_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'client_checkins',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID del check-in revisado'
+  },
+  reviewed_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario del personal que tomó la decisión'
+  },
+  decision: {
+    type: DataTypes.ENUM('approved', 'rejected'),
+    allowNull: false,
+    comment: 'Decisión tomada sobre el check-in'
+  },
+  previous_status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Estado del check-in antes de la revisión'
+  },
+  // Contexto al momento de decidir
+  fraud_risk_score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Puntuación de riesgo que tenía el check-in al revisarlo'
+  },
+  fraud_indicators: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Indicadores de fraude que tenía el check-in al revisarlo'
+  },
+  points_awarded: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Puntos otorgados al cliente como resultado de la aprobación'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Notas del revisor'
+  }
+}, {
+  tableName: 'checkin_reviews',
+  timestamps: true,
+  updatedAt: false, // Las revisiones son un registro de auditoría inmutable
+  indexes: [
+    {
+      fields: ['checkin_id']
+    },
+    {
+      fields: ['reviewed_by_user_id']
+    },
+    {
+      fields: ['decision']
+    }
+  ],
+  comment: 'Tabla de auditoría de revisiones manuales de check-ins'
+});
+
+// Método de clase para obtener el historial de revisiones de un check-in
+CheckinReview.findByCheckin = function(checkinId) {
+  return this.findAll({
+    where: { checkin_id: checkinId },
+    include: sequelize.models.User ? [
+      {
+        model: sequelize.models.User,
+        as: 'reviewedBy',
+        attributes: ['id', 'first_name', 'last_name', 'role']
+      }
+    ] : [],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+CheckinReview.associate = function(models) {
+  // Una revisión pertenece a un check-in
+  if (models.ClientCheckin) {
+    CheckinReview.belongsTo(models.ClientCheckin, {
+      foreignKey: 'checkin_id',
+      as: 'checkin',
+      onDelete: 'CASCADE'
+    });
+  }
+
+  // Una revisión la realiza un usuario del personal
+  if (models.User) {
+    CheckinReview.belongsTo(models.User, {
+      foreignKey: 'reviewed_by_user_id',
+      as: 'reviewedBy'
+    });
+  }
+};
+
+module.exports = CheckinReview;
@@ -4,6 +4,10 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
+const { updateStreak } = require('../services/streakService');
+const { recordPointsChange } = require('../services/pointsService');
+const { TIER_CODES } = require('../config/tiers');
+const { generateReferralCode } = require('../services/referralService');
 
 const Client = sequelize.define('Client', {
   id: {
@@ -136,6 +140,12 @@ const Client = sequelize.define('Client', {
     defaultValue: false,
     comment: 'Indica si el email ha sido verificado'
   },
+  token_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Versión de tokens JWT; se incrementa al cerrar sesión o cambiar contraseña'
+  },
   profile_image_id: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -168,6 +178,58 @@ const Client = sequelize.define('Client', {
     allowNull: true,
     comment: 'Fecha del último check-in registrado'
   },
+  streak_freezes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Protectores de racha disponibles (cubren días faltados sin perder la racha)'
+  },
+  // Nivel del miembro (ver config/tiers)
+  tier: {
+    type: DataTypes.ENUM(...TIER_CODES),
+    allowNull: false,
+    defaultValue: 'bronze',
+    comment: 'Nivel actual: bronze, silver, gold, platinum'
+  },
+  tier_achieved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se alcanzó el nivel actual'
+  },
+  tier_pending_demotion: {
+    type: DataTypes.ENUM(...TIER_CODES),
+    allowNull: true,
+    comment: 'Nivel al que bajará el cliente si no vuelve a calificar antes de tier_demotion_at'
+  },
+  tier_demotion_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fin del período de gracia antes de bajar de nivel'
+  },
+  // Programa de referidos
+  referral_code: {
+    type: DataTypes.STRING(12),
+    allowNull: true,
+    comment: 'Código personal para invitar a otros miembros (se genera al registrarse)'
+  },
+  referred_by_client_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Cliente que invitó a este cliente (solo referidos válidos)'
+  },
+  registration_device_fingerprint: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Huella del dispositivo con el que se registró (control de abuso de referidos)'
+  },
   preferred_workout_time: {
     type: DataTypes.ENUM('morning', 'afternoon', 'evening', 'night'),
     allowNull: true,
@@ -221,17 +283,39 @@ const Client = sequelize.define('Client', {
     },
     {
       fields: ['last_checkin_date']
+    },
+    {
+      fields: ['tier']
+    },
+    {
+      unique: true,
+      fields: ['referral_code'],
+      where: {
+        referral_code: {
+          [sequelize.Sequelize.Op.ne]: null
+        }
+      }
+    },
+    {
+      fields: ['referred_by_client_id']
+    },
+    {
+      fields: ['registration_device_fingerprint']
     }
   ],
   comment: 'Tabla de clientes/miembros del gimnasio'
 });
 
-// Hook para encriptar contraseña antes de crear cliente
-Client.beforeCreate(async (client) => {
+// Hook para encriptar contraseña y asignar el código de referido antes de crear cliente
+Client.beforeCreate(async (client, options) => {
   if (client.password) {
     const saltRounds = 12;
     client.password = await bcrypt.hash(client.password, saltRounds);
   }
+  
+  if (!client.referral_code) {
+    client.referral_code = await generateReferralCode({ transaction: options.transaction });
+  }
 });
 
 // Hook para encriptar contraseña antes de actualizar cliente
@@ -269,51 +353,60 @@ Client.prototype.getAge = function() {
 };
 
 // Método de instancia para actualizar días consecutivos
-Client.prototype.updateConsecutiveDays = async function(checkinDate) {
-  const today = new Date(checkinDate);
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
+// Las reglas de la racha (cierres, días de entrenamiento, protectores e hitos) viven en streakService
+Client.prototype.updateConsecutiveDays = function(checkinDate, options = {}) {
+  return updateStreak(this, checkinDate, options);
+};
+
+// Método de instancia para verificar si el cliente puede acumular puntos
+// Las cuentas sin email verificado no acumulan puntos
+Client.prototype.canEarnPoints = function() {
+  return this.is_active && this.email_verified;
+};
+
+// Método de instancia para añadir puntos
+// El movimiento y el saldo se escriben juntos en pointsService, con la fila del cliente bloqueada
+Client.prototype.addPoints = async function(points, reason = 'Check-in', options = {}) {
+  if (!this.canEarnPoints()) {
+    return this.total_points;
+  }
   
-  const lastCheckin = this.last_checkin_date ? new Date(this.last_checkin_date) : null;
+  const pointsTransaction = await recordPointsChange(this.id, {
+    points,
+    transaction_type: 'earned',
+    source_type: 'system',
+    reason
+  }, { transaction: options.transaction, notify: true });
   
-  if (!lastCheckin) {
-    // Primer check-in
-    this.consecutive_days = 1;
-  } else if (lastCheckin.toDateString() === yesterday.toDateString()) {
-    // Check-in consecutivo
-    this.consecutive_days += 1;
-  } else if (lastCheckin.toDateString() !== today.toDateString()) {
-    // Se rompió la racha
-    this.consecutive_days = 1;
-  }
-  // Si es el mismo día, no cambiar consecutive_days
+  // Sincronizar esta instancia con el saldo que quedó guardado
+  this.total_points = pointsTransaction.balance_after;
   
-  // Actualizar máximo si es necesario
-  if (this.consecutive_days > this.max_consecutive_days) {
-    this.max_consecutive_days = this.consecutive_days;
+  return this.total_points;
+};
+
+// Método de instancia para obtener el código de referido (los clientes anteriores al programa lo reciben al pedirlo)
+Client.prototype.getReferralCode = async function(options = {}) {
+  if (!this.referral_code) {
+    this.referral_code = await generateReferralCode(options);
+    await this.save({ fields: ['referral_code'], transaction: options.transaction });
   }
   
-  this.last_checkin_date = today.toISOString().split('T')[0];
-  await this.save();
+  return this.referral_code;
 };
 
-// Método de instancia para añadir puntos
-Client.prototype.addPoints = async function(points, reason = 'Check-in') {
-  this.total_points += points;
+// Método de instancia para invalidar todos los tokens emitidos
+Client.prototype.revokeTokens = async function() {
+  this.token_version += 1;
   await this.save();
-  
-  // Crear registro en PointsTransaction
-  if (sequelize.models.PointsTransaction) {
-    await sequelize.models.PointsTransaction.create({
-      client_id: this.id,
-      points_earned: points,
-      transaction_type: 'earned',
-      reason: reason,
-      balance_after: this.total_points
-    });
-  }
-  
-  return this.total_points;
+};
+
+// Ocultar campos sensibles al serializar
+Client.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.password;
+  delete values.token_version;
+  delete values.registration_device_fingerprint;
+  return values;
 };
 
 // Método de clase para buscar cliente activo por email
@@ -326,6 +419,17 @@ Client.findActiveByEmail = function(email) {
   });
 };
 
+// Método de clase para buscar cliente activo por código de referido
+Client.findByReferralCode = function(code, options = {}) {
+  return this.findOne({
+    where: {
+      referral_code: String(code).trim().toUpperCase(),
+      is_active: true
+    },
+    transaction: options.transaction
+  });
+};
+
 // Método de clase para buscar cliente por Google ID
 Client.findByGoogleId = function(googleId) {
   return this.findOne({
@@ -410,6 +514,19 @@ Client.associate = function(models) {
       as: 'preferences'
     });
   }
+  
+  // Un cliente puede haber sido invitado por otro y tener muchos referidos
+  Client.belongsTo(Client, {
+    foreignKey: 'referred_by_client_id',
+    as: 'referredBy'
+  });
+  
+  if (models.Referral) {
+    Client.hasMany(models.Referral, {
+      foreignKey: 'referrer_client_id',
+      as: 'referrals'
+    });
+  }
 };
 
 module.exports = Client;
\ No newline at end of file
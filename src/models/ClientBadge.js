@@ -0,0 +1,125 @@
+// Archivo: src/models/ClientBadge.js
+// Modelo para las insignias obtenidas por cada cliente (el catálogo está en config/badges)
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getBadge } = require('../config/badges');
+
+const ClientBadge = sequelize.define('ClientBadge', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la insignia obtenida'
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID del cliente que obtuvo la insignia'
+  },
+  badge_code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Código de la insignia en config/badges (ej: first_checkin)'
+  },
+  earned_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Fecha en que se obtuvo la insignia'
+  },
+  progress_value: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Valor de la métrica al obtener la insignia'
+  },
+  // Recompensa entregada
+  points_transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'points_transactions',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'ID del movimiento de puntos de la recompensa'
+  },
+  qr_code_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'qr_codes',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'ID del QR entregado para girar la ruleta'
+  }
+}, {
+  tableName: 'client_badges',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['client_id', 'badge_code']
+    },
+    {
+      fields: ['badge_code']
+    }
+  ],
+  comment: 'Tabla de insignias obtenidas por los clientes'
+});
+
+// Método de instancia para el formato que se muestra en la app
+ClientBadge.prototype.toPublic = function() {
+  const badge = getBadge(this.badge_code);
+
+  return {
+    code: this.badge_code,
+    name: badge ? badge.name : this.badge_code,
+    description: badge ? badge.description : null,
+    earned_at: this.earned_at,
+    reward_points: this.points_transaction_id && badge && badge.reward ? badge.reward.points : null,
+    reward_qr_code_id: this.qr_code_id || null
+  };
+};
+
+// Método de clase para obtener las insignias de un cliente
+ClientBadge.findByClient = function(clientId, options = {}) {
+  return this.findAll({
+    where: { client_id: clientId },
+    order: [['earned_at', 'ASC']],
+    transaction: options.transaction
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+ClientBadge.associate = function(models) {
+  if (models.Client) {
+    ClientBadge.belongsTo(models.Client, {
+      foreignKey: 'client_id',
+      as: 'client'
+    });
+  }
+
+  if (models.PointsTransaction) {
+    ClientBadge.belongsTo(models.PointsTransaction, {
+      foreignKey: 'points_transaction_id',
+      as: 'pointsTransaction'
+    });
+  }
+
+  if (models.QRCode) {
+    ClientBadge.belongsTo(models.QRCode, {
+      foreignKey: 'qr_code_id',
+      as: 'qrCode'
+    });
+  }
+};
+
+module.exports = ClientBadge;
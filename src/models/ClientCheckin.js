@@ -3,6 +3,12 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { evaluateCheckin, SUSPICIOUS_SCORE } = require('../services/fraudRuleEngine');
+const { calculateCheckinPoints } = require('../services/pointsRuleEngine');
+const { runInTransaction, lockClient } = require('../services/pointsService');
+const { evaluateBadges } = require('../services/badgeService');
+const { updateClientTier } = require('../services/tierService');
+const { getLocalMoment } = require('../utils/timezone');
 
 const ClientCheckin = sequelize.define('ClientCheckin', {
   id: {
@@ -60,7 +66,17 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
   distance_from_gym: {
     type: DataTypes.DECIMAL(8, 2),
     allowNull: false,
-    comment: 'Distancia calculada desde el gimnasio en metros'
+    comment: 'Distancia calculada desde la sede más cercana en metros'
+  },
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'ID de la sede más cercana al check-in (null si no hay sedes registradas)'
   },
   // Validación de ubicación
   location_valid: {
@@ -139,7 +155,12 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
     type: DataTypes.INTEGER,
     allowNull: false,
     defaultValue: 0,
-    comment: 'Bonus por horario de menor afluencia'
+    comment: 'Bonus sumado por las reglas de puntos (ej: horario de menor afluencia)'
+  },
+  points_breakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Desglose del cálculo de puntos y reglas aplicadas'
   },
   // Información del dispositivo
   device_info: {
@@ -174,6 +195,11 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
     allowNull: true,
     comment: 'Indicadores de posible fraude detectados'
   },
+  fraud_evaluation: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Detalle de la evaluación antifraude: reglas aplicadas, pesos, umbrales y resultado'
+  },
   // Información de validación manual
   manually_validated: {
     type: DataTypes.BOOLEAN,
@@ -215,6 +241,11 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
     allowNull: true,
     comment: 'Hora de salida del gimnasio (si se registra)'
   },
+  checkout_method: {
+    type: DataTypes.ENUM('gps', 'qr', 'auto', 'manual'),
+    allowNull: true,
+    comment: 'Cómo se registró la salida: gps, qr, auto=Cierre automático al cerrar la sede, manual=Por staff'
+  },
   // Información del clima/condiciones
   weather_conditions: {
     type: DataTypes.JSON,
@@ -282,6 +313,13 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
     {
       fields: ['qr_code_id']
     },
+    {
+      fields: ['location_id']
+    },
+    {
+      // Índice para encontrar sesiones abiertas (sin salida registrada)
+      fields: ['client_id', 'checkout_time']
+    },
     {
       // Índice compuesto para check-ins válidos por cliente y fecha
       fields: ['client_id', 'checkin_date', 'status']
@@ -298,51 +336,78 @@ const ClientCheckin = sequelize.define('ClientCheckin', {
   comment: 'Tabla de check-ins manuales de clientes con validación GPS'
 });
 
+// Puntos base de los check-ins registrados antes de las reglas de puntos (sin desglose guardado)
+ClientCheckin.BASE_CHECKIN_POINTS = 10;
+
 // Hook para validar ubicación y calcular puntos antes de crear
-ClientCheckin.beforeCreate(async (checkin) => {
+ClientCheckin.beforeCreate(async (checkin, options) => {
+  const queryOptions = { transaction: options.transaction };
+
   // Validar ubicación GPS
-  await checkin.validateLocation();
+  await checkin.validateLocation(queryOptions);
   
   // Calcular puntos por el check-in
-  await checkin.calculatePoints();
+  await checkin.calculatePoints(queryOptions);
   
   // Verificar si es el primer check-in del día
-  await checkin.checkFirstCheckinToday();
+  await checkin.checkFirstCheckinToday(queryOptions);
   
   // Calcular puntuación de riesgo de fraude
-  await checkin.calculateFraudRisk();
+  await checkin.calculateFraudRisk(queryOptions);
 });
 
 // Hook para actualizar estadísticas del cliente después de crear
-ClientCheckin.afterCreate(async (checkin) => {
+// La racha y los puntos se actualizan con la fila del cliente bloqueada para no perder puntos
+ClientCheckin.afterCreate(async (checkin, options) => {
   if (checkin.status === 'valid' && checkin.location_valid) {
-    // Actualizar días consecutivos y estadísticas del cliente
-    const Client = sequelize.models.Client;
-    const client = await Client.findByPk(checkin.client_id);
-    
-    if (client) {
-      await client.updateConsecutiveDays(checkin.checkin_date);
+    await runInTransaction(options.transaction, async (transaction) => {
+      const client = await lockClient(checkin.client_id, transaction);
+      
+      // Actualizar días consecutivos y estadísticas del cliente
+      await client.updateConsecutiveDays(checkin.checkin_date, {
+        transaction,
+        locationId: checkin.location_id
+      });
       
       // Añadir puntos al balance del cliente
-      if (checkin.points_earned > 0) {
-        await client.addPoints(checkin.points_earned, 'Check-in gimnasio');
+      if (checkin.points_earned > 0 && client.canEarnPoints()) {
+        await sequelize.models.PointsTransaction.createFromCheckin(checkin.getPointsTransactionData(), {
+          transaction,
+          client
+        });
       }
-    }
+      
+      await evaluateBadges(client.id, 'checkin', { transaction, client });
+      await updateClientTier(client, { transaction });
+    });
   }
 });
 
 // Método de instancia para validar ubicación GPS
-ClientCheckin.prototype.validateLocation = async function() {
-  // Obtener coordenadas del gimnasio desde variables de entorno
-  const gymLat = parseFloat(process.env.GYM_LATITUDE || '14.6349');
-  const gymLng = parseFloat(process.env.GYM_LONGITUDE || '-90.5069');
-  const allowedRadius = parseFloat(process.env.GPS_RADIUS_METERS || '100');
-  
-  // Calcular distancia desde el gimnasio
-  this.distance_from_gym = this.calculateDistance(
-    this.latitude, this.longitude,
-    gymLat, gymLng
-  );
+// Resuelve la sede activa más cercana y devuelve la sede encontrada (o null)
+ClientCheckin.prototype.validateLocation = async function(options = {}) {
+  const Location = sequelize.models.Location;
+  const nearest = Location
+    ? await Location.findNearest(parseFloat(this.latitude), parseFloat(this.longitude), options)
+    : null;
+  let allowedRadius;
+  
+  if (nearest) {
+    this.location_id = nearest.location.id;
+    this.distance_from_gym = nearest.distance;
+    allowedRadius = nearest.location.radius_meters;
+  } else {
+    // Sin sedes registradas: usar la ubicación única configurada en variables de entorno
+    const gymLat = parseFloat(process.env.GYM_LATITUDE || '14.6349');
+    const gymLng = parseFloat(process.env.GYM_LONGITUDE || '-90.5069');
+    allowedRadius = parseFloat(process.env.GPS_RADIUS_METERS || '100');
+    
+    this.location_id = null;
+    this.distance_from_gym = this.calculateDistance(
+      this.latitude, this.longitude,
+      gymLat, gymLng
+    );
+  }
   
   // Validar si está dentro del rango permitido
   this.location_valid = this.distance_from_gym <= allowedRadius;
@@ -351,6 +416,8 @@ ClientCheckin.prototype.validateLocation = async function() {
   if (!this.location_valid) {
     this.status = this.distance_from_gym > (allowedRadius * 2) ? 'invalid' : 'suspicious';
   }
+  
+  return nearest ? nearest.location : null;
 };
 
 // Método para calcular distancia entre dos puntos GPS (fórmula de Haversine)
@@ -369,41 +436,25 @@ ClientCheckin.prototype.calculateDistance = function(lat1, lon1, lat2, lon2) {
   return R * c; // Distancia en metros
 };
 
-// Método de instancia para calcular puntos ganados
-ClientCheckin.prototype.calculatePoints = async function() {
-  let basePoints = 10; // Puntos base por check-in
-  let multiplier = 1.0;
-  let timeBonus = 0;
-  let consecutiveBonus = 0;
-  
-  // Obtener información del cliente para días consecutivos
-  const Client = sequelize.models.Client;
-  const client = await Client.findByPk(this.client_id);
-  
-  if (client) {
-    // Bonus por días consecutivos (máximo 5 días)
-    const consecutiveDays = Math.min(client.consecutive_days, 5);
-    consecutiveBonus = consecutiveDays * 2;
-    this.consecutive_days_bonus = consecutiveBonus;
-    
-    // Multiplicador por horarios de menor afluencia
-    const checkinHour = parseInt(this.checkin_time.split(':')[0]);
-    if ((checkinHour >= 6 && checkinHour <= 9) || (checkinHour >= 14 && checkinHour <= 16)) {
-      timeBonus = 5; // Bonus por horarios valle
-      this.time_bonus = timeBonus;
-      multiplier = 1.2;
-    }
-  }
-  
-  // Calcular puntos totales
-  const totalPoints = Math.floor((basePoints + consecutiveBonus + timeBonus) * multiplier);
+// Método de instancia para calcular puntos ganados según las reglas de puntos vigentes
+// options: { transaction, streakDays, membershipTypeId, tier } (si no se envían se consultan)
+ClientCheckin.prototype.calculatePoints = async function(options = {}) {
+  const breakdown = await calculateCheckinPoints(this, options);
   
-  this.points_earned = totalPoints;
-  this.points_multiplier = multiplier;
+  this.consecutive_days_bonus = breakdown.consecutive_days_bonus;
+  this.time_bonus = breakdown.bonus_points;
+  this.points_multiplier = Math.round(breakdown.multiplier * breakdown.tier_multiplier * 100) / 100;
+  this.points_earned = breakdown.points_earned;
+  this.points_breakdown = breakdown;
+};
+
+// Método de instancia para obtener los puntos base con los que se calculó el check-in
+ClientCheckin.prototype.getBasePoints = function() {
+  return this.points_breakdown ? this.points_breakdown.base_points : ClientCheckin.BASE_CHECKIN_POINTS;
 };
 
 // Método de instancia para verificar si es el primer check-in del día
-ClientCheckin.prototype.checkFirstCheckinToday = async function() {
+ClientCheckin.prototype.checkFirstCheckinToday = async function(options = {}) {
   const today = this.checkin_date;
   
   const existingCheckins = await ClientCheckin.count({
@@ -411,7 +462,8 @@ ClientCheckin.prototype.checkFirstCheckinToday = async function() {
       client_id: this.client_id,
       checkin_date: today,
       status: 'valid'
-    }
+    },
+    transaction: options.transaction
   });
   
   this.is_first_checkin_today = existingCheckins === 0;
@@ -425,88 +477,96 @@ ClientCheckin.prototype.checkFirstCheckinToday = async function() {
 };
 
 // Método de instancia para calcular riesgo de fraude
-ClientCheckin.prototype.calculateFraudRisk = async function() {
-  let riskScore = 0;
-  let indicators = [];
-  
-  // Factor 1: Ubicación sospechosa
-  if (!this.location_valid) {
-    riskScore += 30;
-    indicators.push('location_outside_range');
-  }
-  
-  if (this.distance_from_gym > 500) {
-    riskScore += 20;
-    indicators.push('location_too_far');
-  }
-  
-  // Factor 2: Múltiples check-ins muy seguidos
-  const recentCheckins = await ClientCheckin.count({
-    where: {
-      client_id: this.client_id,
-      created_at: {
-        [sequelize.Sequelize.Op.gte]: new Date(Date.now() - 30 * 60 * 1000) // Últimos 30 minutos
-      }
-    }
-  });
-  
-  if (recentCheckins > 1) {
-    riskScore += 25;
-    indicators.push('multiple_recent_checkins');
-  }
+// Las reglas, pesos y umbrales se configuran en FraudRule (ver services/fraudRuleEngine)
+ClientCheckin.prototype.calculateFraudRisk = async function(options = {}) {
+  const evaluation = await evaluateCheckin(this, options);
   
-  // Factor 3: Precisión GPS muy baja
-  if (this.location_accuracy && this.location_accuracy > 100) {
-    riskScore += 15;
-    indicators.push('low_gps_accuracy');
-  }
-  
-  // Factor 4: Patrón inusual de horarios
-  const checkinHour = parseInt(this.checkin_time.split(':')[0]);
-  if (checkinHour < 5 || checkinHour > 23) {
-    riskScore += 10;
-    indicators.push('unusual_hours');
-  }
-  
-  this.fraud_risk_score = Math.min(riskScore, 100);
-  this.fraud_indicators = indicators;
+  this.fraud_risk_score = evaluation.score;
+  this.fraud_indicators = evaluation.indicators;
+  this.fraud_evaluation = evaluation;
   
   // Marcar como sospechoso si el riesgo es alto
-  if (this.fraud_risk_score >= 50) {
+  if (this.fraud_risk_score >= SUSPICIOUS_SCORE) {
     this.status = 'suspicious';
   }
 };
 
+// Estados que esperan una decisión del personal
+ClientCheckin.PENDING_REVIEW_STATUSES = ['suspicious', 'invalid'];
+
 // Método de instancia para validar manualmente
-ClientCheckin.prototype.validateManually = async function(validatedByUserId, isValid, notes = null) {
+// Devuelve los puntos otorgados al cliente como resultado de la aprobación
+ClientCheckin.prototype.validateManually = async function(validatedByUserId, isValid, notes = null, options = {}) {
+  const wasPending = ClientCheckin.PENDING_REVIEW_STATUSES.includes(this.status);
+  let pointsAwarded = 0;
+  
   this.manually_validated = true;
   this.validated_by_user_id = validatedByUserId;
   this.validation_notes = notes;
   this.status = isValid ? 'approved' : 'rejected';
   
-  // Si se aprueba un check-in previamente inválido, procesar puntos
-  if (isValid && this.points_earned === 0) {
-    await this.calculatePoints();
+  return runInTransaction(options.transaction, async (transaction) => {
+    let client = null;
     
-    // Actualizar estadísticas del cliente
-    const Client = sequelize.models.Client;
-    const client = await Client.findByPk(this.client_id);
-    if (client && this.points_earned > 0) {
-      await client.addPoints(this.points_earned, 'Check-in validado manualmente');
+    // Si se aprueba un check-in que no otorgó puntos al crearse, procesarlos ahora
+    if (isValid && wasPending) {
+      if (this.points_earned === 0) {
+        await this.calculatePoints({ ...options, transaction });
+      }
+      
+      client = await lockClient(this.client_id, transaction);
+      
+      // La visita aprobada cuenta para la racha igual que un check-in válido (mismo paso que performCheckin)
+      await client.updateConsecutiveDays(this.checkin_date, {
+        transaction,
+        locationId: this.location_id
+      });
+      
+      if (this.points_earned > 0 && client.canEarnPoints()) {
+        const pointsTransaction = await sequelize.models.PointsTransaction.createFromCheckin(
+          this.getPointsTransactionData(),
+          { transaction, client }
+        );
+        
+        pointsAwarded = pointsTransaction.points_change;
+      }
     }
-  }
-  
-  await this.save();
+    
+    await this.save({ ...options, transaction });
+    
+    // Con el check-in ya aprobado cuenta como visita para las insignias y el nivel
+    if (client) {
+      await evaluateBadges(client.id, 'checkin', { transaction, client });
+      await updateClientTier(client, { transaction });
+    }
+    
+    return pointsAwarded;
+  });
+};
+
+// Método de instancia para armar los datos del movimiento de puntos de este check-in
+ClientCheckin.prototype.getPointsTransactionData = function() {
+  return {
+    client_id: this.client_id,
+    checkin_id: this.id,
+    points_earned: this.points_earned,
+    base_points: this.getBasePoints(),
+    consecutive_days_bonus: this.consecutive_days_bonus,
+    time_bonus: this.time_bonus,
+    multiplier_applied: this.points_multiplier,
+    checkin_date: this.checkin_date
+  };
 };
 
-// Método de clase para obtener estadísticas de asistencia
-ClientCheckin.getAttendanceStats = async function(startDate, endDate) {
+// Método de clase para obtener estadísticas de asistencia (opcionalmente de una sola sede)
+ClientCheckin.getAttendanceStats = async function(startDate, endDate, locationId = null) {
   return await this.findAll({
     where: {
       checkin_date: {
         [sequelize.Sequelize.Op.between]: [startDate, endDate]
       },
-      status: ['valid', 'approved']
+      status: ['valid', 'approved'],
+      ...(locationId && { location_id: locationId })
     },
     attributes: [
       'checkin_date',
@@ -520,6 +580,28 @@ ClientCheckin.getAttendanceStats = async function(startDate, endDate) {
   });
 };
 
+// Método de clase para obtener estadísticas de asistencia separadas por sede
+ClientCheckin.getAttendanceStatsByLocation = async function(startDate, endDate) {
+  return await this.findAll({
+    where: {
+      checkin_date: {
+        [sequelize.Sequelize.Op.between]: [startDate, endDate]
+      },
+      status: ['valid', 'approved']
+    },
+    attributes: [
+      'location_id',
+      'checkin_date',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total_checkins'],
+      [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('client_id'))), 'unique_clients'],
+      [sequelize.fn('AVG', sequelize.col('points_earned')), 'avg_points']
+    ],
+    group: ['location_id', 'checkin_date'],
+    order: [['location_id', 'ASC'], ['checkin_date', 'ASC']],
+    raw: true
+  });
+};
+
 // Método de clase para buscar check-ins sospechosos
 ClientCheckin.findSuspicious = function() {
   return this.findAll({
@@ -540,6 +622,225 @@ ClientCheckin.findSuspicious = function() {
   });
 };
 
+// Método de clase para obtener la cola paginada de check-ins pendientes de revisión
+ClientCheckin.findReviewQueue = function(filters = {}) {
+  const { Op } = sequelize.Sequelize;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+  const where = {
+    status: ClientCheckin.PENDING_REVIEW_STATUSES
+  };
+  
+  if (filters.minRisk !== undefined || filters.maxRisk !== undefined) {
+    where.fraud_risk_score = {
+      ...(filters.minRisk !== undefined && { [Op.gte]: filters.minRisk }),
+      ...(filters.maxRisk !== undefined && { [Op.lte]: filters.maxRisk })
+    };
+  }
+  
+  if (filters.dateFrom || filters.dateTo) {
+    where.checkin_date = {
+      ...(filters.dateFrom && { [Op.gte]: filters.dateFrom }),
+      ...(filters.dateTo && { [Op.lte]: filters.dateTo })
+    };
+  }
+  
+  if (filters.locationId) {
+    where.location_id = filters.locationId;
+  }
+  
+  // fraud_indicators es JSON: se busca el indicador entre comillas en su texto
+  if (filters.indicators && filters.indicators.length > 0) {
+    where[Op.and] = filters.indicators.map(indicator => sequelize.where(
+      sequelize.cast(sequelize.col('ClientCheckin.fraud_indicators'), 'text'),
+      { [Op.like]: `%"${indicator.replace(/[^a-z0-9_]/gi, '')}"%` }
+    ));
+  }
+  
+  return this.findAndCountAll({
+    where,
+    include: [
+      {
+        model: sequelize.models.Client,
+        as: 'client',
+        attributes: ['id', 'first_name', 'last_name', 'email', 'consecutive_days', 'last_checkin_date']
+      }
+    ],
+    order: [['fraud_risk_score', 'DESC'], ['created_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  }).then(result => ({ ...result, page, limit }));
+};
+
+// Estados de check-in que cuentan como una visita al gimnasio
+ClientCheckin.SESSION_STATUSES = ['valid', 'approved', 'suspicious'];
+
+// Duración máxima de una sesión en minutos (coincide con la validación de workout_duration_minutes)
+ClientCheckin.MAX_SESSION_MINUTES = 480;
+
+// Método de instancia para registrar la salida y calcular la duración de la sesión
+ClientCheckin.prototype.checkout = async function(method, options = {}) {
+  if (this.checkout_time) {
+    throw new Error('La salida de esta visita ya fue registrada');
+  }
+  
+  const checkoutAt = options.at || new Date();
+  const elapsedMinutes = Math.round((checkoutAt - new Date(this.createdAt)) / 60000);
+  
+  // La salida usa el mismo reloj que la entrada: la hora local de la sede (o del gimnasio)
+  const location = this.location || (this.location_id && sequelize.models.Location
+    ? await sequelize.models.Location.findByPk(this.location_id, { transaction: options.transaction })
+    : null);
+  
+  this.checkout_time = getLocalMoment(checkoutAt, location ? location.timezone : undefined).time;
+  this.checkout_method = method;
+  this.workout_duration_minutes = Math.min(Math.max(elapsedMinutes, 1), ClientCheckin.MAX_SESSION_MINUTES);
+  
+  if (options.workoutType) {
+    this.workout_type = options.workoutType;
+  }
+  
+  await this.save({ transaction: options.transaction });
+  return this.workout_duration_minutes;
+};
+
+// Método de clase para buscar la visita abierta (sin salida) más reciente de un cliente
+ClientCheckin.findOpenSession = function(clientId, options = {}) {
+  const since = new Date(Date.now() - ClientCheckin.MAX_SESSION_MINUTES * 60 * 1000);
+  
+  return this.findOne({
+    where: {
+      client_id: clientId,
+      checkout_time: null,
+      status: ClientCheckin.SESSION_STATUSES,
+      created_at: {
+        [sequelize.Sequelize.Op.gte]: since
+      }
+    },
+    order: [['created_at', 'DESC']],
+    transaction: options.transaction,
+    lock: options.lock
+  });
+};
+
+// Método de clase para contar las visitas abiertas en una sede (ocupación actual)
+ClientCheckin.countOpenSessions = function(locationId, options = {}) {
+  const since = new Date(Date.now() - ClientCheckin.MAX_SESSION_MINUTES * 60 * 1000);
+  
+  return this.count({
+    where: {
+      location_id: locationId,
+      checkout_time: null,
+      status: ClientCheckin.SESSION_STATUSES,
+      created_at: {
+        [sequelize.Sequelize.Op.gte]: since
+      }
+    },
+    transaction: options.transaction
+  });
+};
+
+// Método de clase para obtener la curva de ocupación por hora de una sede en una fecha
+// date y las horas de las visitas están en la zona horaria de la sede (timezone)
+ClientCheckin.getHourlyOccupancy = async function(locationId, date, timezone) {
+  const sessions = await this.findAll({
+    where: {
+      location_id: locationId,
+      checkin_date: date,
+      status: ClientCheckin.SESSION_STATUSES
+    },
+    attributes: ['checkin_time', 'checkout_time'],
+    raw: true
+  });
+  
+  const now = getLocalMoment(new Date(), timezone);
+  const isToday = date === now.date;
+  const nowTime = now.time;
+  const hours = [];
+  
+  for (let hour = 0; hour < 24; hour++) {
+    const hourStart = `${String(hour).padStart(2, '0')}:00:00`;
+    const hourEnd = `${String(hour).padStart(2, '0')}:59:59`;
+    
+    // Una visita cuenta en la hora si estuvo dentro de la sede en algún momento de esa hora
+    const visitors = sessions.filter(session => {
+      let end = session.checkout_time || (isToday ? nowTime : '23:59:59');
+      if (end < session.checkin_time) end = '23:59:59'; // La visita cruzó medianoche
+      return session.checkin_time <= hourEnd && end >= hourStart;
+    }).length;
+    
+    hours.push({ hour: hourStart.slice(0, 5), visitors });
+  }
+  
+  return hours;
+};
+
+// Método de clase para buscar visitas que siguen abiertas (para el cierre automático)
+ClientCheckin.findOpenSessions = function(olderThan) {
+  return this.findAll({
+    where: {
+      checkout_time: null,
+      status: ClientCheckin.SESSION_STATUSES,
+      created_at: {
+        [sequelize.Sequelize.Op.lt]: olderThan
+      }
+    },
+    include: sequelize.models.Location ? [
+      {
+        model: sequelize.models.Location,
+        as: 'location'
+      }
+    ] : [],
+    order: [['created_at', 'ASC']]
+  });
+};
+
+// Método de clase para obtener la duración promedio de las visitas de un cliente
+// Las visitas cerradas automáticamente no cuentan en el promedio (su duración es estimada)
+ClientCheckin.getClientVisitDuration = async function(clientId, startDate, endDate) {
+  const { Op } = sequelize.Sequelize;
+  const [stats] = await this.findAll({
+    where: {
+      client_id: clientId,
+      checkin_date: { [Op.between]: [startDate, endDate] },
+      status: ClientCheckin.SESSION_STATUSES,
+      checkout_time: { [Op.ne]: null }
+    },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total_visits'],
+      [sequelize.fn('AVG', sequelize.literal("CASE WHEN checkout_method <> 'auto' THEN workout_duration_minutes END")), 'avg_duration_minutes'],
+      [sequelize.fn('SUM', sequelize.literal("CASE WHEN checkout_method = 'auto' THEN 1 ELSE 0 END")), 'auto_closed_visits']
+    ],
+    raw: true
+  });
+  
+  return stats;
+};
+
+// Método de clase para obtener la duración promedio de las visitas por día
+ClientCheckin.getDailyVisitDuration = async function(startDate, endDate, locationId = null) {
+  const { Op } = sequelize.Sequelize;
+  
+  return await this.findAll({
+    where: {
+      checkin_date: { [Op.between]: [startDate, endDate] },
+      status: ClientCheckin.SESSION_STATUSES,
+      checkout_time: { [Op.ne]: null },
+      ...(locationId && { location_id: locationId })
+    },
+    attributes: [
+      'checkin_date',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total_visits'],
+      [sequelize.fn('AVG', sequelize.literal("CASE WHEN checkout_method <> 'auto' THEN workout_duration_minutes END")), 'avg_duration_minutes'],
+      [sequelize.fn('SUM', sequelize.literal("CASE WHEN checkout_method = 'auto' THEN 1 ELSE 0 END")), 'auto_closed_visits']
+    ],
+    group: ['checkin_date'],
+    order: [['checkin_date', 'ASC']],
+    raw: true
+  });
+};
+
 // Método de clase para obtener patrones de asistencia de un cliente
 ClientCheckin.getClientAttendancePattern = function(clientId, days = 30) {
   const startDate = new Date();
@@ -577,6 +878,15 @@ ClientCheckin.associate = function(models) {
     });
   }
   
+  // Un check-in se asocia a la sede más cercana
+  if (models.Location) {
+    ClientCheckin.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location',
+      onDelete: 'SET NULL'
+    });
+  }
+  
   // Un check-in puede estar relacionado con un código QR de recordatorio
   if (models.QRCode) {
     ClientCheckin.belongsTo(models.QRCode, {
@@ -586,6 +896,14 @@ ClientCheckin.associate = function(models) {
     });
   }
   
+  // Un check-in tiene un historial de revisiones manuales
+  if (models.CheckinReview) {
+    ClientCheckin.hasMany(models.CheckinReview, {
+      foreignKey: 'checkin_id',
+      as: 'reviews'
+    });
+  }
+  
   // Un check-in puede ser validado por un usuario
   if (models.User) {
     ClientCheckin.belongsTo(models.User, {
@@ -3,6 +3,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { qualifyReferral } = require('../services/referralService');
 
 const ClientMembership = sequelize.define('ClientMembership', {
   id: {
@@ -286,6 +287,13 @@ ClientMembership.beforeUpdate(async (membership) => {
   }
 });
 
+// Hook para entregar las recompensas del programa de referidos cuando el cliente paga su primera membresía
+ClientMembership.afterSave(async (membership, options) => {
+  if (membership.payment_status === 'paid' && membership.changed('payment_status')) {
+    await qualifyReferral(membership, { transaction: options.transaction });
+  }
+});
+
 // Método de instancia para verificar si está activa
 ClientMembership.prototype.isActive = function() {
   const today = new Date().toISOString().split('T')[0];
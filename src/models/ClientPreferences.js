@@ -200,6 +200,13 @@ const ClientPreferences = sequelize.define('ClientPreferences', {
     allowNull: false,
     defaultValue: true,
     comment: 'Recibir felicitaciones de cumpleaños'
+  },
+  // Privacidad
+  show_in_leaderboard: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Aparecer en las tablas de clasificación'
   }
 }, {
   tableName: 'client_preferences',
@@ -283,11 +290,11 @@ ClientPreferences.prototype.canReceiveNotification = function(type, channel) {
 };
 
 // Método de clase para crear preferencias por defecto
-ClientPreferences.createDefault = async function(clientId) {
+ClientPreferences.createDefault = async function(clientId, options = {}) {
   return await this.create({
     client_id: clientId
     // Todos los demás valores usan los defaults
-  });
+  }, options);
 };
 
 // CORREGIDO: Asociaciones protegidas con verificación de existencia
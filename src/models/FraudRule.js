@@ -0,0 +1,111 @@
+// Archivo: src/models/FraudRule.js
+// Modelo para la configuración de las reglas antifraude que evalúan cada check-in
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const FraudRule = sequelize.define('FraudRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la regla'
+  },
+  key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      is: {
+        args: /^[a-z0-9_]+$/,
+        msg: 'La clave solo puede contener minúsculas, números y guiones bajos'
+      }
+    },
+    comment: 'Clave de la regla incorporada que configura (ej: impossible_travel)'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Nombre descriptivo de la regla'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Explicación de qué detecta la regla'
+  },
+  weight: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El peso mínimo es 0'
+      },
+      max: {
+        args: [100],
+        msg: 'El peso máximo es 100'
+      }
+    },
+    comment: 'Puntos de riesgo que suma la regla cuando se activa (0-100)'
+  },
+  threshold: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Umbral propio de la regla (metros, minutos, km/h según la regla)'
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Indica si la regla participa en la evaluación'
+  },
+  updated_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario que modificó la configuración por última vez'
+  }
+}, {
+  tableName: 'fraud_rules',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['key']
+    },
+    {
+      fields: ['is_enabled']
+    }
+  ],
+  comment: 'Tabla de configuración de reglas antifraude para check-ins'
+});
+
+// Método de instancia para obtener el umbral como número
+FraudRule.prototype.getThreshold = function() {
+  return this.threshold === null || this.threshold === undefined ? null : parseFloat(this.threshold);
+};
+
+// Método de clase para obtener las configuraciones indexadas por clave
+FraudRule.findAllByKey = async function(options = {}) {
+  const rules = await this.findAll({ transaction: options.transaction });
+
+  return rules.reduce((map, rule) => {
+    map[rule.key] = rule;
+    return map;
+  }, {});
+};
+
+// Asociaciones protegidas con verificación de existencia
+FraudRule.associate = function(models) {
+  // La configuración la modifica un usuario del personal
+  if (models.User) {
+    FraudRule.belongsTo(models.User, {
+      foreignKey: 'updated_by_user_id',
+      as: 'updatedBy'
+    });
+  }
+};
+
+module.exports = FraudRule;
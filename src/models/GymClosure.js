@@ -0,0 +1,102 @@
+// Archivo: src/models/GymClosure.js
+// Modelo para los días festivos y cierres del gimnasio (no rompen las rachas de asistencia)
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GymClosure = sequelize.define('GymClosure', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único del cierre'
+  },
+  closure_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      isDate: {
+        msg: 'La fecha del cierre debe tener el formato YYYY-MM-DD'
+      }
+    },
+    comment: 'Fecha en que el gimnasio permanece cerrado'
+  },
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID de la sede cerrada (null = todas las sedes)'
+  },
+  reason: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El motivo del cierre es requerido'
+      }
+    },
+    comment: 'Motivo del cierre (ej: Día de la Independencia)'
+  },
+  created_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario que registró el cierre'
+  }
+}, {
+  tableName: 'gym_closures',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['closure_date', 'location_id']
+    }
+  ],
+  comment: 'Tabla de días festivos y cierres del gimnasio'
+});
+
+// Método de clase para obtener las fechas cerradas de un rango (cierres generales y de la sede)
+GymClosure.findClosedDates = async function(startDate, endDate, locationId = null, options = {}) {
+  const { Op } = sequelize.Sequelize;
+  const closures = await this.findAll({
+    where: {
+      closure_date: {
+        [Op.between]: [startDate, endDate]
+      },
+      [Op.or]: [
+        { location_id: null },
+        ...(locationId ? [{ location_id: locationId }] : [])
+      ]
+    },
+    attributes: ['closure_date'],
+    transaction: options.transaction
+  });
+
+  return new Set(closures.map(closure => closure.closure_date));
+};
+
+// Asociaciones protegidas con verificación de existencia
+GymClosure.associate = function(models) {
+  if (models.Location) {
+    GymClosure.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location'
+    });
+  }
+
+  if (models.User) {
+    GymClosure.belongsTo(models.User, {
+      foreignKey: 'created_by_user_id',
+      as: 'createdBy'
+    });
+  }
+};
+
+module.exports = GymClosure;
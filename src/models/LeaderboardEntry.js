@@ -0,0 +1,156 @@
+// Archivo: src/models/LeaderboardEntry.js
+// Modelo para las posiciones precalculadas de las tablas de clasificación (se recalculan con una tarea programada)
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const METRICS = ['points', 'attendance', 'streak'];
+const PERIODS = ['weekly', 'monthly', 'all_time'];
+
+const LeaderboardEntry = sequelize.define('LeaderboardEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la posición'
+  },
+  metric: {
+    type: DataTypes.ENUM(...METRICS),
+    allowNull: false,
+    comment: 'Métrica: points=Puntos ganados, attendance=Días asistidos, streak=Racha de días consecutivos'
+  },
+  period: {
+    type: DataTypes.ENUM(...PERIODS),
+    allowNull: false,
+    comment: 'Período: weekly=Semana actual, monthly=Mes actual, all_time=Histórico'
+  },
+  period_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Primer día del período (null en el histórico)'
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID del cliente'
+  },
+  membership_type_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'membership_types',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Tipo de la membresía activa del cliente al calcular la tabla'
+  },
+  display_name: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    comment: 'Nombre que se muestra en la tabla (nombre e inicial del apellido)'
+  },
+  value: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Valor de la métrica en el período'
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Posición entre todos los clientes (empates comparten posición)'
+  },
+  membership_rank: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Posición entre los clientes del mismo tipo de membresía'
+  },
+  computed_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fecha del cálculo'
+  }
+}, {
+  tableName: 'leaderboard_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['metric', 'period', 'rank']
+    },
+    {
+      fields: ['metric', 'period', 'membership_type_id', 'membership_rank']
+    },
+    {
+      fields: ['client_id']
+    }
+  ],
+  comment: 'Tabla de posiciones precalculadas de las tablas de clasificación'
+});
+
+// Función para armar el filtro de una tabla (general o de un tipo de membresía)
+function buildScope(metric, period, membershipTypeId) {
+  return {
+    where: {
+      metric,
+      period,
+      ...(membershipTypeId && { membership_type_id: membershipTypeId })
+    },
+    rankField: membershipTypeId ? 'membership_rank' : 'rank'
+  };
+}
+
+// Método de instancia para el formato público de la posición (sin datos de contacto ni IDs)
+// rankField: 'rank' en la tabla general, 'membership_rank' filtrando por tipo de membresía
+LeaderboardEntry.prototype.toPublic = function(rankField = 'rank') {
+  return {
+    rank: this[rankField],
+    display_name: this.display_name,
+    value: this.value
+  };
+};
+
+// Método de clase para obtener las primeras posiciones de una tabla
+LeaderboardEntry.getTop = function(metric, period, options = {}) {
+  const { where, rankField } = buildScope(metric, period, options.membershipTypeId);
+
+  return this.findAll({
+    where,
+    order: [[rankField, 'ASC'], ['display_name', 'ASC']],
+    limit: options.limit || 10
+  });
+};
+
+// Método de clase para obtener la posición de un cliente en una tabla
+LeaderboardEntry.findForClient = function(clientId, metric, period, options = {}) {
+  const { where } = buildScope(metric, period, options.membershipTypeId);
+
+  return this.findOne({
+    where: { ...where, client_id: clientId }
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+LeaderboardEntry.associate = function(models) {
+  if (models.Client) {
+    LeaderboardEntry.belongsTo(models.Client, {
+      foreignKey: 'client_id',
+      as: 'client'
+    });
+  }
+
+  if (models.MembershipType) {
+    LeaderboardEntry.belongsTo(models.MembershipType, {
+      foreignKey: 'membership_type_id',
+      as: 'membershipType'
+    });
+  }
+};
+
+LeaderboardEntry.METRICS = METRICS;
+LeaderboardEntry.PERIODS = PERIODS;
+
+module.exports = LeaderboardEntry;
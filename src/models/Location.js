@@ -0,0 +1,260 @@
+// Archivo: src/models/Location.js
+// Modelo para las sedes del gimnasio (coordenadas, radio de check-in, horarios y zona horaria)
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getLocalMoment } = require('../utils/timezone');
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const Location = sequelize.define('Location', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la sede'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la sede es requerido'
+      }
+    },
+    comment: 'Nombre de la sede'
+  },
+  code: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      is: {
+        args: /^[a-z0-9_-]+$/,
+        msg: 'El código solo puede contener minúsculas, números, guiones y guiones bajos'
+      }
+    },
+    comment: 'Código corto de la sede (ej: zona10)'
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Dirección física de la sede'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 8),
+    allowNull: false,
+    validate: {
+      min: -90,
+      max: 90
+    },
+    comment: 'Latitud GPS de la sede'
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(11, 8),
+    allowNull: false,
+    validate: {
+      min: -180,
+      max: 180
+    },
+    comment: 'Longitud GPS de la sede'
+  },
+  radius_meters: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 100,
+    validate: {
+      min: {
+        args: [10],
+        msg: 'El radio mínimo es de 10 metros'
+      },
+      max: {
+        args: [5000],
+        msg: 'El radio máximo es de 5000 metros'
+      }
+    },
+    comment: 'Radio permitido para check-in GPS en metros'
+  },
+  // Horario por día: { monday: { open: '05:00', close: '22:00' }, sunday: null, ... }
+  opening_hours: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidSchedule(value) {
+        if (value === null || value === undefined) return;
+
+        for (const [day, hours] of Object.entries(value)) {
+          if (!WEEK_DAYS.includes(day)) {
+            throw new Error(`Día inválido en el horario: ${day}`);
+          }
+          if (hours === null) continue;
+          if (!TIME_PATTERN.test(hours.open || '') || !TIME_PATTERN.test(hours.close || '')) {
+            throw new Error(`Horario inválido para ${day}, usa el formato HH:MM`);
+          }
+        }
+      }
+    },
+    comment: 'Horario de apertura por día de la semana (null = abierto 24 horas)'
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'America/Guatemala',
+    validate: {
+      isValidTimezone(value) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+          throw new Error(`Zona horaria inválida: ${value}`);
+        }
+      }
+    },
+    comment: 'Zona horaria IANA de la sede'
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Teléfono de la sede'
+  },
+  // Aforo
+  max_capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El aforo máximo debe ser al menos 1'
+      }
+    },
+    comment: 'Aforo máximo de personas dentro de la sede (null = sin límite)'
+  },
+  capacity_policy: {
+    type: DataTypes.ENUM('reject', 'waitlist'),
+    allowNull: false,
+    defaultValue: 'reject',
+    comment: 'Qué hacer con un check-in cuando la sede está llena: reject=Rechazar, waitlist=Lista de espera'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Indica si la sede está operando'
+  }
+}, {
+  tableName: 'locations',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    },
+    {
+      fields: ['is_active']
+    }
+  ],
+  comment: 'Tabla de sedes del gimnasio'
+});
+
+// Método de instancia para calcular la distancia en metros hasta un punto (fórmula de Haversine)
+Location.prototype.calculateDistanceTo = function(latitude, longitude) {
+  const R = 6371e3; // Radio de la Tierra en metros
+  const φ1 = parseFloat(this.latitude) * Math.PI/180;
+  const φ2 = latitude * Math.PI/180;
+  const Δφ = (latitude - parseFloat(this.latitude)) * Math.PI/180;
+  const Δλ = (longitude - parseFloat(this.longitude)) * Math.PI/180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c;
+};
+
+// Método de instancia para obtener día y hora locales de la sede
+Location.prototype.getLocalTime = function(date = new Date()) {
+  const { day, time } = getLocalMoment(date, this.timezone);
+  return { day, time };
+};
+
+// Método de instancia para verificar si la sede está abierta
+Location.prototype.isOpen = function(date = new Date()) {
+  if (!this.opening_hours) return true; // Abierto 24 horas
+
+  const { day, time } = this.getLocalTime(date);
+  const hours = this.opening_hours[day];
+
+  if (!hours) return false; // Cerrado ese día
+
+  const open = hours.open.length === 5 ? `${hours.open}:00` : hours.open;
+  const close = hours.close.length === 5 ? `${hours.close}:59` : hours.close;
+
+  // Si el horario cruza medianoche
+  if (open > close) {
+    return time >= open || time <= close;
+  }
+  return time >= open && time <= close;
+};
+
+// Método de instancia para obtener la ocupación actual de la sede
+// Los lugares reservados para clientes notificados de la lista de espera cuentan como ocupados
+Location.prototype.getOccupancy = async function(options = {}) {
+  const { ClientCheckin, LocationWaitlist } = sequelize.models;
+  const current = await ClientCheckin.countOpenSessions(this.id, options);
+  const reserved = LocationWaitlist ? await LocationWaitlist.countReserved(this.id, options) : 0;
+  const waiting = LocationWaitlist ? await LocationWaitlist.countWaiting(this.id, options) : 0;
+  const available = this.max_capacity ? Math.max(this.max_capacity - current - reserved, 0) : null;
+
+  return {
+    location_id: this.id,
+    current,
+    max_capacity: this.max_capacity,
+    reserved,
+    available,
+    is_full: this.max_capacity ? available === 0 : false,
+    waitlist_length: waiting,
+    capacity_policy: this.capacity_policy
+  };
+};
+
+// Método de clase para encontrar la sede activa más cercana a un punto
+Location.findNearest = async function(latitude, longitude, options = {}) {
+  const locations = await this.findAll({
+    where: { is_active: true },
+    transaction: options.transaction
+  });
+
+  let nearest = null;
+
+  for (const location of locations) {
+    const distance = location.calculateDistanceTo(latitude, longitude);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { location, distance };
+    }
+  }
+
+  return nearest;
+};
+
+// Asociaciones protegidas con verificación de existencia
+Location.associate = function(models) {
+  // Una sede tiene muchos check-ins
+  if (models.ClientCheckin) {
+    Location.hasMany(models.ClientCheckin, {
+      foreignKey: 'location_id',
+      as: 'checkins'
+    });
+  }
+
+  // Una sede llena tiene una lista de espera
+  if (models.LocationWaitlist) {
+    Location.hasMany(models.LocationWaitlist, {
+      foreignKey: 'location_id',
+      as: 'waitlist'
+    });
+  }
+};
+
+Location.WEEK_DAYS = WEEK_DAYS;
+
+module.exports = Location;
@@ -0,0 +1,183 @@
+// Archivo: src/models/LocationWaitlist.js
+// Modelo para la lista de espera de clientes cuando una sede alcanza su aforo máximo
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Minutos que se reserva el lugar a un cliente notificado para que haga su check-in
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES || '10', 10);
+
+const LocationWaitlist = sequelize.define('LocationWaitlist', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la entrada en lista de espera'
+  },
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'locations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID de la sede llena'
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID del cliente en espera'
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'notified', 'admitted', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'waiting',
+    comment: 'Estado: waiting=En espera, notified=Lugar reservado, admitted=Hizo check-in, expired=No llegó a tiempo, cancelled=Cancelado'
+  },
+  notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se notificó al cliente que hay lugar'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha límite para usar el lugar reservado'
+  },
+  admitted_checkin_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'client_checkins',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'ID del check-in con el que el cliente usó su lugar'
+  }
+}, {
+  tableName: 'location_waitlist',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['location_id', 'status', 'created_at']
+    },
+    {
+      fields: ['client_id', 'status']
+    }
+  ],
+  comment: 'Tabla de lista de espera por aforo de las sedes'
+});
+
+// Método de instancia para reservar el lugar y notificar al cliente
+LocationWaitlist.prototype.notifyAvailable = async function(location, options = {}) {
+  const now = new Date();
+
+  this.status = 'notified';
+  this.notified_at = now;
+  this.expires_at = new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000);
+  await this.save({ transaction: options.transaction });
+
+  if (sequelize.models.Notification) {
+    await sequelize.models.Notification.create({
+      client_id: this.client_id,
+      title: '¡Ya hay lugar en el gimnasio!',
+      message: `Se liberó un lugar en ${location.name}. Tienes ${WAITLIST_HOLD_MINUTES} minutos para hacer tu check-in.`,
+      type: 'checkin',
+      priority: 'high',
+      channels: ['push'],
+      expires_at: this.expires_at
+    }, { transaction: options.transaction });
+  }
+};
+
+// Método de instancia para obtener la posición en la fila (1 = siguiente)
+LocationWaitlist.prototype.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await LocationWaitlist.count({
+    where: {
+      location_id: this.location_id,
+      status: 'waiting',
+      created_at: {
+        [sequelize.Sequelize.Op.lt]: this.createdAt
+      }
+    }
+  });
+
+  return ahead + 1;
+};
+
+// Método de clase para buscar la entrada vigente (en espera o notificada) de un cliente
+LocationWaitlist.findActiveForClient = function(clientId, locationId = null, options = {}) {
+  return this.findOne({
+    where: {
+      client_id: clientId,
+      status: ['waiting', 'notified'],
+      ...(locationId && { location_id: locationId })
+    },
+    order: [['created_at', 'DESC']],
+    transaction: options.transaction
+  });
+};
+
+// Método de clase para contar lugares reservados a clientes notificados que aún no llegan
+LocationWaitlist.countReserved = function(locationId, options = {}) {
+  return this.count({
+    where: {
+      location_id: locationId,
+      status: 'notified',
+      expires_at: {
+        [sequelize.Sequelize.Op.gt]: new Date()
+      }
+    },
+    transaction: options.transaction
+  });
+};
+
+// Método de clase para contar clientes en espera
+LocationWaitlist.countWaiting = function(locationId, options = {}) {
+  return this.count({
+    where: {
+      location_id: locationId,
+      status: 'waiting'
+    },
+    transaction: options.transaction
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+LocationWaitlist.associate = function(models) {
+  if (models.Location) {
+    LocationWaitlist.belongsTo(models.Location, {
+      foreignKey: 'location_id',
+      as: 'location',
+      onDelete: 'CASCADE'
+    });
+  }
+
+  if (models.Client) {
+    LocationWaitlist.belongsTo(models.Client, {
+      foreignKey: 'client_id',
+      as: 'client',
+      onDelete: 'CASCADE'
+    });
+  }
+
+  if (models.ClientCheckin) {
+    LocationWaitlist.belongsTo(models.ClientCheckin, {
+      foreignKey: 'admitted_checkin_id',
+      as: 'admittedCheckin',
+      onDelete: 'SET NULL'
+    });
+  }
+};
+
+LocationWaitlist.WAITLIST_HOLD_MINUTES = WAITLIST_HOLD_MINUTES;
+
+module.exports = LocationWaitlist;
@@ -54,7 +54,7 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El subtotal no puede ser negativo'
       }
     },
@@ -92,7 +92,7 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El total no puede ser negativo'
       }
     },
@@ -317,7 +317,10 @@ const Order = sequelize.define('Order', {
 });
 
 // Hook para generar número de orden automáticamente
-Order.beforeCreate(async (order) => {
+// Se ejecuta antes de validar porque order_number no admite null
+Order.beforeValidate(async (order) => {
+  if (!order.isNewRecord) return;
+  
   if (!order.order_number) {
     const date = new Date();
     const year = date.getFullYear().toString().slice(-2);
@@ -3,6 +3,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { getTier } = require('../config/tiers');
 
 const OrderItem = sequelize.define('OrderItem', {
   id: {
@@ -47,7 +48,7 @@ const OrderItem = sequelize.define('OrderItem', {
     allowNull: false,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El precio unitario no puede ser negativo'
       }
     },
@@ -58,7 +59,7 @@ const OrderItem = sequelize.define('OrderItem', {
     allowNull: false,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El precio total no puede ser negativo'
       }
     },
@@ -263,6 +264,26 @@ const OrderItem = sequelize.define('OrderItem', {
   comment: 'Tabla de ítems específicos de cada orden'
 });
 
+// Hook para aplicar el descuento del nivel del cliente de la orden al crear el ítem
+// Se registra antes del cálculo del total para que el total ya lleve el descuento.
+// Los ítems sin precio (canjes y premios) o con un descuento propio no se tocan
+OrderItem.beforeCreate(async (orderItem, options) => {
+  if (!(parseFloat(orderItem.unit_price) > 0) || parseFloat(orderItem.discount_amount) > 0) return;
+  
+  const { Order, Client } = sequelize.models;
+  const order = await Order.findByPk(orderItem.order_id, {
+    attributes: ['id', 'client_id'],
+    transaction: options.transaction
+  });
+  const client = order && order.client_id
+    ? await Client.findByPk(order.client_id, { attributes: ['id', 'tier'], transaction: options.transaction })
+    : null;
+  
+  if (client) {
+    orderItem.applyTierDiscount(client.tier);
+  }
+});
+
 // Hook para calcular precio total automáticamente
 OrderItem.beforeSave(async (orderItem) => {
   // Calcular precio total
@@ -311,6 +332,19 @@ OrderItem.afterDestroy(async (orderItem) => {
   await orderItem.updateOrderTotals();
 });
 
+// Método de instancia para aplicar el descuento del nivel del cliente (lo usa el hook de creación)
+OrderItem.prototype.applyTierDiscount = function(tierCode) {
+  const tier = getTier(tierCode);
+  
+  if (tier.product_discount_percent <= 0) return 0;
+  
+  const subtotal = parseFloat(this.unit_price) * this.quantity;
+  this.discount_amount = Math.round(subtotal * tier.product_discount_percent) / 100;
+  this.discount_reason = `Descuento de nivel ${tier.name} (${tier.product_discount_percent}%)`;
+  
+  return this.discount_amount;
+};
+
 // Método de instancia para reservar stock
 OrderItem.prototype.reserveStock = async function() {
   if (this.reserved_stock) {
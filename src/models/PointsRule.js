@@ -0,0 +1,262 @@
+// Archivo: src/models/PointsRule.js
+// Modelo para las reglas configurables que calculan los puntos de cada check-in
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const PointsRule = sequelize.define('PointsRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la regla'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la regla es requerido'
+      }
+    },
+    comment: 'Nombre descriptivo de la regla (ej: Horario valle mañana)'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Descripción de la regla'
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'active', 'inactive'),
+    allowNull: false,
+    defaultValue: 'draft',
+    comment: 'Estado: draft=Borrador, active=Aplicándose, inactive=Desactivada'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Prioridad: si varias reglas definen los puntos base o la racha, gana la de mayor prioridad'
+  },
+  // Condiciones de aplicación
+  membership_type_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'membership_types',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Tipo de membresía al que aplica (null = todas)'
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha desde la que aplica (null = sin inicio)'
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha hasta la que aplica (null = sin fin)'
+  },
+  days_of_week: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidDays(value) {
+        if (value === null || value === undefined) return;
+        if (!Array.isArray(value) || value.some(day => !WEEK_DAYS.includes(day))) {
+          throw new Error(`days_of_week debe ser una lista con valores de: ${WEEK_DAYS.join(', ')}`);
+        }
+      }
+    },
+    comment: 'Días de la semana en que aplica (null = todos)'
+  },
+  // Ventanas horarias: [{ start: '06:00', end: '09:59' }]
+  hour_windows: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidWindows(value) {
+        if (value === null || value === undefined) return;
+        if (!Array.isArray(value)) {
+          throw new Error('hour_windows debe ser una lista de { start, end }');
+        }
+        for (const window of value) {
+          if (!window || !TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+            throw new Error('Ventana horaria inválida, usa { start: "HH:MM", end: "HH:MM" }');
+          }
+        }
+      }
+    },
+    comment: 'Ventanas horarias en que aplica (null = todo el día)'
+  },
+  // Efecto sobre los puntos
+  base_points: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Puntos base por check-in (null = no modifica la base)'
+  },
+  bonus_points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Puntos extra que suma la regla'
+  },
+  streak_points_per_day: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Puntos por cada día de racha (null = no modifica el bonus de racha)'
+  },
+  streak_max_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Máximo de días de racha que suman bonus'
+  },
+  multiplier: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 1.00,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El multiplicador no puede ser negativo'
+      },
+      max: {
+        args: [9.99],
+        msg: 'El multiplicador máximo es 9.99'
+      }
+    },
+    comment: 'Multiplicador de la regla (si varias aplican se usa el mayor)'
+  },
+  max_points: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Tope de puntos por check-in (si varias aplican se usa el menor)'
+  },
+  // Control de cambios
+  previewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Última vista previa del impacto; se borra al editar la regla'
+  },
+  activated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha de activación'
+  },
+  activated_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario que activó la regla'
+  },
+  created_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario que creó la regla'
+  }
+}, {
+  tableName: 'points_rules',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['membership_type_id']
+    }
+  ],
+  validate: {
+    validDateRange() {
+      if (this.start_date && this.end_date && this.start_date > this.end_date) {
+        throw new Error('start_date no puede ser posterior a end_date');
+      }
+    }
+  },
+  comment: 'Tabla de reglas configurables de puntos por check-in'
+});
+
+// Método de instancia para verificar si la regla aplica a un check-in
+// context: { date: 'YYYY-MM-DD', time: 'HH:MM:SS', membershipTypeId }
+PointsRule.prototype.appliesTo = function(context) {
+  if (this.membership_type_id && this.membership_type_id !== context.membershipTypeId) return false;
+  if (this.start_date && context.date < this.start_date) return false;
+  if (this.end_date && context.date > this.end_date) return false;
+
+  if (this.days_of_week && this.days_of_week.length > 0) {
+    const weekDay = WEEK_DAYS[new Date(`${context.date}T00:00:00Z`).getUTCDay()];
+    if (!this.days_of_week.includes(weekDay)) return false;
+  }
+
+  if (this.hour_windows && this.hour_windows.length > 0) {
+    const time = context.time.slice(0, 5);
+    const inWindow = this.hour_windows.some(window => (
+      window.start <= window.end
+        ? time >= window.start && time <= window.end
+        : time >= window.start || time <= window.end // La ventana cruza medianoche
+    ));
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+// Método de clase para obtener las reglas activas ordenadas por prioridad
+PointsRule.findActive = function(options = {}) {
+  return this.findAll({
+    where: { status: 'active' },
+    order: [['priority', 'DESC'], ['created_at', 'ASC']],
+    transaction: options.transaction
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+PointsRule.associate = function(models) {
+  if (models.MembershipType) {
+    PointsRule.belongsTo(models.MembershipType, {
+      foreignKey: 'membership_type_id',
+      as: 'membershipType'
+    });
+  }
+
+  if (models.User) {
+    PointsRule.belongsTo(models.User, {
+      foreignKey: 'activated_by_user_id',
+      as: 'activatedBy'
+    });
+    PointsRule.belongsTo(models.User, {
+      foreignKey: 'created_by_user_id',
+      as: 'createdBy'
+    });
+  }
+};
+
+PointsRule.WEEK_DAYS = WEEK_DAYS;
+
+module.exports = PointsRule;
@@ -3,6 +3,10 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { runInTransaction, recordPointsChange } = require('../services/pointsService');
+
+// Días de vigencia de los puntos ganados (0 = no vencen)
+const POINTS_EXPIRATION_DAYS = parseInt(process.env.POINTS_EXPIRATION_DAYS || '365', 10);
 
 const PointsTransaction = sequelize.define('PointsTransaction', {
   id: {
@@ -22,9 +26,9 @@ const PointsTransaction = sequelize.define('PointsTransaction', {
     comment: 'ID del cliente propietario de los puntos'
   },
   transaction_type: {
-    type: DataTypes.ENUM('earned', 'bonus', 'adjustment', 'deduction', 'reset'),
+    type: DataTypes.ENUM('earned', 'bonus', 'adjustment', 'deduction', 'reset', 'expiration'),
     allowNull: false,
-    comment: 'Tipo de transacción: earned=Ganados, bonus=Bonus, adjustment=Ajuste, deduction=Deducción, reset=Reinicio'
+    comment: 'Tipo de transacción: earned=Ganados, bonus=Bonus, adjustment=Ajuste, deduction=Deducción, reset=Reinicio, expiration=Vencimiento'
   },
   points_earned: {
     type: DataTypes.INTEGER,
@@ -53,6 +57,22 @@ const PointsTransaction = sequelize.define('PointsTransaction', {
     allowNull: false,
     comment: 'Balance de puntos después de la transacción'
   },
+  // Vencimiento de los puntos (solo transacciones que suman puntos)
+  expires_at: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Fecha en que vencen los puntos de esta transacción'
+  },
+  points_remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Puntos de esta transacción que aún no se han gastado ni vencido (FIFO)'
+  },
+  expiry_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se avisó al cliente que estos puntos están por vencer'
+  },
   // Origen de los puntos
   source_type: {
     type: DataTypes.ENUM('checkin', 'manual', 'system', 'bonus', 'correction'),
@@ -230,13 +250,20 @@ const PointsTransaction = sequelize.define('PointsTransaction', {
     {
       // Índice para auditoría
       fields: ['processed_by_user_id', 'created_at']
+    },
+    {
+      // Índice para consumir y vencer puntos en orden FIFO
+      fields: ['client_id', 'expires_at', 'points_remaining']
     }
   ],
   comment: 'Tabla de transacciones de puntos por asistencia (solo para tracking)'
 });
 
 // Hook para calcular el cambio neto antes de crear
-PointsTransaction.beforeCreate(async (transaction) => {
+// Se ejecuta antes de validar porque points_change y balance_after no admiten null
+PointsTransaction.beforeValidate(async (transaction) => {
+  if (!transaction.isNewRecord) return;
+  
   // Calcular cambio neto
   transaction.points_change = transaction.points_earned - transaction.points_deducted;
   
@@ -249,6 +276,31 @@ PointsTransaction.beforeCreate(async (transaction) => {
     transaction.points_change = -transaction.balance_before;
     transaction.points_deducted = transaction.balance_before;
   }
+  
+  // Los puntos que entran quedan disponibles para gastarse en orden FIFO hasta su vencimiento
+  if (transaction.points_change > 0 && transaction.transaction_type !== 'reset') {
+    transaction.points_remaining = transaction.points_change;
+    if (!transaction.expires_at && POINTS_EXPIRATION_DAYS > 0) {
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + POINTS_EXPIRATION_DAYS);
+      transaction.expires_at = expiresAt.toISOString().split('T')[0];
+    }
+  }
+});
+
+// Hook para descontar los gastos de los puntos más antiguos (los vencimientos ya los descuentan)
+// Lo que ya venga en metadata.consumed_from (la reversión de un crédito) no se vuelve a descontar
+PointsTransaction.afterCreate(async (transaction, options) => {
+  if (transaction.points_change >= 0 || transaction.transaction_type === 'expiration') return;
+  
+  const alreadyConsumed = (transaction.metadata && transaction.metadata.consumed_from) || [];
+  const pending = Math.abs(transaction.points_change) - alreadyConsumed.reduce((sum, item) => sum + item.points, 0);
+  const consumedFrom = pending > 0
+    ? await PointsTransaction.consumeFifo(transaction.client_id, pending, { transaction: options.transaction })
+    : [];
+  
+  transaction.metadata = { ...(transaction.metadata || {}), consumed_from: [...alreadyConsumed, ...consumedFrom] };
+  await transaction.save({ transaction: options.transaction, hooks: false });
 });
 
 // Método de instancia para verificar si puede ser reversada
@@ -268,52 +320,52 @@ PointsTransaction.prototype.canBeReversed = function() {
 };
 
 // Método de instancia para reversar la transacción
-PointsTransaction.prototype.reverse = async function(reversedByUserId, reason) {
+PointsTransaction.prototype.reverse = async function(reversedByUserId, reason, options = {}) {
   const validation = this.canBeReversed();
   if (!validation.canReverse) {
     throw new Error(validation.reason);
   }
   
-  // Obtener balance actual del cliente
-  if (sequelize.models.Client) {
-    const client = await sequelize.models.Client.findByPk(this.client_id);
+  return runInTransaction(options.transaction, async (transaction) => {
+    // Releer con bloqueo para que dos reversiones simultáneas no devuelvan los puntos dos veces
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (this.is_reversed) {
+      throw new Error('Transacción ya reversada');
+    }
     
-    if (!client) {
-      throw new Error('Cliente no encontrado');
+    // Lo que queda sin gastar de un crédito reversado se anula en el mismo crédito;
+    // solo lo que ya se gastó de él se descuenta de los demás créditos en orden FIFO
+    const unspent = this.points_change > 0 ? Math.min(this.points_remaining || 0, this.points_change) : 0;
+    if (unspent > 0) {
+      this.points_remaining -= unspent;
+      await this.save({ transaction });
     }
     
-    // Crear transacción de reversión
-    const reversalTransaction = await PointsTransaction.create({
-      client_id: this.client_id,
+    // Crear transacción de reversión (invierte la transacción original y actualiza el balance)
+    const reversalTransaction = await recordPointsChange(this.client_id, {
+      points: -this.points_change,
       transaction_type: 'adjustment',
       source_type: 'correction',
-      points_earned: this.points_deducted, // Invertir la transacción original
-      points_deducted: this.points_earned,
-      balance_before: client.total_points,
       reason: `Reversión: ${reason}`,
       description: `Reversión de transacción ${this.id}`,
       processed_by_user_id: reversedByUserId,
       is_manual: true,
-      source_reference_id: this.id
-    });
+      source_reference_id: this.id,
+      ...(unspent > 0 && { metadata: { consumed_from: [{ transaction_id: this.id, points: unspent }] } })
+    }, { transaction });
     
     // Marcar esta transacción como reversada
     this.is_reversed = true;
     this.reversed_by_transaction_id = reversalTransaction.id;
     this.reversal_reason = reason;
-    await this.save();
-    
-    // Actualizar balance del cliente
-    await client.update({ total_points: reversalTransaction.balance_after });
+    await this.save({ transaction });
     
     return reversalTransaction;
-  }
-  
-  throw new Error('No se pudo procesar la reversión');
+  });
 };
 
 // Método de instancia para enviar notificación
-PointsTransaction.prototype.sendNotification = async function() {
+PointsTransaction.prototype.sendNotification = async function(options = {}) {
   if (this.notification_sent || this.points_change <= 0) return;
   
   if (sequelize.models.Notification) {
@@ -346,85 +398,110 @@ PointsTransaction.prototype.sendNotification = async function() {
       type: 'points',
       related_id: this.id,
       priority: 'low'
-    });
+    }, { transaction: options.transaction });
     
     this.notification_sent = true;
     this.notification_sent_date = new Date();
-    await this.save();
+    await this.save({ transaction: options.transaction });
   }
 };
 
-// Método de clase para crear transacción por check-in
-PointsTransaction.createFromCheckin = async function(checkinData) {
-  const { client_id, checkin_id, points_earned, base_points, consecutive_days_bonus, time_bonus, multiplier_applied, checkin_date } = checkinData;
+// Método de clase para consumir puntos en orden FIFO (primero los que vencen antes)
+// Se consideran todos los créditos con saldo, también los que vencen hoy: el saldo los cuenta hasta que
+// la tarea de vencimiento los procesa, y esa tarea solo vence lo que quede sin gastar
+// Devuelve de qué transacciones salieron los puntos: [{ transaction_id, points }]
+PointsTransaction.consumeFifo = async function(clientId, points, options = {}) {
+  const { Op } = sequelize.Sequelize;
+  const credits = await this.findAll({
+    where: {
+      client_id: clientId,
+      points_remaining: { [Op.gt]: 0 }
+    },
+    order: [
+      [sequelize.fn('COALESCE', sequelize.col('expires_at'), '9999-12-31'), 'ASC'],
+      ['created_at', 'ASC']
+    ],
+    transaction: options.transaction,
+    ...(options.transaction && { lock: options.transaction.LOCK.UPDATE })
+  });
   
-  // Obtener balance actual del cliente
-  if (sequelize.models.Client) {
-    const client = await sequelize.models.Client.findByPk(client_id);
-    
-    if (!client) {
-      throw new Error('Cliente no encontrado');
-    }
-    
-    const transaction = await this.create({
-      client_id,
-      checkin_id,
-      transaction_type: 'earned',
-      source_type: 'checkin',
-      points_earned,
-      points_deducted: 0,
-      balance_before: client.total_points,
-      base_points,
-      consecutive_days_bonus,
-      time_bonus,
-      multiplier_applied,
-      checkin_date,
-      reason: 'Puntos ganados por check-in en el gimnasio',
-      source_reference_id: checkin_id
-    });
+  const consumedFrom = [];
+  let pending = points;
+  
+  for (const credit of credits) {
+    if (pending <= 0) break;
     
-    // Enviar notificación
-    await transaction.sendNotification();
+    const used = Math.min(credit.points_remaining, pending);
+    credit.points_remaining -= used;
+    pending -= used;
+    await credit.save({ transaction: options.transaction, hooks: false });
     
-    return transaction;
+    consumedFrom.push({ transaction_id: credit.id, points: used });
   }
   
-  throw new Error('No se pudo crear la transacción');
+  return consumedFrom;
 };
 
-// Método de clase para crear ajuste manual
-PointsTransaction.createManualAdjustment = async function(clientId, pointsChange, reason, processedByUserId, description = null) {
-  // Obtener balance actual del cliente
-  if (sequelize.models.Client) {
-    const client = await sequelize.models.Client.findByPk(clientId);
-    
-    if (!client) {
-      throw new Error('Cliente no encontrado');
-    }
-    
-    const transaction = await this.create({
+// Método de clase para obtener los puntos que vencen pronto agrupados por fecha
+PointsTransaction.getUpcomingExpirations = async function(clientId, days = 30, options = {}) {
+  const { Op } = sequelize.Sequelize;
+  const today = new Date();
+  const until = new Date(today);
+  until.setDate(until.getDate() + days);
+  
+  const rows = await this.findAll({
+    where: {
       client_id: clientId,
-      transaction_type: 'adjustment',
-      source_type: 'manual',
-      points_earned: pointsChange > 0 ? pointsChange : 0,
-      points_deducted: pointsChange < 0 ? Math.abs(pointsChange) : 0,
-      balance_before: client.total_points,
-      reason,
-      description,
-      processed_by_user_id: processedByUserId,
-      is_manual: true
-    });
-    
-    // Actualizar balance del cliente
-    await client.update({ total_points: transaction.balance_after });
-    
-    // Enviar notificación
-    await transaction.sendNotification();
-    
-    return transaction;
-  }
+      points_remaining: { [Op.gt]: 0 },
+      expires_at: {
+        [Op.gt]: today.toISOString().split('T')[0],
+        [Op.lte]: until.toISOString().split('T')[0]
+      }
+    },
+    attributes: [
+      'expires_at',
+      [sequelize.fn('SUM', sequelize.col('points_remaining')), 'points']
+    ],
+    group: ['expires_at'],
+    order: [['expires_at', 'ASC']],
+    raw: true,
+    transaction: options.transaction
+  });
   
-  throw new Error('No se pudo crear el ajuste');
+  return rows.map(row => ({ expires_at: row.expires_at, points: parseInt(row.points, 10) }));
+};
+
+// Método de clase para crear transacción por check-in
+// options: { transaction, client } (ver pointsService.recordPointsChange)
+PointsTransaction.createFromCheckin = function(checkinData, options = {}) {
+  const { client_id, checkin_id, points_earned, base_points, consecutive_days_bonus, time_bonus, multiplier_applied, checkin_date } = checkinData;
+  
+  return recordPointsChange(client_id, {
+    points: points_earned,
+    checkin_id,
+    transaction_type: 'earned',
+    source_type: 'checkin',
+    base_points,
+    consecutive_days_bonus,
+    time_bonus,
+    multiplier_applied,
+    checkin_date,
+    reason: 'Puntos ganados por check-in en el gimnasio',
+    source_reference_id: checkin_id
+  }, { ...options, notify: true });
+};
+
+// Método de clase para crear ajuste manual
+PointsTransaction.createManualAdjustment = function(clientId, pointsChange, reason, processedByUserId, description = null, options = {}) {
+  return recordPointsChange(clientId, {
+    points: pointsChange,
+    transaction_type: 'adjustment',
+    source_type: 'manual',
+    reason,
+    description,
+    processed_by_user_id: processedByUserId,
+    is_manual: true
+  }, { ...options, notify: true });
 };
 
 // CORREGIDO: Método de clase para obtener balance histórico de un cliente
@@ -563,4 +640,6 @@ PointsTransaction.associate = function(models) {
   });
 };
 
+PointsTransaction.POINTS_EXPIRATION_DAYS = POINTS_EXPIRATION_DAYS;
+
 module.exports = PointsTransaction;
\ No newline at end of file
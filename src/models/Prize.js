@@ -56,7 +56,7 @@ const Prize = sequelize.define('Prize', {
     defaultValue: 0,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El valor no puede ser negativo'
       }
     },
@@ -74,6 +74,18 @@ const Prize = sequelize.define('Prize', {
     },
     comment: 'Unidad del valor (GTQ, USD, POINTS, DAYS, PERCENT)'
   },
+  unit_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo no puede ser negativo'
+      }
+    },
+    comment: 'Costo estimado en GTQ de entregar el premio (para el presupuesto de las ruletas)'
+  },
   // Configuración específica para productos gratuitos
   free_product_id: {
     type: DataTypes.UUID,
@@ -355,7 +367,7 @@ Prize.prototype.isAvailable = function() {
 };
 
 // CORREGIDO: Método de instancia para verificar límites diarios/semanales
-Prize.prototype.checkLimits = async function() {
+Prize.prototype.checkLimits = async function(options = {}) {
   const now = new Date();
   
   // Verificar límite diario
@@ -369,7 +381,8 @@ Prize.prototype.checkLimits = async function() {
         created_at: {
           [sequelize.Sequelize.Op.gte]: todayStart
         }
-      }
+      },
+      transaction: options.transaction
     });
     
     if (todayCount >= this.max_per_day) {
@@ -389,7 +402,8 @@ Prize.prototype.checkLimits = async function() {
         created_at: {
           [sequelize.Sequelize.Op.gte]: weekStart
         }
-      }
+      },
+      transaction: options.transaction
     });
     
     if (weekCount >= this.max_per_week) {
@@ -401,7 +415,7 @@ Prize.prototype.checkLimits = async function() {
 };
 
 // CORREGIDO: Método de instancia para verificar elegibilidad del cliente
-Prize.prototype.checkClientEligibility = async function(clientId) {
+Prize.prototype.checkClientEligibility = async function(clientId, options = {}) {
   if (!sequelize.models.Client) {
     return { eligible: false, reason: 'Modelo Cliente no disponible' };
   }
@@ -419,7 +433,8 @@ Prize.prototype.checkClientEligibility = async function(clientId) {
   }
 
   const client = await sequelize.models.Client.findByPk(clientId, {
-    include: includeOptions
+    include: includeOptions,
+    transaction: options.transaction
   });
   
   if (!client) {
@@ -453,7 +468,8 @@ Prize.prototype.checkClientEligibility = async function(clientId) {
       where: {
         client_id: clientId,
         prize_id: this.id
-      }
+      },
+      transaction: options.transaction
     });
     
     if (clientCount >= this.max_per_client) {
@@ -486,7 +502,7 @@ Prize.prototype.applyToClient = async function(clientId) {
       break;
       
     case 'points':
-      await client.addPoints(this.value, `Premio: ${this.name}`);
+      await client.addPoints(parseInt(this.value, 10), `Premio: ${this.name}`);
       break;
       
     case 'discount_percentage':
@@ -558,9 +574,9 @@ Prize.prototype.applyFreeProduct = async function(client) {
 };
 
 // Método de instancia para incrementar contadores
-Prize.prototype.incrementAwarded = async function() {
+Prize.prototype.incrementAwarded = async function(options = {}) {
   this.awarded_count += 1;
-  await this.save();
+  await this.save(options);
 };
 
 // Método de instancia para incrementar canjeados
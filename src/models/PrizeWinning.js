@@ -3,6 +3,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { evaluateBadges } = require('../services/badgeService');
 
 const PrizeWinning = sequelize.define('PrizeWinning', {
   id: {
@@ -41,6 +42,16 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
     onDelete: 'SET NULL',
     comment: 'ID de la ruleta donde se ganó el premio'
   },
+  roulette_version_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'roulette_versions',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Versión de la ruleta con la que se sorteó el premio'
+  },
   qr_code_id: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -80,6 +91,12 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
     allowNull: false,
     comment: 'Unidad del valor del premio'
   },
+  prize_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Costo del premio al momento de ganarlo (cuenta para el presupuesto de la ruleta)'
+  },
   // Estado del premio ganado
   status: {
     type: DataTypes.ENUM('pending', 'applied', 'redeemed', 'expired', 'cancelled'),
@@ -224,6 +241,42 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
     allowNull: true,
     comment: 'Fecha de verificación del premio'
   },
+  // Sorteo verificable (ver services/fairnessService)
+  sector_index: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Sector de la ruleta que salió en el giro'
+  },
+  fair_server_seed_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 de la semilla del servidor publicado antes del giro'
+  },
+  fair_server_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Semilla del servidor (null hasta que el cliente rota sus semillas)'
+  },
+  fair_client_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Semilla del cliente usada en el giro'
+  },
+  fair_nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Nonce del giro con ese par de semillas'
+  },
+  fair_roll: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    comment: 'Número entre 0 y 1 obtenido de las semillas'
+  },
+  fair_sectors: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Sectores que participaron en el sorteo: [{ index, prize_id, probability }]'
+  },
   // Metadatos adicionales
   metadata: {
     type: DataTypes.JSON,
@@ -263,6 +316,9 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
     {
       fields: ['roulette_id']
     },
+    {
+      fields: ['roulette_version_id']
+    },
     {
       fields: ['qr_code_id']
     },
@@ -294,6 +350,9 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
     {
       fields: ['requires_verification', 'verified']
     },
+    {
+      fields: ['fair_server_seed_hash']
+    },
     {
       // Índice compuesto para premios pendientes por cliente
       fields: ['client_id', 'status', 'expires_date']
@@ -303,15 +362,15 @@ const PrizeWinning = sequelize.define('PrizeWinning', {
 });
 
 // Hook para generar código de canje y calcular expiración
-PrizeWinning.beforeCreate(async (prizeWinning) => {
+PrizeWinning.beforeCreate(async (prizeWinning, options) => {
   // Generar código de canje si se requiere canje manual
   if (prizeWinning.manual_redemption_required && !prizeWinning.redemption_code) {
-    prizeWinning.redemption_code = await PrizeWinning.generateRedemptionCode();
+    prizeWinning.redemption_code = await PrizeWinning.generateRedemptionCode({ transaction: options.transaction });
   }
   
   // Calcular fecha de expiración basándose en el premio
   if (!prizeWinning.expires_date && sequelize.models.Prize) {
-    const prize = await sequelize.models.Prize.findByPk(prizeWinning.prize_id);
+    const prize = await sequelize.models.Prize.findByPk(prizeWinning.prize_id, { transaction: options.transaction });
     
     if (prize && prize.expiration_days) {
       const expirationDate = new Date();
@@ -351,25 +410,30 @@ PrizeWinning.beforeUpdate(async (prizeWinning) => {
 });
 
 // Hook para actualizar estadísticas del premio después de crear
-PrizeWinning.afterCreate(async (prizeWinning) => {
+PrizeWinning.afterCreate(async (prizeWinning, options) => {
   if (sequelize.models.Prize) {
-    const prize = await sequelize.models.Prize.findByPk(prizeWinning.prize_id);
+    const prize = await sequelize.models.Prize.findByPk(prizeWinning.prize_id, { transaction: options.transaction });
     if (prize) {
-      await prize.incrementAwarded();
+      await prize.incrementAwarded({ transaction: options.transaction });
     }
   }
   
   // Actualizar estadísticas de la ruleta si aplica
   if (prizeWinning.roulette_id && sequelize.models.Roulette) {
-    const roulette = await sequelize.models.Roulette.findByPk(prizeWinning.roulette_id);
+    const roulette = await sequelize.models.Roulette.findByPk(prizeWinning.roulette_id, { transaction: options.transaction });
     if (roulette) {
-      await roulette.recordSpin(prizeWinning.id);
+      await roulette.recordSpin(prizeWinning.id, { transaction: options.transaction });
     }
   }
+  
+  // Revisar las insignias por premios ganados en la ruleta
+  if (prizeWinning.roulette_id) {
+    await evaluateBadges(prizeWinning.client_id, 'prize_win', { transaction: options.transaction });
+  }
 });
 
 // Método de clase para generar código de canje único
-PrizeWinning.generateRedemptionCode = async function() {
+PrizeWinning.generateRedemptionCode = async function(options = {}) {
   let code;
   let attempts = 0;
   const maxAttempts = 10;
@@ -382,7 +446,7 @@ PrizeWinning.generateRedemptionCode = async function() {
       code += chars.charAt(Math.floor(Math.random() * chars.length));
     }
     
-    const existing = await this.findOne({ where: { redemption_code: code } });
+    const existing = await this.findOne({ where: { redemption_code: code }, transaction: options.transaction });
     if (!existing) break;
     
     attempts++;
@@ -652,6 +716,15 @@ PrizeWinning.associate = function(models) {
     });
   }
   
+  // Un premio ganado en ruleta registra la versión con la que se sorteó
+  if (models.RouletteVersion) {
+    PrizeWinning.belongsTo(models.RouletteVersion, {
+      foreignKey: 'roulette_version_id',
+      as: 'rouletteVersion',
+      onDelete: 'SET NULL'
+    });
+  }
+  
   // Un premio ganado puede venir de un código QR
   if (models.QRCode) {
     PrizeWinning.belongsTo(models.QRCode, {
@@ -3,6 +3,7 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { getTier } = require('../config/tiers');
 
 const Product = sequelize.define('Product', {
   id: {
@@ -66,7 +67,7 @@ const Product = sequelize.define('Product', {
     allowNull: false,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El precio no puede ser negativo'
       }
     },
@@ -77,7 +78,7 @@ const Product = sequelize.define('Product', {
     allowNull: true,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El precio de costo no puede ser negativo'
       }
     },
@@ -102,7 +103,7 @@ const Product = sequelize.define('Product', {
     defaultValue: 0,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El stock no puede ser negativo'
       }
     },
@@ -114,7 +115,7 @@ const Product = sequelize.define('Product', {
     defaultValue: 5,
     validate: {
       min: {
-        args: 0,
+        args: [0],
         msg: 'El stock mínimo no puede ser negativo'
       }
     },
@@ -461,6 +462,22 @@ Product.prototype.isLowStock = function() {
   return this.stock_quantity <= this.min_stock_level;
 };
 
+// Método de instancia para calcular el precio con el descuento del nivel del cliente (para mostrarlo)
+// En las compras el descuento lo aplica OrderItem al crear el ítem, sobre su unit_price
+Product.prototype.calculatePriceForTier = function(tierCode) {
+  const tier = getTier(tierCode);
+  const price = parseFloat(this.price);
+  const discountAmount = Math.round(price * tier.product_discount_percent) / 100;
+  
+  return {
+    tier: tier.code,
+    price,
+    discount_percent: tier.product_discount_percent,
+    discount_amount: discountAmount,
+    final_price: Math.round((price - discountAmount) * 100) / 100
+  };
+};
+
 // Método de instancia para calcular margen de utilidad
 Product.prototype.getProfitMargin = function() {
   if (!this.cost_price || this.cost_price <= 0) return null;
@@ -469,7 +486,7 @@ Product.prototype.getProfitMargin = function() {
 };
 
 // Método de instancia para actualizar stock - CORREGIDO
-Product.prototype.updateStock = async function(quantity, operation = 'subtract', reason = 'Venta') {
+Product.prototype.updateStock = async function(quantity, operation = 'subtract', reason = 'Venta', options = {}) {
   if (!this.track_inventory) return;
 
   const oldQuantity = this.stock_quantity;
@@ -485,7 +502,7 @@ Product.prototype.updateStock = async function(quantity, operation = 'subtract',
     this.stock_quantity = quantity;
   }
 
-  await this.save();
+  await this.save(options);
 
   // Log simple para tracking de inventario
   console.log(`Stock actualizado para producto ${this.sku}: ${oldQuantity} -> ${this.stock_quantity} (${operation} ${quantity}): ${reason}`);
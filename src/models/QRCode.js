@@ -157,7 +157,15 @@ const QRCode = sequelize.define('QRCode', {
   allowed_locations: {
     type: DataTypes.JSON,
     allowNull: true,
-    comment: 'Array de ubicaciones donde puede usarse el código'
+    validate: {
+      isArrayOfLocationIds(value) {
+        if (value === null || value === undefined) return;
+        if (!Array.isArray(value)) {
+          throw new Error('allowed_locations debe ser un arreglo de IDs de sedes');
+        }
+      }
+    },
+    comment: 'Array de IDs de sedes (locations) donde puede usarse el código'
   },
   // Configuración de horario
   time_restricted: {
@@ -275,12 +283,15 @@ const QRCode = sequelize.define('QRCode', {
 });
 
 // Hook para generar código único automáticamente
-QRCode.beforeCreate(async (qrCode) => {
-  if (!qrCode.code) {
-    qrCode.code = await QRCode.generateUniqueCode();
+// Se ejecuta antes de validar porque code no admite null
+QRCode.beforeValidate(async (qrCode, options) => {
+  if (qrCode.isNewRecord && !qrCode.code) {
+    qrCode.code = await QRCode.generateUniqueCode({ transaction: options.transaction });
   }
-  
-  // Configurar fecha de validez por defecto según el tipo
+});
+
+// Hook para configurar la fecha de validez por defecto según el tipo
+QRCode.beforeCreate(async (qrCode) => {
   if (!qrCode.valid_until) {
     const validUntil = new Date();
     switch (qrCode.code_type) {
@@ -308,7 +319,7 @@ QRCode.beforeCreate(async (qrCode) => {
 });
 
 // Método de clase para generar código único
-QRCode.generateUniqueCode = async function() {
+QRCode.generateUniqueCode = async function(options = {}) {
   let code;
   let attempts = 0;
   const maxAttempts = 10;
@@ -319,7 +330,7 @@ QRCode.generateUniqueCode = async function() {
     const randomPart = crypto.randomBytes(8).toString('hex').toUpperCase();
     code = `QR-${timestamp}-${randomPart}`;
     
-    const existing = await this.findOne({ where: { code } });
+    const existing = await this.findOne({ where: { code }, transaction: options.transaction });
     if (!existing) break;
     
     attempts++;
@@ -367,12 +378,17 @@ QRCode.prototype.isValidTime = function(time = new Date()) {
 };
 
 // Método de instancia para verificar restricciones de ubicación
-QRCode.prototype.isValidLocation = function(userLocation) {
+// userLocation: { location_id, coordinates: { lat, lng } }
+QRCode.prototype.isValidLocation = function(userLocation = {}) {
   if (!this.location_restricted || !this.allowed_locations) return true;
   
-  // Implementar lógica de verificación de ubicación
-  // Por simplicidad, verificamos si la ubicación está en la lista permitida
   return this.allowed_locations.some(location => {
+    // Formato actual: ID de la sede resuelta para el usuario
+    if (typeof location === 'string') {
+      return location === userLocation.location_id;
+    }
+    
+    // Formato anterior: coordenadas y radio guardados directamente en el código
     if (location.coordinates && userLocation.coordinates) {
       // Calcular distancia entre coordenadas
       const distance = this.calculateDistance(
@@ -404,7 +420,7 @@ QRCode.prototype.calculateDistance = function(lat1, lon1, lat2, lon2) {
 };
 
 // Método de instancia para usar el código
-QRCode.prototype.use = async function(clientId, metadata = {}) {
+QRCode.prototype.use = async function(clientId, metadata = {}, options = {}) {
   const validation = this.isValid();
   if (!validation.valid) {
     throw new Error(validation.reason);
@@ -426,7 +442,7 @@ QRCode.prototype.use = async function(clientId, metadata = {}) {
     this.used_by_client_id = clientId;
   }
   
-  await this.save();
+  await this.save({ transaction: options.transaction });
   
   // Registrar el uso en el historial si se requiere
   // Aquí se podría crear un registro en una tabla de historial de usos
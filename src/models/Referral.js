@@ -0,0 +1,214 @@
+// Archivo: src/models/Referral.js
+// Modelo de referidos: quién invitó a quién, la cadena de invitaciones y las recompensas entregadas
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STATUSES = ['pending', 'qualified', 'rejected'];
+const REJECTION_REASONS = ['self_referral', 'duplicate_device'];
+
+const Referral = sequelize.define('Referral', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único del referido'
+  },
+  referrer_client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Cliente que invitó'
+  },
+  referred_client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Cliente invitado (cada cliente solo puede ser referido una vez)'
+  },
+  referral_code: {
+    type: DataTypes.STRING(12),
+    allowNull: false,
+    comment: 'Código usado al registrarse'
+  },
+  // Cadena de referidos
+  parent_referral_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'referrals',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Referido con el que se registró quien invitó (null si quien invitó no fue referido)'
+  },
+  chain_root_client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Primer cliente de la cadena de invitaciones'
+  },
+  chain_level: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El nivel en la cadena debe ser al menos 1'
+      }
+    },
+    comment: 'Nivel en la cadena: 1=invitado directo del primer cliente, 2=invitado de un invitado, etc.'
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Estado: pending=Esperando el primer pago, qualified=Recompensas entregadas, rejected=Bloqueado por abuso'
+  },
+  rejection_reason: {
+    type: DataTypes.ENUM(...REJECTION_REASONS),
+    allowNull: true,
+    comment: 'Motivo del bloqueo: self_referral=Se invitó a sí mismo, duplicate_device=Dispositivo ya usado por otra cuenta'
+  },
+  // Control de abuso
+  device_fingerprint: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Huella del dispositivo con el que se registró el invitado'
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'IP del registro del invitado'
+  },
+  // Calificación
+  qualifying_membership_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'client_memberships',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Primera membresía pagada por el invitado'
+  },
+  qualified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se entregaron las recompensas'
+  },
+  rewards: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Recompensas entregadas: { referrer: {...}, referred: {...} }'
+  }
+}, {
+  tableName: 'referrals',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['referred_client_id']
+    },
+    {
+      fields: ['referrer_client_id', 'status']
+    },
+    {
+      fields: ['chain_root_client_id']
+    },
+    {
+      fields: ['device_fingerprint']
+    },
+    {
+      fields: ['status', 'created_at']
+    }
+  ],
+  comment: 'Tabla de invitaciones del programa de referidos'
+});
+
+// Método de instancia para el formato que ve quien invitó (sin datos de contacto del invitado)
+Referral.prototype.toPublic = function() {
+  const referred = this.referred;
+
+  return {
+    id: this.id,
+    referred_name: referred ? `${referred.first_name} ${referred.last_name.charAt(0)}.` : null,
+    status: this.status,
+    registered_at: this.createdAt,
+    qualified_at: this.qualified_at,
+    rewards: this.rewards ? this.rewards.referrer : null
+  };
+};
+
+// Método de clase para obtener los referidos de un cliente
+Referral.findByReferrer = function(clientId, options = {}) {
+  const include = sequelize.models.Client
+    ? [{ model: sequelize.models.Client, as: 'referred', attributes: ['id', 'first_name', 'last_name'] }]
+    : [];
+
+  return this.findAll({
+    where: { referrer_client_id: clientId },
+    include,
+    order: [['created_at', 'DESC']],
+    transaction: options.transaction
+  });
+};
+
+// Método de clase para obtener el referido pendiente de un invitado (con bloqueo si hay transacción)
+Referral.findPendingForReferred = function(clientId, options = {}) {
+  return this.findOne({
+    where: { referred_client_id: clientId, status: 'pending' },
+    transaction: options.transaction,
+    lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+Referral.associate = function(models) {
+  if (models.Client) {
+    Referral.belongsTo(models.Client, {
+      foreignKey: 'referrer_client_id',
+      as: 'referrer'
+    });
+
+    Referral.belongsTo(models.Client, {
+      foreignKey: 'referred_client_id',
+      as: 'referred'
+    });
+
+    Referral.belongsTo(models.Client, {
+      foreignKey: 'chain_root_client_id',
+      as: 'chainRoot'
+    });
+  }
+
+  Referral.belongsTo(Referral, {
+    foreignKey: 'parent_referral_id',
+    as: 'parentReferral'
+  });
+
+  if (models.ClientMembership) {
+    Referral.belongsTo(models.ClientMembership, {
+      foreignKey: 'qualifying_membership_id',
+      as: 'qualifyingMembership'
+    });
+  }
+};
+
+Referral.STATUSES = STATUSES;
+Referral.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = Referral;
@@ -0,0 +1,214 @@
+// Archivo: src/models/RewardCatalogItem.js
+// Modelo para el catálogo de recompensas que los clientes canjean con sus puntos
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RewardCatalogItem = sequelize.define('RewardCatalogItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la recompensa'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la recompensa es requerido'
+      }
+    },
+    comment: 'Nombre que ve el cliente en el catálogo'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Descripción de la recompensa'
+  },
+  reward_type: {
+    type: DataTypes.ENUM('product', 'membership_days', 'prize'),
+    allowNull: false,
+    comment: 'Qué recibe el cliente: product=Producto de la tienda, membership_days=Días de membresía, prize=Premio'
+  },
+  points_cost: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El costo en puntos debe ser al menos 1'
+      }
+    },
+    comment: 'Puntos que cuesta canjear la recompensa'
+  },
+  // Referencia según el tipo de recompensa
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    comment: 'Producto que se entrega (reward_type=product)'
+  },
+  product_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Unidades del producto que se entregan'
+  },
+  membership_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Días que se agregan a la membresía activa (reward_type=membership_days)'
+  },
+  prize_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'prizes',
+      key: 'id'
+    },
+    comment: 'Premio que se otorga (reward_type=prize)'
+  },
+  // Disponibilidad
+  stock_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Canjes disponibles (null = ilimitado)'
+  },
+  max_per_client: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Máximo de canjes por cliente (null = ilimitado)'
+  },
+  redeemed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Veces que se ha canjeado'
+  },
+  valid_from: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha desde la que se puede canjear'
+  },
+  valid_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha hasta la que se puede canjear'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Indica si aparece en el catálogo'
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Orden de aparición en el catálogo'
+  },
+  created_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'ID del usuario que creó la recompensa'
+  }
+}, {
+  tableName: 'reward_catalog_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['is_active', 'sort_order']
+    },
+    {
+      fields: ['reward_type']
+    }
+  ],
+  validate: {
+    hasRewardReference() {
+      if (this.reward_type === 'product' && !this.product_id) {
+        throw new Error('Las recompensas de tipo producto requieren product_id');
+      }
+      if (this.reward_type === 'membership_days' && !this.membership_days) {
+        throw new Error('Las recompensas de días de membresía requieren membership_days');
+      }
+      if (this.reward_type === 'prize' && !this.prize_id) {
+        throw new Error('Las recompensas de tipo premio requieren prize_id');
+      }
+    }
+  },
+  comment: 'Tabla del catálogo de recompensas canjeables con puntos'
+});
+
+// Método de instancia para verificar si se puede canjear
+RewardCatalogItem.prototype.isAvailable = function(now = new Date()) {
+  if (!this.is_active) return { available: false, reason: 'Recompensa no disponible' };
+  if (this.valid_from && new Date(this.valid_from) > now) return { available: false, reason: 'Recompensa aún no disponible' };
+  if (this.valid_until && new Date(this.valid_until) < now) return { available: false, reason: 'Recompensa vencida' };
+  if (this.stock_quantity !== null && this.stock_quantity <= 0) return { available: false, reason: 'Recompensa agotada' };
+
+  return { available: true };
+};
+
+// Método de clase para obtener el catálogo vigente
+RewardCatalogItem.findAvailable = function() {
+  const { Op } = sequelize.Sequelize;
+  const now = new Date();
+
+  return this.findAll({
+    where: {
+      is_active: true,
+      [Op.and]: [
+        { [Op.or]: [{ valid_from: null }, { valid_from: { [Op.lte]: now } }] },
+        { [Op.or]: [{ valid_until: null }, { valid_until: { [Op.gte]: now } }] },
+        { [Op.or]: [{ stock_quantity: null }, { stock_quantity: { [Op.gt]: 0 } }] }
+      ]
+    },
+    order: [['sort_order', 'ASC'], ['points_cost', 'ASC']]
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+RewardCatalogItem.associate = function(models) {
+  if (models.Product) {
+    RewardCatalogItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  }
+
+  if (models.Prize) {
+    RewardCatalogItem.belongsTo(models.Prize, {
+      foreignKey: 'prize_id',
+      as: 'prize'
+    });
+  }
+
+  if (models.RewardRedemption) {
+    RewardCatalogItem.hasMany(models.RewardRedemption, {
+      foreignKey: 'catalog_item_id',
+      as: 'redemptions'
+    });
+  }
+};
+
+module.exports = RewardCatalogItem;
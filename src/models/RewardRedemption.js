@@ -0,0 +1,169 @@
+// Archivo: src/models/RewardRedemption.js
+// Modelo para los canjes de recompensas del catálogo con puntos
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RewardRedemption = sequelize.define('RewardRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único del canje'
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'ID del cliente que canjeó'
+  },
+  catalog_item_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reward_catalog_items',
+      key: 'id'
+    },
+    comment: 'ID de la recompensa canjeada'
+  },
+  idempotency_key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Clave enviada por la app para que un reintento no cobre dos veces'
+  },
+  status: {
+    type: DataTypes.ENUM('completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'completed',
+    comment: 'Estado del canje'
+  },
+  // Copia de la recompensa al momento del canje
+  item_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Nombre de la recompensa al momento del canje'
+  },
+  reward_type: {
+    type: DataTypes.ENUM('product', 'membership_days', 'prize'),
+    allowNull: false,
+    comment: 'Tipo de recompensa al momento del canje'
+  },
+  points_spent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Puntos descontados'
+  },
+  // Resultado del canje
+  points_transaction_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'points_transactions',
+      key: 'id'
+    },
+    comment: 'Transacción de puntos de la deducción'
+  },
+  order_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    comment: 'Orden generada para entregar el producto'
+  },
+  prize_winning_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'prize_winnings',
+      key: 'id'
+    },
+    comment: 'Premio otorgado al cliente'
+  },
+  membership_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'client_memberships',
+      key: 'id'
+    },
+    comment: 'Membresía a la que se agregaron días'
+  }
+}, {
+  tableName: 'reward_redemptions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['client_id', 'idempotency_key']
+    },
+    {
+      fields: ['catalog_item_id', 'status']
+    }
+  ],
+  comment: 'Tabla de canjes de recompensas con puntos'
+});
+
+// Método de clase para contar los canjes de un cliente de una recompensa
+RewardRedemption.countByClient = function(clientId, catalogItemId, options = {}) {
+  return this.count({
+    where: {
+      client_id: clientId,
+      catalog_item_id: catalogItemId,
+      status: 'completed'
+    },
+    transaction: options.transaction
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+RewardRedemption.associate = function(models) {
+  if (models.Client) {
+    RewardRedemption.belongsTo(models.Client, {
+      foreignKey: 'client_id',
+      as: 'client'
+    });
+  }
+
+  if (models.RewardCatalogItem) {
+    RewardRedemption.belongsTo(models.RewardCatalogItem, {
+      foreignKey: 'catalog_item_id',
+      as: 'catalogItem'
+    });
+  }
+
+  if (models.PointsTransaction) {
+    RewardRedemption.belongsTo(models.PointsTransaction, {
+      foreignKey: 'points_transaction_id',
+      as: 'pointsTransaction'
+    });
+  }
+
+  if (models.Order) {
+    RewardRedemption.belongsTo(models.Order, {
+      foreignKey: 'order_id',
+      as: 'order'
+    });
+  }
+
+  if (models.PrizeWinning) {
+    RewardRedemption.belongsTo(models.PrizeWinning, {
+      foreignKey: 'prize_winning_id',
+      as: 'prizeWinning'
+    });
+  }
+
+  if (models.ClientMembership) {
+    RewardRedemption.belongsTo(models.ClientMembership, {
+      foreignKey: 'membership_id',
+      as: 'membership'
+    });
+  }
+};
+
+module.exports = RewardRedemption;
@@ -3,6 +3,9 @@
 
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const crypto = require('crypto');
+const { canAccessRouletteCategory } = require('../services/tierService');
+const { pickSector } = require('../services/fairnessService');
 
 const Roulette = sequelize.define('Roulette', {
   id: {
@@ -191,6 +194,12 @@ const Roulette = sequelize.define('Roulette', {
     defaultValue: false,
     comment: 'Indica si es la ruleta por defecto para su categoría'
   },
+  // Sin referencia en la base: roulette_versions ya referencia a roulettes
+  current_version_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Versión cuyos sectores tiene la ruleta (ver RouletteVersion)'
+  },
   // Restricciones de uso
   max_spins_per_day: {
     type: DataTypes.INTEGER,
@@ -217,6 +226,23 @@ const Roulette = sequelize.define('Roulette', {
     },
     comment: 'Tiempo de espera en minutos entre giros del mismo cliente'
   },
+  // Presupuesto de premios
+  budget_period: {
+    type: DataTypes.ENUM('daily', 'monthly'),
+    allowNull: true,
+    comment: 'Período del presupuesto: daily=Diario, monthly=Mensual (null = sin presupuesto)'
+  },
+  budget_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El presupuesto no puede ser negativo'
+      }
+    },
+    comment: 'Costo máximo en GTQ de los premios entregados por período'
+  },
   // Configuración de validez
   valid_from: {
     type: DataTypes.DATE,
@@ -333,7 +359,13 @@ const Roulette = sequelize.define('Roulette', {
 });
 
 // Hook para validar que solo haya una ruleta por defecto por categoría
-Roulette.beforeSave(async (roulette) => {
+// Con la transacción de la activación de una versión el cambio de ruleta por defecto es atómico
+Roulette.beforeSave(async (roulette, options) => {
+  // Los sectores de una ruleta existente solo cambian al activar una versión (ver rouletteVersionService)
+  if (!roulette.isNewRecord && roulette.changed('sectors_config') && !options.activatingVersion) {
+    throw new Error('Para cambiar los sectores crea una nueva versión de la ruleta');
+  }
+  
   if (roulette.is_default) {
     // Desactivar otras ruletas por defecto en la misma categoría
     await Roulette.update(
@@ -342,7 +374,8 @@ Roulette.beforeSave(async (roulette) => {
         where: { 
           category: roulette.category,
           id: { [sequelize.Sequelize.Op.ne]: roulette.id }
-        }
+        },
+        transaction: options.transaction
       }
     );
   }
@@ -354,20 +387,59 @@ Roulette.beforeSave(async (roulette) => {
 });
 
 // Método de instancia para validar configuración de sectores
+// Lanza error si la ruleta no se puede sortear; lo que conviene revisar se devuelve como advertencias
+// Devuelve { total_probability, prizes (Map de premios de los sectores), warnings }
 Roulette.prototype.validateSectorsConfiguration = async function() {
   if (!this.sectors_config || !Array.isArray(this.sectors_config)) {
     throw new Error('La configuración de sectores debe ser un array válido');
   }
   
+  const prizes = new Map();
+  const warnings = [];
+  let totalProbability = 0;
+  
+  this.sectors_config.forEach((sector, index) => {
+    const probability = sector.probability;
+    if (!sector.prize_id) {
+      throw new Error(`Sector ${index + 1} debe tener prize_id`);
+    }
+    if (typeof probability !== 'number' || !Number.isFinite(probability) || probability < 0) {
+      throw new Error(`La probabilidad del sector ${index + 1} debe ser un número mayor o igual a 0`);
+    }
+    if (probability === 0) {
+      warnings.push(`El sector ${index + 1} tiene probabilidad 0 y nunca saldrá`);
+    }
+    totalProbability += probability;
+  });
+  
+  if (this.sectors_config.length > 0 && totalProbability <= 0) {
+    throw new Error('La suma de las probabilidades debe ser mayor a 0');
+  }
+  
+  totalProbability = Math.round(totalProbability * 1e6) / 1e6;
+  if (this.sectors_config.length > 0 && Math.abs(totalProbability - 100) > 0.01) {
+    warnings.push(`Las probabilidades suman ${totalProbability} en lugar de 100; se reparten en proporción a ese total`);
+  }
+  
   // Verificar que todos los premios existen - CORREGIDO
   if (sequelize.models.Prize) {
     for (const sector of this.sectors_config) {
+      if (prizes.has(sector.prize_id)) continue;
+      
       const prize = await sequelize.models.Prize.findByPk(sector.prize_id);
       if (!prize) {
         throw new Error(`Premio ${sector.prize_id} no encontrado para sector`);
       }
+      
+      const availability = prize.isAvailable();
+      if (!availability.available) {
+        warnings.push(`${prize.name}: ${availability.reason}`);
+      }
+      prizes.set(prize.id, prize);
     }
   }
+  
+  return { total_probability: totalProbability, prizes, warnings };
 };
 
 // Método de instancia para verificar disponibilidad
@@ -409,13 +481,24 @@ Roulette.prototype.isAvailable = function(dateTime = new Date()) {
 };
 
 // Método de instancia para verificar si un cliente puede girar
-Roulette.prototype.canClientSpin = async function(clientId) {
-  const now = new Date();
+// options: { transaction, now } para consultar dentro del giro y con su mismo reloj
+Roulette.prototype.canClientSpin = async function(clientId, options = {}) {
+  const { transaction } = options;
+  const now = options.now || new Date();
   
   // Verificar disponibilidad general
   const availability = this.isAvailable(now);
   if (!availability.available) return availability;
   
+  // Verificar que el nivel del cliente tenga acceso a la categoría de la ruleta
+  if (sequelize.models.Client) {
+    const client = await sequelize.models.Client.findByPk(clientId, { attributes: ['id', 'tier'], transaction });
+    
+    if (client && !canAccessRouletteCategory(client.tier, this.category)) {
+      return { available: false, reason: 'Tu nivel no tiene acceso a esta ruleta' };
+    }
+  }
+  
   // Verificar límites diarios
   if (this.max_spins_per_day && sequelize.models.PrizeWinning) {
     const todayStart = new Date(now);
@@ -428,7 +511,8 @@ Roulette.prototype.canClientSpin = async function(clientId) {
         created_at: {
           [sequelize.Sequelize.Op.gte]: todayStart
         }
-      }
+      },
+      transaction
     });
     
     if (todaySpins >= this.max_spins_per_day) {
@@ -449,7 +533,8 @@ Roulette.prototype.canClientSpin = async function(clientId) {
         created_at: {
           [sequelize.Sequelize.Op.gte]: weekStart
         }
-      }
+      },
+      transaction
     });
     
     if (weekSpins >= this.max_spins_per_week) {
@@ -470,7 +555,8 @@ Roulette.prototype.canClientSpin = async function(clientId) {
           [sequelize.Sequelize.Op.gte]: cooldownStart
         }
       },
-      order: [['created_at', 'DESC']]
+      order: [['created_at', 'DESC']],
+      transaction
     });
     
     if (recentSpin) {
@@ -482,51 +568,143 @@ Roulette.prototype.canClientSpin = async function(clientId) {
   return { available: true };
 };
 
-// Método de instancia para seleccionar premio basado en probabilidades
-Roulette.prototype.selectPrize = function() {
+// Método de instancia para obtener el inicio del período de presupuesto actual
+Roulette.prototype.getBudgetPeriodStart = function(now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  
+  if (this.budget_period === 'monthly') {
+    start.setDate(1);
+  }
+  
+  return start;
+};
+
+// Método de instancia para calcular cuánto presupuesto queda en el período actual
+// Se suma el costo guardado en cada premio ganado (los cancelados no cuentan)
+Roulette.prototype.getBudgetStatus = async function(options = {}) {
+  if (!this.budget_period || this.budget_amount === null || this.budget_amount === undefined) {
+    return null;
+  }
+  
+  const now = options.now || new Date();
+  const periodStart = this.getBudgetPeriodStart(now);
+  const amount = parseFloat(this.budget_amount);
+  const spent = parseFloat(await sequelize.models.PrizeWinning.sum('prize_cost', {
+    where: {
+      roulette_id: this.id,
+      status: { [sequelize.Sequelize.Op.ne]: 'cancelled' },
+      won_date: { [sequelize.Sequelize.Op.gte]: periodStart }
+    },
+    transaction: options.transaction
+  })) || 0;
+  const remaining = Math.max(0, Math.round((amount - spent) * 100) / 100);
+  
+  return {
+    period: this.budget_period,
+    period_start: periodStart,
+    amount,
+    spent: Math.round(spent * 100) / 100,
+    remaining,
+    exhausted: remaining <= 0
+  };
+};
+
+// Método de instancia para obtener los sectores que participan en un sorteo
+// excludedPrizeIds: premios que no se pueden entregar (ej: agotados); su probabilidad se reparte entre el resto
+Roulette.prototype.getDrawSectors = function(excludedPrizeIds = []) {
   if (!this.sectors_config || this.sectors_config.length === 0) {
     throw new Error('No hay sectores configurados en la ruleta');
   }
   
-  // Generar número aleatorio
-  const random = Math.random() * 100;
-  let cumulative = 0;
+  return this.sectors_config
+    .map((sector, index) => ({ index, prize_id: sector.prize_id, probability: sector.probability }))
+    .filter(sector => !excludedPrizeIds.includes(sector.prize_id));
+};
+
+// Método de instancia para seleccionar premio basado en probabilidades
+// roll: número entre 0 y 1 (los giros lo obtienen de las semillas verificables; sin él se usa crypto)
+Roulette.prototype.selectPrize = function(roll = crypto.randomBytes(6).readUIntBE(0, 6) / 2 ** 48, excludedPrizeIds = []) {
+  const sectors = this.getDrawSectors(excludedPrizeIds);
   
-  for (const sector of this.sectors_config) {
-    cumulative += sector.probability;
-    if (random <= cumulative) {
-      return {
-        prize_id: sector.prize_id,
-        sector_index: this.sectors_config.indexOf(sector),
-        sector_config: sector
-      };
-    }
-  }
+  if (sectors.length === 0) return null;
   
-  // Fallback al último sector si hay problemas de redondeo
-  const lastSector = this.sectors_config[this.sectors_config.length - 1];
+  const sector = pickSector(sectors, roll);
   return {
-    prize_id: lastSector.prize_id,
-    sector_index: this.sectors_config.length - 1,
-    sector_config: lastSector
+    prize_id: sector.prize_id,
+    sector_index: sector.index,
+    sector_config: this.sectors_config[sector.index]
+  };
+};
+
+// Método de instancia para calcular la animación que muestra un resultado ya decidido
+// El puntero está arriba y el sector 0 empieza en 0° en sentido horario; el cliente solo gira la rueda
+// jitter: número entre 0 y 1 para el punto de parada dentro del sector (solo visual)
+Roulette.prototype.buildSpinAnimation = function(sectorIndex, jitter = 0.5) {
+  const sectorCount = this.sectors_config.length;
+  const sectorAngle = 360 / sectorCount;
+  // Punto de parada dentro del sector (sin tocar los bordes) para que no todos los giros se vean iguales
+  const offset = sectorAngle * (0.15 + jitter * 0.7);
+  const stopAngle = sectorIndex * sectorAngle + offset;
+  const fullRotations = 4 + Math.round(parseFloat(this.spin_acceleration) * 2);
+  
+  return {
+    sector_index: sectorIndex,
+    sector_count: sectorCount,
+    sector_angle: sectorAngle,
+    full_rotations: fullRotations,
+    final_rotation_degrees: Math.round((fullRotations * 360 + (360 - stopAngle)) * 100) / 100,
+    duration_ms: this.animation_duration,
+    acceleration: parseFloat(this.spin_acceleration),
+    enable_sound: this.enable_sound,
+    sound_config: this.sound_config,
+    enable_confetti: this.enable_confetti,
+    confetti_config: this.confetti_config,
+    enable_particles: this.enable_particles,
+    particles_config: this.particles_config
+  };
+};
+
+// Método de instancia para el formato que la app usa para dibujar la rueda (sin probabilidades)
+// prizesById: Map de premios de los sectores
+Roulette.prototype.toPublic = function(prizesById = new Map()) {
+  return {
+    id: this.id,
+    name: this.name,
+    category: this.category,
+    theme_color: this.theme_color,
+    background_color: this.background_color,
+    text_color: this.text_color,
+    border_color: this.border_color,
+    sectors: (this.sectors_config || []).map((sector, index) => {
+      const prize = prizesById.get(sector.prize_id);
+      return {
+        index,
+        color: sector.color,
+        label: sector.label || (prize ? prize.name : null),
+        icon_name: prize ? prize.icon_name : null
+      };
+    })
   };
 };
 
 // Método de instancia para registrar giro
-Roulette.prototype.recordSpin = async function(prizeWinningId) {
+Roulette.prototype.recordSpin = async function(prizeWinningId, options = {}) {
   this.total_spins += 1;
   this.total_prizes_awarded += 1;
-  await this.save();
+  await this.save({ transaction: options.transaction });
 };
 
-// Método de clase para obtener ruleta por defecto de una categoría
-Roulette.getDefaultForCategory = function(category) {
+// Método de clase para obtener ruleta por defecto de una categoría (con bloqueo si hay transacción)
+Roulette.getDefaultForCategory = function(category, options = {}) {
   return this.findOne({
     where: {
       category: category,
       is_default: true,
       is_active: true
-    }
+    },
+    transaction: options.transaction,
+    lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
   });
 };
 
@@ -563,6 +741,20 @@ Roulette.associate = function(models) {
     });
   }
   
+  // Una ruleta tiene un historial de versiones de sus sectores
+  if (models.RouletteVersion) {
+    Roulette.hasMany(models.RouletteVersion, {
+      foreignKey: 'roulette_id',
+      as: 'versions'
+    });
+    
+    Roulette.belongsTo(models.RouletteVersion, {
+      foreignKey: 'current_version_id',
+      as: 'currentVersion',
+      constraints: false
+    });
+  }
+  
   // Una ruleta puede generar muchos premios ganados
   if (models.PrizeWinning) {
     Roulette.hasMany(models.PrizeWinning, {
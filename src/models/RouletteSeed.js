@@ -0,0 +1,109 @@
+// Archivo: src/models/RouletteSeed.js
+// Modelo de las semillas de los giros verificables: el servidor publica el hash de su semilla antes de girar
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RouletteSeed = sequelize.define('RouletteSeed', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único del par de semillas'
+  },
+  client_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clients',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Cliente dueño de las semillas'
+  },
+  server_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Semilla secreta del servidor (se revela al rotar)'
+  },
+  server_seed_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 de la semilla del servidor, publicado antes de los giros'
+  },
+  client_seed: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [1, 64],
+        msg: 'La semilla del cliente debe tener entre 1 y 64 caracteres'
+      }
+    },
+    comment: 'Semilla elegida por el cliente'
+  },
+  next_nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El nonce no puede ser negativo'
+      }
+    },
+    comment: 'Nonce del próximo giro (uno por giro con este par de semillas)'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Indica si es el par de semillas en uso'
+  },
+  revealed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se reveló la semilla del servidor'
+  }
+}, {
+  tableName: 'roulette_seeds',
+  timestamps: true,
+  indexes: [
+    {
+      // Un solo par de semillas activo por cliente
+      unique: true,
+      fields: ['client_id'],
+      where: {
+        is_active: true
+      }
+    },
+    {
+      unique: true,
+      fields: ['server_seed_hash']
+    }
+  ],
+  comment: 'Tabla de semillas de los giros de ruleta verificables'
+});
+
+// Método de instancia para el formato público (la semilla del servidor solo después de revelarla)
+RouletteSeed.prototype.toPublic = function() {
+  return {
+    server_seed_hash: this.server_seed_hash,
+    server_seed: this.revealed_at ? this.server_seed : null,
+    client_seed: this.client_seed,
+    next_nonce: this.next_nonce,
+    revealed_at: this.revealed_at
+  };
+};
+
+// Asociaciones protegidas con verificación de existencia
+RouletteSeed.associate = function(models) {
+  if (models.Client) {
+    RouletteSeed.belongsTo(models.Client, {
+      foreignKey: 'client_id',
+      as: 'client'
+    });
+  }
+};
+
+module.exports = RouletteSeed;
@@ -0,0 +1,207 @@
+// Archivo: src/models/RouletteVersion.js
+// Modelo de versiones de ruleta: cada configuración de sectores publicada queda guardada y no se vuelve a editar
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STATUSES = ['draft', 'scheduled', 'active', 'retired'];
+
+const RouletteVersion = sequelize.define('RouletteVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'ID único de la versión'
+  },
+  roulette_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'roulettes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Ruleta a la que pertenece la versión'
+  },
+  version_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El número de versión debe ser al menos 1'
+      }
+    },
+    comment: 'Número correlativo de la versión dentro de su ruleta'
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'draft',
+    comment: 'Estado: draft=Borrador editable, scheduled=Programada, active=En uso, retired=Reemplazada o vencida'
+  },
+  sectors_config: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    validate: {
+      isArray(value) {
+        if (!Array.isArray(value)) {
+          throw new Error('La configuración de sectores debe ser un array');
+        }
+      }
+    },
+    comment: 'Sectores de la versión (mismo formato que Roulette.sectors_config)'
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Si al activarse la ruleta pasa a ser la ruleta por defecto de su categoría'
+  },
+  valid_from: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha de activación (requerida para programar la versión)'
+  },
+  valid_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que la versión deja de estar vigente (null = hasta que otra la reemplace)'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Motivo del cambio'
+  },
+  created_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Usuario que creó la versión (null = creada por el sistema)'
+  },
+  scheduled_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Usuario que programó la versión'
+  },
+  scheduled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se programó'
+  },
+  activated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que se activó'
+  },
+  retired_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha en que fue reemplazada o venció'
+  }
+}, {
+  tableName: 'roulette_versions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['roulette_id', 'version_number']
+    },
+    {
+      // Una sola versión en uso por ruleta
+      unique: true,
+      fields: ['roulette_id'],
+      where: {
+        status: 'active'
+      }
+    },
+    {
+      fields: ['status', 'valid_from']
+    },
+    {
+      fields: ['status', 'valid_until']
+    }
+  ],
+  comment: 'Tabla de versiones de la configuración de sectores de las ruletas'
+});
+
+// Hook para impedir cambios en los sectores de una versión que ya salió de borrador
+// Los premios ganados apuntan a su versión: si cambiara, se perdería con qué probabilidades se sortearon
+RouletteVersion.beforeUpdate((version) => {
+  const frozenFields = ['roulette_id', 'version_number', 'sectors_config', 'is_default', 'valid_from', 'valid_until'];
+
+  if (version.previous('status') !== 'draft' && frozenFields.some(field => version.changed(field))) {
+    throw new Error('Solo se pueden editar las versiones en borrador');
+  }
+});
+
+// Método de clase para obtener el siguiente número de versión de una ruleta
+RouletteVersion.getNextNumber = async function(rouletteId, options = {}) {
+  const last = await this.max('version_number', {
+    where: { roulette_id: rouletteId },
+    transaction: options.transaction
+  });
+
+  return (last || 0) + 1;
+};
+
+// Método de clase para obtener las versiones programadas cuya fecha de activación ya llegó
+RouletteVersion.findDueForActivation = function(now = new Date()) {
+  return this.findAll({
+    where: {
+      status: 'scheduled',
+      valid_from: { [sequelize.Sequelize.Op.lte]: now }
+    },
+    order: [['valid_from', 'ASC'], ['version_number', 'ASC']]
+  });
+};
+
+// Método de clase para obtener las versiones en uso que ya vencieron
+RouletteVersion.findExpired = function(now = new Date()) {
+  return this.findAll({
+    where: {
+      status: 'active',
+      valid_until: { [sequelize.Sequelize.Op.lte]: now }
+    }
+  });
+};
+
+// Asociaciones protegidas con verificación de existencia
+RouletteVersion.associate = function(models) {
+  if (models.Roulette) {
+    RouletteVersion.belongsTo(models.Roulette, {
+      foreignKey: 'roulette_id',
+      as: 'roulette'
+    });
+  }
+
+  if (models.User) {
+    RouletteVersion.belongsTo(models.User, {
+      foreignKey: 'created_by_user_id',
+      as: 'createdBy'
+    });
+
+    RouletteVersion.belongsTo(models.User, {
+      foreignKey: 'scheduled_by_user_id',
+      as: 'scheduledBy'
+    });
+  }
+
+  if (models.PrizeWinning) {
+    RouletteVersion.hasMany(models.PrizeWinning, {
+      foreignKey: 'roulette_version_id',
+      as: 'prizeWinnings'
+    });
+  }
+};
+
+RouletteVersion.STATUSES = STATUSES;
+
+module.exports = RouletteVersion;
@@ -3,7 +3,12 @@
 
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { sequelize } = require('../config/database');
+const { getPermissionsForRole, roleHasPermission } = require('../config/permissions');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODES_COUNT = 10;
 
 const User = sequelize.define('User', {
   id: {
@@ -107,6 +112,28 @@ const User = sequelize.define('User', {
     defaultValue: false,
     comment: 'Indica si el usuario tiene habilitada la autenticación de dos factores'
   },
+  two_factor_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Secreto TOTP en base32 (se genera al iniciar el enrolamiento de 2FA)'
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Hashes SHA-256 de los códigos de recuperación de un solo uso'
+  },
+  two_factor_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Último paso TOTP aceptado, para impedir reutilizar un mismo código'
+  },
+  token_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Versión de tokens JWT; se incrementa al cerrar sesión para invalidar tokens emitidos'
+  },
   profile_image_id: {
     type: DataTypes.UUID,
     allowNull: true,
@@ -165,11 +192,27 @@ User.prototype.getFullName = function() {
   return `${this.first_name} ${this.last_name}`;
 };
 
+// Método de instancia para verificar si el rol del usuario tiene una capacidad
+User.prototype.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Método de instancia para obtener todas las capacidades del usuario
+User.prototype.getPermissions = function() {
+  return getPermissionsForRole(this.role);
+};
+
 // Método de instancia para verificar si la cuenta está bloqueada
 User.prototype.isLocked = function() {
   return this.locked_until && this.locked_until > new Date();
 };
 
+// Método de instancia para obtener el tiempo restante de bloqueo en milisegundos
+User.prototype.getLockTimeRemaining = function() {
+  if (!this.isLocked()) return 0;
+  return new Date(this.locked_until).getTime() - Date.now();
+};
+
 // Método de instancia para incrementar intentos de login
 User.prototype.incrementLoginAttempts = async function() {
   const maxAttempts = 5;
@@ -193,6 +236,102 @@ User.prototype.resetLoginAttempts = async function() {
   await this.save();
 };
 
+// Función para obtener el hash de un código de recuperación normalizado
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Método de instancia para iniciar el enrolamiento de 2FA (genera un secreto nuevo)
+User.prototype.startTwoFactorEnrollment = async function() {
+  this.two_factor_secret = totp.generateSecret();
+  this.two_factor_enabled = false;
+  this.two_factor_last_step = null;
+  await this.save();
+
+  return {
+    secret: this.two_factor_secret,
+    otpauth_uri: totp.buildOtpauthURI(this.two_factor_secret, this.email)
+  };
+};
+
+// Método de instancia para verificar un código TOTP (con tolerancia y sin reutilización)
+User.prototype.verifyTwoFactorCode = async function(code) {
+  if (!this.two_factor_secret) return false;
+
+  const step = totp.verifyCode(this.two_factor_secret, code);
+  if (step === null) return false;
+
+  // Rechazar un código ya usado o anterior al último aceptado
+  if (this.two_factor_last_step !== null && step <= this.two_factor_last_step) {
+    return false;
+  }
+
+  this.two_factor_last_step = step;
+  await this.save();
+  return true;
+};
+
+// Método de instancia para generar nuevos códigos de recuperación (reemplaza los anteriores)
+User.prototype.generateRecoveryCodes = async function() {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.two_factor_recovery_codes = codes.map(hashRecoveryCode);
+  await this.save();
+
+  // Los códigos en claro solo se muestran una vez
+  return codes;
+};
+
+// Método de instancia para consumir un código de recuperación
+User.prototype.useRecoveryCode = async function(code) {
+  const hash = hashRecoveryCode(code);
+  const storedCodes = this.two_factor_recovery_codes || [];
+
+  const index = storedCodes.findIndex(stored =>
+    stored.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(stored), Buffer.from(hash))
+  );
+
+  if (index === -1) return false;
+
+  // Cada código es de un solo uso
+  this.two_factor_recovery_codes = storedCodes.filter((_, i) => i !== index);
+  await this.save();
+  return true;
+};
+
+// Método de instancia para desactivar 2FA
+User.prototype.disableTwoFactor = async function() {
+  this.two_factor_enabled = false;
+  this.two_factor_secret = null;
+  this.two_factor_recovery_codes = [];
+  this.two_factor_last_step = null;
+  await this.save();
+};
+
+// Método de instancia para invalidar todos los tokens emitidos (logout)
+User.prototype.revokeTokens = async function() {
+  this.token_version += 1;
+  await this.save();
+};
+
+// Ocultar campos sensibles al serializar
+User.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.password;
+  delete values.token_version;
+  delete values.two_factor_secret;
+  delete values.two_factor_recovery_codes;
+  delete values.two_factor_last_step;
+  return values;
+};
+
 // Método de clase para buscar usuario activo por email
 User.findActiveByEmail = function(email) {
   return this.findOne({
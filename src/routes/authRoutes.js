@@ -0,0 +1,26 @@
+// Archivo: src/routes/authRoutes.js
+// Rutas de autenticación del personal administrativo
+
+const express = require('express');
+const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticateUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Sesión
+router.post('/login', authController.login);
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authenticateUser, authController.logout);
+
+// Perfil del usuario autenticado
+router.get('/me', authenticateUser, authController.me);
+
+// Administración de 2FA (TOTP)
+router.post('/2fa/setup', authenticateUser, twoFactorController.setup);
+router.post('/2fa/enable', authenticateUser, twoFactorController.enable);
+router.post('/2fa/disable', authenticateUser, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateUser, twoFactorController.regenerateRecoveryCodes);
+
+module.exports = router;
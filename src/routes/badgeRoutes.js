@@ -0,0 +1,15 @@
+// Archivo: src/routes/badgeRoutes.js
+// Rutas del catálogo de insignias y del progreso de los clientes
+
+const express = require('express');
+const badgeController = require('../controllers/badgeController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', badgeController.list);
+router.get('/me', authenticateClient, badgeController.myProgress);
+router.get('/clients/:clientId', authenticateUser, requirePermission('clients.view'), badgeController.clientProgress);
+
+module.exports = router;
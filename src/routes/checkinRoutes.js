@@ -0,0 +1,36 @@
+// Archivo: src/routes/checkinRoutes.js
+// Rutas de check-in de los clientes y de revisión para el personal
+
+const express = require('express');
+const checkinController = require('../controllers/checkinController');
+const checkinReviewController = require('../controllers/checkinReviewController');
+const fraudRuleController = require('../controllers/fraudRuleController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Check-in GPS y salida (GPS o QR) desde la app
+router.post('/', authenticateClient, checkinController.create);
+router.post('/checkout', authenticateClient, checkinController.checkout);
+router.get('/me/visit-stats', authenticateClient, checkinController.myVisitStats);
+router.get('/me/streak', authenticateClient, checkinController.myStreak);
+
+// Lista de espera por aforo
+router.get('/waitlist', authenticateClient, checkinController.myWaitlist);
+router.delete('/waitlist', authenticateClient, checkinController.leaveWaitlist);
+
+// Duración de las visitas (personal)
+router.get('/stats/duration', authenticateUser, requirePermission('reports.view'), checkinController.dailyVisitStats);
+router.get('/stats/duration/clients/:clientId', authenticateUser, requirePermission('clients.view'), checkinController.clientVisitStats);
+
+// Cola de revisión de check-ins sospechosos (personal)
+router.get('/review/queue', authenticateUser, requirePermission('checkins.view'), checkinReviewController.queue);
+router.get('/review/:id', authenticateUser, requirePermission('checkins.view'), checkinReviewController.detail);
+router.post('/review/approve', authenticateUser, requirePermission('checkins.validate'), checkinReviewController.approve);
+router.post('/review/reject', authenticateUser, requirePermission('checkins.validate'), checkinReviewController.reject);
+
+// Explicación de las reglas antifraude que se activaron
+router.get('/:id/fraud-explanation', authenticateUser, requirePermission('checkins.view'), fraudRuleController.explain);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// Archivo: src/routes/clientAuthRoutes.js
+// Rutas de autenticación para los clientes (miembros) desde la app
+
+const express = require('express');
+const clientAuthController = require('../controllers/clientAuthController');
+const { authenticateClient } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Registro y sesión
+router.post('/register', clientAuthController.register);
+router.post('/login', clientAuthController.login);
+router.post('/refresh', clientAuthController.refresh);
+router.post('/logout', authenticateClient, clientAuthController.logout);
+router.get('/me', authenticateClient, clientAuthController.me);
+
+// Inicio de sesión con Google
+router.post('/google', clientAuthController.googleSignIn);
+router.post('/google/link', clientAuthController.confirmGoogleLink);
+
+// Verificación de email
+router.post('/verify-email', clientAuthController.verifyEmail);
+router.post('/resend-verification', authenticateClient, clientAuthController.resendVerification);
+
+// Recuperación de contraseña
+router.post('/forgot-password', clientAuthController.forgotPassword);
+router.post('/reset-password', clientAuthController.resetPassword);
+
+module.exports = router;
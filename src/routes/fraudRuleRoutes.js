@@ -0,0 +1,14 @@
+// Archivo: src/routes/fraudRuleRoutes.js
+// Rutas de configuración de las reglas antifraude
+
+const express = require('express');
+const fraudRuleController = require('../controllers/fraudRuleController');
+const { authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', authenticateUser, requirePermission('checkins.view'), fraudRuleController.list);
+router.put('/:key', authenticateUser, requirePermission('fraud_rules.configure'), fraudRuleController.update);
+
+module.exports = router;
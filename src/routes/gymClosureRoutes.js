@@ -0,0 +1,18 @@
+// Archivo: src/routes/gymClosureRoutes.js
+// Rutas de los días festivos y cierres del gimnasio
+
+const express = require('express');
+const gymClosureController = require('../controllers/gymClosureController');
+const { authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Consulta pública: la app muestra los próximos cierres
+router.get('/', gymClosureController.list);
+
+// Administración de cierres (usan el mismo permiso que las sedes)
+router.post('/', authenticateUser, requirePermission('locations.manage'), gymClosureController.create);
+router.delete('/:id', authenticateUser, requirePermission('locations.manage'), gymClosureController.remove);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// Archivo: src/routes/leaderboardRoutes.js
+// Rutas de las tablas de clasificación de los clientes
+
+const express = require('express');
+const leaderboardController = require('../controllers/leaderboardController');
+const { authenticateClient } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', authenticateClient, leaderboardController.list);
+router.put('/me/visibility', authenticateClient, leaderboardController.updateVisibility);
+
+module.exports = router;
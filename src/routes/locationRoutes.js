@@ -0,0 +1,28 @@
+// Archivo: src/routes/locationRoutes.js
+// Rutas de las sedes del gimnasio
+
+const express = require('express');
+const locationController = require('../controllers/locationController');
+const { authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Estadísticas por sede (antes de /:id para que no se interprete como ID)
+router.get('/stats/attendance', authenticateUser, requirePermission('reports.view'), locationController.attendanceStats);
+
+// Consulta pública de sedes activas (la app las muestra a los clientes)
+router.get('/', locationController.list);
+router.get('/:id', locationController.getById);
+
+// Aforo en tiempo real y curva de ocupación por hora
+router.get('/:id/occupancy', locationController.occupancy);
+router.get('/:id/occupancy/hourly', locationController.hourlyOccupancy);
+router.get('/:id/waitlist', authenticateUser, requirePermission('checkins.view'), locationController.waitlist);
+
+// Administración de sedes
+router.post('/', authenticateUser, requirePermission('locations.manage'), locationController.create);
+router.put('/:id', authenticateUser, requirePermission('locations.manage'), locationController.update);
+router.delete('/:id', authenticateUser, requirePermission('locations.manage'), locationController.deactivate);
+
+module.exports = router;
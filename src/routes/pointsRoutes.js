@@ -0,0 +1,13 @@
+// Archivo: src/routes/pointsRoutes.js
+// Rutas del saldo e historial de puntos de los clientes
+
+const express = require('express');
+const pointsController = require('../controllers/pointsController');
+const { authenticateClient } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/me', authenticateClient, pointsController.myPoints);
+router.get('/me/history', authenticateClient, pointsController.myHistory);
+
+module.exports = router;
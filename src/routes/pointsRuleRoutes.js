@@ -0,0 +1,22 @@
+// Archivo: src/routes/pointsRuleRoutes.js
+// Rutas de configuración de las reglas de puntos por check-in
+
+const express = require('express');
+const pointsRuleController = require('../controllers/pointsRuleController');
+const { authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', authenticateUser, requirePermission('points.view'), pointsRuleController.list);
+router.post('/', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.create);
+
+// Vista previa de una regla sin guardar (antes de /:id)
+router.post('/preview', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.previewDraft);
+
+router.put('/:id', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.update);
+router.post('/:id/preview', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.preview);
+router.post('/:id/activate', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.activate);
+router.post('/:id/deactivate', authenticateUser, requirePermission('points_rules.configure'), pointsRuleController.deactivate);
+
+module.exports = router;
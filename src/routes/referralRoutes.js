@@ -0,0 +1,14 @@
+// Archivo: src/routes/referralRoutes.js
+// Rutas del programa de referidos
+
+const express = require('express');
+const referralController = require('../controllers/referralController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/me', authenticateClient, referralController.myReferrals);
+router.get('/report', authenticateUser, requirePermission('reports.view'), referralController.report);
+
+module.exports = router;
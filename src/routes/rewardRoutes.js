@@ -0,0 +1,21 @@
+// Archivo: src/routes/rewardRoutes.js
+// Rutas del catálogo de recompensas y canje de puntos
+
+const express = require('express');
+const rewardController = require('../controllers/rewardController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Catálogo y canjes del cliente
+router.get('/', rewardController.list);
+router.get('/me/redemptions', authenticateClient, rewardController.myRedemptions);
+router.post('/:id/redeem', authenticateClient, rewardController.redeem);
+
+// Administración del catálogo
+router.get('/manage', authenticateUser, requirePermission('prizes.view'), rewardController.listAll);
+router.post('/', authenticateUser, requirePermission('prizes.configure'), rewardController.create);
+router.put('/:id', authenticateUser, requirePermission('prizes.configure'), rewardController.update);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// Archivo: src/routes/rouletteRoutes.js
+// Rutas de los giros de ruleta, de la simulación de costos y de las versiones
+
+const express = require('express');
+const rouletteController = require('../controllers/rouletteController');
+const rouletteVersionController = require('../controllers/rouletteVersionController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.post('/spin', authenticateClient, rouletteController.spin);
+router.get('/fairness', authenticateClient, rouletteController.getSeeds);
+router.post('/fairness/rotate', authenticateClient, rouletteController.rotateSeeds);
+router.get('/spins/:id/verify', rouletteController.verifySpin);
+router.post('/simulate', authenticateUser, requirePermission('prizes.configure'), rouletteController.simulate);
+
+// Versiones (las rutas /versions/:id van antes de /:rouletteId)
+router.get('/versions/:id', authenticateUser, requirePermission('prizes.view'), rouletteVersionController.show);
+router.put('/versions/:id', authenticateUser, requirePermission('prizes.configure'), rouletteVersionController.update);
+router.post('/versions/:id/schedule', authenticateUser, requirePermission('prizes.configure'), rouletteVersionController.schedule);
+router.post('/versions/:id/unschedule', authenticateUser, requirePermission('prizes.configure'), rouletteVersionController.unschedule);
+router.get('/:rouletteId/versions', authenticateUser, requirePermission('prizes.view'), rouletteVersionController.list);
+router.post('/:rouletteId/versions', authenticateUser, requirePermission('prizes.configure'), rouletteVersionController.create);
+
+module.exports = router;
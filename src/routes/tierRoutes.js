@@ -0,0 +1,15 @@
+// Archivo: src/routes/tierRoutes.js
+// Rutas de los niveles de los miembros y de su estado
+
+const express = require('express');
+const tierController = require('../controllers/tierController');
+const { authenticateClient, authenticateUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+
+const router = express.Router();
+
+router.get('/', tierController.list);
+router.get('/me', authenticateClient, tierController.myStatus);
+router.get('/clients/:clientId', authenticateUser, requirePermission('clients.view'), tierController.clientStatus);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// Archivo: src/services/badgeService.js
+// Servicio de insignias: revisa las insignias de un evento, las otorga con su recompensa y calcula el progreso
+
+const { sequelize } = require('../config/database');
+const { BADGES, getBadgesForEvent } = require('../config/badges');
+const { runInTransaction, lockClient, recordPointsChange } = require('./pointsService');
+
+// Función para contar los check-ins que cuentan como visita
+function countVisits(clientId, extraWhere, options) {
+  return sequelize.models.ClientCheckin.count({
+    where: {
+      client_id: clientId,
+      status: ['valid', 'approved'],
+      ...extraWhere
+    },
+    transaction: options.transaction
+  });
+}
+
+// Cálculo de cada métrica declarada en config/badges
+const METRIC_RESOLVERS = {
+  checkins: (client, params, options) => countVisits(client.id, {}, options),
+
+  streak: async (client) => client.max_consecutive_days,
+
+  early_checkins: (client, params, options) => countVisits(client.id, {
+    checkin_time: { [sequelize.Sequelize.Op.lt]: `${params.before}:00` }
+  }, options),
+
+  points_earned: async (client, params, options) => {
+    const total = await sequelize.models.PointsTransaction.sum('points_earned', {
+      where: {
+        client_id: client.id,
+        transaction_type: ['earned', 'bonus'],
+        is_reversed: false
+      },
+      transaction: options.transaction
+    });
+    return total || 0;
+  },
+
+  roulette_wins: (client, params, options) => sequelize.models.PrizeWinning.count({
+    where: {
+      client_id: client.id,
+      roulette_id: { [sequelize.Sequelize.Op.ne]: null },
+      status: { [sequelize.Sequelize.Op.ne]: 'cancelled' }
+    },
+    transaction: options.transaction
+  })
+};
+
+// Función para calcular el valor de las métricas de varias insignias (cada métrica una sola vez)
+async function resolveMetrics(client, badges, options = {}) {
+  const values = {};
+
+  for (const badge of badges) {
+    const key = `${badge.metric}:${JSON.stringify(badge.params || {})}`;
+    if (!(key in values)) {
+      values[key] = await METRIC_RESOLVERS[badge.metric](client, badge.params || {}, options);
+    }
+    badge.value = values[key];
+  }
+
+  return badges;
+}
+
+// Función para entregar la recompensa de una insignia
+async function deliverReward(client, badge, clientBadge, transaction) {
+  const { QRCode } = sequelize.models;
+  const reward = badge.reward || {};
+
+  if (reward.points && client.canEarnPoints()) {
+    const pointsTransaction = await recordPointsChange(client.id, {
+      points: reward.points,
+      transaction_type: 'bonus',
+      source_type: 'bonus',
+      special_bonus: reward.points,
+      reason: `Insignia obtenida: ${badge.name}`,
+      metadata: { badge_code: badge.code }
+    }, { transaction, client });
+    clientBadge.points_transaction_id = pointsTransaction.id;
+  }
+
+  if (reward.spin) {
+    const qrCode = await QRCode.create({
+      code_type: 'special',
+      client_id: client.id,
+      prize_category: reward.spin,
+      max_uses: 1,
+      description: `Giro de ruleta por la insignia ${badge.name}`,
+      metadata: { source: 'badge', badge_code: badge.code }
+    }, { transaction });
+    clientBadge.qr_code_id = qrCode.id;
+  }
+
+  await clientBadge.save({ transaction });
+}
+
+// Función para avisar al cliente de la insignia obtenida
+async function notifyBadge(client, badge, clientBadge, transaction) {
+  const { Notification } = sequelize.models;
+  const reward = badge.reward || {};
+  let message = `¡Obtuviste la insignia "${badge.name}"! ${badge.description}.`;
+
+  if (clientBadge.points_transaction_id) message += ` Ganaste ${reward.points} puntos.`;
+  if (clientBadge.qr_code_id) message += ' Tienes un giro de ruleta de regalo.';
+
+  await Notification.create({
+    client_id: client.id,
+    title: '¡Nueva insignia!',
+    message,
+    type: 'motivational',
+    priority: 'medium',
+    related_type: 'other',
+    related_id: clientBadge.id,
+    is_automated: true
+  }, { transaction });
+}
+
+// Función para revisar y otorgar las insignias de un evento
+// options: { transaction, client } donde client es la instancia que el llamador ya bloqueó en la transacción
+// Devuelve las insignias obtenidas en esta revisión (ClientBadge)
+async function evaluateBadges(clientId, event, options = {}) {
+  const { ClientBadge } = sequelize.models;
+  const candidates = getBadgesForEvent(event);
+
+  if (candidates.length === 0) return [];
+
+  return runInTransaction(options.transaction, async (transaction) => {
+    const client = options.client || await lockClient(clientId, transaction);
+    const earned = await ClientBadge.findByClient(client.id, { transaction });
+    const earnedCodes = new Set(earned.map(item => item.badge_code));
+    const pending = candidates.filter(badge => !earnedCodes.has(badge.code)).map(badge => ({ ...badge }));
+
+    await resolveMetrics(client, pending, { transaction });
+
+    const awarded = [];
+    for (const badge of pending.filter(item => item.value >= item.target)) {
+      // Se crea antes de la recompensa: los puntos de la recompensa vuelven a revisar insignias y esta ya cuenta como obtenida
+      const clientBadge = await ClientBadge.create({
+        client_id: client.id,
+        badge_code: badge.code,
+        progress_value: badge.value
+      }, { transaction });
+
+      await deliverReward(client, badge, clientBadge, transaction);
+      await notifyBadge(client, badge, clientBadge, transaction);
+      awarded.push(clientBadge);
+    }
+
+    return awarded;
+  });
+}
+
+// Función para obtener el progreso de un cliente en todas las insignias (para la app)
+async function getBadgeProgress(clientId) {
+  const { Client, ClientBadge } = sequelize.models;
+  const client = await Client.findByPk(clientId);
+
+  if (!client) return null;
+
+  const earned = new Map((await ClientBadge.findByClient(clientId)).map(item => [item.badge_code, item]));
+  const pending = BADGES.filter(badge => !earned.has(badge.code)).map(badge => ({ ...badge }));
+  await resolveMetrics(client, pending);
+  const values = new Map(pending.map(badge => [badge.code, badge.value]));
+
+  return BADGES.map(badge => {
+    const clientBadge = earned.get(badge.code);
+    const current = clientBadge ? clientBadge.progress_value : values.get(badge.code);
+
+    return {
+      code: badge.code,
+      name: badge.name,
+      description: badge.description,
+      reward: badge.reward,
+      earned: Boolean(clientBadge),
+      earned_at: clientBadge ? clientBadge.earned_at : null,
+      current: Math.min(current, badge.target),
+      target: badge.target,
+      percent: Math.min(Math.round((current / badge.target) * 100), 100)
+    };
+  });
+}
+
+module.exports = {
+  evaluateBadges,
+  getBadgeProgress
+};
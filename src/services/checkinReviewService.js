@@ -0,0 +1,182 @@
+// Archivo: src/services/checkinReviewService.js
+// Servicio para la cola de revisión de check-ins sospechosos y las decisiones del personal
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { isUUID } = require('../utils/uuid');
+
+const ATTENDANCE_PATTERN_DAYS = 30;
+const RECENT_CHECKINS_SHOWN = 5;
+
+// Función para resumir el patrón de asistencia reciente de un cliente
+function summarizeAttendancePattern(checkins) {
+  const hours = {};
+  const locations = {};
+  const days = new Set();
+
+  for (const checkin of checkins) {
+    const hour = String(checkin.checkin_time).slice(0, 2);
+    hours[hour] = (hours[hour] || 0) + 1;
+    days.add(String(checkin.checkin_date));
+
+    const locationKey = checkin.location_id || 'sin_sede';
+    locations[locationKey] = (locations[locationKey] || 0) + 1;
+  }
+
+  return {
+    period_days: ATTENDANCE_PATTERN_DAYS,
+    total_checkins: checkins.length,
+    days_attended: days.size,
+    usual_hours: Object.entries(hours)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([hour, count]) => ({ hour: `${hour}:00`, count })),
+    locations,
+    recent_checkins: checkins.slice(-RECENT_CHECKINS_SHOWN).reverse().map(checkin => ({
+      id: checkin.id,
+      checkin_date: checkin.checkin_date,
+      checkin_time: checkin.checkin_time,
+      location_id: checkin.location_id,
+      distance_from_gym: checkin.distance_from_gym
+    }))
+  };
+}
+
+// Función para obtener el patrón de asistencia de varios clientes (una consulta por cliente)
+async function getAttendancePatterns(clientIds) {
+  const { ClientCheckin } = sequelize.models;
+  const uniqueIds = [...new Set(clientIds)];
+  const patterns = {};
+
+  await Promise.all(uniqueIds.map(async (clientId) => {
+    const checkins = await ClientCheckin.getClientAttendancePattern(clientId, ATTENDANCE_PATTERN_DAYS);
+    patterns[clientId] = summarizeAttendancePattern(checkins);
+  }));
+
+  return patterns;
+}
+
+// Función para obtener la cola paginada con el patrón de asistencia de cada cliente
+async function getReviewQueue(filters) {
+  const { ClientCheckin } = sequelize.models;
+  const { rows, count, page, limit } = await ClientCheckin.findReviewQueue(filters);
+  const patterns = await getAttendancePatterns(rows.map(checkin => checkin.client_id));
+
+  return {
+    items: rows.map(checkin => ({
+      checkin,
+      attendance_pattern: patterns[checkin.client_id]
+    })),
+    pagination: {
+      page,
+      limit,
+      total: count,
+      total_pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+// Función para obtener el detalle de un check-in con su contexto de revisión
+async function getReviewDetail(checkinId) {
+  const { ClientCheckin, CheckinReview } = sequelize.models;
+  // Un ID mal formado no puede existir: se responde 404 sin consultar la base
+  const checkin = isUUID(checkinId)
+    ? await ClientCheckin.findByPk(checkinId, {
+      include: [
+        {
+          model: sequelize.models.Client,
+          as: 'client',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'consecutive_days', 'last_checkin_date']
+        }
+      ]
+    })
+    : null;
+
+  if (!checkin) {
+    throw createHttpError(404, 'Check-in no encontrado');
+  }
+
+  const [patterns, reviews] = await Promise.all([
+    getAttendancePatterns([checkin.client_id]),
+    CheckinReview.findByCheckin(checkin.id)
+  ]);
+
+  return {
+    checkin,
+    attendance_pattern: patterns[checkin.client_id],
+    reviews
+  };
+}
+
+// Función para aprobar o rechazar un check-in y registrar la decisión
+async function reviewCheckin(checkinId, decision, reviewer, notes) {
+  const { ClientCheckin, CheckinReview } = sequelize.models;
+
+  // Un ID mal formado haría fallar la consulta; en la revisión masiva queda como fallo de ese check-in
+  if (!isUUID(checkinId)) {
+    throw createHttpError(400, 'ID de check-in no válido');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const checkin = await ClientCheckin.findByPk(checkinId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!checkin) {
+      throw createHttpError(404, 'Check-in no encontrado');
+    }
+
+    if (!ClientCheckin.PENDING_REVIEW_STATUSES.includes(checkin.status)) {
+      throw createHttpError(409, `El check-in ya fue revisado (estado: ${checkin.status})`);
+    }
+
+    const previousStatus = checkin.status;
+    const pointsAwarded = await checkin.validateManually(reviewer.id, decision === 'approved', notes, { transaction });
+
+    await CheckinReview.create({
+      checkin_id: checkin.id,
+      reviewed_by_user_id: reviewer.id,
+      decision,
+      previous_status: previousStatus,
+      fraud_risk_score: checkin.fraud_risk_score,
+      fraud_indicators: checkin.fraud_indicators,
+      points_awarded: pointsAwarded,
+      notes
+    }, { transaction });
+
+    return { checkin, pointsAwarded };
+  });
+}
+
+// Función para revisar varios check-ins; cada uno se decide en su propia transacción
+async function reviewCheckins(checkinIds, decision, reviewer, notes = null) {
+  const results = [];
+
+  for (const checkinId of checkinIds) {
+    try {
+      const { checkin, pointsAwarded } = await reviewCheckin(checkinId, decision, reviewer, notes);
+      results.push({
+        checkin_id: checkinId,
+        success: true,
+        status: checkin.status,
+        points_awarded: pointsAwarded
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      results.push({
+        checkin_id: checkinId,
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getReviewQueue,
+  getReviewDetail,
+  reviewCheckins
+};
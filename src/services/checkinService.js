@@ -0,0 +1,316 @@
+// Archivo: src/services/checkinService.js
+// Servicio que orquesta el check-in GPS de un cliente: membresía, validaciones, puntos y racha
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { getLocalMoment } = require('../utils/timezone');
+const occupancyService = require('./occupancyService');
+const { evaluateBadges } = require('./badgeService');
+const { updateClientTier } = require('./tierService');
+
+const VALID_PLATFORMS = ['web', 'ios', 'android'];
+
+// Función para buscar la membresía vigente del cliente junto con su tipo
+async function findActiveMembership(clientId, today, transaction) {
+  const { ClientMembership, MembershipType } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  return ClientMembership.findOne({
+    where: {
+      client_id: clientId,
+      status: 'active',
+      is_frozen: false,
+      start_date: { [Op.lte]: today },
+      end_date: { [Op.gte]: today }
+    },
+    include: [
+      {
+        model: MembershipType,
+        as: 'membershipType'
+      }
+    ],
+    order: [['end_date', 'DESC']],
+    transaction
+  });
+}
+
+// Función para armar el desglose de puntos que se muestra en la app
+function buildPointsBreakdown(checkin, pointsAwarded) {
+  return {
+    base_points: checkin.getBasePoints(),
+    consecutive_days_bonus: checkin.consecutive_days_bonus,
+    time_bonus: checkin.time_bonus,
+    multiplier: parseFloat(checkin.points_multiplier),
+    tier: checkin.points_breakdown ? checkin.points_breakdown.tier : null,
+    repeated_checkin_penalty: !checkin.is_first_checkin_today,
+    points_earned: checkin.points_earned,
+    points_awarded: pointsAwarded,
+    rules_applied: checkin.points_breakdown ? checkin.points_breakdown.rules.map(rule => rule.name) : []
+  };
+}
+
+// Función para registrar un check-in GPS completo dentro de una sola transacción
+async function performCheckin(clientId, data, context = {}) {
+  const { Client, ClientCheckin, PointsTransaction } = sequelize.models;
+  const now = context.now || new Date();
+  // Fecha y hora del gimnasio; si la sede tiene otra zona horaria se corrigen al conocer la sede
+  const { date, time } = getLocalMoment(now);
+
+  return sequelize.transaction(async (transaction) => {
+    // Bloquear al cliente para que dos check-ins simultáneos no dupliquen puntos ni racha
+    const client = await Client.findByPk(clientId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!client || !client.is_active) {
+      throw createHttpError(404, 'Cliente no encontrado');
+    }
+
+    const membership = await findActiveMembership(client.id, date, transaction);
+
+    if (!membership || !membership.isActive()) {
+      throw createHttpError(403, 'No tienes una membresía activa');
+    }
+
+    if (membership.membershipType && !membership.membershipType.isAccessTime(now)) {
+      throw createHttpError(403, 'Tu membresía no permite el acceso en este horario', {
+        access_hours_start: membership.membershipType.access_hours_start,
+        access_hours_end: membership.membershipType.access_hours_end
+      });
+    }
+
+    const checkin = ClientCheckin.build({
+      client_id: client.id,
+      checkin_date: date,
+      checkin_time: time,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      location_accuracy: data.accuracy || null,
+      checkin_type: 'regular',
+      location_validation_method: 'gps',
+      membership_id: membership.id,
+      membership_valid: true,
+      device_info: data.device_info || null,
+      app_version: data.app_version || null,
+      platform: VALID_PLATFORMS.includes(data.platform) ? data.platform : 'web',
+      network_info: data.network_info || null,
+      ip_address: context.ip || null
+    });
+
+    // Pipeline del modelo, ejecutado dentro de la transacción
+    const location = await checkin.validateLocation({ transaction });
+
+    if (location) {
+      const local = getLocalMoment(now, location.timezone);
+      checkin.checkin_date = local.date;
+      checkin.checkin_time = local.time;
+    }
+
+    if (location && checkin.location_valid && !location.isOpen(now)) {
+      throw createHttpError(403, `La sede ${location.name} está cerrada en este horario`, {
+        location_id: location.id,
+        opening_hours: location.opening_hours,
+        timezone: location.timezone
+      });
+    }
+
+    // Control de aforo: solo en sedes con capacidad máxima configurada
+    let reservation = null;
+    if (location && checkin.location_valid && location.max_capacity) {
+      const capacity = await occupancyService.reserveSpot(location, client.id, transaction);
+
+      if (!capacity.allowed) {
+        if (location.capacity_policy === 'waitlist') {
+          const waitlistEntry = await occupancyService.joinWaitlist(location, client.id, transaction);
+          return {
+            waitlisted: true,
+            client,
+            location,
+            waitlistEntry,
+            occupancy: capacity.occupancy
+          };
+        }
+
+        throw createHttpError(409, `La sede ${location.name} está llena en este momento`, {
+          occupancy: capacity.occupancy
+        });
+      }
+
+      reservation = capacity.waitlistEntry;
+    }
+
+    await checkin.calculatePoints({
+      transaction,
+      streakDays: client.consecutive_days,
+      membershipTypeId: membership.membership_type_id,
+      tier: client.tier
+    });
+    await checkin.checkFirstCheckinToday({ transaction });
+    await checkin.calculateFraudRisk({ transaction });
+
+    // Los hooks repetirían el pipeline y sumarían puntos fuera de la transacción
+    await checkin.save({ transaction, hooks: false });
+
+    if (reservation) {
+      await occupancyService.markAdmitted(reservation, checkin.id, transaction);
+    }
+
+    let pointsTransaction = null;
+    let streak = null;
+    let badges = [];
+    let tier = null;
+
+    if (checkin.status === 'valid' && checkin.location_valid) {
+      streak = await client.updateConsecutiveDays(checkin.checkin_date, {
+        transaction,
+        locationId: checkin.location_id
+      });
+
+      if (checkin.points_earned > 0 && client.canEarnPoints()) {
+        pointsTransaction = await PointsTransaction.createFromCheckin(checkin.getPointsTransactionData(), {
+          transaction,
+          client
+        });
+      }
+
+      badges = await evaluateBadges(client.id, 'checkin', { transaction, client });
+      tier = await updateClientTier(client, { transaction, now });
+    }
+
+    return {
+      waitlisted: false,
+      checkin,
+      client,
+      location,
+      pointsTransaction,
+      streak,
+      badges,
+      tier,
+      points: buildPointsBreakdown(checkin, pointsTransaction ? pointsTransaction.points_change : 0)
+    };
+  });
+}
+
+// Tolerancia del radio al registrar la salida: el cliente suele marcarla al ir saliendo de la sede
+const CHECKOUT_RADIUS_FACTOR = 2;
+const WORKOUT_TYPES = ['cardio', 'strength', 'group_class', 'personal_training', 'other'];
+
+// Función para verificar por GPS que el cliente está en la sede de su visita
+async function assertCheckoutLocation(session, data, transaction) {
+  const { Location } = sequelize.models;
+  const latitude = Number(data.latitude);
+  const longitude = Number(data.longitude);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw createHttpError(400, 'Latitud y longitud válidas son requeridas');
+  }
+
+  const location = session.location_id && Location
+    ? await Location.findByPk(session.location_id, { transaction })
+    : null;
+  let distance;
+  let radius;
+
+  if (location) {
+    distance = location.calculateDistanceTo(latitude, longitude);
+    radius = location.radius_meters;
+  } else {
+    // Visitas sin sede: misma ubicación única de variables de entorno que validateLocation
+    distance = session.calculateDistance(
+      latitude, longitude,
+      parseFloat(process.env.GYM_LATITUDE || '14.6349'),
+      parseFloat(process.env.GYM_LONGITUDE || '-90.5069')
+    );
+    radius = parseFloat(process.env.GPS_RADIUS_METERS || '100');
+  }
+
+  if (distance > radius * CHECKOUT_RADIUS_FACTOR) {
+    throw createHttpError(400, 'Debes estar en la sede para registrar tu salida', {
+      distance_meters: Math.round(distance)
+    });
+  }
+}
+
+// Función para verificar el código QR de salida colocado en la sede
+async function assertCheckoutQRCode(session, data, now, transaction) {
+  const { QRCode } = sequelize.models;
+
+  if (!data.code) {
+    throw createHttpError(400, 'El código QR es requerido');
+  }
+
+  const qrCode = await QRCode.findOne({
+    where: { code: data.code, code_type: 'checkin' },
+    transaction
+  });
+
+  if (!qrCode) {
+    throw createHttpError(404, 'Código QR no válido');
+  }
+
+  const validation = qrCode.isValid();
+  if (!validation.valid) {
+    throw createHttpError(400, validation.reason);
+  }
+
+  if (!qrCode.isValidTime(now)) {
+    throw createHttpError(400, 'Código no válido en este horario');
+  }
+
+  if (!qrCode.isValidLocation({ location_id: session.location_id })) {
+    throw createHttpError(400, 'Este código QR no corresponde a la sede de tu visita');
+  }
+
+  qrCode.scan_count += 1;
+  qrCode.last_scan_date = now;
+  await qrCode.save({ transaction });
+}
+
+// Función para registrar la salida del cliente (por GPS o QR) y cerrar su visita abierta
+async function performCheckout(clientId, data, context = {}) {
+  const { ClientCheckin } = sequelize.models;
+  const now = context.now || new Date();
+  const method = data.method === 'qr' ? 'qr' : 'gps';
+
+  if (data.workout_type && !WORKOUT_TYPES.includes(data.workout_type)) {
+    throw createHttpError(400, `Tipo de entrenamiento inválido. Valores permitidos: ${WORKOUT_TYPES.join(', ')}`);
+  }
+
+  const closedSession = await sequelize.transaction(async (transaction) => {
+    const session = await ClientCheckin.findOpenSession(clientId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!session) {
+      throw createHttpError(404, 'No tienes una visita abierta para registrar la salida');
+    }
+
+    if (method === 'qr') {
+      await assertCheckoutQRCode(session, data, now, transaction);
+    } else {
+      await assertCheckoutLocation(session, data, transaction);
+    }
+
+    await session.checkout(method, {
+      at: now,
+      workoutType: data.workout_type,
+      transaction
+    });
+
+    return session;
+  });
+
+  // La salida libera un lugar: avisar al siguiente en la lista de espera
+  if (closedSession.location_id) {
+    await occupancyService.releaseSpots(closedSession.location_id);
+  }
+
+  return closedSession;
+}
+
+module.exports = {
+  performCheckin,
+  performCheckout
+};
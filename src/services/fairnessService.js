@@ -0,0 +1,201 @@
+// Archivo: src/services/fairnessService.js
+// Servicio de sorteos verificables: semilla del servidor comprometida por hash + semilla del cliente + nonce
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+
+// Descripción del cálculo para quien quiera repetirlo por su cuenta
+const ALGORITHM = 'roll = primeros 13 hex de HMAC_SHA256(server_seed, "client_seed:nonce") / 2^52; '
+  + 'se recorren los sectores sumando probabilidades y gana el primero cuya suma supera roll * total';
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+// Función para obtener el SHA-256 de una semilla
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Función para generar una semilla aleatoria (64 caracteres hex)
+function generateSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Función para obtener el número del giro (entre 0 y 1) a partir de las semillas
+function computeRoll(serverSeed, clientSeed, nonce) {
+  const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+  // 13 caracteres hex = 52 bits, la precisión exacta de un double
+  return parseInt(digest.slice(0, 13), 16) / 2 ** 52;
+}
+
+// Función para elegir el sector con un número entre 0 y 1
+// sectors: [{ index, prize_id, probability }] en el orden de la ruleta. Los sectores con probabilidad 0 nunca salen
+function pickSector(sectors, roll) {
+  const total = sectors.reduce((sum, sector) => sum + sector.probability, 0);
+
+  if (!(total > 0)) {
+    throw createHttpError(409, 'No hay premios disponibles en esta ruleta');
+  }
+
+  const target = roll * total;
+  let cumulative = 0;
+
+  for (const sector of sectors) {
+    cumulative += sector.probability;
+    if (target < cumulative) return sector;
+  }
+
+  // Redondeo de decimales: el último sector que puede salir
+  return sectors.filter(sector => sector.probability > 0).pop();
+}
+
+// Función para validar la semilla que elige el cliente
+function normalizeClientSeed(clientSeed) {
+  const seed = String(clientSeed).trim();
+
+  if (seed.length === 0 || seed.length > MAX_CLIENT_SEED_LENGTH) {
+    throw createHttpError(400, `La semilla del cliente debe tener entre 1 y ${MAX_CLIENT_SEED_LENGTH} caracteres`);
+  }
+
+  return seed;
+}
+
+// Función para crear un par de semillas nuevo
+function createSeed(clientId, clientSeed, transaction) {
+  const serverSeed = generateSeed();
+
+  return sequelize.models.RouletteSeed.create({
+    client_id: clientId,
+    server_seed: serverSeed,
+    server_seed_hash: hashSeed(serverSeed),
+    client_seed: clientSeed ? normalizeClientSeed(clientSeed) : generateSeed().slice(0, 16)
+  }, { transaction });
+}
+
+// Función para buscar el par de semillas activo de un cliente
+// Con transacción la fila queda bloqueada para que dos giros no usen el mismo nonce
+function findActiveSeed(clientId, transaction) {
+  return sequelize.models.RouletteSeed.findOne({
+    where: { client_id: clientId, is_active: true },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+}
+
+// Función para obtener el par de semillas activo de un cliente (se crea el primero si no existe)
+async function getActiveSeed(clientId, options = {}) {
+  const seed = await findActiveSeed(clientId, options.transaction);
+  if (seed) return seed;
+
+  // Si otra solicitud crea el primer par al mismo tiempo, el índice único rechaza este y se usa el suyo
+  // La creación va en un punto de guardado para que el error no anule la transacción del giro
+  try {
+    return await sequelize.transaction({ transaction: options.transaction }, transaction => createSeed(clientId, null, transaction));
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    return findActiveSeed(clientId, options.transaction);
+  }
+}
+
+// Función para sortear un giro con el par de semillas activo del cliente
+// sectors: sectores que participan (ver Roulette.getDrawSectors). Consume un nonce
+// Devuelve los datos a guardar en el PrizeWinning junto con el sector ganador
+async function drawSector(clientId, sectors, transaction) {
+  const seed = await getActiveSeed(clientId, { transaction });
+  const nonce = seed.next_nonce;
+  const roll = computeRoll(seed.server_seed, seed.client_seed, nonce);
+
+  seed.next_nonce = nonce + 1;
+  await seed.save({ transaction });
+
+  return {
+    sector: pickSector(sectors, roll),
+    fairness: {
+      fair_server_seed_hash: seed.server_seed_hash,
+      fair_client_seed: seed.client_seed,
+      fair_nonce: nonce,
+      fair_roll: roll,
+      fair_sectors: sectors
+    }
+  };
+}
+
+// Función para rotar las semillas: revela la semilla del servidor actual y compromete una nueva
+// Los giros hechos con la semilla revelada quedan verificables
+async function rotateSeed(clientId, clientSeed = null) {
+  const { RouletteSeed, PrizeWinning } = sequelize.models;
+
+  return sequelize.transaction(async (transaction) => {
+    const current = await RouletteSeed.findOne({
+      where: { client_id: clientId, is_active: true },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (current) {
+      current.is_active = false;
+      current.revealed_at = new Date();
+      await current.save({ transaction });
+
+      await PrizeWinning.update(
+        { fair_server_seed: current.server_seed },
+        { where: { fair_server_seed_hash: current.server_seed_hash }, transaction }
+      );
+    }
+
+    const next = await createSeed(clientId, clientSeed, transaction);
+
+    return { revealed: current, active: next };
+  });
+}
+
+// Función para verificar un giro guardado
+// Sin la semilla revelada solo se muestra el compromiso; con ella se repite el sorteo completo
+function verifySpin(prizeWinning) {
+  const sectors = prizeWinning.fair_sectors;
+  const result = {
+    prize_winning_id: prizeWinning.id,
+    roulette_id: prizeWinning.roulette_id,
+    roulette_version_id: prizeWinning.roulette_version_id,
+    prize_name: prizeWinning.prize_name,
+    won_date: prizeWinning.won_date,
+    sector_index: prizeWinning.sector_index,
+    server_seed_hash: prizeWinning.fair_server_seed_hash,
+    server_seed: prizeWinning.fair_server_seed,
+    client_seed: prizeWinning.fair_client_seed,
+    nonce: prizeWinning.fair_nonce,
+    sectors,
+    algorithm: ALGORITHM,
+    revealed: Boolean(prizeWinning.fair_server_seed),
+    verification: null
+  };
+
+  if (!result.revealed) return result;
+
+  const roll = computeRoll(prizeWinning.fair_server_seed, prizeWinning.fair_client_seed, prizeWinning.fair_nonce);
+  const sector = pickSector(sectors, roll);
+  const hashMatches = hashSeed(prizeWinning.fair_server_seed) === prizeWinning.fair_server_seed_hash;
+  const sectorMatches = sector.index === prizeWinning.sector_index && sector.prize_id === prizeWinning.prize_id;
+
+  result.verification = {
+    hash_matches: hashMatches,
+    roll,
+    computed_sector_index: sector.index,
+    computed_prize_id: sector.prize_id,
+    sector_matches: sectorMatches,
+    valid: hashMatches && sectorMatches
+  };
+
+  return result;
+}
+
+module.exports = {
+  ALGORITHM,
+  hashSeed,
+  computeRoll,
+  pickSector,
+  getActiveSeed,
+  drawSector,
+  rotateSeed,
+  verifySpin
+};
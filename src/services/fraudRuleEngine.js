@@ -0,0 +1,248 @@
+// Archivo: src/services/fraudRuleEngine.js
+// Motor de reglas antifraude para check-ins: reglas incorporadas configurables desde la base de datos
+
+const { sequelize } = require('../config/database');
+
+// Puntuación a partir de la cual un check-in queda como sospechoso
+const SUSPICIOUS_SCORE = parseInt(process.env.FRAUD_SUSPICIOUS_SCORE || '50', 10);
+
+// Función para calcular distancia en metros entre dos puntos (fórmula de Haversine)
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const φ1 = lat1 * Math.PI/180;
+  const φ2 = lat2 * Math.PI/180;
+  const Δφ = (lat2-lat1) * Math.PI/180;
+  const Δλ = (lon2-lon1) * Math.PI/180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2);
+
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+// Función para obtener la huella del dispositivo reportada por la app
+function getDeviceFingerprint(deviceInfo) {
+  if (!deviceInfo) return null;
+  return deviceInfo.fingerprint || deviceInfo.device_id || null;
+}
+
+// Reglas incorporadas. Cada una define su peso y umbral por defecto y cómo se evalúa.
+// evaluate(checkin, context, threshold) devuelve { fired, detail }
+const BUILT_IN_RULES = {
+  location_outside_range: {
+    name: 'Ubicación fuera del radio',
+    description: 'El check-in se hizo fuera del radio permitido de la sede más cercana',
+    weight: 30,
+    threshold: null,
+    evaluate: async (checkin) => ({
+      fired: !checkin.location_valid,
+      detail: { distance_meters: Math.round(checkin.distance_from_gym) }
+    })
+  },
+
+  location_too_far: {
+    name: 'Ubicación demasiado lejana',
+    description: 'La distancia a la sede supera el umbral en metros',
+    weight: 20,
+    threshold: 500,
+    evaluate: async (checkin, context, threshold) => ({
+      fired: checkin.distance_from_gym > threshold,
+      detail: { distance_meters: Math.round(checkin.distance_from_gym), threshold_meters: threshold }
+    })
+  },
+
+  multiple_recent_checkins: {
+    name: 'Check-ins repetidos',
+    description: 'Hay más de un check-in previo dentro de la ventana de minutos del umbral',
+    weight: 25,
+    threshold: 30,
+    evaluate: async (checkin, context, threshold) => {
+      const { Op } = sequelize.Sequelize;
+      const recentCheckins = await sequelize.models.ClientCheckin.count({
+        where: {
+          client_id: checkin.client_id,
+          created_at: {
+            [Op.gte]: new Date(context.now.getTime() - threshold * 60 * 1000),
+            [Op.lte]: context.now
+          },
+          ...(checkin.id && !checkin.isNewRecord && { id: { [Op.ne]: checkin.id } })
+        },
+        transaction: context.transaction
+      });
+
+      return {
+        fired: recentCheckins > 1,
+        detail: { recent_checkins: recentCheckins, window_minutes: threshold }
+      };
+    }
+  },
+
+  low_gps_accuracy: {
+    name: 'Precisión GPS baja',
+    description: 'La precisión reportada por el GPS es peor que el umbral en metros',
+    weight: 15,
+    threshold: 100,
+    evaluate: async (checkin, context, threshold) => ({
+      fired: Boolean(checkin.location_accuracy) && parseFloat(checkin.location_accuracy) > threshold,
+      detail: { accuracy_meters: checkin.location_accuracy ? parseFloat(checkin.location_accuracy) : null }
+    })
+  },
+
+  unusual_hours: {
+    name: 'Horario inusual',
+    description: 'El check-in se hizo de madrugada (antes de las 05:00)',
+    weight: 10,
+    threshold: null,
+    evaluate: async (checkin) => {
+      const checkinHour = parseInt(String(checkin.checkin_time).split(':')[0], 10);
+      return {
+        fired: checkinHour < 5 || checkinHour > 23,
+        detail: { hour: checkinHour }
+      };
+    }
+  },
+
+  device_fingerprint_change: {
+    name: 'Cambio de dispositivo',
+    description: 'La huella del dispositivo es distinta a la del check-in anterior del cliente',
+    weight: 20,
+    threshold: null,
+    evaluate: async (checkin, context) => {
+      const previous = await context.getPreviousCheckin();
+      const current = getDeviceFingerprint(checkin.device_info);
+      const before = previous ? getDeviceFingerprint(previous.device_info) : null;
+
+      return {
+        fired: Boolean(current && before && current !== before),
+        detail: { previous_checkin_id: previous ? previous.id : null, fingerprint_changed: Boolean(current && before && current !== before) }
+      };
+    }
+  },
+
+  impossible_travel: {
+    name: 'Viaje imposible',
+    description: 'La velocidad necesaria desde el check-in anterior supera el umbral en km/h',
+    weight: 35,
+    threshold: 120,
+    evaluate: async (checkin, context, threshold) => {
+      const previous = await context.getPreviousCheckin();
+      if (!previous || !previous.createdAt) {
+        return { fired: false, detail: { previous_checkin_id: null } };
+      }
+
+      const distanceKm = haversineMeters(
+        parseFloat(previous.latitude), parseFloat(previous.longitude),
+        parseFloat(checkin.latitude), parseFloat(checkin.longitude)
+      ) / 1000;
+      // Mínimo un minuto para no dividir entre cero con check-ins casi simultáneos
+      const elapsedHours = Math.max(context.now - new Date(previous.createdAt), 60 * 1000) / 3600000;
+      const speedKmh = distanceKm / elapsedHours;
+
+      return {
+        fired: speedKmh > threshold,
+        detail: {
+          previous_checkin_id: previous.id,
+          distance_km: Math.round(distanceKm * 100) / 100,
+          elapsed_minutes: Math.round(elapsedHours * 60),
+          speed_kmh: Math.round(speedKmh),
+          threshold_kmh: threshold
+        }
+      };
+    }
+  },
+
+  ip_network_mismatch: {
+    name: 'IP distinta a la red reportada',
+    description: 'La IP que vio el servidor no coincide con la IP pública que reporta la app (VPN, proxy o datos alterados)',
+    weight: 15,
+    threshold: null,
+    evaluate: async (checkin) => {
+      const reportedIp = checkin.network_info ? checkin.network_info.public_ip || checkin.network_info.ip : null;
+      const observedIp = checkin.ip_address ? String(checkin.ip_address).replace(/^::ffff:/, '') : null;
+
+      return {
+        fired: Boolean(reportedIp && observedIp && reportedIp !== observedIp),
+        detail: { reported_ip: reportedIp, observed_ip: observedIp }
+      };
+    }
+  }
+};
+
+// Función para combinar las reglas incorporadas con su configuración guardada
+async function getEffectiveRules(options = {}) {
+  const { FraudRule } = sequelize.models;
+  const configured = FraudRule ? await FraudRule.findAllByKey(options) : {};
+
+  return Object.entries(BUILT_IN_RULES).map(([key, rule]) => {
+    const config = configured[key];
+
+    return {
+      key,
+      name: config ? config.name : rule.name,
+      description: config && config.description ? config.description : rule.description,
+      weight: config ? config.weight : rule.weight,
+      threshold: config && config.getThreshold() !== null ? config.getThreshold() : rule.threshold,
+      is_enabled: config ? config.is_enabled : true,
+      is_customized: Boolean(config)
+    };
+  });
+}
+
+// Función para evaluar un check-in y devolver la explicación completa del puntaje
+async function evaluateCheckin(checkin, options = {}) {
+  const rules = await getEffectiveRules(options);
+  let previousCheckin;
+
+  const context = {
+    transaction: options.transaction,
+    now: options.now || (checkin.createdAt ? new Date(checkin.createdAt) : new Date()),
+    // Se consulta una sola vez aunque varias reglas lo necesiten
+    getPreviousCheckin: async () => {
+      if (previousCheckin === undefined) {
+        const { Op } = sequelize.Sequelize;
+        previousCheckin = await sequelize.models.ClientCheckin.findOne({
+          where: {
+            client_id: checkin.client_id,
+            ...(checkin.id && !checkin.isNewRecord && { id: { [Op.ne]: checkin.id } }),
+            ...(checkin.createdAt && { created_at: { [Op.lt]: checkin.createdAt } })
+          },
+          order: [['created_at', 'DESC']],
+          transaction: options.transaction
+        });
+      }
+      return previousCheckin;
+    }
+  };
+
+  const results = [];
+  let score = 0;
+
+  for (const rule of rules) {
+    if (!rule.is_enabled) {
+      results.push({ ...rule, fired: false, points: 0, detail: null });
+      continue;
+    }
+
+    const { fired, detail } = await BUILT_IN_RULES[rule.key].evaluate(checkin, context, rule.threshold);
+    const points = fired ? rule.weight : 0;
+    score += points;
+
+    results.push({ ...rule, fired, points, detail });
+  }
+
+  return {
+    score: Math.min(score, 100),
+    suspicious_threshold: SUSPICIOUS_SCORE,
+    indicators: results.filter(result => result.fired).map(result => result.key),
+    rules: results,
+    evaluated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  SUSPICIOUS_SCORE,
+  getEffectiveRules,
+  evaluateCheckin
+};
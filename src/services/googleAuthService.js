@@ -0,0 +1,133 @@
+// Archivo: src/services/googleAuthService.js
+// Servicio para verificar los ID tokens emitidos por Google contra sus llaves públicas (JWKS)
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { google } = require('../config/auth');
+const { createHttpError } = require('../utils/errors');
+
+// Tiempo por defecto que se conservan las llaves descargadas si Google no indica max-age
+const DEFAULT_JWKS_CACHE_MS = 60 * 60 * 1000;
+// Tiempo mínimo entre descargas forzadas por un kid desconocido
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+// Caché de llaves en memoria: kid -> KeyObject
+let keyCache = {
+  keys: new Map(),
+  fetchedAt: 0,
+  expiresAt: 0
+};
+
+// Función para convertir un JWKS en un mapa de llaves públicas por kid
+function parseJwks(jwks) {
+  const keys = new Map();
+
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+
+  return keys;
+}
+
+// Función para obtener los segundos de max-age del header Cache-Control
+function getMaxAgeMs(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? parseInt(match[1], 10) * 1000 : DEFAULT_JWKS_CACHE_MS;
+}
+
+// Función para descargar las llaves públicas de Google
+async function fetchJwks() {
+  const response = await fetch(google.jwksUri);
+
+  if (!response.ok) {
+    throw new Error(`No se pudieron obtener las llaves de Google (HTTP ${response.status})`);
+  }
+
+  const now = Date.now();
+  keyCache = {
+    keys: parseJwks(await response.json()),
+    fetchedAt: now,
+    expiresAt: now + getMaxAgeMs(response.headers.get('cache-control'))
+  };
+}
+
+// Función para obtener la llave pública con la que se firmó el token
+async function getSigningKey(kid) {
+  const staticJwks = google.getStaticJwks();
+
+  // Llaves configuradas por variable de entorno: no se descarga nada
+  if (staticJwks) {
+    let jwks;
+    try {
+      jwks = JSON.parse(staticJwks);
+    } catch (error) {
+      throw new Error('GOOGLE_JWKS no contiene un JSON válido');
+    }
+    return parseJwks(jwks).get(kid) || null;
+  }
+
+  const now = Date.now();
+  const cacheExpired = now >= keyCache.expiresAt;
+  // Google rota sus llaves: un kid desconocido fuerza una nueva descarga (con límite)
+  const unknownKid = !keyCache.keys.has(kid) && now - keyCache.fetchedAt >= MIN_REFETCH_INTERVAL_MS;
+
+  if (cacheExpired || unknownKid) {
+    await fetchJwks();
+  }
+
+  return keyCache.keys.get(kid) || null;
+}
+
+// Función para verificar un ID token de Google y devolver su payload
+async function verifyGoogleIdToken(idToken) {
+  const clientIds = google.getClientIds();
+
+  if (clientIds.length === 0) {
+    throw new Error('Variable de entorno GOOGLE_CLIENT_IDS no configurada. Es requerida para el inicio de sesión con Google');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw createHttpError(401, 'Token de Google inválido');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    throw createHttpError(401, 'Token de Google firmado con una llave desconocida');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: clientIds,
+      issuer: google.issuers
+    });
+  } catch (error) {
+    throw createHttpError(401, error.name === 'TokenExpiredError' ? 'Token de Google expirado' : 'Token de Google inválido');
+  }
+
+  // Solo se aceptan cuentas cuyo email ya verificó Google
+  if (!payload.sub || !payload.email || payload.email_verified !== true) {
+    throw createHttpError(401, 'La cuenta de Google no tiene un email verificado');
+  }
+
+  return {
+    googleId: payload.sub,
+    email: String(payload.email).toLowerCase().trim(),
+    firstName: payload.given_name || null,
+    lastName: payload.family_name || null,
+    picture: payload.picture || null
+  };
+}
+
+// Función para limpiar la caché de llaves (útil al rotar GOOGLE_JWKS_URI)
+function clearKeyCache() {
+  keyCache = { keys: new Map(), fetchedAt: 0, expiresAt: 0 };
+}
+
+module.exports = {
+  verifyGoogleIdToken,
+  clearKeyCache
+};
@@ -0,0 +1,274 @@
+// Archivo: src/services/leaderboardService.js
+// Servicio de tablas de clasificación: calcula las posiciones por métrica y período y las guarda como caché
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { isUUID } = require('../utils/uuid');
+const { getLocalMoment, getLocalDayStart } = require('../utils/timezone');
+
+// Cantidad de posiciones que se devuelven por defecto y como máximo
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Función para obtener el primer día del período (semana de lunes a domingo, mes calendario)
+// Se cuenta desde la fecha del gimnasio, igual que checkin_date: el domingo a las 19:00 sigue siendo domingo
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'all_time') return null;
+
+  const start = new Date(`${getLocalMoment(now).date}T00:00:00Z`);
+
+  if (period === 'weekly') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  } else {
+    start.setUTCDate(1);
+  }
+
+  return start.toISOString().split('T')[0];
+}
+
+// Función para calcular el valor de una métrica por cliente desde el inicio del período
+// Devuelve [{ client_id, value }] solo con los clientes que tienen actividad
+async function computeScores(metric, periodStart) {
+  const { PointsTransaction, ClientCheckin, Client } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  if (metric === 'points') {
+    // Puntos ganados (no el saldo): los canjes y vencimientos no hacen bajar en la tabla
+    const rows = await PointsTransaction.findAll({
+      where: {
+        transaction_type: ['earned', 'bonus'],
+        is_reversed: false,
+        ...(periodStart && { created_at: { [Op.gte]: getLocalDayStart(periodStart) } })
+      },
+      attributes: ['client_id', [sequelize.fn('SUM', sequelize.col('points_earned')), 'value']],
+      group: ['client_id'],
+      raw: true
+    });
+    return rows.map(row => ({ client_id: row.client_id, value: parseInt(row.value, 10) || 0 }));
+  }
+
+  if (metric === 'attendance') {
+    // Días distintos con asistencia: varios check-ins el mismo día cuentan una vez
+    const rows = await ClientCheckin.findAll({
+      where: {
+        status: ['valid', 'approved'],
+        ...(periodStart && { checkin_date: { [Op.gte]: periodStart } })
+      },
+      attributes: ['client_id', [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('checkin_date'))), 'value']],
+      group: ['client_id'],
+      raw: true
+    });
+    return rows.map(row => ({ client_id: row.client_id, value: parseInt(row.value, 10) || 0 }));
+  }
+
+  // Rachas: en el histórico cuenta la mejor racha; en la semana o el mes, la racha actual de quienes asistieron
+  const field = periodStart ? 'consecutive_days' : 'max_consecutive_days';
+  const rows = await Client.findAll({
+    where: {
+      [field]: { [Op.gt]: 0 },
+      ...(periodStart && { last_checkin_date: { [Op.gte]: periodStart } })
+    },
+    attributes: ['id', field],
+    raw: true
+  });
+  return rows.map(row => ({ client_id: row.id, value: row[field] }));
+}
+
+// Función para asignar posiciones ordenando de mayor a menor (los empates comparten posición)
+function assignRanks(entries, rankField) {
+  let previous = null;
+
+  entries.forEach((entry, index) => {
+    entry[rankField] = previous && previous.value === entry.value ? previous[rankField] : index + 1;
+    previous = entry;
+  });
+}
+
+// Función para cargar los datos de los clientes que pueden aparecer en las tablas
+async function loadEligibleClients() {
+  const { Client, ClientPreferences, ClientMembership } = sequelize.models;
+
+  const [clients, hidden, memberships] = await Promise.all([
+    Client.findAll({
+      where: { is_active: true },
+      attributes: ['id', 'first_name', 'last_name'],
+      raw: true
+    }),
+    ClientPreferences.findAll({
+      where: { show_in_leaderboard: false },
+      attributes: ['client_id'],
+      raw: true
+    }),
+    ClientMembership.findAll({
+      where: { status: 'active' },
+      attributes: ['client_id', 'membership_type_id'],
+      order: [['end_date', 'ASC']],
+      raw: true
+    })
+  ]);
+
+  const hiddenIds = new Set(hidden.map(row => row.client_id));
+  // Ordenadas por vencimiento: queda la membresía que vence más tarde
+  const membershipTypes = new Map(memberships.map(row => [row.client_id, row.membership_type_id]));
+  const eligible = new Map();
+
+  for (const client of clients) {
+    if (hiddenIds.has(client.id)) continue;
+
+    eligible.set(client.id, {
+      display_name: `${client.first_name} ${(client.last_name || '').charAt(0)}.`.trim(),
+      membership_type_id: membershipTypes.get(client.id) || null
+    });
+  }
+
+  return eligible;
+}
+
+// Función para armar las posiciones de una tabla a partir de los valores calculados
+function buildEntries(scores, eligible, base) {
+  const entries = scores
+    .filter(score => score.value > 0 && eligible.has(score.client_id))
+    .map(score => ({
+      ...base,
+      ...eligible.get(score.client_id),
+      client_id: score.client_id,
+      value: score.value
+    }))
+    .sort((a, b) => b.value - a.value || a.display_name.localeCompare(b.display_name));
+
+  assignRanks(entries, 'rank');
+
+  // Posición dentro de cada tipo de membresía
+  const byMembershipType = new Map();
+  for (const entry of entries) {
+    if (!entry.membership_type_id) continue;
+    if (!byMembershipType.has(entry.membership_type_id)) byMembershipType.set(entry.membership_type_id, []);
+    byMembershipType.get(entry.membership_type_id).push(entry);
+  }
+  for (const group of byMembershipType.values()) {
+    assignRanks(group, 'membership_rank');
+  }
+
+  return entries;
+}
+
+// Función para recalcular todas las tablas (métrica × período) y reemplazar la caché
+async function refreshLeaderboards(now = new Date()) {
+  const { LeaderboardEntry } = sequelize.models;
+  const eligible = await loadEligibleClients();
+  let total = 0;
+
+  for (const metric of LeaderboardEntry.METRICS) {
+    for (const period of LeaderboardEntry.PERIODS) {
+      const periodStart = getPeriodStart(period, now);
+      const scores = await computeScores(metric, periodStart);
+      const entries = buildEntries(scores, eligible, {
+        metric,
+        period,
+        period_start: periodStart,
+        computed_at: now
+      });
+
+      // Se reemplaza la tabla completa de una vez para no mostrar resultados a medias
+      await sequelize.transaction(async (transaction) => {
+        await LeaderboardEntry.destroy({ where: { metric, period }, transaction });
+        if (entries.length > 0) {
+          await LeaderboardEntry.bulkCreate(entries, { transaction });
+        }
+      });
+
+      total += entries.length;
+    }
+  }
+
+  return total;
+}
+
+// Función para validar y normalizar los filtros de una consulta
+function parseQuery(query = {}) {
+  const { LeaderboardEntry } = sequelize.models;
+  const metric = query.metric || 'points';
+  const period = query.period || 'weekly';
+
+  if (!LeaderboardEntry.METRICS.includes(metric)) {
+    throw createHttpError(400, `Métrica inválida. Valores permitidos: ${LeaderboardEntry.METRICS.join(', ')}`);
+  }
+  if (!LeaderboardEntry.PERIODS.includes(period)) {
+    throw createHttpError(400, `Período inválido. Valores permitidos: ${LeaderboardEntry.PERIODS.join(', ')}`);
+  }
+  if (query.membership_type_id && !isUUID(query.membership_type_id)) {
+    throw createHttpError(400, 'membership_type_id no es un ID de tipo de membresía válido');
+  }
+
+  return {
+    metric,
+    period,
+    membershipTypeId: query.membership_type_id || null,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LEADERBOARD_SIZE, 1), MAX_LEADERBOARD_SIZE)
+  };
+}
+
+// Función para obtener una tabla desde la caché, con la posición del cliente aunque esté fuera del top
+// query: { metric, period, membership_type_id, limit }
+async function getLeaderboard(query, clientId = null) {
+  const { LeaderboardEntry } = sequelize.models;
+  const filters = parseQuery(query);
+  const rankField = filters.membershipTypeId ? 'membership_rank' : 'rank';
+
+  const top = await LeaderboardEntry.getTop(filters.metric, filters.period, filters);
+  const mine = clientId
+    ? await LeaderboardEntry.findForClient(clientId, filters.metric, filters.period, filters)
+    : null;
+
+  return {
+    metric: filters.metric,
+    period: filters.period,
+    membership_type_id: filters.membershipTypeId,
+    period_start: top.length > 0 ? top[0].period_start : getPeriodStart(filters.period),
+    computed_at: top.length > 0 ? top[0].computed_at : null,
+    entries: top.map(entry => entry.toPublic(rankField)),
+    me: mine ? mine.toPublic(rankField) : null
+  };
+}
+
+// Función para que un cliente aparezca u oculte su nombre en las tablas
+// Al ocultarse se quita de la caché en el momento; al volver aparece en el siguiente recálculo
+async function setVisibility(clientId, showInLeaderboard) {
+  const { ClientPreferences, LeaderboardEntry } = sequelize.models;
+
+  return sequelize.transaction(async (transaction) => {
+    const [preferences] = await ClientPreferences.findOrCreate({
+      where: { client_id: clientId },
+      defaults: { client_id: clientId },
+      transaction
+    });
+
+    preferences.show_in_leaderboard = showInLeaderboard;
+    await preferences.save({ transaction });
+
+    if (!showInLeaderboard) {
+      await LeaderboardEntry.destroy({ where: { client_id: clientId }, transaction });
+    }
+
+    return preferences;
+  });
+}
+
+// Función para saber si un cliente aparece en las tablas
+async function isVisible(clientId) {
+  const preferences = await sequelize.models.ClientPreferences.findOne({
+    where: { client_id: clientId },
+    attributes: ['show_in_leaderboard']
+  });
+
+  return preferences ? preferences.show_in_leaderboard : true;
+}
+
+module.exports = {
+  getPeriodStart,
+  refreshLeaderboards,
+  getLeaderboard,
+  setVisibility,
+  isVisible
+};
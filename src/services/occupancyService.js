@@ -0,0 +1,113 @@
+// Archivo: src/services/occupancyService.js
+// Servicio de aforo de las sedes: control de capacidad en el check-in y lista de espera
+
+const { sequelize } = require('../config/database');
+
+// Función para verificar si el cliente puede entrar a la sede y bloquear la sede mientras tanto
+// Devuelve { allowed, occupancy, waitlistEntry } donde waitlistEntry es el lugar reservado que usa el cliente
+async function reserveSpot(location, clientId, transaction) {
+  const { Location, LocationWaitlist } = sequelize.models;
+
+  // Bloquear la sede serializa los check-ins simultáneos que compiten por el último lugar
+  await Location.findByPk(location.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+  const occupancy = await location.getOccupancy({ transaction });
+  const ownEntry = await LocationWaitlist.findActiveForClient(clientId, location.id, { transaction });
+  const hasReservation = Boolean(ownEntry && ownEntry.status === 'notified' && ownEntry.expires_at > new Date());
+
+  // El lugar reservado para este cliente cuenta como disponible para él
+  const available = occupancy.available + (hasReservation ? 1 : 0);
+
+  return {
+    allowed: available > 0,
+    occupancy,
+    waitlistEntry: hasReservation ? ownEntry : null
+  };
+}
+
+// Función para anotar al cliente en la lista de espera (o devolver su entrada vigente)
+async function joinWaitlist(location, clientId, transaction) {
+  const { LocationWaitlist } = sequelize.models;
+  const existing = await LocationWaitlist.findActiveForClient(clientId, location.id, { transaction });
+
+  if (existing) return existing;
+
+  return LocationWaitlist.create({
+    location_id: location.id,
+    client_id: clientId
+  }, { transaction });
+}
+
+// Función para marcar como usada la reserva de la lista de espera
+async function markAdmitted(waitlistEntry, checkinId, transaction) {
+  waitlistEntry.status = 'admitted';
+  waitlistEntry.admitted_checkin_id = checkinId;
+  await waitlistEntry.save({ transaction });
+}
+
+// Función para vencer reservas no usadas y notificar a los siguientes en la fila
+async function releaseSpots(locationId) {
+  const { Location, LocationWaitlist } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  return sequelize.transaction(async (transaction) => {
+    const location = await Location.findByPk(locationId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!location || !location.max_capacity || location.capacity_policy !== 'waitlist') {
+      return 0;
+    }
+
+    await LocationWaitlist.update({ status: 'expired' }, {
+      where: {
+        location_id: location.id,
+        status: 'notified',
+        expires_at: { [Op.lte]: new Date() }
+      },
+      transaction
+    });
+
+    const occupancy = await location.getOccupancy({ transaction });
+    if (occupancy.available === 0) return 0;
+
+    const next = await LocationWaitlist.findAll({
+      where: { location_id: location.id, status: 'waiting' },
+      order: [['created_at', 'ASC']],
+      limit: occupancy.available,
+      transaction
+    });
+
+    for (const entry of next) {
+      await entry.notifyAvailable(location, { transaction });
+    }
+
+    return next.length;
+  });
+}
+
+// Función para procesar las listas de espera de todas las sedes con aforo limitado
+async function processWaitlists() {
+  const { Location } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+  const locations = await Location.findAll({
+    where: {
+      is_active: true,
+      capacity_policy: 'waitlist',
+      max_capacity: { [Op.ne]: null }
+    }
+  });
+
+  let notified = 0;
+  for (const location of locations) {
+    notified += await releaseSpots(location.id);
+  }
+
+  return notified;
+}
+
+module.exports = {
+  reserveSpot,
+  joinWaitlist,
+  markAdmitted,
+  releaseSpots,
+  processWaitlists
+};
@@ -0,0 +1,134 @@
+// Archivo: src/services/pointsExpirationService.js
+// Servicio de vencimiento de puntos: registra los vencimientos y avisa a los clientes antes de que ocurran
+
+const { sequelize } = require('../config/database');
+const { lockClient, recordPointsChange } = require('./pointsService');
+
+// Días de anticipación con que se avisa al cliente que sus puntos van a vencer
+const EXPIRY_WARNING_DAYS = parseInt(process.env.POINTS_EXPIRY_WARNING_DAYS || '7', 10);
+
+// Función para sumar días a una fecha y devolver YYYY-MM-DD
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// Función para vencer los puntos de un cliente dentro de una transacción
+async function expireClientPoints(clientId, today) {
+  const { PointsTransaction } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  return sequelize.transaction(async (transaction) => {
+    const client = await lockClient(clientId, transaction);
+
+    const credits = await PointsTransaction.findAll({
+      where: {
+        client_id: clientId,
+        points_remaining: { [Op.gt]: 0 },
+        expires_at: { [Op.lte]: today }
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const expiredPoints = credits.reduce((sum, credit) => sum + credit.points_remaining, 0);
+    if (expiredPoints === 0) return null;
+
+    for (const credit of credits) {
+      credit.points_remaining = 0;
+      await credit.save({ transaction, hooks: false });
+    }
+
+    return recordPointsChange(clientId, {
+      points: -expiredPoints,
+      transaction_type: 'expiration',
+      source_type: 'system',
+      reason: `Vencimiento de ${expiredPoints} puntos`,
+      metadata: { expired_transaction_ids: credits.map(credit => credit.id) }
+    }, { transaction, client });
+  });
+}
+
+// Función para registrar los vencimientos de todos los clientes con puntos vencidos
+async function expirePoints(now = new Date()) {
+  const { PointsTransaction } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+  const today = now.toISOString().split('T')[0];
+
+  const clients = await PointsTransaction.findAll({
+    where: {
+      points_remaining: { [Op.gt]: 0 },
+      expires_at: { [Op.lte]: today }
+    },
+    attributes: [[sequelize.fn('DISTINCT', sequelize.col('client_id')), 'client_id']],
+    raw: true
+  });
+
+  let expired = 0;
+  for (const { client_id: clientId } of clients) {
+    try {
+      if (await expireClientPoints(clientId, today)) expired += 1;
+    } catch (error) {
+      console.error(`❌ Error al vencer los puntos del cliente ${clientId}:`, error.message);
+    }
+  }
+
+  return expired;
+}
+
+// Función para avisar a los clientes cuyos puntos vencen en los próximos días
+async function notifyExpiringPoints(now = new Date()) {
+  const { PointsTransaction, Notification } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  const credits = await PointsTransaction.findAll({
+    where: {
+      points_remaining: { [Op.gt]: 0 },
+      expiry_notified_at: null,
+      expires_at: {
+        [Op.gt]: now.toISOString().split('T')[0],
+        [Op.lte]: addDays(now, EXPIRY_WARNING_DAYS)
+      }
+    },
+    order: [['expires_at', 'ASC']]
+  });
+
+  // Un solo aviso por cliente con el total y la fecha más próxima
+  const byClient = {};
+  for (const credit of credits) {
+    (byClient[credit.client_id] = byClient[credit.client_id] || []).push(credit);
+  }
+
+  for (const [clientId, clientCredits] of Object.entries(byClient)) {
+    const points = clientCredits.reduce((sum, credit) => sum + credit.points_remaining, 0);
+    const firstExpiry = clientCredits[0].expires_at;
+
+    await sequelize.transaction(async (transaction) => {
+      await Notification.create({
+        client_id: clientId,
+        title: 'Tus puntos están por vencer',
+        message: `Tienes ${points} puntos que vencen a partir del ${firstExpiry}. ¡Úsalos antes de que se pierdan!`,
+        type: 'points',
+        priority: 'medium',
+        related_type: 'points_transaction',
+        related_id: clientCredits[0].id,
+        is_automated: true
+      }, { transaction });
+
+      await PointsTransaction.update({ expiry_notified_at: now }, {
+        where: { id: clientCredits.map(credit => credit.id) },
+        transaction,
+        hooks: false
+      });
+    });
+  }
+
+  return Object.keys(byClient).length;
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  expirePoints,
+  notifyExpiringPoints
+};
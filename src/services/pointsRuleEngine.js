@@ -0,0 +1,231 @@
+// Archivo: src/services/pointsRuleEngine.js
+// Motor de reglas de puntos: calcula los puntos de un check-in y simula cambios de reglas
+
+const { sequelize } = require('../config/database');
+const { getTier } = require('../config/tiers');
+
+// Valores que se usan cuando ninguna regla activa los define
+const DEFAULT_POINTS_CONFIG = {
+  base_points: 10,
+  streak_points_per_day: 2,
+  streak_max_days: 5
+};
+
+// Reglas por defecto mientras no haya ninguna regla activa (el cálculo histórico: horarios valle)
+const DEFAULT_RULES = [
+  {
+    id: null,
+    name: 'Horarios de menor afluencia (por defecto)',
+    hour_windows: [
+      { start: '06:00', end: '09:59' },
+      { start: '14:00', end: '16:59' }
+    ],
+    bonus_points: 5,
+    multiplier: 1.2
+  }
+];
+
+const PREVIEW_SAMPLE_SIZE = 20;
+
+// Función para construir las reglas por defecto (no se guardan en la base de datos)
+function buildDefaultRules() {
+  return DEFAULT_RULES.map(rule => sequelize.models.PointsRule.build(rule));
+}
+
+// Función para obtener las reglas que se aplican hoy (las activas o las por defecto)
+async function getRuleSet(options = {}) {
+  const active = await sequelize.models.PointsRule.findActive(options);
+
+  if (active.length > 0) {
+    return { rules: active, usesDefaultRules: false };
+  }
+
+  return { rules: buildDefaultRules(), usesDefaultRules: true };
+}
+
+// Función para calcular los puntos con un conjunto de reglas
+// context: { date: 'YYYY-MM-DD', time: 'HH:MM:SS', membershipTypeId, streakDays, tier }
+function computePoints(rules, context) {
+  // Las reglas llegan ordenadas por prioridad: la primera que define un valor lo fija
+  const matching = rules.filter(rule => rule.appliesTo(context));
+  const pick = (field) => {
+    const rule = matching.find(item => item[field] !== null && item[field] !== undefined);
+    return rule ? rule[field] : DEFAULT_POINTS_CONFIG[field];
+  };
+
+  const basePoints = pick('base_points');
+  const streakDays = Math.min(context.streakDays || 0, pick('streak_max_days'));
+  const consecutiveBonus = streakDays * pick('streak_points_per_day');
+  const bonusPoints = matching.reduce((sum, rule) => sum + (rule.bonus_points || 0), 0);
+  const multiplier = matching.reduce((max, rule) => Math.max(max, parseFloat(rule.multiplier)), 1);
+  const caps = matching.map(rule => rule.max_points).filter(cap => cap !== null && cap !== undefined);
+  const maxPoints = caps.length > 0 ? Math.min(...caps) : null;
+  // El multiplicador del nivel multiplica al de las reglas; el tope de las reglas sigue aplicando
+  const tier = getTier(context.tier);
+
+  let pointsEarned = Math.floor((basePoints + consecutiveBonus + bonusPoints) * multiplier * tier.points_multiplier);
+  if (maxPoints !== null) pointsEarned = Math.min(pointsEarned, maxPoints);
+
+  return {
+    base_points: basePoints,
+    streak_days: streakDays,
+    consecutive_days_bonus: consecutiveBonus,
+    bonus_points: bonusPoints,
+    multiplier,
+    tier: tier.code,
+    tier_multiplier: tier.points_multiplier,
+    max_points: maxPoints,
+    points_earned: pointsEarned,
+    rules: matching.map(rule => ({ id: rule.id, name: rule.name }))
+  };
+}
+
+// Función para calcular los puntos de un check-in con las reglas vigentes
+// options: { transaction, streakDays, membershipTypeId, tier }
+async function calculateCheckinPoints(checkin, options = {}) {
+  const { Client, ClientMembership } = sequelize.models;
+  let { streakDays, membershipTypeId, tier } = options;
+
+  if (streakDays === undefined || tier === undefined) {
+    const client = await Client.findByPk(checkin.client_id, { transaction: options.transaction });
+    if (streakDays === undefined) streakDays = client ? client.consecutive_days : 0;
+    if (tier === undefined) tier = client ? client.tier : null;
+  }
+
+  if (membershipTypeId === undefined) {
+    const membership = checkin.membership_id
+      ? await ClientMembership.findByPk(checkin.membership_id, { transaction: options.transaction })
+      : null;
+    membershipTypeId = membership ? membership.membership_type_id : null;
+  }
+
+  const { rules } = await getRuleSet(options);
+
+  return computePoints(rules, {
+    date: checkin.checkin_date,
+    time: checkin.checkin_time,
+    membershipTypeId,
+    streakDays,
+    tier
+  });
+}
+
+// Función para obtener los días de racha previos a cada check-in del historial
+// Se aproxima con los check-ins del mismo período (días calendario seguidos)
+function buildStreakIndex(checkins) {
+  const byClient = {};
+  for (const checkin of checkins) {
+    (byClient[checkin.client_id] = byClient[checkin.client_id] || new Set()).add(checkin.checkin_date);
+  }
+
+  const index = {};
+  for (const [clientId, dates] of Object.entries(byClient)) {
+    let streak = 0;
+    let previous = null;
+
+    for (const date of [...dates].sort()) {
+      const dayBefore = new Date(new Date(`${date}T00:00:00Z`).getTime() - 86400000).toISOString().split('T')[0];
+      // La racha que cuenta para el bonus es la que se tenía antes del check-in de ese día
+      streak = previous === dayBefore ? streak + 1 : 0;
+      index[`${clientId}:${date}`] = streak;
+      previous = date;
+    }
+  }
+
+  return index;
+}
+
+// Función para simular cómo cambiarían los puntos de un período con otras reglas
+// proposal: { rule (PointsRule a activar o modificar), deactivateRuleId, startDate, endDate }
+async function previewRuleChange(proposal) {
+  const { ClientCheckin, ClientMembership } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+  const current = await getRuleSet();
+
+  // Reglas propuestas: las activas sin la regla que cambia, más la versión nueva si queda activa
+  const changedId = proposal.rule ? proposal.rule.id : proposal.deactivateRuleId;
+  const activeRules = current.usesDefaultRules ? [] : current.rules;
+  let proposedRules = activeRules.filter(rule => !changedId || rule.id !== changedId);
+  if (proposal.rule) proposedRules.push(proposal.rule);
+  proposedRules.sort((a, b) => b.priority - a.priority);
+
+  const proposedUsesDefaults = proposedRules.length === 0;
+  if (proposedUsesDefaults) proposedRules = buildDefaultRules();
+
+  const checkins = await ClientCheckin.findAll({
+    where: {
+      checkin_date: { [Op.between]: [proposal.startDate, proposal.endDate] },
+      status: ['valid', 'approved']
+    },
+    attributes: ['id', 'client_id', 'checkin_date', 'checkin_time', 'points_earned', 'points_breakdown'],
+    include: [{
+      model: ClientMembership,
+      as: 'membership',
+      attributes: ['membership_type_id']
+    }],
+    order: [['checkin_date', 'ASC'], ['checkin_time', 'ASC']]
+  });
+
+  const streaks = buildStreakIndex(checkins);
+  const summary = {
+    start_date: proposal.startDate,
+    end_date: proposal.endDate,
+    checkins: checkins.length,
+    recorded_points: 0,
+    current_points: 0,
+    proposed_points: 0,
+    difference: 0,
+    difference_percent: 0,
+    affected_checkins: 0,
+    current_uses_default_rules: current.usesDefaultRules,
+    proposed_uses_default_rules: proposedUsesDefaults,
+    sample: []
+  };
+
+  for (const checkin of checkins) {
+    const context = {
+      date: checkin.checkin_date,
+      time: checkin.checkin_time,
+      membershipTypeId: checkin.membership ? checkin.membership.membership_type_id : null,
+      streakDays: streaks[`${checkin.client_id}:${checkin.checkin_date}`],
+      // Nivel que tenía el cliente al hacer el check-in (los anteriores a los niveles cuentan como Bronce)
+      tier: checkin.points_breakdown ? checkin.points_breakdown.tier : null
+    };
+    const before = computePoints(current.rules, context);
+    const after = computePoints(proposedRules, context);
+
+    summary.recorded_points += checkin.points_earned;
+    summary.current_points += before.points_earned;
+    summary.proposed_points += after.points_earned;
+
+    if (before.points_earned !== after.points_earned) {
+      summary.affected_checkins += 1;
+      if (summary.sample.length < PREVIEW_SAMPLE_SIZE) {
+        summary.sample.push({
+          checkin_id: checkin.id,
+          checkin_date: checkin.checkin_date,
+          checkin_time: checkin.checkin_time,
+          current_points: before.points_earned,
+          proposed_points: after.points_earned,
+          proposed_rules: after.rules.map(rule => rule.name)
+        });
+      }
+    }
+  }
+
+  summary.difference = summary.proposed_points - summary.current_points;
+  summary.difference_percent = summary.current_points > 0
+    ? Math.round((summary.difference / summary.current_points) * 10000) / 100
+    : 0;
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_POINTS_CONFIG,
+  DEFAULT_RULES,
+  getRuleSet,
+  computePoints,
+  calculateCheckinPoints,
+  previewRuleChange
+};
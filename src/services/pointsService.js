@@ -0,0 +1,129 @@
+// Archivo: src/services/pointsService.js
+// Servicio único para mover puntos: bloquea al cliente, registra el movimiento y actualiza el saldo en una transacción
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+
+// Función para ejecutar un trabajo en la transacción recibida o en una nueva
+async function runInTransaction(transaction, work) {
+  if (transaction) return work(transaction);
+  return sequelize.transaction(work);
+}
+
+// Función para obtener al cliente con su fila bloqueada hasta el fin de la transacción
+async function lockClient(clientId, transaction) {
+  const client = await sequelize.models.Client.findByPk(clientId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!client) {
+    throw createHttpError(404, 'Cliente no encontrado');
+  }
+
+  return client;
+}
+
+// Función para registrar un movimiento de puntos y actualizar el saldo del cliente
+// entry: { points (positivo suma, negativo descuenta), transaction_type, source_type, reason, ...otros campos del movimiento }
+// options: { transaction, client, notify } donde client es la instancia que el llamador ya bloqueó en la transacción
+// Devuelve el PointsTransaction creado; client.total_points queda sincronizado con el saldo nuevo
+async function recordPointsChange(clientId, entry, options = {}) {
+  const { PointsTransaction } = sequelize.models;
+  const { points, ...fields } = entry;
+
+  if (!Number.isInteger(points)) {
+    throw createHttpError(400, 'La cantidad de puntos debe ser un número entero');
+  }
+
+  return runInTransaction(options.transaction, async (transaction) => {
+    const client = options.client || await lockClient(clientId, transaction);
+
+    const pointsTransaction = await PointsTransaction.create({
+      ...fields,
+      client_id: client.id,
+      points_earned: points > 0 ? points : 0,
+      points_deducted: points < 0 ? -points : 0,
+      balance_before: client.total_points
+    }, { transaction });
+
+    client.total_points = pointsTransaction.balance_after;
+    await client.save({ transaction });
+
+    if (options.notify) {
+      await pointsTransaction.sendNotification({ transaction });
+    }
+
+    // Las insignias por puntos se revisan con el saldo ya guardado
+    // (se carga aquí porque badgeService usa este servicio para entregar sus recompensas)
+    if (points > 0) {
+      const { evaluateBadges } = require('./badgeService');
+      await evaluateBadges(client.id, 'points', { transaction, client });
+    }
+
+    return pointsTransaction;
+  });
+}
+
+// Función para comparar el saldo de cada cliente con la suma de su historial de movimientos
+// options: { clientId, apply } donde apply corrige total_points con el valor del historial
+// Devuelve { checked, drifted: [{ client_id, total_points, ledger_points, drift }], applied }
+async function reconcileBalances(options = {}) {
+  const { Client, PointsTransaction } = sequelize.models;
+
+  const where = options.clientId ? { client_id: options.clientId } : {};
+  const ledgerRows = await PointsTransaction.findAll({
+    where,
+    attributes: ['client_id', [sequelize.fn('SUM', sequelize.col('points_change')), 'ledger_points']],
+    group: ['client_id'],
+    raw: true
+  });
+  const ledger = new Map(ledgerRows.map(row => [row.client_id, parseInt(row.ledger_points, 10) || 0]));
+
+  const clients = await Client.findAll({
+    where: options.clientId ? { id: options.clientId } : {},
+    attributes: ['id', 'total_points'],
+    raw: true
+  });
+
+  const drifted = clients
+    .map(client => {
+      const ledgerPoints = ledger.get(client.id) || 0;
+      return {
+        client_id: client.id,
+        total_points: client.total_points,
+        ledger_points: ledgerPoints,
+        drift: client.total_points - ledgerPoints
+      };
+    })
+    .filter(row => row.drift !== 0);
+
+  if (options.apply) {
+    for (const row of drifted) {
+      // Se recalcula dentro de la transacción por si entró un movimiento después de la lectura
+      await sequelize.transaction(async (transaction) => {
+        const client = await lockClient(row.client_id, transaction);
+        const ledgerPoints = await PointsTransaction.sum('points_change', {
+          where: { client_id: row.client_id },
+          transaction
+        });
+
+        client.total_points = ledgerPoints || 0;
+        await client.save({ transaction });
+      });
+    }
+  }
+
+  return {
+    checked: clients.length,
+    drifted,
+    applied: Boolean(options.apply)
+  };
+}
+
+module.exports = {
+  runInTransaction,
+  lockClient,
+  recordPointsChange,
+  reconcileBalances
+};
@@ -0,0 +1,328 @@
+// Archivo: src/services/referralService.js
+// Servicio del programa de referidos: registra invitaciones, bloquea abusos y entrega las recompensas al primer pago
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { REFERRAL_REWARDS, REFERRAL_CODE_LENGTH } = require('../config/referrals');
+const { runInTransaction, lockClient, recordPointsChange } = require('./pointsService');
+
+// Sin 0/O ni 1/I/L para que el código se pueda dictar sin confusiones
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const MAX_CODE_ATTEMPTS = 5;
+const REPORT_TOP_REFERRERS = 10;
+
+// Función para generar un código de referido que no use ningún otro cliente
+async function generateReferralCode(options = {}) {
+  const { Client } = sequelize.models;
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    const existing = await Client.count({
+      where: { referral_code: code },
+      paranoid: false,
+      transaction: options.transaction
+    });
+
+    if (existing === 0) return code;
+  }
+
+  throw new Error('No se pudo generar un código de referido único');
+}
+
+// Función para buscar a quien invita a partir del código ingresado al registrarse
+async function findReferrer(code, options = {}) {
+  const referrer = await sequelize.models.Client.findByReferralCode(code, options);
+
+  if (!referrer) {
+    throw createHttpError(400, 'El código de referido no es válido');
+  }
+
+  return referrer;
+}
+
+// Función para detectar abusos: invitarse a sí mismo o registrar varias cuentas desde un mismo dispositivo
+async function detectAbuse(referrer, referred, deviceFingerprint, transaction) {
+  const { Client } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  if (referrer.id === referred.id || referrer.email === referred.email) return 'self_referral';
+  if (referrer.phone && referred.phone && referrer.phone === referred.phone) return 'self_referral';
+
+  if (!deviceFingerprint) return null;
+
+  if (referrer.registration_device_fingerprint === deviceFingerprint) return 'self_referral';
+
+  const otherAccounts = await Client.count({
+    where: {
+      registration_device_fingerprint: deviceFingerprint,
+      id: { [Op.ne]: referred.id }
+    },
+    paranoid: false,
+    transaction
+  });
+
+  return otherAccounts > 0 ? 'duplicate_device' : null;
+}
+
+// Función para registrar la invitación de un cliente recién creado
+// context: { deviceFingerprint, ipAddress }. options: { transaction }
+// Los abusos no impiden el registro: la invitación queda rechazada y sin recompensas
+async function registerReferral(referred, referrer, context = {}, options = {}) {
+  const { Referral } = sequelize.models;
+
+  return runInTransaction(options.transaction, async (transaction) => {
+    const rejectionReason = await detectAbuse(referrer, referred, context.deviceFingerprint, transaction);
+
+    // La cadena sigue al referido válido con el que entró quien invita
+    const parent = await Referral.findOne({
+      where: {
+        referred_client_id: referrer.id,
+        status: ['pending', 'qualified']
+      },
+      transaction
+    });
+
+    const referral = await Referral.create({
+      referrer_client_id: referrer.id,
+      referred_client_id: referred.id,
+      referral_code: referrer.referral_code,
+      parent_referral_id: parent ? parent.id : null,
+      chain_root_client_id: parent ? parent.chain_root_client_id : referrer.id,
+      chain_level: parent ? parent.chain_level + 1 : 1,
+      status: rejectionReason ? 'rejected' : 'pending',
+      rejection_reason: rejectionReason,
+      device_fingerprint: context.deviceFingerprint || null,
+      ip_address: context.ipAddress || null
+    }, { transaction });
+
+    if (!rejectionReason) {
+      referred.referred_by_client_id = referrer.id;
+      await referred.save({ fields: ['referred_by_client_id'], transaction });
+    }
+
+    return referral;
+  });
+}
+
+// Función para sumar días a una membresía
+async function extendMembership(membership, days, transaction) {
+  const endDate = new Date(`${membership.end_date}T00:00:00Z`);
+  endDate.setUTCDate(endDate.getUTCDate() + days);
+  membership.end_date = endDate.toISOString().split('T')[0];
+  await membership.save({ transaction });
+}
+
+// Función para entregar las recompensas de un lado de la invitación
+// membershipId: membresía a extender (la que se acaba de pagar para el invitado, la activa para quien invita)
+async function deliverRewards(client, rewards, membershipId, referral, transaction) {
+  const { ClientMembership, QRCode } = sequelize.models;
+  const delivered = { points: 0, membership_days: 0, qr_code_id: null };
+
+  if (rewards.points > 0 && client.canEarnPoints()) {
+    await recordPointsChange(client.id, {
+      points: rewards.points,
+      transaction_type: 'bonus',
+      source_type: 'bonus',
+      special_bonus: rewards.points,
+      reason: 'Recompensa del programa de referidos',
+      metadata: { referral_id: referral.id }
+    }, { transaction, client });
+    delivered.points = rewards.points;
+  }
+
+  if (rewards.membership_days > 0) {
+    const membership = membershipId
+      ? await ClientMembership.findByPk(membershipId, { transaction, lock: transaction.LOCK.UPDATE })
+      : await ClientMembership.findOne({
+        where: { client_id: client.id, status: 'active' },
+        order: [['end_date', 'DESC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+    // Quien invita sin membresía activa se queda sin los días, el resto de la recompensa se entrega igual
+    if (membership) {
+      await extendMembership(membership, rewards.membership_days, transaction);
+      delivered.membership_days = rewards.membership_days;
+    }
+  }
+
+  if (rewards.spin) {
+    const qrCode = await QRCode.create({
+      code_type: 'special',
+      client_id: client.id,
+      prize_category: rewards.spin,
+      max_uses: 1,
+      description: 'Giro de ruleta por el programa de referidos',
+      metadata: { source: 'referral', referral_id: referral.id }
+    }, { transaction });
+    delivered.qr_code_id = qrCode.id;
+  }
+
+  return delivered;
+}
+
+// Función para avisar a un cliente de la recompensa recibida
+async function notifyReward(client, delivered, message, referral, transaction) {
+  const { Notification } = sequelize.models;
+  const parts = [];
+
+  if (delivered.points) parts.push(`${delivered.points} puntos`);
+  if (delivered.membership_days) parts.push(`${delivered.membership_days} días extra de membresía`);
+  if (delivered.qr_code_id) parts.push('un giro de ruleta');
+
+  if (parts.length === 0) return;
+
+  await Notification.create({
+    client_id: client.id,
+    title: '¡Recompensa por referido!',
+    message: `${message} Recibiste ${parts.join(', ')}.`,
+    type: 'motivational',
+    priority: 'medium',
+    related_type: 'other',
+    related_id: referral.id,
+    is_automated: true
+  }, { transaction });
+}
+
+// Función para calificar la invitación cuando el invitado paga su primera membresía
+// Se llama desde el hook de ClientMembership; sin invitación pendiente no hace nada
+async function qualifyReferral(membership, options = {}) {
+  const { Referral } = sequelize.models;
+
+  return runInTransaction(options.transaction, async (transaction) => {
+    const referral = await Referral.findPendingForReferred(membership.client_id, { transaction });
+
+    if (!referral) return null;
+
+    const referred = await lockClient(referral.referred_client_id, transaction);
+    const referrer = await lockClient(referral.referrer_client_id, transaction);
+
+    const referredRewards = await deliverRewards(referred, REFERRAL_REWARDS.referred, membership.id, referral, transaction);
+    const referrerRewards = referrer.is_active
+      ? await deliverRewards(referrer, REFERRAL_REWARDS.referrer, null, referral, transaction)
+      : { points: 0, membership_days: 0, qr_code_id: null };
+
+    referral.status = 'qualified';
+    referral.qualified_at = new Date();
+    referral.qualifying_membership_id = membership.id;
+    referral.rewards = { referrer: referrerRewards, referred: referredRewards };
+    await referral.save({ transaction });
+
+    await notifyReward(referred, referredRewards, `Gracias por unirte con el código de ${referrer.first_name}.`, referral, transaction);
+    await notifyReward(referrer, referrerRewards, `${referred.first_name} pagó su primera membresía con tu código.`, referral, transaction);
+
+    return referral;
+  });
+}
+
+// Función para armar el resumen de referidos de un cliente (para la app)
+async function getClientReferrals(client) {
+  const { Referral } = sequelize.models;
+  const referralCode = await client.getReferralCode();
+  const referrals = await Referral.findByReferrer(client.id);
+  const count = status => referrals.filter(referral => referral.status === status).length;
+
+  return {
+    referral_code: referralCode,
+    rewards: REFERRAL_REWARDS,
+    stats: {
+      total: referrals.length,
+      pending: count('pending'),
+      qualified: count('qualified'),
+      rejected: count('rejected'),
+      points_earned: referrals.reduce((sum, referral) => sum + (referral.rewards ? referral.rewards.referrer.points : 0), 0)
+    },
+    referrals: referrals.map(referral => referral.toPublic())
+  };
+}
+
+// Función para armar el reporte de referidos de un período (para gerencia)
+async function getReferralReport(startDate, endDate) {
+  const { Referral, Client } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+
+  const referrals = await Referral.findAll({
+    where: {
+      created_at: {
+        [Op.gte]: new Date(`${startDate}T00:00:00`),
+        [Op.lte]: new Date(`${endDate}T23:59:59`)
+      }
+    },
+    attributes: ['id', 'referrer_client_id', 'chain_root_client_id', 'chain_level', 'status', 'rejection_reason', 'rewards'],
+    order: [['created_at', 'ASC']]
+  });
+
+  const summary = {
+    start_date: startDate,
+    end_date: endDate,
+    total: referrals.length,
+    pending: 0,
+    qualified: 0,
+    rejected: 0,
+    conversion_rate: 0,
+    rejections: Object.fromEntries(Referral.REJECTION_REASONS.map(reason => [reason, 0])),
+    rewards: { points: 0, membership_days: 0, spins: 0 },
+    chain_levels: {},
+    longest_chain: null,
+    top_referrers: []
+  };
+  const byReferrer = {};
+
+  for (const referral of referrals) {
+    summary[referral.status] += 1;
+    if (referral.rejection_reason) summary.rejections[referral.rejection_reason] += 1;
+    summary.chain_levels[referral.chain_level] = (summary.chain_levels[referral.chain_level] || 0) + 1;
+
+    if (!summary.longest_chain || referral.chain_level > summary.longest_chain.levels) {
+      summary.longest_chain = { root_client_id: referral.chain_root_client_id, levels: referral.chain_level };
+    }
+
+    if (referral.status === 'qualified') {
+      for (const side of [referral.rewards.referrer, referral.rewards.referred]) {
+        summary.rewards.points += side.points;
+        summary.rewards.membership_days += side.membership_days;
+        if (side.qr_code_id) summary.rewards.spins += 1;
+      }
+      byReferrer[referral.referrer_client_id] = (byReferrer[referral.referrer_client_id] || 0) + 1;
+    }
+  }
+
+  const eligible = summary.pending + summary.qualified;
+  summary.conversion_rate = eligible > 0 ? Math.round((summary.qualified / eligible) * 10000) / 100 : 0;
+
+  const topIds = Object.entries(byReferrer)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, REPORT_TOP_REFERRERS);
+  const clients = topIds.length > 0
+    ? await Client.findAll({
+      where: { id: topIds.map(([id]) => id) },
+      attributes: ['id', 'first_name', 'last_name', 'email'],
+      paranoid: false
+    })
+    : [];
+  const clientsById = new Map(clients.map(client => [client.id, client]));
+
+  summary.top_referrers = topIds.map(([id, qualified]) => {
+    const client = clientsById.get(id);
+    return {
+      client_id: id,
+      name: client ? client.getFullName() : null,
+      email: client ? client.email : null,
+      qualified_referrals: qualified
+    };
+  });
+
+  return summary;
+}
+
+module.exports = {
+  generateReferralCode,
+  findReferrer,
+  registerReferral,
+  qualifyReferral,
+  getClientReferrals,
+  getReferralReport
+};
@@ -0,0 +1,183 @@
+// Archivo: src/services/rewardService.js
+// Servicio de canje de recompensas con puntos: descuenta los puntos y genera la entrega en una transacción
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { lockClient, recordPointsChange } = require('./pointsService');
+
+// Función para entregar un producto: genera una orden pagada con puntos para recoger en el gimnasio
+async function fulfillProduct(item, client, transaction) {
+  const { Product, Order, OrderItem } = sequelize.models;
+  const product = await Product.findByPk(item.product_id, { transaction, lock: transaction.LOCK.UPDATE });
+
+  if (!product || !product.is_active) {
+    throw createHttpError(409, 'El producto de esta recompensa ya no está disponible');
+  }
+  if (product.track_inventory && product.stock_quantity < item.product_quantity) {
+    throw createHttpError(409, 'El producto de esta recompensa está agotado');
+  }
+
+  const order = await Order.create({
+    client_id: client.id,
+    status: 'confirmed',
+    payment_status: 'paid',
+    delivery_mode: 'pickup',
+    subtotal: 0,
+    total_amount: 0,
+    client_notes: `Canje de puntos: ${item.name}`
+  }, { transaction });
+
+  await OrderItem.create({
+    order_id: order.id,
+    product_id: product.id,
+    quantity: item.product_quantity,
+    unit_price: 0,
+    total_price: 0,
+    product_name: product.name,
+    product_sku: product.sku,
+    delivery_mode: 'pickup',
+    item_status: 'confirmed'
+  }, { transaction });
+
+  await product.updateStock(item.product_quantity, 'subtract', `Canje de puntos ${order.order_number}`, { transaction });
+
+  return { order_id: order.id };
+}
+
+// Función para entregar días de membresía: extiende la membresía activa del cliente
+async function fulfillMembershipDays(item, client, transaction) {
+  const { ClientMembership } = sequelize.models;
+  const membership = await ClientMembership.findOne({
+    where: { client_id: client.id, status: 'active' },
+    order: [['end_date', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!membership) {
+    throw createHttpError(409, 'Necesitas una membresía activa para canjear días de membresía');
+  }
+
+  const endDate = new Date(`${membership.end_date}T00:00:00Z`);
+  endDate.setUTCDate(endDate.getUTCDate() + item.membership_days);
+  membership.end_date = endDate.toISOString().split('T')[0];
+  await membership.save({ transaction });
+
+  return { membership_id: membership.id };
+}
+
+// Función para entregar un premio: queda pendiente con código de canje para recogerlo en recepción
+async function fulfillPrize(item, client, transaction) {
+  const { Prize, PrizeWinning } = sequelize.models;
+  const prize = await Prize.findByPk(item.prize_id, { transaction, lock: transaction.LOCK.UPDATE });
+  const availability = prize ? prize.isAvailable() : { available: false, reason: 'Premio no encontrado' };
+
+  if (!availability.available) {
+    throw createHttpError(409, availability.reason);
+  }
+
+  const prizeWinning = await PrizeWinning.create({
+    client_id: client.id,
+    prize_id: prize.id,
+    prize_name: prize.name,
+    prize_description: prize.description,
+    prize_type: prize.type,
+    prize_value: prize.value,
+    prize_currency: prize.currency,
+    prize_cost: prize.unit_cost,
+    status: 'pending',
+    manual_redemption_required: true,
+    metadata: { source: 'points_redemption', catalog_item_id: item.id }
+  }, { transaction });
+
+  return { prize_winning_id: prizeWinning.id };
+}
+
+const FULFILLMENT = {
+  product: fulfillProduct,
+  membership_days: fulfillMembershipDays,
+  prize: fulfillPrize
+};
+
+// Función para canjear una recompensa del catálogo
+// Devuelve { redemption, replayed } donde replayed indica que la clave ya se había usado
+async function redeemReward(clientId, catalogItemId, idempotencyKey) {
+  const { RewardCatalogItem, RewardRedemption } = sequelize.models;
+
+  return sequelize.transaction(async (transaction) => {
+    // El bloqueo del cliente serializa sus canjes: dos solicitudes simultáneas no pueden gastar el mismo saldo
+    const client = await lockClient(clientId, transaction);
+
+    if (!client.is_active) {
+      throw createHttpError(403, 'Tu cuenta no puede canjear recompensas');
+    }
+
+    // Un reintento con la misma clave devuelve el canje original sin volver a cobrar
+    const previous = await RewardRedemption.findOne({
+      where: { client_id: clientId, idempotency_key: idempotencyKey },
+      transaction
+    });
+    if (previous) {
+      if (previous.catalog_item_id !== catalogItemId) {
+        throw createHttpError(409, 'La clave de idempotencia ya se usó para otra recompensa');
+      }
+      return { redemption: previous, replayed: true };
+    }
+
+    const item = await RewardCatalogItem.findByPk(catalogItemId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!item) {
+      throw createHttpError(404, 'Recompensa no encontrada');
+    }
+
+    const availability = item.isAvailable();
+    if (!availability.available) {
+      throw createHttpError(409, availability.reason);
+    }
+
+    if (item.max_per_client) {
+      const redeemed = await RewardRedemption.countByClient(clientId, item.id, { transaction });
+      if (redeemed >= item.max_per_client) {
+        throw createHttpError(409, `Ya canjeaste esta recompensa el máximo de ${item.max_per_client} veces`);
+      }
+    }
+
+    if (client.total_points < item.points_cost) {
+      throw createHttpError(409, 'No tienes puntos suficientes para esta recompensa', {
+        total_points: client.total_points,
+        points_cost: item.points_cost
+      });
+    }
+
+    const redemption = RewardRedemption.build({
+      client_id: clientId,
+      catalog_item_id: item.id,
+      idempotency_key: idempotencyKey,
+      item_name: item.name,
+      reward_type: item.reward_type,
+      points_spent: item.points_cost
+    });
+
+    const fulfillment = await FULFILLMENT[item.reward_type](item, client, transaction);
+
+    const pointsTransaction = await recordPointsChange(clientId, {
+      points: -item.points_cost,
+      transaction_type: 'deduction',
+      source_type: 'system',
+      reason: `Canje de recompensa: ${item.name}`,
+      source_reference_id: redemption.id
+    }, { transaction, client });
+
+    if (item.stock_quantity !== null) item.stock_quantity -= 1;
+    item.redeemed_count += 1;
+    await item.save({ transaction });
+
+    Object.assign(redemption, fulfillment, { points_transaction_id: pointsTransaction.id });
+    await redemption.save({ transaction });
+
+    return { redemption, replayed: false };
+  });
+}
+
+module.exports = {
+  redeemReward
+};
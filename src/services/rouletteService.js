@@ -0,0 +1,234 @@
+// Archivo: src/services/rouletteService.js
+// Servicio de giros de ruleta: consume el QR, decide el premio en el servidor y registra el premio ganado
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { lockClient } = require('./pointsService');
+const { drawSector } = require('./fairnessService');
+const { ensureCurrentVersion } = require('./rouletteVersionService');
+
+// Función para obtener un QR de ruleta válido para el cliente (con su fila bloqueada)
+async function findSpinQRCode(code, clientId, now, transaction) {
+  const { QRCode } = sequelize.models;
+
+  if (!code) {
+    throw createHttpError(400, 'El código QR es requerido');
+  }
+
+  const qrCode = await QRCode.findOne({
+    where: { code: String(code).trim() },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!qrCode || qrCode.code_type === 'checkin') {
+    throw createHttpError(404, 'Código QR no válido');
+  }
+
+  if (qrCode.fixed_prize_id) {
+    throw createHttpError(400, 'Este código otorga un premio fijo, no un giro de ruleta');
+  }
+
+  // Los QR entregados a un cliente (productos, insignias, referidos) solo los puede usar su dueño
+  if (qrCode.client_id && qrCode.client_id !== clientId) {
+    throw createHttpError(403, 'Este código pertenece a otro cliente');
+  }
+
+  const validation = qrCode.isValid();
+  if (!validation.valid) {
+    throw createHttpError(409, validation.reason);
+  }
+
+  if (!qrCode.isValidTime(now)) {
+    throw createHttpError(409, 'Código no válido en este horario');
+  }
+
+  return qrCode;
+}
+
+// Función para separar los premios que se pueden entregar a un cliente de los que no
+// Se revisan estado y stock, límites diarios/semanales y requisitos del cliente
+// Devuelve { available: Map de premios, excluded: [{ prize_id, reason }] }
+async function filterDeliverablePrizes(prizeIds, prizes, clientId, transaction) {
+  const prizesById = new Map(prizes.map(prize => [prize.id, prize]));
+  const available = new Map();
+  const excluded = [];
+
+  for (const prizeId of prizeIds) {
+    const prize = prizesById.get(prizeId);
+
+    if (!prize) {
+      excluded.push({ prize_id: prizeId, reason: 'Premio no encontrado' });
+      continue;
+    }
+
+    let check = prize.isAvailable();
+    if (check.available) check = await prize.checkLimits({ transaction });
+    if (check.available) {
+      const eligibility = await prize.checkClientEligibility(clientId, { transaction });
+      check = { available: eligibility.eligible, reason: eligibility.reason };
+    }
+
+    if (check.available) {
+      available.set(prize.id, prize);
+    } else {
+      excluded.push({ prize_id: prize.id, reason: check.reason });
+    }
+  }
+
+  return { available, excluded };
+}
+
+// Función para ajustar los sectores al presupuesto de la ruleta
+// costsByPrizeId: Map de costo por premio. budget: resultado de Roulette.getBudgetStatus (null = sin presupuesto)
+// Con presupuesto restante se descartan los premios que lo superarían; si ninguno cabe o ya se agotó,
+// cada sector conserva su probabilidad multiplicada por (costo más bajo + 1) / (su costo + 1)
+// Devuelve { sectors, excluded: [{ prize_id, reason }], mode }
+function applyBudget(sectors, costsByPrizeId, budget) {
+  if (!budget || sectors.length === 0) {
+    return { sectors, excluded: [], mode: 'none' };
+  }
+
+  const costOf = sector => costsByPrizeId.get(sector.prize_id) || 0;
+
+  if (!budget.exhausted) {
+    const affordable = sectors.filter(sector => costOf(sector) <= budget.remaining);
+
+    if (affordable.length === sectors.length) {
+      return { sectors, excluded: [], mode: 'within_budget' };
+    }
+
+    if (affordable.length > 0) {
+      const excludedIds = new Set(sectors.filter(sector => costOf(sector) > budget.remaining).map(sector => sector.prize_id));
+      return {
+        sectors: affordable,
+        excluded: [...excludedIds].map(prizeId => ({ prize_id: prizeId, reason: 'Supera el presupuesto restante de la ruleta' })),
+        mode: 'over_budget_excluded'
+      };
+    }
+  }
+
+  const cheapest = Math.min(...sectors.map(costOf));
+
+  return {
+    sectors: sectors.map(sector => ({
+      ...sector,
+      probability: Math.round(sector.probability * ((cheapest + 1) / (costOf(sector) + 1)) * 1e6) / 1e6
+    })),
+    excluded: [],
+    mode: 'cost_weighted'
+  };
+}
+
+// Función para sortear el sector ganador entre los premios que todavía se pueden entregar
+// Los premios que no se pueden entregar se descartan y el presupuesto ajusta los pesos antes del sorteo,
+// así el resultado depende solo de las semillas y los sectores guardados sirven para verificarlo
+// Devuelve { sector, prize, prizes (todos los de la ruleta), fairness, excluded, budget }
+async function drawPrize(roulette, clientId, transaction) {
+  const { Prize } = sequelize.models;
+  const prizeIds = [...new Set(roulette.sectors_config.map(sector => sector.prize_id))];
+  const prizes = await Prize.findAll({
+    where: { id: prizeIds },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  const { available, excluded } = await filterDeliverablePrizes(prizeIds, prizes, clientId, transaction);
+  const budget = await roulette.getBudgetStatus({ transaction });
+  const costs = new Map(prizes.map(prize => [prize.id, parseFloat(prize.unit_cost) || 0]));
+  // Los sectores con probabilidad 0 no participan: si solo quedan esos no hay premio que sortear
+  const sectors = roulette.getDrawSectors(excluded.map(item => item.prize_id)).filter(sector => sector.probability > 0);
+  const adjusted = applyBudget(sectors, costs, budget);
+  const drawable = adjusted.sectors.filter(sector => sector.probability > 0);
+
+  if (drawable.length === 0) {
+    throw createHttpError(409, 'No hay premios disponibles en esta ruleta');
+  }
+
+  const { sector, fairness } = await drawSector(clientId, drawable, transaction);
+
+  return {
+    sector,
+    prize: available.get(sector.prize_id),
+    prizes,
+    fairness,
+    excluded: [...excluded, ...adjusted.excluded],
+    budget: budget ? { ...budget, mode: adjusted.mode } : null
+  };
+}
+
+// Función para girar la ruleta de la categoría de un QR
+// data: { code, device_info }. context: { ip, now }
+// Devuelve { prizeWinning, roulette, prizes, animation }
+// El sector sale de las semillas del cliente (ver fairnessService) y queda guardado para verificarlo
+// La ruleta queda bloqueada durante el giro para que no se active otra versión a mitad del sorteo
+async function spinRoulette(clientId, data, context = {}) {
+  const { Roulette, PrizeWinning } = sequelize.models;
+  const now = context.now || new Date();
+
+  return sequelize.transaction(async (transaction) => {
+    // Bloquear al cliente serializa sus giros: los límites y el cooldown no se pueden saltar con solicitudes simultáneas
+    const client = await lockClient(clientId, transaction);
+
+    if (!client.is_active) {
+      throw createHttpError(403, 'Tu cuenta está desactivada');
+    }
+
+    const qrCode = await findSpinQRCode(data.code, client.id, now, transaction);
+    const roulette = await Roulette.getDefaultForCategory(qrCode.prize_category, { transaction });
+
+    if (!roulette) {
+      throw createHttpError(404, 'No hay una ruleta disponible para este código');
+    }
+
+    const canSpin = await roulette.canClientSpin(client.id, { transaction, now });
+    if (!canSpin.available) {
+      throw createHttpError(409, canSpin.reason);
+    }
+
+    const versionId = await ensureCurrentVersion(roulette, transaction);
+    const { sector, prize, prizes, fairness, excluded, budget } = await drawPrize(roulette, client.id, transaction);
+
+    await qrCode.use(client.id, {}, { transaction });
+
+    const prizeWinning = await PrizeWinning.create({
+      client_id: client.id,
+      prize_id: prize.id,
+      roulette_id: roulette.id,
+      roulette_version_id: versionId,
+      qr_code_id: qrCode.id,
+      prize_name: prize.name,
+      prize_description: prize.description,
+      prize_type: prize.type,
+      prize_value: prize.value,
+      prize_currency: prize.currency,
+      prize_cost: prize.unit_cost,
+      status: 'pending',
+      won_date: now,
+      manual_redemption_required: true,
+      requires_verification: roulette.requires_verification || prize.requires_manual_approval,
+      device_info: data.device_info || null,
+      ip_address: context.ip || null,
+      sector_index: sector.index,
+      ...fairness,
+      metadata: {
+        source: 'roulette_spin',
+        excluded_prizes: excluded,
+        budget: budget ? { period: budget.period, amount: budget.amount, spent: budget.spent, mode: budget.mode } : null
+      }
+    }, { transaction });
+
+    return {
+      prizeWinning,
+      roulette,
+      prizes: new Map(prizes.map(item => [item.id, item])),
+      // El punto de parada dentro del sector es solo visual
+      animation: roulette.buildSpinAnimation(sector.index, crypto.randomInt(1000) / 1000)
+    };
+  });
+}
+
+module.exports = {
+  applyBudget,
+  spinRoulette
+};
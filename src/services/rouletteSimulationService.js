@@ -0,0 +1,243 @@
+// Archivo: src/services/rouletteSimulationService.js
+// Servicio de simulación de ruletas: giros virtuales para estimar el costo y el agotamiento de premios antes de publicarlas
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { isUUID } = require('../utils/uuid');
+const { toGTQ } = require('../config/prizeCosts');
+const { pickSector } = require('./fairnessService');
+
+const DEFAULT_SPINS = 10000;
+const MAX_SPINS = 100000;
+const DEFAULT_SPINS_PER_DAY = 100;
+const DAYS_PER_MONTH = 30;
+// Se advierte de los premios que se agotarían antes de estos días
+const STOCK_WARNING_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Función para redondear a centavos
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Función para obtener el costo en GTQ de entregar un premio
+// Se usa el costo configurado; sin él se convierte el valor según su unidad (ver config/prizeCosts)
+function getPrizeCost(prize) {
+  const unitCost = parseFloat(prize.unit_cost) || 0;
+
+  if (unitCost > 0) return { cost: unitCost, source: 'unit_cost' };
+
+  const converted = toGTQ(prize.value, prize.currency);
+
+  return converted === null
+    ? { cost: 0, source: 'unknown' }
+    : { cost: converted, source: 'value' };
+}
+
+// Función para validar los parámetros de la simulación
+function normalizeOptions(options) {
+  const spins = options.spins === undefined ? DEFAULT_SPINS : Number(options.spins);
+  const spinsPerDay = options.spins_per_day === undefined ? DEFAULT_SPINS_PER_DAY : Number(options.spins_per_day);
+
+  if (!Number.isInteger(spins) || spins < 1 || spins > MAX_SPINS) {
+    throw createHttpError(400, `La cantidad de giros debe ser un entero entre 1 y ${MAX_SPINS}`);
+  }
+
+  if (!Number.isFinite(spinsPerDay) || spinsPerDay <= 0) {
+    throw createHttpError(400, 'Los giros por día deben ser un número mayor a 0');
+  }
+
+  return { spins, spinsPerDay };
+}
+
+// Función para obtener la ruleta a simular: una guardada, o una configuración nueva sobre ella o desde cero
+// data: { roulette_id, sectors_config, budget_period, budget_amount }
+async function loadRoulette(data) {
+  const { Roulette } = sequelize.models;
+  let roulette = null;
+
+  if (data.roulette_id) {
+    if (!isUUID(data.roulette_id)) {
+      throw createHttpError(400, 'roulette_id no es un ID de ruleta válido');
+    }
+
+    roulette = await Roulette.findByPk(data.roulette_id);
+
+    if (!roulette) {
+      throw createHttpError(404, 'Ruleta no encontrada');
+    }
+  }
+
+  if (!roulette && !data.sectors_config) {
+    throw createHttpError(400, 'Envía roulette_id o sectors_config para simular');
+  }
+
+  // Los cambios de la simulación nunca se guardan
+  const draft = Roulette.build({
+    ...(roulette ? roulette.get({ plain: true }) : { name: 'Simulación', category: 'basic' }),
+    ...(data.sectors_config ? { sectors_config: data.sectors_config } : {}),
+    ...(data.budget_period !== undefined ? { budget_period: data.budget_period } : {}),
+    ...(data.budget_amount !== undefined ? { budget_amount: data.budget_amount } : {})
+  });
+
+  if (draft.budget_period && !['daily', 'monthly'].includes(draft.budget_period)) {
+    throw createHttpError(400, 'El período del presupuesto debe ser daily o monthly');
+  }
+
+  if (draft.budget_amount !== null && draft.budget_amount !== undefined && !(parseFloat(draft.budget_amount) >= 0)) {
+    throw createHttpError(400, 'El presupuesto debe ser un número mayor o igual a 0');
+  }
+
+  if (!Array.isArray(draft.sectors_config) || draft.sectors_config.length === 0) {
+    throw createHttpError(400, 'La ruleta no tiene sectores configurados');
+  }
+
+  return draft;
+}
+
+// Función para hacer N giros virtuales con números aleatorios de crypto
+// Devuelve la cantidad de veces que salió cada sector
+function runSpins(sectors, spins) {
+  const counts = new Array(sectors.length).fill(0);
+  const position = new Map(sectors.map((sector, i) => [sector.index, i]));
+  const bytes = crypto.randomBytes(spins * 6);
+
+  for (let i = 0; i < spins; i++) {
+    const roll = bytes.readUIntBE(i * 6, 6) / 2 ** 48;
+    counts[position.get(pickSector(sectors, roll).index)] += 1;
+  }
+
+  return counts;
+}
+
+// Función para estimar cuándo se agota cada premio con stock al ritmo de giros indicado
+// Usa la probabilidad configurada: al agotarse un premio su probabilidad se reparte y los demás se agotan antes
+function estimateDepletion(rows, spinsPerDay, now) {
+  return rows
+    .filter(row => row.prize.stock_quantity !== null && row.prize.stock_quantity !== undefined)
+    .map(row => {
+      const remaining = Math.max(0, row.prize.stock_quantity - (row.prize.awarded_count || 0));
+      const perDay = spinsPerDay * row.probability / 100;
+      const days = perDay > 0 ? remaining / perDay : null;
+
+      return {
+        prize_id: row.prize.id,
+        prize_name: row.prize.name,
+        stock_remaining: remaining,
+        expected_awards_per_day: Math.round(perDay * 100) / 100,
+        days_until_depleted: days === null ? null : Math.round(days * 10) / 10,
+        depletion_date: days === null ? null : new Date(now.getTime() + days * MS_PER_DAY).toISOString().split('T')[0]
+      };
+    })
+    .sort((a, b) => (a.days_until_depleted === null) - (b.days_until_depleted === null) || a.days_until_depleted - b.days_until_depleted);
+}
+
+// Función para simular una ruleta y armar el reporte de costo esperado
+// data: { roulette_id, sectors_config, budget_period, budget_amount, spins, spins_per_day }
+async function simulateRoulette(data, context = {}) {
+  const now = context.now || new Date();
+  const { spins, spinsPerDay } = normalizeOptions(data);
+  const roulette = await loadRoulette(data);
+
+  let validation;
+  try {
+    validation = await roulette.validateSectorsConfiguration();
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+
+  const warnings = [...validation.warnings];
+  const sectors = roulette.getDrawSectors();
+  const counts = runSpins(sectors, spins);
+  const byPrize = new Map();
+
+  sectors.forEach((sector, i) => {
+    const prize = validation.prizes.get(sector.prize_id);
+    const row = byPrize.get(prize.id) || {
+      prize,
+      ...getPrizeCost(prize),
+      sector_indexes: [],
+      probability: 0,
+      wins: 0
+    };
+
+    row.sector_indexes.push(sector.index);
+    row.probability += sector.probability / validation.total_probability * 100;
+    row.wins += counts[i];
+    byPrize.set(prize.id, row);
+  });
+
+  const rows = [...byPrize.values()];
+  let expectedCost = 0;
+  let simulatedCost = 0;
+
+  for (const row of rows) {
+    expectedCost += row.cost * row.probability / 100;
+    simulatedCost += row.cost * row.wins;
+
+    if (row.source === 'unknown') {
+      warnings.push(`${row.prize.name}: su valor en ${row.prize.currency} no tiene equivalencia en GTQ, configura su costo para incluirlo`);
+    }
+  }
+
+  const report = {
+    roulette_id: data.roulette_id || null,
+    roulette_name: roulette.name,
+    spins,
+    spins_per_day: spinsPerDay,
+    total_probability: validation.total_probability,
+    expected_cost_per_spin: roundMoney(expectedCost),
+    simulated_cost_per_spin: roundMoney(simulatedCost / spins),
+    simulated_total_cost: roundMoney(simulatedCost),
+    expected_cost_per_day: roundMoney(expectedCost * spinsPerDay),
+    currency: 'GTQ',
+    distribution: rows.map(row => ({
+      prize_id: row.prize.id,
+      prize_name: row.prize.name,
+      prize_type: row.prize.type,
+      value: parseFloat(row.prize.value),
+      value_currency: row.prize.currency,
+      cost: row.cost,
+      cost_source: row.source,
+      sector_indexes: row.sector_indexes,
+      probability: Math.round(row.probability * 100) / 100,
+      wins: row.wins,
+      win_rate: Math.round(row.wins / spins * 10000) / 100,
+      total_cost: roundMoney(row.cost * row.wins)
+    })),
+    stock: estimateDepletion(rows, spinsPerDay, now),
+    budget: null,
+    warnings
+  };
+
+  if (roulette.budget_period && roulette.budget_amount !== null && roulette.budget_amount !== undefined) {
+    const periodDays = roulette.budget_period === 'monthly' ? DAYS_PER_MONTH : 1;
+    const expectedPerPeriod = roundMoney(expectedCost * spinsPerDay * periodDays);
+    const amount = parseFloat(roulette.budget_amount);
+
+    report.budget = {
+      period: roulette.budget_period,
+      amount,
+      expected_cost_per_period: expectedPerPeriod,
+      exceeded: expectedPerPeriod > amount
+    };
+
+    if (report.budget.exceeded) {
+      warnings.push(`El costo esperado por período (Q${expectedPerPeriod}) supera el presupuesto (Q${amount}); al agotarse se favorecerán los premios más baratos`);
+    }
+  }
+
+  for (const item of report.stock) {
+    if (item.days_until_depleted !== null && item.days_until_depleted < STOCK_WARNING_DAYS) {
+      warnings.push(`${item.prize_name} se agotaría en ${item.days_until_depleted} días a este ritmo de giros`);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  getPrizeCost,
+  simulateRoulette
+};
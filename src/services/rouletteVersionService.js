@@ -0,0 +1,281 @@
+// Archivo: src/services/rouletteVersionService.js
+// Servicio de versiones de ruleta: borrador → programada → activa, con el cambio de sectores y de ruleta por defecto en una transacción
+
+const { sequelize } = require('../config/database');
+const { createHttpError } = require('../utils/errors');
+const { isUUID } = require('../utils/uuid');
+
+const EDITABLE_FIELDS = ['sectors_config', 'is_default', 'valid_from', 'valid_until', 'notes'];
+
+// Función para tomar solo los campos editables de una versión
+function pickVersionFields(data) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (data[key] !== undefined) fields[key] = data[key];
+    return fields;
+  }, {});
+}
+
+// Función para obtener una ruleta o lanzar 404 (también si el ID no es un UUID)
+async function findRouletteOr404(rouletteId, options = {}) {
+  const roulette = isUUID(rouletteId) ? await sequelize.models.Roulette.findByPk(rouletteId, options) : null;
+
+  if (!roulette) {
+    throw createHttpError(404, 'Ruleta no encontrada');
+  }
+
+  return roulette;
+}
+
+// Función para obtener una versión o lanzar 404 (también si el ID no es un UUID)
+async function findVersionOr404(versionId, options = {}) {
+  const version = isUUID(versionId) ? await sequelize.models.RouletteVersion.findByPk(versionId, options) : null;
+
+  if (!version) {
+    throw createHttpError(404, 'Versión de ruleta no encontrada');
+  }
+
+  return version;
+}
+
+// Función para validar los sectores de una versión con las mismas reglas de la ruleta
+// Devuelve las advertencias de Roulette.validateSectorsConfiguration
+async function validateVersionSectors(roulette, version) {
+  const { Roulette } = sequelize.models;
+  const draft = Roulette.build({ ...roulette.get({ plain: true }), sectors_config: version.sectors_config });
+
+  try {
+    await draft.validate({ skip: Object.keys(Roulette.rawAttributes).filter(field => field !== 'sectors_config') });
+    const { warnings } = await draft.validateSectorsConfiguration();
+    return warnings;
+  } catch (error) {
+    const message = error.errors ? error.errors.map(item => item.message).join(', ') : error.message;
+    throw createHttpError(400, message);
+  }
+}
+
+// Función para listar las versiones de una ruleta (la más reciente primero)
+async function listVersions(rouletteId) {
+  const roulette = await findRouletteOr404(rouletteId);
+  const versions = await sequelize.models.RouletteVersion.findAll({
+    where: { roulette_id: roulette.id },
+    order: [['version_number', 'DESC']]
+  });
+
+  return { roulette, versions };
+}
+
+// Función para obtener una versión con la cantidad de premios sorteados con ella
+async function getVersion(versionId) {
+  const version = await findVersionOr404(versionId);
+  const prizeWinnings = await sequelize.models.PrizeWinning.count({
+    where: { roulette_version_id: version.id }
+  });
+
+  return { version, prize_winnings: prizeWinnings };
+}
+
+// Función para crear una versión en borrador
+// Sin sectores se copian los de la ruleta, para editar a partir de lo que está en uso
+async function createVersion(rouletteId, data, userId) {
+  const { RouletteVersion } = sequelize.models;
+
+  return sequelize.transaction(async (transaction) => {
+    // Bloquear la ruleta evita que dos versiones nuevas tomen el mismo número
+    const roulette = await findRouletteOr404(rouletteId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    return RouletteVersion.create({
+      sectors_config: roulette.sectors_config,
+      is_default: roulette.is_default,
+      ...pickVersionFields(data),
+      roulette_id: roulette.id,
+      version_number: await RouletteVersion.getNextNumber(roulette.id, { transaction }),
+      status: 'draft',
+      created_by_user_id: userId
+    }, { transaction });
+  });
+}
+
+// Función para editar una versión en borrador
+async function updateVersion(versionId, data) {
+  const version = await findVersionOr404(versionId);
+
+  if (version.status !== 'draft') {
+    throw createHttpError(409, 'Solo se pueden editar las versiones en borrador. Crea una nueva versión');
+  }
+
+  return version.update(pickVersionFields(data));
+}
+
+// Función para activar una versión programada
+// En una transacción: se retira la versión anterior, la ruleta toma los sectores y fechas de la nueva
+// y, si corresponde, pasa a ser la ruleta por defecto de su categoría (el hook de Roulette quita la anterior)
+// Devuelve null si la versión ya no está programada (otra llamada la activó o la devolvieron a borrador)
+async function activateVersion(versionId, options = {}) {
+  const { Roulette, RouletteVersion } = sequelize.models;
+  const now = options.now || new Date();
+  const pending = await findVersionOr404(versionId);
+
+  return sequelize.transaction(async (transaction) => {
+    // Mismo orden de bloqueo que los giros: primero la ruleta
+    const roulette = await Roulette.findByPk(pending.roulette_id, { transaction, lock: transaction.LOCK.UPDATE });
+    const version = await RouletteVersion.findByPk(versionId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!roulette || version.status !== 'scheduled') return null;
+
+    // Si venció antes de activarse (ej: servidor apagado) no llega a usarse
+    if (version.valid_until && version.valid_until <= now) {
+      version.status = 'retired';
+      version.retired_at = now;
+      await version.save({ transaction });
+      return null;
+    }
+
+    await RouletteVersion.update(
+      { status: 'retired', retired_at: now },
+      { where: { roulette_id: roulette.id, status: 'active' }, transaction }
+    );
+
+    roulette.sectors_config = version.sectors_config;
+    roulette.valid_from = version.valid_from;
+    roulette.valid_until = version.valid_until;
+    roulette.is_default = version.is_default;
+    roulette.current_version_id = version.id;
+    await roulette.save({ transaction, activatingVersion: true });
+
+    version.status = 'active';
+    version.activated_at = now;
+    await version.save({ transaction });
+
+    return { version, roulette };
+  });
+}
+
+// Función para programar una versión en borrador
+// data: { valid_from, valid_until }. Sin fecha de activación, o con una fecha pasada, se activa de inmediato
+// Devuelve { version, warnings, activated }
+async function scheduleVersion(versionId, data, userId, options = {}) {
+  const now = options.now || new Date();
+  const version = await findVersionOr404(versionId);
+
+  if (version.status !== 'draft') {
+    throw createHttpError(409, 'Solo se pueden programar las versiones en borrador');
+  }
+
+  if (data.valid_from !== undefined) version.valid_from = data.valid_from;
+  if (data.valid_until !== undefined) version.valid_until = data.valid_until;
+  if (!version.valid_from) version.valid_from = now;
+
+  if (Number.isNaN(new Date(version.valid_from).getTime())) {
+    throw createHttpError(400, 'La fecha de activación no es válida');
+  }
+
+  if (version.valid_until && Number.isNaN(new Date(version.valid_until).getTime())) {
+    throw createHttpError(400, 'La fecha de fin no es válida');
+  }
+
+  if (version.valid_until && new Date(version.valid_until) <= new Date(version.valid_from)) {
+    throw createHttpError(400, 'La fecha de fin debe ser posterior a la fecha de activación');
+  }
+
+  const roulette = await findRouletteOr404(version.roulette_id);
+  const warnings = await validateVersionSectors(roulette, version);
+
+  version.status = 'scheduled';
+  version.scheduled_at = now;
+  version.scheduled_by_user_id = userId;
+  await version.save();
+
+  if (new Date(version.valid_from) > now) {
+    return { version, warnings, activated: false };
+  }
+
+  const result = await activateVersion(version.id, { now });
+  return { version: result ? result.version : await version.reload(), warnings, activated: Boolean(result) };
+}
+
+// Función para devolver una versión programada a borrador
+async function unscheduleVersion(versionId) {
+  const version = await findVersionOr404(versionId);
+
+  if (version.status !== 'scheduled') {
+    throw createHttpError(409, 'Solo se pueden cancelar las versiones programadas');
+  }
+
+  version.status = 'draft';
+  version.scheduled_at = null;
+  version.scheduled_by_user_id = null;
+  return version.save();
+}
+
+// Función para activar las versiones programadas cuya fecha llegó (la usa la tarea programada)
+// Devuelve { activated, failed: [{ version_id, error }] }
+async function activateDueVersions(now = new Date()) {
+  const { RouletteVersion } = sequelize.models;
+  const due = await RouletteVersion.findDueForActivation(now);
+  const summary = { activated: 0, failed: [] };
+
+  for (const version of due) {
+    try {
+      const result = await activateVersion(version.id, { now });
+      if (result) summary.activated += 1;
+    } catch (error) {
+      summary.failed.push({ version_id: version.id, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+// Función para retirar las versiones en uso que llegaron a su fecha de fin
+// La ruleta conserva sus fechas, así que deja de estar disponible al mismo tiempo
+async function retireExpiredVersions(now = new Date()) {
+  const { RouletteVersion } = sequelize.models;
+  const expired = await RouletteVersion.findExpired(now);
+
+  for (const version of expired) {
+    version.status = 'retired';
+    version.retired_at = now;
+    await version.save();
+  }
+
+  return expired.length;
+}
+
+// Función para obtener la versión en uso de una ruleta que se va a girar (roulette bloqueada en la transacción)
+// Las ruletas creadas antes de las versiones reciben aquí su versión 1 con la configuración que tienen
+async function ensureCurrentVersion(roulette, transaction) {
+  const { RouletteVersion } = sequelize.models;
+
+  if (roulette.current_version_id) return roulette.current_version_id;
+
+  const now = new Date();
+  const version = await RouletteVersion.create({
+    roulette_id: roulette.id,
+    version_number: await RouletteVersion.getNextNumber(roulette.id, { transaction }),
+    status: 'active',
+    sectors_config: roulette.sectors_config,
+    is_default: roulette.is_default,
+    valid_from: roulette.valid_from,
+    valid_until: roulette.valid_until,
+    notes: 'Versión inicial creada a partir de la configuración existente',
+    activated_at: now
+  }, { transaction });
+
+  roulette.current_version_id = version.id;
+  await roulette.save({ fields: ['current_version_id'], transaction });
+
+  return version.id;
+}
+
+module.exports = {
+  listVersions,
+  getVersion,
+  createVersion,
+  updateVersion,
+  scheduleVersion,
+  unscheduleVersion,
+  activateVersion,
+  activateDueVersions,
+  retireExpiredVersions,
+  ensureCurrentVersion
+};
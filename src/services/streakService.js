@@ -0,0 +1,192 @@
+// Archivo: src/services/streakService.js
+// Servicio de rachas de asistencia: días de gracia, protectores de racha y bonos por hitos
+
+const { sequelize } = require('../config/database');
+const { recordPointsChange } = require('./pointsService');
+
+// Cada cuántos días de racha se gana un protector de racha y cuántos se pueden guardar
+const STREAK_FREEZE_EVERY_DAYS = parseInt(process.env.STREAK_FREEZE_EVERY_DAYS || '7', 10);
+const MAX_STREAK_FREEZES = parseInt(process.env.MAX_STREAK_FREEZES || '2', 10);
+
+// Puntos bonus al alcanzar cada hito de racha (días: puntos)
+const STREAK_MILESTONES = {
+  7: 25,
+  14: 50,
+  30: 100,
+  60: 200,
+  100: 400
+};
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para normalizar una fecha a YYYY-MM-DD
+function toDateString(date) {
+  return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().split('T')[0];
+}
+
+// Función para sumar días a una fecha YYYY-MM-DD
+function addDays(dateString, days) {
+  return new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// Función para obtener el día de la semana (monday, tuesday...) de una fecha YYYY-MM-DD
+function getWeekDay(dateString) {
+  return WEEK_DAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+}
+
+// Función para obtener las fechas entre dos check-ins en las que el cliente debía asistir
+// No cuentan los cierres del gimnasio, los días que la sede no abre ni los días que el cliente no entrena
+async function getMissedDays(client, lastDate, checkinDate, options = {}) {
+  const { GymClosure, ClientPreferences, Location } = sequelize.models;
+  const firstGapDay = addDays(lastDate, 1);
+  const lastGapDay = addDays(checkinDate, -1);
+
+  if (firstGapDay > lastGapDay) return [];
+
+  const [closedDates, preferences, location] = await Promise.all([
+    GymClosure
+      ? GymClosure.findClosedDates(firstGapDay, lastGapDay, options.locationId, options)
+      : new Set(),
+    ClientPreferences
+      ? ClientPreferences.findOne({ where: { client_id: client.id }, transaction: options.transaction })
+      : null,
+    options.locationId && Location
+      ? Location.findByPk(options.locationId, { transaction: options.transaction })
+      : null
+  ]);
+
+  // Sin días de entrenamiento configurados se espera asistencia todos los días
+  const workoutDays = preferences ? preferences.getWorkoutDays() : [];
+  const missed = [];
+
+  for (let day = firstGapDay; day <= lastGapDay; day = addDays(day, 1)) {
+    const weekDay = getWeekDay(day);
+
+    if (closedDates.has(day)) continue;
+    if (location && location.opening_hours && !location.opening_hours[weekDay]) continue;
+    if (workoutDays.length > 0 && !workoutDays.includes(weekDay)) continue;
+
+    missed.push(day);
+  }
+
+  return missed;
+}
+
+// Función para otorgar el bono de un hito de racha
+// El cliente llega bloqueado por quien registra el check-in
+async function awardMilestoneBonus(client, streakDays, options = {}) {
+  const points = STREAK_MILESTONES[streakDays];
+
+  if (!points || !client.canEarnPoints()) return null;
+
+  return recordPointsChange(client.id, {
+    points,
+    transaction_type: 'bonus',
+    source_type: 'bonus',
+    special_bonus: points,
+    checkin_date: client.last_checkin_date,
+    reason: `Bonus por racha de ${streakDays} días consecutivos`,
+    metadata: { streak_milestone: streakDays }
+  }, { transaction: options.transaction, client, notify: true });
+}
+
+// Función para actualizar la racha del cliente con un nuevo check-in
+// options: { transaction, locationId } donde locationId es la sede del check-in
+async function updateStreak(client, checkinDate, options = {}) {
+  const today = toDateString(checkinDate);
+  const lastDate = client.last_checkin_date ? toDateString(client.last_checkin_date) : null;
+  const result = {
+    consecutive_days: client.consecutive_days,
+    streak_extended: false,
+    streak_broken: false,
+    missed_days: [],
+    freezes_used: 0,
+    freezes_earned: 0,
+    streak_freezes: client.streak_freezes,
+    milestone_bonus: null
+  };
+
+  // Mismo día (o un check-in con fecha anterior al último): la racha no cambia
+  if (lastDate && today <= lastDate) {
+    return result;
+  }
+
+  if (!lastDate) {
+    client.consecutive_days = 1;
+  } else {
+    const missedDays = await getMissedDays(client, lastDate, today, options);
+    result.missed_days = missedDays;
+
+    if (missedDays.length === 0) {
+      client.consecutive_days += 1;
+    } else if (missedDays.length <= client.streak_freezes) {
+      // Los protectores cubren los días faltados y la racha continúa
+      client.streak_freezes -= missedDays.length;
+      client.consecutive_days += 1;
+      result.freezes_used = missedDays.length;
+    } else {
+      client.consecutive_days = 1;
+      result.streak_broken = true;
+    }
+  }
+
+  result.streak_extended = !result.streak_broken && client.consecutive_days > 1;
+
+  if (client.consecutive_days > client.max_consecutive_days) {
+    client.max_consecutive_days = client.consecutive_days;
+  }
+
+  // Se gana un protector cada STREAK_FREEZE_EVERY_DAYS días de racha
+  if (client.consecutive_days % STREAK_FREEZE_EVERY_DAYS === 0 && client.streak_freezes < MAX_STREAK_FREEZES) {
+    client.streak_freezes += 1;
+    result.freezes_earned = 1;
+  }
+
+  client.last_checkin_date = today;
+  result.milestone_bonus = await awardMilestoneBonus(client, client.consecutive_days, options);
+  await client.save({ transaction: options.transaction });
+
+  result.consecutive_days = client.consecutive_days;
+  result.streak_freezes = client.streak_freezes;
+  return result;
+}
+
+// Función para obtener el estado de la racha de un cliente (para la app)
+async function getStreakStatus(client, options = {}) {
+  const today = toDateString(options.now || new Date());
+  const lastDate = client.last_checkin_date ? toDateString(client.last_checkin_date) : null;
+  let currentStreak = client.consecutive_days;
+  let pendingMissedDays = [];
+
+  // Si ya se faltaron más días de los que cubren los protectores, la racha está perdida
+  if (lastDate && lastDate < today) {
+    pendingMissedDays = await getMissedDays(client, lastDate, today, options);
+    if (pendingMissedDays.length > client.streak_freezes) currentStreak = 0;
+  }
+
+  const nextMilestone = Object.keys(STREAK_MILESTONES)
+    .map(Number)
+    .find(days => days > currentStreak) || null;
+
+  return {
+    consecutive_days: currentStreak,
+    max_consecutive_days: client.max_consecutive_days,
+    last_checkin_date: lastDate,
+    streak_freezes: client.streak_freezes,
+    max_streak_freezes: MAX_STREAK_FREEZES,
+    freezes_needed: pendingMissedDays.length,
+    next_milestone: nextMilestone
+      ? { days: nextMilestone, points: STREAK_MILESTONES[nextMilestone], days_left: nextMilestone - currentStreak }
+      : null
+  };
+}
+
+module.exports = {
+  STREAK_MILESTONES,
+  STREAK_FREEZE_EVERY_DAYS,
+  MAX_STREAK_FREEZES,
+  getMissedDays,
+  updateStreak,
+  getStreakStatus
+};
@@ -0,0 +1,206 @@
+// Archivo: src/services/tierService.js
+// Servicio de niveles de los miembros: calcula el nivel, aplica ascensos y descensos con período de gracia
+
+const { sequelize } = require('../config/database');
+const {
+  TIERS,
+  TIER_VISITS_WINDOW_DAYS,
+  TIER_DEMOTION_GRACE_DAYS,
+  TIERED_ROULETTE_CATEGORIES,
+  getTier,
+  compareTiers
+} = require('../config/tiers');
+const { lockClient } = require('./pointsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para obtener los puntos ganados en total y las visitas de la ventana móvil
+async function getQualification(client, options = {}) {
+  const { PointsTransaction, ClientCheckin } = sequelize.models;
+  const { Op } = sequelize.Sequelize;
+  const now = options.now || new Date();
+  const windowStart = new Date(now.getTime() - TIER_VISITS_WINDOW_DAYS * DAY_MS).toISOString().split('T')[0];
+
+  const [lifetimePoints, windowVisits] = await Promise.all([
+    PointsTransaction.sum('points_earned', {
+      where: {
+        client_id: client.id,
+        transaction_type: ['earned', 'bonus'],
+        is_reversed: false
+      },
+      transaction: options.transaction
+    }),
+    ClientCheckin.count({
+      where: {
+        client_id: client.id,
+        status: ['valid', 'approved'],
+        checkin_date: { [Op.gte]: windowStart }
+      },
+      distinct: true,
+      col: 'checkin_date',
+      transaction: options.transaction
+    })
+  ]);
+
+  const points = lifetimePoints || 0;
+  // El nivel más alto cuyos requisitos se cumplen por puntos o por visitas
+  const qualified = [...TIERS].reverse().find(tier => points >= tier.min_points || windowVisits >= tier.min_visits);
+
+  return {
+    lifetime_points: points,
+    window_visits: windowVisits,
+    window_days: TIER_VISITS_WINDOW_DAYS,
+    qualified_tier: qualified.code
+  };
+}
+
+// Función para avisar al cliente de un cambio de nivel
+async function notifyTierChange(client, change, options = {}) {
+  const { Notification } = sequelize.models;
+  const tier = getTier(client.tier);
+  let notification;
+
+  switch (change) {
+    case 'promoted':
+      notification = {
+        title: `¡Subiste a nivel ${tier.name}!`,
+        message: `Ahora ganas ${tier.points_multiplier}x puntos por check-in y tienes ${tier.product_discount_percent}% de descuento en productos.`,
+        type: 'motivational',
+        priority: 'medium'
+      };
+      break;
+    case 'grace_started':
+      notification = {
+        title: `Tu nivel ${tier.name} está en riesgo`,
+        message: `Ya no cumples los requisitos de tu nivel. Si no vuelves a calificar antes del ${client.tier_demotion_at.toISOString().split('T')[0]}, bajarás a nivel ${getTier(client.tier_pending_demotion).name}.`,
+        type: 'alert',
+        priority: 'high'
+      };
+      break;
+    case 'demoted':
+      notification = {
+        title: `Tu nivel cambió a ${tier.name}`,
+        message: 'Terminó el período de gracia de tu nivel anterior. ¡Sigue entrenando para volver a subir!',
+        type: 'alert',
+        priority: 'high'
+      };
+      break;
+    default:
+      return;
+  }
+
+  await Notification.create({
+    client_id: client.id,
+    ...notification,
+    related_type: 'other',
+    is_automated: true
+  }, { transaction: options.transaction });
+}
+
+// Función para recalcular el nivel de un cliente
+// Los ascensos son inmediatos; los descensos esperan TIER_DEMOTION_GRACE_DAYS días
+// options: { transaction, now }. Devuelve { tier, previous_tier, change, qualification }
+async function updateClientTier(client, options = {}) {
+  const now = options.now || new Date();
+  const qualification = await getQualification(client, options);
+  const target = qualification.qualified_tier;
+  const previousTier = client.tier;
+  let change = null;
+
+  if (compareTiers(target, client.tier) > 0) {
+    client.tier = target;
+    client.tier_achieved_at = now;
+    client.tier_pending_demotion = null;
+    client.tier_demotion_at = null;
+    change = 'promoted';
+  } else if (compareTiers(target, client.tier) === 0) {
+    if (client.tier_pending_demotion) change = 'grace_cleared';
+    client.tier_pending_demotion = null;
+    client.tier_demotion_at = null;
+  } else if (!client.tier_demotion_at) {
+    client.tier_pending_demotion = target;
+    client.tier_demotion_at = new Date(now.getTime() + TIER_DEMOTION_GRACE_DAYS * DAY_MS);
+    change = 'grace_started';
+  } else if (now >= client.tier_demotion_at) {
+    client.tier = target;
+    client.tier_achieved_at = now;
+    client.tier_pending_demotion = null;
+    client.tier_demotion_at = null;
+    change = 'demoted';
+  } else {
+    // Sigue en gracia; el nivel al que bajaría puede cambiar, la fecha no
+    client.tier_pending_demotion = target;
+  }
+
+  if (client.changed()) {
+    await client.save({ transaction: options.transaction });
+  }
+  await notifyTierChange(client, change, options);
+
+  return { tier: client.tier, previous_tier: previousTier, change, qualification };
+}
+
+// Función para recalcular el nivel de todos los clientes activos (tarea nocturna)
+// Cada cliente en su propia transacción con su fila bloqueada
+async function evaluateAllTiers(now = new Date()) {
+  const { Client } = sequelize.models;
+  const clients = await Client.findAll({
+    where: { is_active: true },
+    attributes: ['id'],
+    raw: true
+  });
+  const summary = { evaluated: 0, promoted: 0, demoted: 0, grace_started: 0 };
+
+  for (const { id } of clients) {
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const client = await lockClient(id, transaction);
+        return updateClientTier(client, { transaction, now });
+      });
+
+      summary.evaluated += 1;
+      if (summary[result.change] !== undefined) summary[result.change] += 1;
+    } catch (error) {
+      console.error(`❌ Error recalculando el nivel del cliente ${id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+// Función para verificar si un nivel tiene acceso a una categoría de ruleta
+function canAccessRouletteCategory(tierCode, category) {
+  if (!TIERED_ROULETTE_CATEGORIES.includes(category)) return true;
+  return getTier(tierCode).roulette_categories.includes(category);
+}
+
+// Función para armar el estado del nivel de un cliente (para la app)
+async function getTierStatus(client) {
+  const qualification = await getQualification(client);
+  const tier = getTier(client.tier);
+  const next = TIERS.find(item => compareTiers(item.code, client.tier) > 0) || null;
+
+  return {
+    tier,
+    tier_achieved_at: client.tier_achieved_at,
+    qualification,
+    pending_demotion: client.tier_pending_demotion
+      ? { tier: getTier(client.tier_pending_demotion), effective_at: client.tier_demotion_at }
+      : null,
+    next_tier: next
+      ? {
+        tier: next,
+        points_needed: Math.max(next.min_points - qualification.lifetime_points, 0),
+        visits_needed: Math.max(next.min_visits - qualification.window_visits, 0)
+      }
+      : null
+  };
+}
+
+module.exports = {
+  getQualification,
+  updateClientTier,
+  evaluateAllTiers,
+  canAccessRouletteCategory,
+  getTierStatus
+};
@@ -0,0 +1,43 @@
+// Archivo: src/utils/dateRange.js
+// Utilidades para leer y validar rangos de fechas (start_date, end_date) de la query de los reportes
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Días que cubre el rango cuando no se indica start_date
+const DEFAULT_RANGE_DAYS = 30;
+
+// Función para verificar que una fecha tenga el formato YYYY-MM-DD y exista (2026-02-30 no)
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Función para obtener el rango de fechas de la query (por defecto los últimos 30 días)
+// Devuelve null si alguna fecha no es válida o el rango está invertido
+function getDateRange(query) {
+  const endDate = query.end_date || new Date().toISOString().split('T')[0];
+
+  if (!isValidDate(endDate)) return null;
+
+  const start = new Date(endDate);
+  start.setDate(start.getDate() - DEFAULT_RANGE_DAYS);
+  const startDate = query.start_date || start.toISOString().split('T')[0];
+
+  if (!isValidDate(startDate) || startDate > endDate) return null;
+
+  return { startDate, endDate };
+}
+
+// Función para responder un rango de fechas inválido
+function sendInvalidDateRange(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Rango de fechas inválido, usa start_date y end_date con formato YYYY-MM-DD'
+  });
+}
+
+module.exports = {
+  getDateRange,
+  sendInvalidDateRange
+};
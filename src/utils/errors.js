@@ -0,0 +1,16 @@
+// Archivo: src/utils/errors.js
+// Utilidades para crear errores con código HTTP que entiende el manejador de errores del servidor
+
+// Función para crear un error con código HTTP (y datos opcionales para la respuesta)
+function createHttpError(status, message, data = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+}
+
+module.exports = {
+  createHttpError
+};
@@ -0,0 +1,45 @@
+// Archivo: src/utils/timezone.js
+// Utilidades para obtener la fecha y hora locales del gimnasio o de una sede
+
+// Zona horaria del gimnasio (la usan las visitas sin sede y las sedes sin zona propia)
+const GYM_TIMEZONE = process.env.GYM_TIMEZONE || 'America/Guatemala';
+
+// Función para obtener fecha (YYYY-MM-DD), hora (HH:MM:SS) y día de la semana de un instante en una zona horaria
+// Todo sale del mismo reloj: una visita a las 19:00 en Guatemala no toma la fecha UTC del día siguiente
+function getLocalMoment(date = new Date(), timezone = GYM_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || GYM_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}:${get('second')}`,
+    day: get('weekday').toLowerCase()
+  };
+}
+
+// Función para obtener el instante en que empieza un día (YYYY-MM-DD) en una zona horaria
+// Sirve para comparar columnas de fecha y hora (created_at) con un período que se corta a la medianoche local
+function getLocalDayStart(date, timezone = GYM_TIMEZONE) {
+  const utcMidnight = new Date(`${date}T00:00:00Z`);
+  const local = getLocalMoment(utcMidnight, timezone);
+  const offsetMs = new Date(`${local.date}T${local.time}Z`) - utcMidnight;
+
+  return new Date(utcMidnight.getTime() - offsetMs);
+}
+
+module.exports = {
+  GYM_TIMEZONE,
+  getLocalMoment,
+  getLocalDayStart
+};
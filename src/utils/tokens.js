@@ -0,0 +1,96 @@
+// Archivo: src/utils/tokens.js
+// Utilidades para generar y verificar los tokens JWT de acceso y de refresco
+
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+// Función para firmar el token de acceso (vida corta)
+function signAccessToken(subject) {
+  return jwt.sign(
+    {
+      sub: subject.id,
+      type: subject.type,
+      role: subject.role,
+      tv: subject.tokenVersion
+    },
+    authConfig.getAccessSecret(),
+    {
+      expiresIn: authConfig.accessTokenExpiresIn,
+      issuer: authConfig.issuer
+    }
+  );
+}
+
+// Función para firmar el token de refresco (vida larga)
+function signRefreshToken(subject) {
+  return jwt.sign(
+    {
+      sub: subject.id,
+      type: subject.type,
+      tv: subject.tokenVersion
+    },
+    authConfig.getRefreshSecret(),
+    {
+      expiresIn: authConfig.refreshTokenExpiresIn,
+      issuer: authConfig.issuer
+    }
+  );
+}
+
+// Función para generar el par de tokens que se entrega al iniciar sesión
+function generateTokenPair(subject) {
+  const accessToken = signAccessToken(subject);
+  const refreshToken = signRefreshToken(subject);
+  const decoded = jwt.decode(accessToken);
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: decoded.exp - decoded.iat
+  };
+}
+
+// Función para verificar un token de acceso
+function verifyAccessToken(token) {
+  return jwt.verify(token, authConfig.getAccessSecret(), { issuer: authConfig.issuer });
+}
+
+// Función para verificar un token de refresco
+function verifyRefreshToken(token) {
+  return jwt.verify(token, authConfig.getRefreshSecret(), { issuer: authConfig.issuer });
+}
+
+// Función para firmar un token de propósito específico (2FA pendiente, verificación de email, etc.)
+// Se firma con un secreto derivado para que nunca pueda usarse como token de acceso ni de refresco
+function signPurposeToken(payload, purpose, expiresIn) {
+  return jwt.sign(
+    { ...payload, purpose },
+    authConfig.getPurposeSecret(purpose),
+    {
+      expiresIn,
+      issuer: authConfig.issuer
+    }
+  );
+}
+
+// Función para verificar un token de propósito específico
+function verifyPurposeToken(token, purpose) {
+  const payload = jwt.verify(token, authConfig.getPurposeSecret(purpose), { issuer: authConfig.issuer });
+
+  if (payload.purpose !== purpose) {
+    throw new Error('Propósito de token inválido');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  generateTokenPair,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signPurposeToken,
+  verifyPurposeToken
+};
@@ -0,0 +1,135 @@
+// Archivo: src/utils/totp.js
+// Implementación local de TOTP (RFC 6238) sin servicios externos, compatible con Google Authenticator
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Pasos de tolerancia hacia atrás y adelante por desfase de reloj
+const TOTP_WINDOW = parseInt(process.env.TOTP_WINDOW || '1');
+
+// Función para codificar un buffer en base32 (sin relleno)
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Función para decodificar una cadena base32 a buffer
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Función para generar un nuevo secreto TOTP (160 bits, recomendado por RFC 4226)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Función para obtener el contador de tiempo (paso) de una fecha
+function getTimeStep(date = new Date()) {
+  return Math.floor(date.getTime() / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Función para generar el código HOTP de un paso concreto
+function generateCodeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Truncamiento dinámico (RFC 4226 sección 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Función para generar el código TOTP vigente
+function generateCode(secret, date = new Date()) {
+  return generateCodeForStep(secret, getTimeStep(date));
+}
+
+// Función para verificar un código con tolerancia de desfase
+// Retorna el paso que coincidió (para evitar reutilización) o null si no es válido
+function verifyCode(secret, code, date = new Date(), window = TOTP_WINDOW) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(date);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Función para construir el URI otpauth que se muestra como código QR en la app de autenticación
+function buildOtpauthURI(secret, accountName, issuer = process.env.TOTP_ISSUER || 'Elite Fitness Club') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthURI
+};
@@ -0,0 +1,13 @@
+// Archivo: src/utils/uuid.js
+// Utilidades para validar los IDs UUID que llegan en parámetros y cuerpos de las solicitudes
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Función para saber si un valor es un UUID (Postgres rechaza la consulta completa si no lo es)
+function isUUID(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  isUUID
+};
@@ -0,0 +1,26 @@
+// Archivo: tests/helpers/app.js
+// App de Express mínima para probar rutas con supertest (mismo manejo de errores que server.js)
+
+const express = require('express');
+
+// Función para montar un router en una app de prueba
+function createApp(basePath, router) {
+  const app = express();
+
+  app.use(express.json());
+  app.use(basePath, router);
+
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.data && { data: err.data })
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,64 @@
+// Archivo: tests/helpers/db.js
+// Ayudas para probar modelos y servicios sin PostgreSQL
+// Las escrituras pasan por las validaciones y hooks reales pero no llegan a la base; las lecturas se simulan en cada prueba
+
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../../src/config/database');
+
+const MODELS_PATH = path.join(__dirname, '../../src/models');
+
+// Función para cargar todos los modelos con sus asociaciones (una sola vez por archivo de prueba)
+function loadModels() {
+  if (Object.keys(sequelize.models).length === 0) {
+    fs.readdirSync(MODELS_PATH)
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => require(path.join(MODELS_PATH, file)));
+
+    Object.values(sequelize.models).forEach(model => {
+      if (typeof model.associate === 'function') model.associate(sequelize.models);
+    });
+  }
+
+  return sequelize.models;
+}
+
+// Función para construir una instancia como si viniera de la base de datos
+// Sin cambios pendientes: al guardarla solo se validan y escriben los campos que la prueba modifique
+function buildRecord(Model, values) {
+  return Model.build(values, { isNewRecord: false, raw: true });
+}
+
+// Función para reemplazar la base de datos en una prueba
+// create/save/update devuelven la instancia, las búsquedas no encuentran nada y las transacciones ejecutan su callback
+// Devuelve { transaction, inserted, created(modelName) } para revisar lo que se guardó
+function stubDatabase() {
+  const queryInterface = sequelize.getQueryInterface();
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const inserted = [];
+
+  jest.spyOn(queryInterface, 'insert').mockImplementation(async (instance) => {
+    inserted.push(instance);
+    return [instance, 1];
+  });
+  jest.spyOn(queryInterface, 'update').mockImplementation(async (instance) => [instance, 1]);
+  jest.spyOn(queryInterface, 'bulkUpdate').mockResolvedValue(0);
+  jest.spyOn(queryInterface, 'increment').mockResolvedValue([[], 0]);
+  jest.spyOn(queryInterface, 'select').mockImplementation(async (model, table, options) => (options.plain ? null : []));
+  jest.spyOn(queryInterface, 'rawSelect').mockResolvedValue(0);
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (optionsOrWork, work) => {
+    return (typeof optionsOrWork === 'function' ? optionsOrWork : work)(transaction);
+  });
+
+  return {
+    transaction,
+    inserted,
+    created: modelName => inserted.filter(instance => instance.constructor.name === modelName)
+  };
+}
+
+module.exports = {
+  loadModels,
+  buildRecord,
+  stubDatabase
+};
@@ -0,0 +1,52 @@
+// Archivo: tests/jobs/autoCheckoutJob.test.js
+// Pruebas del cierre automático de visitas abiertas
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { runAutoCheckout } = require('../../src/jobs/autoCheckoutJob');
+
+const { ClientCheckin, Location } = loadModels();
+
+const NOW = new Date('2026-03-09T20:00:00Z');
+
+// Función para construir una visita abierta que empezó hace cierta cantidad de minutos
+function buildOpenSession(id, minutesAgo, location = null) {
+  const session = buildRecord(ClientCheckin, {
+    id,
+    client_id: '1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b01',
+    location_id: location ? location.id : null,
+    checkin_date: '2026-03-09',
+    status: 'valid',
+    checkout_time: null,
+    createdAt: new Date(NOW.getTime() - minutesAgo * 60 * 1000)
+  });
+  session.location = location;
+  return session;
+}
+
+describe('runAutoCheckout', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('cierra las visitas que pasaron el límite o cuya sede ya cerró', async () => {
+    const closedLocation = buildRecord(Location, {
+      id: '1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b02',
+      timezone: 'America/Guatemala',
+      opening_hours: { monday: { open: '05:00', close: '13:00' } }
+    });
+    const sessions = [
+      buildOpenSession('1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b11', 300),
+      buildOpenSession('1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b12', 60),
+      buildOpenSession('1d2c3b4a-5f6e-4d7c-8b9a-0f1e2d3c4b13', 60, closedLocation)
+    ];
+    jest.spyOn(ClientCheckin, 'findOpenSessions').mockResolvedValue(sessions);
+
+    const closed = await runAutoCheckout(NOW);
+
+    expect(closed).toBe(2);
+    expect(sessions.map(session => session.checkout_method)).toEqual(['auto', undefined, 'auto']);
+    expect(sessions[0].workout_duration_minutes).toBe(300);
+    expect(sessions[2].checkout_time).toBe('14:00:00');
+  });
+});
@@ -0,0 +1,69 @@
+// Archivo: tests/middleware/authorize.test.js
+// Pruebas de la autorización por capacidades de cada rol
+
+const { requirePermission } = require('../../src/middleware/authorize');
+const { roleHasPermission, getPermissionsForRole } = require('../../src/config/permissions');
+const { loadModels, buildRecord } = require('../helpers/db');
+
+const { User } = loadModels();
+
+// Función para ejecutar el middleware y devolver lo que respondió
+function run(middleware, user) {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+  const next = jest.fn();
+
+  middleware({ user }, res, next);
+
+  return { res, next };
+}
+
+describe('permisos por rol', () => {
+  it('el gerente tiene todo menos administrar al personal', () => {
+    expect(roleHasPermission('manager', 'points.adjust')).toBe(true);
+    expect(roleHasPermission('manager', 'users.manage')).toBe(false);
+    expect(roleHasPermission('admin', 'users.manage')).toBe(true);
+  });
+
+  it('el personal de recepción no configura ni ajusta', () => {
+    expect(roleHasPermission('staff', 'checkins.validate')).toBe(true);
+    expect(roleHasPermission('staff', 'points.adjust')).toBe(false);
+    expect(roleHasPermission('staff', 'prizes.configure')).toBe(false);
+  });
+
+  it('un rol desconocido no tiene capacidades', () => {
+    expect(getPermissionsForRole('superuser')).toEqual([]);
+  });
+});
+
+describe('requirePermission', () => {
+  it('falla al definir la ruta con una capacidad desconocida', () => {
+    expect(() => requirePermission('points.ajust')).toThrow('Capacidad desconocida: points.ajust');
+  });
+
+  it('responde 401 sin usuario autenticado', () => {
+    const { res, next } = run(requirePermission('points.view'), undefined);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('responde 403 indicando la primera capacidad que falta', () => {
+    const staff = buildRecord(User, { id: '9e8d7c6b-5a49-4382-9170-6f5e4d3c2b1a', role: 'staff' });
+    const { res, next } = run(requirePermission('points.view', 'points.adjust'), staff);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].message).toContain('(points.adjust)');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('deja pasar cuando el rol tiene todas las capacidades', () => {
+    const manager = buildRecord(User, { id: '9e8d7c6b-5a49-4382-9170-6f5e4d3c2b1b', role: 'manager' });
+    const { res, next } = run(requirePermission('points.view', 'points.adjust'), manager);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+// Archivo: tests/models/ClientCheckin.test.js
+// Pruebas de la salida de una visita y de la curva de ocupación por hora (hora local de la sede)
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+
+const { ClientCheckin, Location } = loadModels();
+
+const LOCATION_ID = '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c01';
+
+// Función para construir una visita abierta como si viniera de la base de datos
+function buildSession(values = {}) {
+  return buildRecord(ClientCheckin, {
+    id: '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c02',
+    client_id: '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c03',
+    location_id: LOCATION_ID,
+    checkin_date: '2026-03-09',
+    checkin_time: '18:30:00',
+    status: 'valid',
+    checkout_time: null,
+    createdAt: new Date('2026-03-10T00:30:00Z'),
+    ...values
+  });
+}
+
+describe('ClientCheckin.prototype.checkout', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('guarda la hora de salida en la zona horaria de la sede y la duración desde el check-in', async () => {
+    const session = buildSession();
+    jest.spyOn(Location, 'findByPk').mockResolvedValue(buildRecord(Location, { id: LOCATION_ID, timezone: 'America/Guatemala' }));
+
+    const minutes = await session.checkout('gps', { at: new Date('2026-03-10T01:45:00Z'), workoutType: 'cardio' });
+
+    expect(session.checkout_time).toBe('19:45:00');
+    expect(minutes).toBe(75);
+    expect(session.workout_duration_minutes).toBe(75);
+    expect(session.workout_type).toBe('cardio');
+  });
+
+  it('limita la duración a la sesión máxima', async () => {
+    const session = buildSession({ location_id: null });
+
+    await session.checkout('auto', { at: new Date('2026-03-10T12:30:00Z') });
+
+    expect(session.workout_duration_minutes).toBe(ClientCheckin.MAX_SESSION_MINUTES);
+  });
+
+  it('no permite registrar la salida dos veces', async () => {
+    const session = buildSession({ checkout_time: '19:00:00' });
+
+    await expect(session.checkout('gps')).rejects.toThrow('La salida de esta visita ya fue registrada');
+  });
+
+  it('usa la sede incluida en la visita sin volver a buscarla (cierre automático)', async () => {
+    const session = buildSession();
+    session.location = buildRecord(Location, { id: LOCATION_ID, timezone: 'America/New_York' });
+    jest.spyOn(Location, 'findByPk');
+
+    await session.checkout('auto', { at: new Date('2026-03-10T01:45:00Z') });
+
+    expect(session.checkout_time).toBe('21:45:00');
+    expect(Location.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('ClientCheckin.getHourlyOccupancy', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.useFakeTimers({ now: new Date('2026-03-10T01:30:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('cuenta las visitas abiertas de hoy hasta la hora local actual', async () => {
+    jest.spyOn(ClientCheckin, 'findAll').mockResolvedValue([
+      { checkin_time: '18:10:00', checkout_time: null },
+      { checkin_time: '07:00:00', checkout_time: '08:15:00' }
+    ]);
+
+    const hours = await ClientCheckin.getHourlyOccupancy(LOCATION_ID, '2026-03-09', 'America/Guatemala');
+    const visitors = hour => hours.find(item => item.hour === hour).visitors;
+
+    expect(visitors('08:00')).toBe(1);
+    expect(visitors('18:00')).toBe(1);
+    expect(visitors('19:00')).toBe(1);
+    expect(visitors('20:00')).toBe(0);
+  });
+
+  it('en un día pasado las visitas sin salida cuentan hasta el final del día', async () => {
+    jest.spyOn(ClientCheckin, 'findAll').mockResolvedValue([
+      { checkin_time: '18:10:00', checkout_time: null }
+    ]);
+
+    const hours = await ClientCheckin.getHourlyOccupancy(LOCATION_ID, '2026-03-08', 'America/Guatemala');
+
+    expect(hours.find(item => item.hour === '23:00').visitors).toBe(1);
+  });
+});
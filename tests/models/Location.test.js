@@ -0,0 +1,94 @@
+// Archivo: tests/models/Location.test.js
+// Pruebas de las sedes: distancia, horario en su zona horaria y sede más cercana al check-in
+
+const { loadModels, buildRecord } = require('../helpers/db');
+
+const { Location, ClientCheckin } = loadModels();
+
+// Función para construir una sede como si viniera de la base de datos
+function buildLocation(values = {}) {
+  return buildRecord(Location, {
+    id: '8c7b6a59-4837-4261-9504-f3e2d1c0b001',
+    name: 'Zona 10',
+    latitude: '14.5995',
+    longitude: '-90.5131',
+    radius_meters: 100,
+    timezone: 'America/Guatemala',
+    opening_hours: null,
+    is_active: true,
+    ...values
+  });
+}
+
+describe('Location.prototype.calculateDistanceTo', () => {
+  it('mide en metros con Haversine', () => {
+    const location = buildLocation();
+
+    expect(location.calculateDistanceTo(14.5995, -90.5131)).toBe(0);
+    // 0.001 grados de latitud son unos 111 metros
+    expect(location.calculateDistanceTo(14.6005, -90.5131)).toBeCloseTo(111.2, 0);
+  });
+});
+
+describe('Location.prototype.isOpen', () => {
+  it('usa la hora local de la sede', () => {
+    const location = buildLocation({ opening_hours: { monday: { open: '06:00', close: '21:00' } } });
+
+    // Lunes 05:30 y 20:59 en Guatemala (UTC-6)
+    expect(location.isOpen(new Date('2026-03-09T11:30:00Z'))).toBe(false);
+    expect(location.isOpen(new Date('2026-03-09T12:00:00Z'))).toBe(true);
+    expect(location.isOpen(new Date('2026-03-10T02:59:00Z'))).toBe(true);
+  });
+
+  it('acepta horarios que cruzan la medianoche y días cerrados', () => {
+    const location = buildLocation({ opening_hours: { friday: { open: '22:00', close: '02:00' } } });
+
+    // Viernes 23:00 y 03:00 en Guatemala
+    expect(location.isOpen(new Date('2026-03-14T05:00:00Z'))).toBe(true);
+    expect(location.isOpen(new Date('2026-03-13T09:00:00Z'))).toBe(false);
+    // Sábado: sin horario, cerrado
+    expect(location.isOpen(new Date('2026-03-14T16:00:00Z'))).toBe(false);
+  });
+
+  it('sin horario la sede abre las 24 horas', () => {
+    expect(buildLocation().isOpen(new Date('2026-03-09T09:00:00Z'))).toBe(true);
+  });
+});
+
+describe('ClientCheckin.prototype.validateLocation', () => {
+  const zona10 = buildLocation();
+  const mixco = buildLocation({
+    id: '8c7b6a59-4837-4261-9504-f3e2d1c0b002',
+    name: 'Mixco',
+    latitude: '14.6333',
+    longitude: '-90.6064',
+    radius_meters: 200
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Location, 'findAll').mockResolvedValue([zona10, mixco]);
+  });
+
+  it('asigna la sede activa más cercana y usa su radio', async () => {
+    const checkin = ClientCheckin.build({ latitude: 14.6340, longitude: -90.6064, status: 'valid' });
+
+    const location = await checkin.validateLocation();
+
+    expect(location).toBe(mixco);
+    expect(checkin.location_id).toBe(mixco.id);
+    expect(checkin.location_valid).toBe(true);
+    expect(checkin.status).toBe('valid');
+  });
+
+  it('marca como sospechoso fuera del radio e inválido a más del doble', async () => {
+    const near = ClientCheckin.build({ latitude: 14.6010, longitude: -90.5131, status: 'valid' });
+    const far = ClientCheckin.build({ latitude: 14.6100, longitude: -90.5131, status: 'valid' });
+
+    await near.validateLocation();
+    await far.validateLocation();
+
+    expect(near.location_id).toBe(zona10.id);
+    expect(near.status).toBe('suspicious');
+    expect(far.status).toBe('invalid');
+  });
+});
@@ -0,0 +1,40 @@
+// Archivo: tests/models/LocationWaitlist.test.js
+// Pruebas de la posición en la lista de espera de una sede
+
+const { Op } = require('sequelize');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+
+const { LocationWaitlist } = loadModels();
+
+describe('LocationWaitlist.prototype.getPosition', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('cuenta a quienes se anotaron antes en la misma sede', async () => {
+    const joinedAt = new Date('2026-03-09T18:05:00Z');
+    const entry = buildRecord(LocationWaitlist, {
+      id: '4b3a2c1d-0e9f-4a8b-9c7d-6e5f4a3b2c01',
+      location_id: '4b3a2c1d-0e9f-4a8b-9c7d-6e5f4a3b2c02',
+      client_id: '4b3a2c1d-0e9f-4a8b-9c7d-6e5f4a3b2c03',
+      status: 'waiting',
+      createdAt: joinedAt
+    });
+    jest.spyOn(LocationWaitlist, 'count').mockResolvedValue(2);
+
+    const position = await entry.getPosition();
+
+    expect(position).toBe(3);
+    expect(LocationWaitlist.count.mock.calls[0][0].where).toMatchObject({
+      location_id: entry.location_id,
+      status: 'waiting',
+      created_at: { [Op.lt]: joinedAt }
+    });
+  });
+
+  it('no tiene posición cuando ya no está esperando', async () => {
+    const entry = buildRecord(LocationWaitlist, { status: 'notified' });
+
+    expect(await entry.getPosition()).toBeNull();
+  });
+});
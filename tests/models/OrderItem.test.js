@@ -0,0 +1,67 @@
+// Archivo: tests/models/OrderItem.test.js
+// Pruebas del descuento por nivel del cliente al crear ítems de una orden
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+
+const { Client, Order, OrderItem } = loadModels();
+
+const ORDER_ID = '5e6f7a8b-9c0d-4e1f-8a2b-3c4d5e6f7a01';
+const CLIENT_ID = '5e6f7a8b-9c0d-4e1f-8a2b-3c4d5e6f7a02';
+
+// Función para preparar la orden de un cliente con cierto nivel
+function stubOrderClient(tier) {
+  jest.spyOn(Order, 'findByPk').mockResolvedValue(buildRecord(Order, { id: ORDER_ID, client_id: CLIENT_ID }));
+  jest.spyOn(Client, 'findByPk').mockResolvedValue(buildRecord(Client, { id: CLIENT_ID, tier }));
+}
+
+// Función para crear un ítem de 2 unidades a Q100
+function createItem(values = {}) {
+  return OrderItem.create({
+    order_id: ORDER_ID,
+    product_id: '5e6f7a8b-9c0d-4e1f-8a2b-3c4d5e6f7a03',
+    product_name: 'Proteína',
+    product_sku: 'PROT-001',
+    delivery_mode: 'pickup',
+    quantity: 2,
+    unit_price: 100,
+    total_price: 0,
+    ...values
+  });
+}
+
+describe('OrderItem: descuento por nivel', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('aplica el descuento del nivel del cliente y el total ya lo incluye', async () => {
+    stubOrderClient('gold');
+
+    const item = await createItem();
+
+    expect(parseFloat(item.discount_amount)).toBe(20);
+    expect(item.discount_reason).toBe('Descuento de nivel Oro (10%)');
+    expect(item.total_price).toBe(180);
+  });
+
+  it('no hay descuento para el nivel Bronce', async () => {
+    stubOrderClient('bronze');
+
+    const item = await createItem();
+
+    expect(parseFloat(item.discount_amount)).toBe(0);
+    expect(item.total_price).toBe(200);
+  });
+
+  it('respeta un descuento propio del ítem y no toca los ítems sin precio', async () => {
+    stubOrderClient('platinum');
+
+    const discounted = await createItem({ discount_amount: 5, discount_reason: 'Cupón' });
+    const free = await createItem({ unit_price: 0 });
+
+    expect(discounted.discount_reason).toBe('Cupón');
+    expect(discounted.total_price).toBe(195);
+    expect(parseFloat(free.discount_amount)).toBe(0);
+    expect(Client.findByPk).not.toHaveBeenCalled();
+  });
+});
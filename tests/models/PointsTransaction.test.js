@@ -0,0 +1,140 @@
+// Archivo: tests/models/PointsTransaction.test.js
+// Pruebas del consumo FIFO de puntos y de la reversión de créditos
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { recordPointsChange } = require('../../src/services/pointsService');
+
+const { Client, PointsTransaction } = loadModels();
+
+const CLIENT_ID = '2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e01';
+
+// Función para construir un cliente con su saldo
+function buildClient(totalPoints) {
+  return buildRecord(Client, {
+    id: CLIENT_ID,
+    first_name: 'Carla',
+    last_name: 'Díaz',
+    email: 'carla@correo.gt',
+    is_active: true,
+    email_verified: true,
+    total_points: totalPoints
+  });
+}
+
+// Función para construir un crédito de puntos guardado
+function buildCredit(id, points, remaining, values = {}) {
+  return buildRecord(PointsTransaction, {
+    id,
+    client_id: CLIENT_ID,
+    transaction_type: 'earned',
+    source_type: 'checkin',
+    points_earned: points,
+    points_deducted: 0,
+    points_change: points,
+    points_remaining: remaining,
+    balance_before: 0,
+    balance_after: points,
+    is_reversed: false,
+    reason: 'Check-in',
+    createdAt: new Date(),
+    ...values
+  });
+}
+
+describe('consumo FIFO de puntos', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('un gasto descuenta primero de los créditos que vencen antes', async () => {
+    const oldest = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e11', 30, 30);
+    const newest = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e12', 50, 50);
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([oldest, newest]);
+
+    const spend = await recordPointsChange(CLIENT_ID, {
+      points: -40,
+      transaction_type: 'redeemed',
+      source_type: 'reward',
+      reason: 'Canje'
+    }, { client: buildClient(80) });
+
+    expect(oldest.points_remaining).toBe(0);
+    expect(newest.points_remaining).toBe(40);
+    expect(spend.metadata.consumed_from).toEqual([
+      { transaction_id: oldest.id, points: 30 },
+      { transaction_id: newest.id, points: 10 }
+    ]);
+  });
+
+  it('un gasto del mismo día descuenta primero del crédito que vence hoy', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const expiringToday = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e13', 30, 30, { expires_at: today });
+    const later = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e14', 50, 50, { expires_at: '2099-01-01' });
+    const findAll = jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([expiringToday, later]);
+
+    await recordPointsChange(CLIENT_ID, {
+      points: -20,
+      transaction_type: 'redeemed',
+      source_type: 'reward',
+      reason: 'Canje'
+    }, { client: buildClient(80) });
+
+    // El saldo cuenta el crédito de hoy hasta que vence: la búsqueda no puede dejarlo fuera
+    expect(findAll.mock.calls[0][0].where).toEqual({ client_id: CLIENT_ID, points_remaining: expect.any(Object) });
+    expect(expiringToday.points_remaining).toBe(10);
+    expect(later.points_remaining).toBe(50);
+  });
+});
+
+describe('PointsTransaction.prototype.reverse', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+  });
+
+  // Función para preparar la reversión de un crédito con el saldo del cliente
+  function stubReversal(credit, totalPoints) {
+    jest.spyOn(PointsTransaction, 'findOne').mockResolvedValue(buildCredit(credit.id, credit.points_change, credit.points_remaining));
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildClient(totalPoints));
+  }
+
+  it('anula lo que queda del crédito reversado sin tocar los créditos más antiguos', async () => {
+    const older = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e21', 100, 100);
+    const credit = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e22', 50, 50);
+    stubReversal(credit, 150);
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([older]);
+
+    const reversal = await credit.reverse('7e8f9a0b-1c2d-4e3f-8a4b-5c6d7e8f9a01', 'Check-in duplicado', { transaction: db.transaction });
+
+    expect(reversal.points_change).toBe(-50);
+    expect(credit.points_remaining).toBe(0);
+    expect(credit.is_reversed).toBe(true);
+    expect(credit.reversed_by_transaction_id).toBe(reversal.id);
+    expect(older.points_remaining).toBe(100);
+    expect(PointsTransaction.findAll).not.toHaveBeenCalled();
+    expect(reversal.metadata.consumed_from).toEqual([{ transaction_id: credit.id, points: 50 }]);
+  });
+
+  it('descuenta por FIFO solo la parte del crédito que ya se había gastado', async () => {
+    const older = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e31', 100, 80);
+    const credit = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e32', 50, 20);
+    stubReversal(credit, 100);
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([older]);
+
+    const reversal = await credit.reverse(null, 'Bono por error', { transaction: db.transaction });
+
+    expect(credit.points_remaining).toBe(0);
+    expect(older.points_remaining).toBe(50);
+    expect(reversal.metadata.consumed_from).toEqual([
+      { transaction_id: credit.id, points: 20 },
+      { transaction_id: older.id, points: 30 }
+    ]);
+  });
+
+  it('no permite reversar dos veces', async () => {
+    const credit = buildCredit('2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e41', 50, 50, { is_reversed: true });
+
+    await expect(credit.reverse(null, 'Otra vez')).rejects.toThrow('Transacción ya reversada');
+  });
+});
@@ -0,0 +1,126 @@
+// Archivo: tests/routes/authRoutes.test.js
+// Pruebas del login, refresco y cierre de sesión del personal
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { createApp } = require('../helpers/app');
+const { signAccessToken, signRefreshToken } = require('../../src/utils/tokens');
+
+const { User } = loadModels();
+const app = createApp('/api/auth', require('../../src/routes/authRoutes'));
+
+const PASSWORD = 'secreto123';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// Función para construir un usuario como si viniera de la base de datos
+function buildUser(values = {}) {
+  return buildRecord(User, {
+    id: '7f1c1e0e-6a4b-4c39-9a57-1f0f6a9f3c11',
+    email: 'admin@elite.gt',
+    password: passwordHash,
+    first_name: 'Ana',
+    last_name: 'López',
+    role: 'admin',
+    is_active: true,
+    login_attempts: 0,
+    token_version: 0,
+    ...values
+  });
+}
+
+describe('POST /api/auth/login', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('entrega el par de tokens con credenciales válidas', async () => {
+    const user = buildUser({ login_attempts: 2 });
+    jest.spyOn(User, 'findActiveByEmail').mockResolvedValue(user);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: ' Admin@Elite.gt ', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(User.findActiveByEmail).toHaveBeenCalledWith('admin@elite.gt');
+    expect(res.body.data.tokens).toMatchObject({ token_type: 'Bearer', expires_in: 900 });
+    expect(res.body.data.user.password).toBeUndefined();
+    expect(user.login_attempts).toBe(0);
+  });
+
+  it('cuenta el intento fallido y bloquea la cuenta al quinto', async () => {
+    const user = buildUser({ login_attempts: 3 });
+    jest.spyOn(User, 'findActiveByEmail').mockResolvedValue(user);
+
+    let res = await request(app).post('/api/auth/login').send({ email: 'admin@elite.gt', password: 'incorrecta' });
+    expect(res.status).toBe(401);
+    expect(res.body.data.attempts_remaining).toBe(1);
+
+    res = await request(app).post('/api/auth/login').send({ email: 'admin@elite.gt', password: 'incorrecta' });
+    expect(res.status).toBe(423);
+    expect(res.body.data.remaining_minutes).toBe(30);
+  });
+
+  it('rechaza al usuario inexistente sin revelar si el email existe', async () => {
+    jest.spyOn(User, 'findActiveByEmail').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'nadie@elite.gt', password: PASSWORD });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Credenciales inválidas');
+  });
+
+  it('pide el segundo factor sin emitir la sesión cuando el usuario tiene 2FA', async () => {
+    jest.spyOn(User, 'findActiveByEmail').mockResolvedValue(buildUser({ two_factor_enabled: true }));
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'admin@elite.gt', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.requires_two_factor).toBe(true);
+    expect(res.body.data.tokens).toBeUndefined();
+  });
+});
+
+describe('POST /api/auth/refresh y /logout', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('renueva los tokens mientras la versión del token coincide', async () => {
+    const user = buildUser({ token_version: 3 });
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: signRefreshToken({ id: user.id, type: 'user', tokenVersion: 3 }) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens.access_token).toEqual(expect.any(String));
+  });
+
+  it('el logout invalida los tokens emitidos antes', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    const accessToken = signAccessToken({ id: user.id, type: 'user', role: user.role, tokenVersion: 0 });
+    const refreshToken = signRefreshToken({ id: user.id, type: 'user', tokenVersion: 0 });
+
+    const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${accessToken}`);
+    expect(logout.status).toBe(200);
+    expect(user.token_version).toBe(1);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('no acepta un token de cliente en las rutas del personal', async () => {
+    const token = signAccessToken({ id: 'c1', type: 'client', tokenVersion: 0 });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
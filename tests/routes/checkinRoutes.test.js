@@ -0,0 +1,100 @@
+// Archivo: tests/routes/checkinRoutes.test.js
+// Pruebas de las rutas de check-in del personal con parámetros mal formados
+
+const request = require('supertest');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { createApp } = require('../helpers/app');
+const { signAccessToken } = require('../../src/utils/tokens');
+
+const { User, ClientCheckin } = loadModels();
+const app = createApp('/api/checkins', require('../../src/routes/checkinRoutes'));
+
+const ADMIN = {
+  id: '5b8e2f10-4d6c-4a1e-9f3b-7c2d1e0a9b11',
+  email: 'admin@elite.gt',
+  first_name: 'Ana',
+  last_name: 'López',
+  role: 'admin',
+  is_active: true,
+  token_version: 0
+};
+const authHeader = `Bearer ${signAccessToken({ id: ADMIN.id, type: 'user', role: ADMIN.role, tokenVersion: 0 })}`;
+
+beforeEach(() => {
+  stubDatabase();
+  jest.spyOn(User, 'findByPk').mockResolvedValue(buildRecord(User, ADMIN));
+});
+
+describe('cola de revisión', () => {
+  it('responde 404 al detalle con un ID que no es UUID sin consultar la base de datos', async () => {
+    const findByPk = jest.spyOn(ClientCheckin, 'findByPk');
+
+    const res = await request(app).get('/api/checkins/review/123').set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Check-in no encontrado' });
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un location_id mal formado en la cola', async () => {
+    const findReviewQueue = jest.spyOn(ClientCheckin, 'findReviewQueue');
+
+    const res = await request(app).get('/api/checkins/review/queue?location_id=sede-1').set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(findReviewQueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/checkins/:id/fraud-explanation', () => {
+  it('responde 404 con un ID que no es UUID sin consultar la base de datos', async () => {
+    const findByPk = jest.spyOn(ClientCheckin, 'findByPk');
+
+    const res = await request(app).get('/api/checkins/abc/fraud-explanation').set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Check-in no encontrado' });
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('duración de las visitas', () => {
+  it('rechaza fechas inválidas con 400 en lugar de fallar al calcular el rango', async () => {
+    const getDailyVisitDuration = jest.spyOn(ClientCheckin, 'getDailyVisitDuration');
+
+    for (const query of ['end_date=abc', 'start_date=ayer', 'start_date=2026-02-30&end_date=2026-03-10', 'start_date=2026-03-10&end_date=2026-03-01']) {
+      const res = await request(app).get(`/api/checkins/stats/duration?${query}`).set('Authorization', authHeader);
+      expect(res.status).toBe(400);
+    }
+
+    expect(getDailyVisitDuration).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un location_id mal formado', async () => {
+    const res = await request(app).get('/api/checkins/stats/duration?location_id=1').set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('responde 404 con un ID de cliente que no es UUID', async () => {
+    const getClientVisitDuration = jest.spyOn(ClientCheckin, 'getClientVisitDuration');
+
+    const res = await request(app).get('/api/checkins/stats/duration/clients/42').set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+    expect(getClientVisitDuration).not.toHaveBeenCalled();
+  });
+
+  it('usa los últimos 30 días hasta end_date cuando no hay start_date', async () => {
+    const getClientVisitDuration = jest.spyOn(ClientCheckin, 'getClientVisitDuration').mockResolvedValue({ total_visits: '3' });
+    const clientId = '5b8e2f10-4d6c-4a1e-9f3b-7c2d1e0a9b22';
+
+    const res = await request(app)
+      .get(`/api/checkins/stats/duration/clients/${clientId}?end_date=2026-03-31`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(getClientVisitDuration).toHaveBeenCalledWith(clientId, '2026-03-01', '2026-03-31');
+    expect(res.body.data.total_visits).toBe(3);
+  });
+});
@@ -0,0 +1,158 @@
+// Archivo: tests/routes/clientAuthRoutes.test.js
+// Pruebas del registro, verificación de email y restablecimiento de contraseña de los clientes
+
+const crypto = require('crypto');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { createApp } = require('../helpers/app');
+const { signPurposeToken, signRefreshToken } = require('../../src/utils/tokens');
+
+const { Client, ClientPreferences, Notification } = loadModels();
+const app = createApp('/api/clients/auth', require('../../src/routes/clientAuthRoutes'));
+
+const CLIENT_ID = '4b8d0f12-6c5e-4a7b-9d3f-2e1a0c9b8d01';
+const passwordHash = bcrypt.hashSync('secreto123', 4);
+
+// Función para construir un cliente como si viniera de la base de datos
+function buildClient(values = {}) {
+  return buildRecord(Client, {
+    id: CLIENT_ID,
+    email: 'lucia@correo.gt',
+    password: passwordHash,
+    first_name: 'Lucía',
+    last_name: 'Pérez',
+    is_active: true,
+    email_verified: false,
+    token_version: 0,
+    ...values
+  });
+}
+
+describe('POST /api/clients/auth/register', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    jest.spyOn(Notification, 'createFromTemplate').mockResolvedValue(null);
+  });
+
+  it('exige la contraseña con el largo mínimo', async () => {
+    const res = await request(app)
+      .post('/api/clients/auth/register')
+      .send({ email: 'lucia@correo.gt', password: '123', first_name: 'Lucía', last_name: 'Pérez' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rechaza un email ya registrado aunque la cuenta esté eliminada', async () => {
+    const findOne = jest.spyOn(Client, 'findOne').mockResolvedValue(buildClient());
+
+    const res = await request(app)
+      .post('/api/clients/auth/register')
+      .send({ email: 'Lucia@Correo.gt', password: 'secreto123', first_name: 'Lucía', last_name: 'Pérez' });
+
+    expect(res.status).toBe(409);
+    expect(findOne).toHaveBeenCalledWith({ where: { email: 'lucia@correo.gt' }, paranoid: false });
+  });
+
+  it('crea el cliente con sus preferencias y envía el email de verificación', async () => {
+    jest.spyOn(Client, 'findOne').mockResolvedValue(null);
+    const createDefault = jest.spyOn(ClientPreferences, 'createDefault').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/clients/auth/register')
+      .send({ email: 'lucia@correo.gt', password: 'secreto123', first_name: 'Lucía', last_name: 'Pérez' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.tokens.access_token).toEqual(expect.any(String));
+
+    const [client] = db.created('Client');
+    expect(client.password).not.toBe('secreto123');
+    expect(client.referral_code).toEqual(expect.any(String));
+    expect(createDefault).toHaveBeenCalledWith(client.id, { transaction: db.transaction });
+    expect(Notification.createFromTemplate).toHaveBeenCalledWith(
+      'email_verification', client.id, { first_name: 'Lucía' }, expect.objectContaining({ channels: ['email'] })
+    );
+  });
+});
+
+describe('POST /api/clients/auth/verify-email', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('marca el email como verificado', async () => {
+    const client = buildClient();
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    const token = signPurposeToken({ sub: client.id, email: client.email }, 'email_verification', '1h');
+
+    const res = await request(app).post('/api/clients/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(200);
+    expect(client.email_verified).toBe(true);
+  });
+
+  it('no sirve si el cliente cambió de email después de emitirlo', async () => {
+    const client = buildClient({ email: 'nuevo@correo.gt' });
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    const token = signPurposeToken({ sub: client.id, email: 'lucia@correo.gt' }, 'email_verification', '1h');
+
+    const res = await request(app).post('/api/clients/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(400);
+    expect(client.email_verified).toBe(false);
+  });
+
+  it('no acepta un token emitido para otro propósito', async () => {
+    const token = signPurposeToken({ sub: CLIENT_ID, email: 'lucia@correo.gt' }, 'password_reset', '1h');
+
+    const res = await request(app).post('/api/clients/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/clients/auth/reset-password y /refresh', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  // Función para firmar el token de restablecimiento con la huella de la contraseña actual
+  function resetTokenFor(client) {
+    const pwh = crypto.createHash('sha256').update(client.password).digest('hex').slice(0, 16);
+    return signPurposeToken({ sub: client.id, pwh }, 'password_reset', '1h');
+  }
+
+  it('cambia la contraseña y cierra las sesiones abiertas', async () => {
+    const client = buildClient();
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+
+    const res = await request(app)
+      .post('/api/clients/auth/reset-password')
+      .send({ token: resetTokenFor(client), password: 'nueva1234' });
+
+    expect(res.status).toBe(200);
+    expect(client.token_version).toBe(1);
+    expect(await client.validatePassword('nueva1234')).toBe(true);
+  });
+
+  it('el enlace deja de servir cuando la contraseña ya cambió', async () => {
+    const token = resetTokenFor(buildClient());
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildClient({ password: bcrypt.hashSync('otra12345', 4) }));
+
+    const res = await request(app).post('/api/clients/auth/reset-password').send({ token, password: 'nueva1234' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('no renueva la sesión con un token de refresco del personal', async () => {
+    const findByPk = jest.spyOn(Client, 'findByPk');
+    const refreshToken = signRefreshToken({ id: CLIENT_ID, type: 'user', tokenVersion: 0 });
+
+    const res = await request(app).post('/api/clients/auth/refresh').send({ refresh_token: refreshToken });
+
+    expect(res.status).toBe(401);
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+// Archivo: tests/routes/rouletteRoutes.test.js
+// Pruebas de la verificación pública de giros
+
+const request = require('supertest');
+const { loadModels, stubDatabase } = require('../helpers/db');
+const { createApp } = require('../helpers/app');
+
+const { PrizeWinning } = loadModels();
+const app = createApp('/api/roulette', require('../../src/routes/rouletteRoutes'));
+
+describe('GET /api/roulette/spins/:id/verify', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('responde 404 con un ID que no es UUID sin consultar la base de datos', async () => {
+    const findByPk = jest.spyOn(PrizeWinning, 'findByPk');
+
+    const res = await request(app).get('/api/roulette/spins/123/verify');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Giro verificable no encontrado' });
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+
+  it('responde 404 con un giro inexistente', async () => {
+    jest.spyOn(PrizeWinning, 'findByPk').mockResolvedValue(null);
+
+    const res = await request(app).get('/api/roulette/spins/3a7c9e21-5b4d-4f6a-8c2e-1d0f9b8a7c42/verify');
+
+    expect(res.status).toBe(404);
+  });
+});
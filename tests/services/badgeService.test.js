@@ -0,0 +1,76 @@
+// Archivo: tests/services/badgeService.test.js
+// Pruebas de la entrega de insignias y sus recompensas
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { evaluateBadges } = require('../../src/services/badgeService');
+
+const { Client, ClientBadge, ClientCheckin, PrizeWinning } = loadModels();
+
+// Función para construir un cliente como si viniera de la base de datos
+function buildClient(values = {}) {
+  return buildRecord(Client, {
+    id: '0b7d3c52-4f0e-4b8e-8d7a-2a4f3b1c9e01',
+    first_name: 'Luis',
+    last_name: 'Pérez',
+    email: 'luis@correo.gt',
+    is_active: true,
+    total_points: 0,
+    max_consecutive_days: 0,
+    ...values
+  });
+}
+
+describe('evaluateBadges', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    jest.spyOn(ClientBadge, 'findByClient').mockResolvedValue([]);
+  });
+
+  it('otorga visits_100 con un QR de giro premium a nombre del cliente', async () => {
+    const client = buildClient();
+    jest.spyOn(ClientCheckin, 'count').mockResolvedValue(100);
+    jest.spyOn(ClientBadge, 'findByClient').mockResolvedValue([
+      ClientBadge.build({ client_id: client.id, badge_code: 'first_checkin' })
+    ]);
+
+    const awarded = await evaluateBadges(client.id, 'checkin', { transaction: db.transaction, client });
+
+    expect(awarded.map(badge => badge.badge_code)).toContain('visits_100');
+
+    const [qrCode] = db.created('QRCode');
+    expect(qrCode).toMatchObject({
+      client_id: client.id,
+      code_type: 'special',
+      prize_category: 'premium',
+      max_uses: 1
+    });
+    expect(qrCode.code).toEqual(expect.any(String));
+    expect(awarded.find(badge => badge.badge_code === 'visits_100').qr_code_id).toBe(qrCode.id);
+    expect(db.created('Notification')[0].message).toContain('giro de ruleta');
+  });
+
+  it('otorga streak_30 con un giro básico', async () => {
+    const client = buildClient({ max_consecutive_days: 30 });
+    jest.spyOn(ClientCheckin, 'count').mockResolvedValue(0);
+
+    const awarded = await evaluateBadges(client.id, 'checkin', { transaction: db.transaction, client });
+
+    expect(awarded.map(badge => badge.badge_code)).toEqual(['streak_30']);
+    expect(db.created('QRCode')[0].prize_category).toBe('basic');
+  });
+
+  it('no vuelve a otorgar una insignia ya obtenida', async () => {
+    const client = buildClient();
+    jest.spyOn(PrizeWinning, 'count').mockResolvedValue(3);
+    jest.spyOn(ClientBadge, 'findByClient').mockResolvedValue([
+      ClientBadge.build({ client_id: client.id, badge_code: 'first_roulette_win' })
+    ]);
+
+    const awarded = await evaluateBadges(client.id, 'prize_win', { transaction: db.transaction, client });
+
+    expect(awarded).toEqual([]);
+    expect(db.inserted).toHaveLength(0);
+  });
+});
@@ -0,0 +1,81 @@
+// Archivo: tests/services/checkinReviewService.test.js
+// Pruebas de la revisión masiva de check-ins y de lo que cambia al aprobar uno
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const checkinReviewService = require('../../src/services/checkinReviewService');
+
+const { Client, ClientCheckin, ClientPreferences, GymClosure } = loadModels();
+
+const CHECKIN_ID = '7d2e4b10-3c5a-4f8e-9a1b-2c3d4e5f6a01';
+const REVIEWER = { id: '7d2e4b10-3c5a-4f8e-9a1b-2c3d4e5f6a99' };
+const CLIENT_ID = '7d2e4b10-3c5a-4f8e-9a1b-2c3d4e5f6a02';
+
+describe('reviewCheckins', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('un ID mal formado queda como fallo de ese check-in sin consultar la base de datos', async () => {
+    const findByPk = jest.spyOn(ClientCheckin, 'findByPk').mockResolvedValue(
+      buildRecord(ClientCheckin, { id: CHECKIN_ID, client_id: REVIEWER.id, status: 'approved' })
+    );
+
+    const results = await checkinReviewService.reviewCheckins(['no-es-un-uuid', CHECKIN_ID], 'approved', REVIEWER);
+
+    expect(results).toEqual([
+      { checkin_id: 'no-es-un-uuid', success: false, message: 'ID de check-in no válido' },
+      { checkin_id: CHECKIN_ID, success: false, message: 'El check-in ya fue revisado (estado: approved)' }
+    ]);
+    expect(findByPk).toHaveBeenCalledTimes(1);
+    expect(findByPk.mock.calls[0][0]).toBe(CHECKIN_ID);
+  });
+
+  it('un check-in inexistente queda como fallo de ese check-in', async () => {
+    jest.spyOn(ClientCheckin, 'findByPk').mockResolvedValue(null);
+
+    const results = await checkinReviewService.reviewCheckins([CHECKIN_ID], 'rejected', REVIEWER, 'Foto no coincide');
+
+    expect(results).toEqual([{ checkin_id: CHECKIN_ID, success: false, message: 'Check-in no encontrado' }]);
+  });
+});
+
+describe('reviewCheckins: aprobación', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(GymClosure, 'findClosedDates').mockResolvedValue(new Set());
+    jest.spyOn(ClientPreferences, 'findOne').mockResolvedValue(null);
+  });
+
+  it('la visita aprobada extiende la racha y queda como último check-in del cliente', async () => {
+    // Sin email verificado no recibe puntos, así la prueba solo mira la racha
+    const client = buildRecord(Client, {
+      id: CLIENT_ID,
+      first_name: 'Mario',
+      last_name: 'Cifuentes',
+      email: 'mario@correo.gt',
+      is_active: true,
+      email_verified: false,
+      consecutive_days: 2,
+      max_consecutive_days: 2,
+      streak_freezes: 0,
+      last_checkin_date: '2026-04-06'
+    });
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    jest.spyOn(ClientCheckin, 'findByPk').mockResolvedValue(buildRecord(ClientCheckin, {
+      id: CHECKIN_ID,
+      client_id: CLIENT_ID,
+      status: 'suspicious',
+      checkin_date: '2026-04-07',
+      checkin_time: '07:15:00',
+      points_earned: 10,
+      fraud_risk_score: 60,
+      fraud_indicators: []
+    }));
+
+    const results = await checkinReviewService.reviewCheckins([CHECKIN_ID], 'approved', REVIEWER);
+
+    expect(results[0]).toMatchObject({ checkin_id: CHECKIN_ID, success: true });
+    expect(client.consecutive_days).toBe(3);
+    expect(client.last_checkin_date).toBe('2026-04-07');
+  });
+});
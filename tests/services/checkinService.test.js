@@ -0,0 +1,81 @@
+// Archivo: tests/services/checkinService.test.js
+// Pruebas del check-in GPS: fecha y hora locales de la sede
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { Op } = require('sequelize');
+const { performCheckin } = require('../../src/services/checkinService');
+
+const { Client, ClientMembership, Location } = loadModels();
+
+const CLIENT_ID = '3f2a1b0c-9d8e-4f7a-8b6c-5d4e3f2a1b01';
+const GYM = { latitude: 14.6349, longitude: -90.5069 };
+
+// Función para preparar cliente, membresía y sede del check-in
+function stubCheckinData(db, locationValues = {}) {
+  const client = buildRecord(Client, {
+    id: CLIENT_ID,
+    first_name: 'Sofía',
+    last_name: 'Méndez',
+    email: 'sofia@correo.gt',
+    is_active: true,
+    email_verified: false,
+    total_points: 0,
+    consecutive_days: 0,
+    max_consecutive_days: 0,
+    tier: 'bronze'
+  });
+  const membership = buildRecord(ClientMembership, {
+    id: '3f2a1b0c-9d8e-4f7a-8b6c-5d4e3f2a1b02',
+    client_id: CLIENT_ID,
+    membership_type_id: '3f2a1b0c-9d8e-4f7a-8b6c-5d4e3f2a1b03',
+    start_date: '2000-01-01',
+    end_date: '2999-12-31',
+    status: 'active',
+    is_frozen: false
+  });
+  const location = buildRecord(Location, {
+    id: '3f2a1b0c-9d8e-4f7a-8b6c-5d4e3f2a1b04',
+    name: 'Zona 10',
+    latitude: GYM.latitude,
+    longitude: GYM.longitude,
+    radius_meters: 100,
+    timezone: 'America/Guatemala',
+    opening_hours: null,
+    is_active: true,
+    ...locationValues
+  });
+
+  jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+  jest.spyOn(ClientMembership, 'findOne').mockResolvedValue(membership);
+  jest.spyOn(Location, 'findAll').mockResolvedValue([location]);
+
+  return { client, membership, location };
+}
+
+describe('performCheckin', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+  });
+
+  it('guarda fecha y hora de Guatemala para una visita después de las 18:00', async () => {
+    stubCheckinData(db);
+
+    const { checkin } = await performCheckin(CLIENT_ID, GYM, { now: new Date('2026-03-10T01:30:00Z') });
+
+    expect(checkin.checkin_date).toBe('2026-03-09');
+    expect(checkin.checkin_time).toBe('19:30:00');
+    // La membresía vigente también se busca con la fecha local
+    expect(ClientMembership.findOne.mock.calls[0][0].where.end_date[Op.gte]).toBe('2026-03-09');
+  });
+
+  it('usa la zona horaria de la sede cuando tiene una propia', async () => {
+    stubCheckinData(db, { timezone: 'America/New_York' });
+
+    const { checkin } = await performCheckin(CLIENT_ID, GYM, { now: new Date('2026-07-10T03:15:00Z') });
+
+    expect(checkin.checkin_date).toBe('2026-07-09');
+    expect(checkin.checkin_time).toBe('23:15:00');
+  });
+});
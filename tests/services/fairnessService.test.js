@@ -0,0 +1,142 @@
+// Archivo: tests/services/fairnessService.test.js
+// Pruebas del sorteo verificable: cálculo del giro, elección del sector, verificación y semillas
+
+const { UniqueConstraintError } = require('sequelize');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const fairnessService = require('../../src/services/fairnessService');
+
+const { RouletteSeed } = loadModels();
+
+const CLIENT_ID = '3a7c9e21-5b4d-4f6a-8c2e-1d0f9b8a7c01';
+const SECTORS = [
+  { index: 0, prize_id: 'premio-a', probability: 50 },
+  { index: 1, prize_id: 'premio-b', probability: 30 },
+  { index: 2, prize_id: 'premio-c', probability: 20 }
+];
+
+describe('computeRoll', () => {
+  it('es determinista y queda entre 0 y 1', () => {
+    const roll = fairnessService.computeRoll('semilla-servidor', 'semilla-cliente', 7);
+
+    expect(roll).toBe(fairnessService.computeRoll('semilla-servidor', 'semilla-cliente', 7));
+    expect(roll).toBeGreaterThanOrEqual(0);
+    expect(roll).toBeLessThan(1);
+  });
+
+  it('cambia con el nonce', () => {
+    expect(fairnessService.computeRoll('semilla-servidor', 'semilla-cliente', 0))
+      .not.toBe(fairnessService.computeRoll('semilla-servidor', 'semilla-cliente', 1));
+  });
+});
+
+describe('pickSector', () => {
+  it('elige el sector según la probabilidad acumulada', () => {
+    expect(fairnessService.pickSector(SECTORS, 0).index).toBe(0);
+    expect(fairnessService.pickSector(SECTORS, 0.49).index).toBe(0);
+    expect(fairnessService.pickSector(SECTORS, 0.5).index).toBe(1);
+    expect(fairnessService.pickSector(SECTORS, 0.79).index).toBe(1);
+    expect(fairnessService.pickSector(SECTORS, 0.8).index).toBe(2);
+    expect(fairnessService.pickSector(SECTORS, 0.999999).index).toBe(2);
+  });
+
+  it('usa las probabilidades relativas aunque no sumen 100', () => {
+    const sectors = [{ index: 3, prize_id: 'x', probability: 1 }, { index: 5, prize_id: 'y', probability: 3 }];
+
+    expect(fairnessService.pickSector(sectors, 0.24).index).toBe(3);
+    expect(fairnessService.pickSector(sectors, 0.25).index).toBe(5);
+  });
+
+  it('nunca elige un sector con probabilidad 0', () => {
+    const sectors = [{ index: 0, prize_id: 'x', probability: 1 }, { index: 1, prize_id: 'y', probability: 0 }];
+
+    expect(fairnessService.pickSector(sectors, 0.999999).index).toBe(0);
+    expect(fairnessService.pickSector(sectors, 1).index).toBe(0);
+  });
+
+  it('responde 409 si ningún sector tiene probabilidad', () => {
+    const sectors = [{ index: 0, prize_id: 'x', probability: 0 }];
+
+    expect(() => fairnessService.pickSector(sectors, 0.5)).toThrow(expect.objectContaining({
+      status: 409,
+      message: 'No hay premios disponibles en esta ruleta'
+    }));
+  });
+});
+
+describe('verifySpin', () => {
+  const serverSeed = 'a'.repeat(64);
+  const roll = fairnessService.computeRoll(serverSeed, 'cliente', 4);
+  const sector = fairnessService.pickSector(SECTORS, roll);
+
+  // Función para armar un giro guardado con los datos del sorteo
+  function buildSpin(values = {}) {
+    return {
+      id: 'giro-1',
+      prize_id: sector.prize_id,
+      sector_index: sector.index,
+      fair_server_seed_hash: fairnessService.hashSeed(serverSeed),
+      fair_server_seed: serverSeed,
+      fair_client_seed: 'cliente',
+      fair_nonce: 4,
+      fair_sectors: SECTORS,
+      ...values
+    };
+  }
+
+  it('sin la semilla revelada solo muestra el compromiso', () => {
+    const result = fairnessService.verifySpin(buildSpin({ fair_server_seed: null }));
+
+    expect(result.revealed).toBe(false);
+    expect(result.verification).toBeNull();
+  });
+
+  it('repite el sorteo con la semilla revelada', () => {
+    const result = fairnessService.verifySpin(buildSpin());
+
+    expect(result.verification).toMatchObject({
+      hash_matches: true,
+      roll,
+      computed_sector_index: sector.index,
+      sector_matches: true,
+      valid: true
+    });
+  });
+
+  it('detecta una semilla que no corresponde al hash comprometido', () => {
+    const result = fairnessService.verifySpin(buildSpin({ fair_server_seed_hash: fairnessService.hashSeed('otra') }));
+
+    expect(result.verification.hash_matches).toBe(false);
+    expect(result.verification.valid).toBe(false);
+  });
+});
+
+describe('getActiveSeed', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('crea el primer par de semillas del cliente', async () => {
+    jest.spyOn(RouletteSeed, 'findOne').mockResolvedValue(null);
+
+    const seed = await fairnessService.getActiveSeed(CLIENT_ID);
+
+    expect(seed.client_id).toBe(CLIENT_ID);
+    expect(seed.server_seed_hash).toBe(fairnessService.hashSeed(seed.server_seed));
+  });
+
+  it('usa el par que creó otra solicitud simultánea', async () => {
+    const existing = buildRecord(RouletteSeed, {
+      id: '3a7c9e21-5b4d-4f6a-8c2e-1d0f9b8a7c99',
+      client_id: CLIENT_ID,
+      server_seed: 'b'.repeat(64),
+      server_seed_hash: fairnessService.hashSeed('b'.repeat(64)),
+      client_seed: 'cliente',
+      next_nonce: 0,
+      is_active: true
+    });
+    jest.spyOn(RouletteSeed, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    jest.spyOn(RouletteSeed, 'create').mockRejectedValue(new UniqueConstraintError({ fields: { client_id: CLIENT_ID } }));
+
+    await expect(fairnessService.getActiveSeed(CLIENT_ID)).resolves.toBe(existing);
+  });
+});
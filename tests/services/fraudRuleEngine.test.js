@@ -0,0 +1,77 @@
+// Archivo: tests/services/fraudRuleEngine.test.js
+// Pruebas del motor de reglas antifraude de check-ins
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { evaluateCheckin } = require('../../src/services/fraudRuleEngine');
+
+const { ClientCheckin, FraudRule } = loadModels();
+
+const CLIENT_ID = '8e7d6c5b-4a3f-4e2d-9c1b-0a9f8e7d6c01';
+
+// Función para construir un check-in guardado (createdAt es el instante del check-in)
+function buildCheckin(values = {}) {
+  return buildRecord(ClientCheckin, {
+    id: '8e7d6c5b-4a3f-4e2d-9c1b-0a9f8e7d6c02',
+    client_id: CLIENT_ID,
+    latitude: 14.6349,
+    longitude: -90.5069,
+    location_valid: true,
+    distance_from_gym: 20,
+    checkin_time: '10:00:00',
+    createdAt: new Date('2026-03-09T16:00:00Z'),
+    ...values
+  });
+}
+
+describe('evaluateCheckin', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(ClientCheckin, 'count').mockResolvedValue(0);
+  });
+
+  it('marca viaje imposible con la hora del check-in anterior', async () => {
+    // Quetzaltenango está a ~110 km: 20 minutos antes implica más de 300 km/h
+    jest.spyOn(ClientCheckin, 'findOne').mockResolvedValue(buildCheckin({
+      id: '8e7d6c5b-4a3f-4e2d-9c1b-0a9f8e7d6c03',
+      latitude: 14.8347,
+      longitude: -91.5181,
+      createdAt: new Date('2026-03-09T15:40:00Z')
+    }));
+
+    const result = await evaluateCheckin(buildCheckin());
+    const rule = result.rules.find(item => item.key === 'impossible_travel');
+
+    expect(rule.fired).toBe(true);
+    expect(rule.detail.elapsed_minutes).toBe(20);
+    expect(rule.detail.speed_kmh).toBeGreaterThan(120);
+    expect(result.indicators).toContain('impossible_travel');
+  });
+
+  it('no marca viaje imposible con tiempo suficiente entre check-ins', async () => {
+    jest.spyOn(ClientCheckin, 'findOne').mockResolvedValue(buildCheckin({
+      id: '8e7d6c5b-4a3f-4e2d-9c1b-0a9f8e7d6c03',
+      latitude: 14.8347,
+      longitude: -91.5181,
+      createdAt: new Date('2026-03-09T12:00:00Z')
+    }));
+
+    const result = await evaluateCheckin(buildCheckin());
+
+    expect(result.indicators).not.toContain('impossible_travel');
+    expect(result.score).toBe(0);
+  });
+
+  it('aplica el peso y umbral configurados y omite las reglas desactivadas', async () => {
+    jest.spyOn(ClientCheckin, 'findOne').mockResolvedValue(null);
+    jest.spyOn(FraudRule, 'findAll').mockResolvedValue([
+      buildRecord(FraudRule, { key: 'location_too_far', name: 'Muy lejos', weight: 40, threshold: 10, is_enabled: true }),
+      buildRecord(FraudRule, { key: 'unusual_hours', name: 'Madrugada', weight: 10, threshold: null, is_enabled: false })
+    ]);
+
+    const result = await evaluateCheckin(buildCheckin({ checkin_time: '03:00:00' }));
+
+    expect(result.indicators).toEqual(['location_too_far']);
+    expect(result.score).toBe(40);
+    expect(result.rules.find(item => item.key === 'unusual_hours')).toMatchObject({ fired: false, points: 0 });
+  });
+});
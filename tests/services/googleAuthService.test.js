@@ -0,0 +1,88 @@
+// Archivo: tests/services/googleAuthService.test.js
+// Pruebas de la verificación de ID tokens de Google con llaves propias en lugar de las de Google
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyGoogleIdToken, clearKeyCache } = require('../../src/services/googleAuthService');
+
+const CLIENT_ID = 'app-movil.apps.googleusercontent.com';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'llave-1', alg: 'RS256', use: 'sig' }] };
+
+// Función para firmar un ID token como lo haría Google
+function signIdToken(payload = {}, options = {}) {
+  return jwt.sign({
+    sub: '110248495921238986420',
+    email: 'Lucia@Gmail.com',
+    email_verified: true,
+    given_name: 'Lucía',
+    family_name: 'Pérez',
+    ...payload
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'llave-1',
+    audience: CLIENT_ID,
+    issuer: 'https://accounts.google.com',
+    expiresIn: '1h',
+    ...options
+  });
+}
+
+describe('verifyGoogleIdToken', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.GOOGLE_CLIENT_IDS = CLIENT_ID;
+    process.env.GOOGLE_JWKS = JSON.stringify(JWKS);
+    clearKeyCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('devuelve el perfil con el email normalizado', async () => {
+    await expect(verifyGoogleIdToken(signIdToken())).resolves.toEqual({
+      googleId: '110248495921238986420',
+      email: 'lucia@gmail.com',
+      firstName: 'Lucía',
+      lastName: 'Pérez',
+      picture: null
+    });
+  });
+
+  it('rechaza un token emitido para otra aplicación', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({}, { audience: 'otra-app' })))
+      .rejects.toMatchObject({ status: 401, message: 'Token de Google inválido' });
+  });
+
+  it('rechaza un token expirado', async () => {
+    const expired = signIdToken({ iat: Math.floor(Date.now() / 1000) - 7200 }, { expiresIn: '1h' });
+
+    await expect(verifyGoogleIdToken(expired)).rejects.toMatchObject({ status: 401, message: 'Token de Google expirado' });
+  });
+
+  it('rechaza una cuenta sin email verificado', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({ email_verified: false })))
+      .rejects.toMatchObject({ status: 401, message: 'La cuenta de Google no tiene un email verificado' });
+  });
+
+  it('rechaza un token firmado con una llave desconocida', async () => {
+    await expect(verifyGoogleIdToken(signIdToken({}, { keyid: 'llave-2' })))
+      .rejects.toMatchObject({ status: 401, message: 'Token de Google firmado con una llave desconocida' });
+  });
+
+  it('descarga las llaves una vez y las conserva según max-age', async () => {
+    delete process.env.GOOGLE_JWKS;
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => JWKS,
+      headers: { get: () => 'public, max-age=3600' }
+    });
+
+    await verifyGoogleIdToken(signIdToken());
+    await verifyGoogleIdToken(signIdToken());
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,131 @@
+// Archivo: tests/services/leaderboardService.test.js
+// Pruebas del recálculo de las tablas de clasificación: posiciones con empates, privacidad y períodos
+
+const { Op } = require('sequelize');
+const { loadModels, stubDatabase } = require('../helpers/db');
+const { getPeriodStart, refreshLeaderboards, getLeaderboard } = require('../../src/services/leaderboardService');
+
+const {
+  Client,
+  ClientPreferences,
+  ClientMembership,
+  ClientCheckin,
+  PointsTransaction,
+  LeaderboardEntry
+} = loadModels();
+
+const BASIC = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c01';
+const PREMIUM = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c02';
+
+// Función para armar un ID de cliente de prueba
+const clientId = n => `9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7d0${n}`;
+
+describe('getPeriodStart', () => {
+  it('la semana empieza el lunes y el mes el día 1', () => {
+    const sunday = new Date('2026-03-15T18:00:00Z');
+
+    expect(getPeriodStart('weekly', sunday)).toBe('2026-03-09');
+    expect(getPeriodStart('monthly', sunday)).toBe('2026-03-01');
+    expect(getPeriodStart('all_time', sunday)).toBeNull();
+  });
+
+  it('corta los períodos a la medianoche del gimnasio y no a la de UTC', () => {
+    // Domingo 15 a las 19:00 y martes 31 a las 21:00 en Guatemala (ya es el día siguiente en UTC)
+    expect(getPeriodStart('weekly', new Date('2026-03-16T01:00:00Z'))).toBe('2026-03-09');
+    expect(getPeriodStart('monthly', new Date('2026-04-01T03:00:00Z'))).toBe('2026-03-01');
+  });
+});
+
+describe('refreshLeaderboards', () => {
+  let saved;
+
+  beforeEach(() => {
+    stubDatabase();
+    saved = {};
+
+    jest.spyOn(Client, 'findAll').mockImplementation(async (options) => (
+      options.attributes.includes('first_name')
+        ? [1, 2, 3, 4, 5].map(n => ({ id: clientId(n), first_name: `Cliente${n}`, last_name: 'Xol' }))
+        : []
+    ));
+    // El cliente 5 pidió no aparecer en las tablas
+    jest.spyOn(ClientPreferences, 'findAll').mockResolvedValue([{ client_id: clientId(5) }]);
+    jest.spyOn(ClientMembership, 'findAll').mockResolvedValue([
+      { client_id: clientId(1), membership_type_id: BASIC },
+      { client_id: clientId(2), membership_type_id: PREMIUM },
+      { client_id: clientId(3), membership_type_id: BASIC },
+      { client_id: clientId(4), membership_type_id: BASIC }
+    ]);
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([
+      { client_id: clientId(1), value: '120' },
+      { client_id: clientId(2), value: '150' },
+      { client_id: clientId(3), value: '120' },
+      { client_id: clientId(4), value: '90' },
+      { client_id: clientId(5), value: '500' }
+    ]);
+    jest.spyOn(ClientCheckin, 'findAll').mockResolvedValue([]);
+    jest.spyOn(LeaderboardEntry, 'destroy').mockResolvedValue(0);
+    jest.spyOn(LeaderboardEntry, 'bulkCreate').mockImplementation(async (entries) => {
+      saved[`${entries[0].metric}:${entries[0].period}`] = entries;
+      return entries;
+    });
+  });
+
+  it('los empates comparten posición y la siguiente salta los lugares empatados', async () => {
+    await refreshLeaderboards(new Date('2026-03-15T18:00:00Z'));
+
+    const weekly = saved['points:weekly'];
+    expect(weekly.map(entry => [entry.client_id, entry.value, entry.rank])).toEqual([
+      [clientId(2), 150, 1],
+      [clientId(1), 120, 2],
+      [clientId(3), 120, 2],
+      [clientId(4), 90, 4]
+    ]);
+    expect(weekly[0]).toMatchObject({ period_start: '2026-03-09', display_name: 'Cliente2 X.' });
+  });
+
+  it('calcula la posición dentro de cada tipo de membresía', async () => {
+    await refreshLeaderboards(new Date('2026-03-15T18:00:00Z'));
+
+    const ranks = Object.fromEntries(saved['points:weekly'].map(entry => [entry.client_id, entry.membership_rank]));
+    expect(ranks).toEqual({
+      [clientId(2)]: 1,
+      [clientId(1)]: 1,
+      [clientId(3)]: 1,
+      [clientId(4)]: 3
+    });
+  });
+
+  it('cuenta los puntos de la semana desde la medianoche del lunes en el gimnasio', async () => {
+    await refreshLeaderboards(new Date('2026-03-16T01:00:00Z'));
+
+    const starts = PointsTransaction.findAll.mock.calls
+      .map(([options]) => options.where.created_at)
+      .filter(Boolean)
+      .map(createdAt => createdAt[Op.gte].toISOString());
+    expect(starts).toContain('2026-03-09T06:00:00.000Z');
+    expect(starts).toContain('2026-03-01T06:00:00.000Z');
+  });
+
+  it('no incluye a quien ocultó su nombre y no guarda tablas vacías', async () => {
+    const total = await refreshLeaderboards(new Date('2026-03-15T18:00:00Z'));
+
+    expect(saved['points:weekly'].map(entry => entry.client_id)).not.toContain(clientId(5));
+    expect(Object.keys(saved).sort()).toEqual(['points:all_time', 'points:monthly', 'points:weekly']);
+    expect(LeaderboardEntry.destroy).toHaveBeenCalledTimes(9);
+    expect(total).toBe(12);
+  });
+});
+
+describe('getLeaderboard', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('rechaza un membership_type_id mal formado con 400 sin consultar la caché', async () => {
+    const getTop = jest.spyOn(LeaderboardEntry, 'getTop');
+
+    await expect(getLeaderboard({ membership_type_id: 'premium' })).rejects.toMatchObject({ status: 400 });
+    expect(getTop).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+// Archivo: tests/services/pointsRuleEngine.test.js
+// Pruebas del cálculo de puntos de un check-in con las reglas vigentes
+
+const { loadModels } = require('../helpers/db');
+const { computePoints, DEFAULT_RULES } = require('../../src/services/pointsRuleEngine');
+
+const { PointsRule } = loadModels();
+
+// Función para construir reglas en memoria (ordenadas por prioridad como las devuelve findActive)
+function buildRules(...rules) {
+  return rules.map(rule => PointsRule.build(rule));
+}
+
+describe('computePoints: reglas', () => {
+  const MEMBERSHIP_ID = '1e3c5a79-b2d4-4f6e-8a0c-2d4f6b8d0e01';
+
+  it('sin reglas usa los valores por defecto y el bonus por racha con su tope', () => {
+    const result = computePoints([], { date: '2026-03-09', time: '12:00:00', streakDays: 8, tier: null });
+
+    // 10 base + 5 días de racha (tope) * 2
+    expect(result).toMatchObject({ base_points: 10, streak_days: 5, consecutive_days_bonus: 10, points_earned: 20, rules: [] });
+  });
+
+  it('la regla de mayor prioridad fija cada valor y las demás completan los que no definen', () => {
+    const rules = buildRules(
+      { name: 'Promoción', base_points: 15 },
+      { name: 'General', base_points: 12, streak_points_per_day: 3, streak_max_days: 2 }
+    );
+
+    const result = computePoints(rules, { date: '2026-03-09', time: '12:00:00', streakDays: 4, tier: null });
+
+    expect(result).toMatchObject({ base_points: 15, streak_days: 2, consecutive_days_bonus: 6, points_earned: 21 });
+  });
+
+  it('suma los bonus, usa el mayor multiplicador y el menor tope de las reglas que aplican', () => {
+    const rules = buildRules(
+      { name: 'Mañanas', bonus_points: 4, multiplier: 1.5, max_points: 40 },
+      { name: 'Lunes', days_of_week: ['monday'], bonus_points: 6, multiplier: 2, max_points: 28 },
+      { name: 'Domingos', days_of_week: ['sunday'], bonus_points: 100 }
+    );
+
+    const result = computePoints(rules, { date: '2026-03-09', time: '07:00:00', streakDays: 0, tier: null });
+
+    // (10 + 4 + 6) * 2 = 40, con tope de 28
+    expect(result).toMatchObject({ bonus_points: 10, multiplier: 2, max_points: 28, points_earned: 28 });
+    expect(result.rules.map(rule => rule.name)).toEqual(['Mañanas', 'Lunes']);
+  });
+
+  it('filtra por membresía, vigencia y ventanas horarias que cruzan la medianoche', () => {
+    const rules = buildRules(
+      { name: 'Nocturno', hour_windows: [{ start: '22:00', end: '01:59' }], bonus_points: 3 },
+      { name: 'Premium', membership_type_id: MEMBERSHIP_ID, bonus_points: 5 },
+      { name: 'Marzo', start_date: '2026-03-01', end_date: '2026-03-31', bonus_points: 7 }
+    );
+
+    const lateNight = computePoints(rules, { date: '2026-04-01', time: '00:30:00', membershipTypeId: MEMBERSHIP_ID, streakDays: 0 });
+    const afternoon = computePoints(rules, { date: '2026-03-10', time: '15:00:00', membershipTypeId: null, streakDays: 0 });
+
+    expect(lateNight.rules.map(rule => rule.name)).toEqual(['Nocturno', 'Premium']);
+    expect(afternoon.rules.map(rule => rule.name)).toEqual(['Marzo']);
+  });
+});
+
+describe('computePoints: multiplicador del nivel', () => {
+  const defaults = buildRules(...DEFAULT_RULES);
+
+  it('multiplica al multiplicador de las reglas', () => {
+    // (10 base + 5 bonus) * 1.2 regla * 1.25 Oro = 22.5
+    const result = computePoints(defaults, { date: '2026-03-09', time: '07:30:00', streakDays: 0, tier: 'gold' });
+
+    expect(result.multiplier).toBe(1.2);
+    expect(result.tier_multiplier).toBe(1.25);
+    expect(result.points_earned).toBe(22);
+  });
+
+  it('los clientes sin nivel cuentan como Bronce', () => {
+    const result = computePoints(defaults, { date: '2026-03-09', time: '12:00:00', streakDays: 0, tier: null });
+
+    expect(result.tier).toBe('bronze');
+    expect(result.points_earned).toBe(10);
+  });
+
+  it('el tope de las reglas se aplica después del nivel', () => {
+    const rules = buildRules({ name: 'Tope', base_points: 20, max_points: 25 });
+
+    const result = computePoints(rules, { date: '2026-03-09', time: '12:00:00', streakDays: 0, tier: 'platinum' });
+
+    expect(result.points_earned).toBe(25);
+  });
+});
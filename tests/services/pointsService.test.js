@@ -0,0 +1,116 @@
+// Archivo: tests/services/pointsService.test.js
+// Pruebas del registro de movimientos de puntos con el cliente bloqueado y de la conciliación de saldos
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { recordPointsChange, reconcileBalances } = require('../../src/services/pointsService');
+
+const { Client, PointsTransaction } = loadModels();
+
+const CLIENT_ID = '5e6f7a8b-9c0d-4e1f-8a2b-3c4d5e6f7a01';
+const OTHER_ID = '5e6f7a8b-9c0d-4e1f-8a2b-3c4d5e6f7a02';
+
+// Función para construir un cliente con su saldo
+function buildClient(totalPoints, id = CLIENT_ID) {
+  return buildRecord(Client, {
+    id,
+    first_name: 'Diego',
+    last_name: 'Herrera',
+    email: `${id.slice(-2)}@correo.gt`,
+    is_active: true,
+    email_verified: true,
+    total_points: totalPoints
+  });
+}
+
+describe('recordPointsChange', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([]);
+  });
+
+  it('bloquea al cliente, guarda el movimiento y actualiza el saldo en la misma transacción', async () => {
+    const client = buildClient(40);
+    const findByPk = jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    const save = jest.spyOn(client, 'save');
+
+    const movement = await recordPointsChange(CLIENT_ID, {
+      points: 15,
+      transaction_type: 'bonus',
+      source_type: 'bonus',
+      reason: 'Bonus de bienvenida'
+    });
+
+    expect(findByPk).toHaveBeenCalledWith(CLIENT_ID, { transaction: db.transaction, lock: 'UPDATE' });
+    expect(movement).toMatchObject({ balance_before: 40, points_change: 15, balance_after: 55, points_remaining: 15 });
+    expect(client.total_points).toBe(55);
+    expect(save).toHaveBeenCalledWith({ transaction: db.transaction });
+  });
+
+  it('un descuento mayor al saldo deja el saldo en cero', async () => {
+    const client = buildClient(30);
+
+    const movement = await recordPointsChange(CLIENT_ID, {
+      points: -50,
+      transaction_type: 'deduction',
+      source_type: 'manual',
+      reason: 'Ajuste'
+    }, { transaction: db.transaction, client });
+
+    expect(movement).toMatchObject({ points_change: -30, points_deducted: 30, balance_after: 0 });
+    expect(client.total_points).toBe(0);
+  });
+
+  it('rechaza cantidades que no son enteras sin tocar el saldo', async () => {
+    const client = buildClient(30);
+
+    await expect(recordPointsChange(CLIENT_ID, { points: 2.5, reason: 'Ajuste' }, { client }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(db.inserted).toHaveLength(0);
+  });
+
+  it('responde 404 si el cliente no existe', async () => {
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(null);
+
+    await expect(recordPointsChange(CLIENT_ID, { points: 5, reason: 'Bonus' })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('reconcileBalances', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([
+      { client_id: CLIENT_ID, ledger_points: '120' },
+      { client_id: OTHER_ID, ledger_points: '80' }
+    ]);
+    jest.spyOn(Client, 'findAll').mockResolvedValue([
+      { id: CLIENT_ID, total_points: 150 },
+      { id: OTHER_ID, total_points: 80 }
+    ]);
+  });
+
+  it('reporta los saldos que no cuadran con el historial sin corregirlos', async () => {
+    const findByPk = jest.spyOn(Client, 'findByPk');
+
+    const result = await reconcileBalances();
+
+    expect(result).toEqual({
+      checked: 2,
+      drifted: [{ client_id: CLIENT_ID, total_points: 150, ledger_points: 120, drift: 30 }],
+      applied: false
+    });
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+
+  it('con apply corrige el saldo con la suma recalculada dentro de la transacción', async () => {
+    const client = buildClient(150);
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    // Entró un movimiento de 10 puntos después de la primera lectura
+    jest.spyOn(PointsTransaction, 'sum').mockResolvedValue(130);
+
+    await reconcileBalances({ apply: true });
+
+    expect(client.total_points).toBe(130);
+  });
+});
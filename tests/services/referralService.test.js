@@ -0,0 +1,133 @@
+// Archivo: tests/services/referralService.test.js
+// Pruebas de la calificación de referidos al pagar la primera membresía
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+
+const { Client, ClientMembership, Referral } = loadModels();
+
+const REFERRER_ID = '5c1f9a1e-1d34-4a61-9d0e-7a0e8b6b2a01';
+const REFERRED_ID = '5c1f9a1e-1d34-4a61-9d0e-7a0e8b6b2a02';
+
+// Función para construir un cliente como si viniera de la base de datos
+function buildClient(id, firstName) {
+  return buildRecord(Client, {
+    id,
+    first_name: firstName,
+    last_name: 'Ramírez',
+    email: `${firstName.toLowerCase()}@correo.gt`,
+    is_active: true,
+    email_verified: true,
+    total_points: 0
+  });
+}
+
+// Función para construir una membresía como si viniera de la base de datos
+function buildMembership(clientId, values = {}) {
+  return buildRecord(ClientMembership, {
+    id: `${clientId.slice(0, -2)}f${clientId.slice(-1)}`,
+    client_id: clientId,
+    membership_type_id: '2b9c7f00-8a4e-4f1a-b0c3-0d5e6f7a8b90',
+    start_date: '2026-03-01',
+    end_date: '2026-03-31',
+    status: 'active',
+    payment_status: 'pending',
+    amount_due: 250,
+    ...values
+  });
+}
+
+describe('qualifyReferral (al pagar la primera membresía)', () => {
+  let db;
+  let referrer;
+  let referred;
+  let referral;
+  let referrerMembership;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    referrer = buildClient(REFERRER_ID, 'Marta');
+    referred = buildClient(REFERRED_ID, 'Jorge');
+    referrerMembership = buildMembership(REFERRER_ID, { payment_status: 'paid', end_date: '2026-03-20' });
+    referral = buildRecord(Referral, {
+      id: '9d8e7f60-5a4b-4c3d-8e2f-1a0b9c8d7e6f',
+      referrer_client_id: REFERRER_ID,
+      referred_client_id: REFERRED_ID,
+      status: 'pending'
+    });
+
+    jest.spyOn(Referral, 'findPendingForReferred').mockResolvedValue(referral);
+    jest.spyOn(Client, 'findByPk').mockImplementation(async id => (id === REFERRER_ID ? referrer : referred));
+    jest.spyOn(ClientMembership, 'findOne').mockResolvedValue(referrerMembership);
+  });
+
+  it('entrega puntos, días y el giro de ruleta a quien invita y marca la invitación como calificada', async () => {
+    const membership = buildMembership(REFERRED_ID);
+    // La membresía a extender se vuelve a leer con su fila bloqueada (otra instancia, ya pagada)
+    const lockedMembership = buildMembership(REFERRED_ID, { payment_status: 'paid' });
+    jest.spyOn(ClientMembership, 'findByPk').mockResolvedValue(lockedMembership);
+
+    membership.payment_status = 'paid';
+    await membership.save({ transaction: db.transaction });
+
+    expect(referral.status).toBe('qualified');
+    expect(referral.qualifying_membership_id).toBe(membership.id);
+
+    const [qrCode] = db.created('QRCode');
+    expect(qrCode).toMatchObject({ client_id: REFERRER_ID, prize_category: 'basic', max_uses: 1 });
+    expect(qrCode.code).toEqual(expect.any(String));
+
+    expect(referral.rewards.referrer).toEqual({ points: 200, membership_days: 7, qr_code_id: qrCode.id });
+    expect(referral.rewards.referred).toEqual({ points: 100, membership_days: 7, qr_code_id: null });
+    expect(referrer.total_points).toBe(200);
+    expect(referred.total_points).toBe(100);
+    expect(referrerMembership.end_date).toBe('2026-03-27');
+    expect(lockedMembership.end_date).toBe('2026-04-07');
+    expect(db.created('Notification')).toHaveLength(2);
+  });
+
+  it('no entrega nada a quien invita si su cuenta está desactivada', async () => {
+    referrer.is_active = false;
+    const membership = buildMembership(REFERRED_ID);
+    jest.spyOn(ClientMembership, 'findByPk').mockResolvedValue(buildMembership(REFERRED_ID, { payment_status: 'paid' }));
+
+    membership.payment_status = 'paid';
+    await membership.save({ transaction: db.transaction });
+
+    expect(referral.rewards.referrer).toEqual({ points: 0, membership_days: 0, qr_code_id: null });
+    expect(db.created('QRCode')).toHaveLength(0);
+    expect(db.created('Notification')).toHaveLength(1);
+  });
+
+  it('no hace nada cuando el cliente no llegó invitado', async () => {
+    Referral.findPendingForReferred.mockResolvedValue(null);
+    const membership = buildMembership(REFERRED_ID);
+
+    membership.payment_status = 'paid';
+    await membership.save({ transaction: db.transaction });
+
+    expect(db.inserted).toHaveLength(0);
+  });
+});
+
+describe('Referral.prototype.toPublic', () => {
+  it('muestra la fecha de registro y oculta los datos de contacto del invitado', () => {
+    const registeredAt = new Date('2026-03-01T15:00:00Z');
+    const referral = buildRecord(Referral, {
+      id: '9d8e7f60-5a4b-4c3d-8e2f-1a0b9c8d7e6f',
+      status: 'qualified',
+      qualified_at: new Date('2026-03-05T15:00:00Z'),
+      rewards: { referrer: { points: 200 }, referred: { points: 100 } },
+      createdAt: registeredAt
+    });
+    referral.referred = buildClient(REFERRED_ID, 'Jorge');
+
+    expect(referral.toPublic()).toEqual({
+      id: referral.id,
+      referred_name: 'Jorge R.',
+      status: 'qualified',
+      registered_at: registeredAt,
+      qualified_at: new Date('2026-03-05T15:00:00Z'),
+      rewards: { points: 200 }
+    });
+  });
+});
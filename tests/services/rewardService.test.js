@@ -0,0 +1,127 @@
+// Archivo: tests/services/rewardService.test.js
+// Pruebas del canje de recompensas: reintentos con la misma clave, saldo insuficiente y entrega de días
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { redeemReward } = require('../../src/services/rewardService');
+
+const { Client, ClientMembership, PointsTransaction, RewardCatalogItem, RewardRedemption } = loadModels();
+
+const CLIENT_ID = '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b01';
+const ITEM_ID = '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b02';
+const KEY = 'canje-2026-03-09-001';
+
+// Función para construir un cliente con su saldo
+function buildClient(totalPoints) {
+  return buildRecord(Client, {
+    id: CLIENT_ID,
+    first_name: 'Sofía',
+    last_name: 'Castillo',
+    email: 'sofia@correo.gt',
+    is_active: true,
+    email_verified: true,
+    total_points: totalPoints
+  });
+}
+
+// Función para construir una recompensa de días de membresía
+function buildItem(values = {}) {
+  return buildRecord(RewardCatalogItem, {
+    id: ITEM_ID,
+    name: '7 días de membresía',
+    reward_type: 'membership_days',
+    points_cost: 300,
+    membership_days: 7,
+    stock_quantity: 5,
+    redeemed_count: 2,
+    max_per_client: null,
+    is_active: true,
+    ...values
+  });
+}
+
+describe('redeemReward', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    jest.spyOn(RewardRedemption, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PointsTransaction, 'findAll').mockResolvedValue([]);
+  });
+
+  it('descuenta los puntos, extiende la membresía y guarda el canje con su movimiento', async () => {
+    const client = buildClient(500);
+    const item = buildItem();
+    const membership = buildRecord(ClientMembership, {
+      id: '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b03',
+      client_id: CLIENT_ID,
+      status: 'active',
+      end_date: '2026-03-28'
+    });
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    jest.spyOn(RewardCatalogItem, 'findByPk').mockResolvedValue(item);
+    jest.spyOn(ClientMembership, 'findOne').mockResolvedValue(membership);
+
+    const { redemption, replayed } = await redeemReward(CLIENT_ID, ITEM_ID, KEY);
+
+    const [pointsTransaction] = db.created('PointsTransaction');
+    expect(replayed).toBe(false);
+    expect(client.total_points).toBe(200);
+    expect(pointsTransaction.points_change).toBe(-300);
+    expect(pointsTransaction.source_reference_id).toBe(redemption.id);
+    expect(membership.end_date).toBe('2026-04-04');
+    expect(item.stock_quantity).toBe(4);
+    expect(item.redeemed_count).toBe(3);
+    expect(redemption).toMatchObject({
+      idempotency_key: KEY,
+      points_spent: 300,
+      membership_id: membership.id,
+      points_transaction_id: pointsTransaction.id
+    });
+    expect(db.created('RewardRedemption')[0]).toBe(redemption);
+  });
+
+  it('un reintento con la misma clave devuelve el canje original sin volver a cobrar', async () => {
+    const client = buildClient(200);
+    const previous = buildRecord(RewardRedemption, { id: '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b04', client_id: CLIENT_ID, catalog_item_id: ITEM_ID, idempotency_key: KEY });
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(client);
+    RewardRedemption.findOne.mockResolvedValue(previous);
+    const findItem = jest.spyOn(RewardCatalogItem, 'findByPk');
+
+    const result = await redeemReward(CLIENT_ID, ITEM_ID, KEY);
+
+    expect(result).toEqual({ redemption: previous, replayed: true });
+    expect(findItem).not.toHaveBeenCalled();
+    expect(db.inserted).toHaveLength(0);
+    expect(client.total_points).toBe(200);
+  });
+
+  it('rechaza la misma clave usada para otra recompensa', async () => {
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildClient(500));
+    RewardRedemption.findOne.mockResolvedValue(buildRecord(RewardRedemption, {
+      id: '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b05', client_id: CLIENT_ID, catalog_item_id: '0d1c2b3a-4f5e-4d6c-8b7a-9f0e1d2c3b99', idempotency_key: KEY
+    }));
+
+    await expect(redeemReward(CLIENT_ID, ITEM_ID, KEY)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('sin puntos suficientes no entrega nada e informa el saldo', async () => {
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildClient(120));
+    jest.spyOn(RewardCatalogItem, 'findByPk').mockResolvedValue(buildItem());
+    const findMembership = jest.spyOn(ClientMembership, 'findOne');
+
+    await expect(redeemReward(CLIENT_ID, ITEM_ID, KEY)).rejects.toMatchObject({
+      status: 409,
+      data: { total_points: 120, points_cost: 300 }
+    });
+    expect(findMembership).not.toHaveBeenCalled();
+    expect(db.inserted).toHaveLength(0);
+  });
+
+  it('respeta el máximo de canjes por cliente', async () => {
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildClient(900));
+    jest.spyOn(RewardCatalogItem, 'findByPk').mockResolvedValue(buildItem({ max_per_client: 2 }));
+    jest.spyOn(RewardRedemption, 'countByClient').mockResolvedValue(2);
+
+    await expect(redeemReward(CLIENT_ID, ITEM_ID, KEY)).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,226 @@
+// Archivo: tests/services/rouletteService.test.js
+// Pruebas del giro de ruleta: el servidor decide el premio, descarta los que no se pueden entregar y deja el giro verificable
+// También el ajuste de los sectores al presupuesto de la ruleta
+
+const { Op } = require('sequelize');
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { applyBudget, spinRoulette } = require('../../src/services/rouletteService');
+const { hashSeed, verifySpin } = require('../../src/services/fairnessService');
+
+const { Client, QRCode, Roulette, Prize, PrizeWinning, RouletteSeed } = loadModels();
+
+const CLIENT_ID = '6f5e4d3c-2b1a-4098-8765-4321fedcba01';
+const PRIZE_A = '6f5e4d3c-2b1a-4098-8765-4321fedcba0a';
+const PRIZE_B = '6f5e4d3c-2b1a-4098-8765-4321fedcba0b';
+const SERVER_SEED = 'c'.repeat(64);
+
+// Función para construir un premio con su costo
+function buildPrize(id, name) {
+  return buildRecord(Prize, {
+    id,
+    name,
+    description: name,
+    type: 'physical_item',
+    value: 1,
+    currency: 'GTQ',
+    unit_cost: 25,
+    is_active: true
+  });
+}
+
+describe('spinRoulette', () => {
+  let db;
+  let qrCode;
+  let seed;
+
+  beforeEach(() => {
+    db = stubDatabase();
+    qrCode = buildRecord(QRCode, {
+      id: '6f5e4d3c-2b1a-4098-8765-4321fedcba02',
+      code: 'RUL-0001',
+      code_type: 'product_purchase',
+      prize_category: 'general',
+      client_id: null,
+      fixed_prize_id: null
+    });
+    seed = buildRecord(RouletteSeed, {
+      id: '6f5e4d3c-2b1a-4098-8765-4321fedcba03',
+      client_id: CLIENT_ID,
+      server_seed: SERVER_SEED,
+      server_seed_hash: hashSeed(SERVER_SEED),
+      client_seed: 'semilla-cliente',
+      next_nonce: 3,
+      is_active: true
+    });
+
+    jest.spyOn(Client, 'findByPk').mockResolvedValue(buildRecord(Client, {
+      id: CLIENT_ID, first_name: 'Pablo', last_name: 'Cifuentes', email: 'pablo@correo.gt', is_active: true, total_points: 0
+    }));
+    jest.spyOn(QRCode, 'findOne').mockResolvedValue(qrCode);
+    jest.spyOn(QRCode.prototype, 'isValid').mockReturnValue({ valid: true });
+    jest.spyOn(QRCode.prototype, 'use').mockResolvedValue(true);
+    jest.spyOn(Roulette, 'findOne').mockResolvedValue(buildRecord(Roulette, {
+      id: '6f5e4d3c-2b1a-4098-8765-4321fedcba04',
+      current_version_id: '6f5e4d3c-2b1a-4098-8765-4321fedcba05',
+      sectors_config: [
+        { prize_id: PRIZE_B, probability: 90 },
+        { prize_id: PRIZE_A, probability: 10 }
+      ],
+      spin_acceleration: 1,
+      animation_duration: 4000,
+      requires_verification: false
+    }));
+    jest.spyOn(Roulette.prototype, 'canClientSpin').mockResolvedValue({ available: true });
+    jest.spyOn(Roulette.prototype, 'getBudgetStatus').mockResolvedValue(null);
+    jest.spyOn(Roulette.prototype, 'recordSpin').mockResolvedValue(undefined);
+    jest.spyOn(Prize, 'findAll').mockResolvedValue([buildPrize(PRIZE_A, 'Botella'), buildPrize(PRIZE_B, 'Toalla')]);
+    jest.spyOn(Prize, 'findByPk').mockResolvedValue(null);
+    jest.spyOn(Prize.prototype, 'checkClientEligibility').mockResolvedValue({ eligible: true });
+    // El premio B ya alcanzó su límite diario
+    jest.spyOn(Prize.prototype, 'checkLimits').mockImplementation(async function() {
+      return this.id === PRIZE_B ? { available: false, reason: 'Límite diario alcanzado' } : { available: true };
+    });
+    jest.spyOn(RouletteSeed, 'findOne').mockResolvedValue(seed);
+  });
+
+  it('sortea solo entre los premios que se pueden entregar y consume el QR y un nonce', async () => {
+    const { prizeWinning, animation } = await spinRoulette(CLIENT_ID, { code: ' RUL-0001 ' }, { ip: '10.0.0.8' });
+
+    expect(prizeWinning.prize_id).toBe(PRIZE_A);
+    expect(prizeWinning.sector_index).toBe(1);
+    expect(animation.sector_index).toBe(1);
+    expect(prizeWinning.metadata.excluded_prizes).toEqual([{ prize_id: PRIZE_B, reason: 'Límite diario alcanzado' }]);
+    expect(prizeWinning.fair_sectors).toEqual([{ index: 1, prize_id: PRIZE_A, probability: 10 }]);
+    expect(prizeWinning.fair_nonce).toBe(3);
+    expect(seed.next_nonce).toBe(4);
+    expect(QRCode.prototype.use).toHaveBeenCalledWith(CLIENT_ID, {}, { transaction: db.transaction });
+    expect(db.created('PrizeWinning')).toHaveLength(1);
+  });
+
+  it('el giro guardado se verifica al revelar la semilla del servidor', async () => {
+    const { prizeWinning } = await spinRoulette(CLIENT_ID, { code: 'RUL-0001' });
+
+    prizeWinning.fair_server_seed = SERVER_SEED;
+
+    expect(verifySpin(prizeWinning).verification.valid).toBe(true);
+  });
+
+  it('no permite usar el QR entregado a otro cliente', async () => {
+    qrCode.client_id = '6f5e4d3c-2b1a-4098-8765-4321fedcba99';
+
+    await expect(spinRoulette(CLIENT_ID, { code: 'RUL-0001' })).rejects.toMatchObject({ status: 403 });
+    expect(QRCode.prototype.use).not.toHaveBeenCalled();
+  });
+
+  it('responde 409 sin gastar el QR cuando ningún premio se puede entregar', async () => {
+    Prize.prototype.checkLimits.mockResolvedValue({ available: false, reason: 'Límite diario alcanzado' });
+
+    await expect(spinRoulette(CLIENT_ID, { code: 'RUL-0001' })).rejects.toMatchObject({
+      status: 409,
+      message: 'No hay premios disponibles en esta ruleta'
+    });
+    expect(QRCode.prototype.use).not.toHaveBeenCalled();
+    expect(seed.next_nonce).toBe(3);
+  });
+  it('responde 409 cuando solo queda un sector con probabilidad 0', async () => {
+    const roulette = await Roulette.findOne();
+    roulette.sectors_config = [
+      { prize_id: PRIZE_B, probability: 100 },
+      { prize_id: PRIZE_A, probability: 0 }
+    ];
+
+    await expect(spinRoulette(CLIENT_ID, { code: 'RUL-0001' })).rejects.toMatchObject({
+      status: 409,
+      message: 'No hay premios disponibles en esta ruleta'
+    });
+    expect(QRCode.prototype.use).not.toHaveBeenCalled();
+    expect(seed.next_nonce).toBe(3);
+  });
+
+  it('revisa los límites del cliente dentro de la transacción y con el reloj del giro', async () => {
+    const now = new Date('2026-03-11T15:00:00Z');
+    const roulette = await Roulette.findOne();
+    roulette.set({ is_active: true, valid_from: new Date('2026-01-01T00:00:00Z'), available_days: [0, 1, 2, 3, 4, 5, 6], max_spins_per_day: 1 });
+    Roulette.prototype.canClientSpin.mockRestore();
+    const count = jest.spyOn(PrizeWinning, 'count').mockResolvedValue(1);
+
+    await expect(spinRoulette(CLIENT_ID, { code: 'RUL-0001' }, { now })).rejects.toMatchObject({
+      status: 409,
+      message: 'Límite diario de giros alcanzado'
+    });
+    expect(Client.findByPk).toHaveBeenLastCalledWith(CLIENT_ID, expect.objectContaining({ transaction: db.transaction }));
+    expect(count).toHaveBeenCalledWith(expect.objectContaining({ transaction: db.transaction }));
+    expect(count.mock.calls[0][0].where.created_at[Op.gte].getTime()).toBeLessThanOrEqual(now.getTime());
+    expect(QRCode.prototype.use).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyBudget', () => {
+  const sectors = [
+    { index: 0, prize_id: 'barato', probability: 60 },
+    { index: 1, prize_id: 'medio', probability: 30 },
+    { index: 2, prize_id: 'caro', probability: 10 }
+  ];
+  const costs = new Map([['barato', 0], ['medio', 9], ['caro', 99]]);
+
+  // Función para armar el estado del presupuesto como lo devuelve Roulette.getBudgetStatus
+  const budget = remaining => ({ remaining, exhausted: remaining <= 0 });
+
+  it('sin presupuesto configurado no cambia los sectores', () => {
+    expect(applyBudget(sectors, costs, null)).toEqual({ sectors, excluded: [], mode: 'none' });
+  });
+
+  it('con presupuesto suficiente no cambia los sectores', () => {
+    expect(applyBudget(sectors, costs, budget(500)).mode).toBe('within_budget');
+  });
+
+  it('descarta los premios que superan el presupuesto restante', () => {
+    const result = applyBudget(sectors, costs, budget(50));
+
+    expect(result.mode).toBe('over_budget_excluded');
+    expect(result.sectors.map(sector => sector.prize_id)).toEqual(['barato', 'medio']);
+    expect(result.excluded).toEqual([{ prize_id: 'caro', reason: 'Supera el presupuesto restante de la ruleta' }]);
+  });
+
+  it('con el presupuesto agotado pondera por costo en lugar de descartar', () => {
+    const result = applyBudget(sectors, costs, budget(0));
+
+    // Probabilidad * (costo más bajo + 1) / (costo + 1)
+    expect(result.mode).toBe('cost_weighted');
+    expect(result.sectors.map(sector => sector.probability)).toEqual([60, 3, 0.1]);
+    expect(result.excluded).toEqual([]);
+  });
+
+  it('si ningún premio cabe en lo que queda también pondera por costo', () => {
+    const pricey = new Map([['barato', 20], ['medio', 41], ['caro', 104]]);
+
+    const result = applyBudget(sectors, pricey, budget(10));
+
+    expect(result.mode).toBe('cost_weighted');
+    expect(result.sectors.map(sector => sector.probability)).toEqual([60, 15, 2]);
+  });
+});
+
+describe('Roulette.prototype.getBudgetStatus', () => {
+  beforeEach(() => {
+    stubDatabase();
+  });
+
+  it('suma el costo de los premios del período sin contar los cancelados', async () => {
+    const roulette = buildRecord(Roulette, { id: '6f5e4d3c-2b1a-4098-8765-4321fedcba06', budget_period: 'monthly', budget_amount: '500.00' });
+    const sum = jest.spyOn(PrizeWinning, 'sum').mockResolvedValue('487.5');
+
+    const status = await roulette.getBudgetStatus({ now: new Date('2026-03-15T18:00:00Z') });
+
+    expect(status).toMatchObject({ period: 'monthly', amount: 500, spent: 487.5, remaining: 12.5, exhausted: false });
+    expect(sum.mock.calls[0][1].where).toMatchObject({
+      roulette_id: roulette.id,
+      status: { [Op.ne]: 'cancelled' },
+      won_date: { [Op.gte]: roulette.getBudgetPeriodStart(new Date('2026-03-15T18:00:00Z')) }
+    });
+  });
+
+  it('sin período o monto la ruleta no tiene presupuesto', async () => {
+    await expect(buildRecord(Roulette, { id: '6f5e4d3c-2b1a-4098-8765-4321fedcba07', budget_period: null }).getBudgetStatus()).resolves.toBeNull();
+  });
+});
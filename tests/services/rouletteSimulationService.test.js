@@ -0,0 +1,118 @@
+// Archivo: tests/services/rouletteSimulationService.test.js
+// Pruebas del reporte de costo esperado y agotamiento de premios de una ruleta simulada
+
+const { loadModels, buildRecord } = require('../helpers/db');
+const { getPrizeCost, simulateRoulette } = require('../../src/services/rouletteSimulationService');
+
+const { Prize, Roulette } = loadModels();
+
+const COFFEE = '7a6b5c4d-3e2f-4a1b-9c0d-8e7f6a5b4c01';
+const SHIRT = '7a6b5c4d-3e2f-4a1b-9c0d-8e7f6a5b4c02';
+const DISCOUNT = '7a6b5c4d-3e2f-4a1b-9c0d-8e7f6a5b4c03';
+
+// Función para construir un premio como si viniera de la base de datos
+function buildPrize(values) {
+  return buildRecord(Prize, {
+    type: 'physical_item',
+    currency: 'GTQ',
+    unit_cost: null,
+    stock_quantity: null,
+    awarded_count: 0,
+    is_active: true,
+    ...values
+  });
+}
+
+const PRIZES = new Map([
+  [COFFEE, buildPrize({ id: COFFEE, name: 'Café', value: 15 })],
+  [SHIRT, buildPrize({ id: SHIRT, name: 'Camiseta', value: 10, currency: 'USD', stock_quantity: 50, awarded_count: 20 })],
+  [DISCOUNT, buildPrize({ id: DISCOUNT, name: '10% de descuento', type: 'discount', value: 10, currency: 'PERCENT' })]
+]);
+
+describe('getPrizeCost', () => {
+  it('usa el costo configurado y si no convierte el valor a GTQ', () => {
+    expect(getPrizeCost(buildPrize({ unit_cost: '32.50', value: 10, currency: 'USD' }))).toEqual({ cost: 32.5, source: 'unit_cost' });
+    expect(getPrizeCost(PRIZES.get(SHIRT))).toEqual({ cost: 77.5, source: 'value' });
+    expect(getPrizeCost(PRIZES.get(DISCOUNT))).toEqual({ cost: 0, source: 'unknown' });
+  });
+});
+
+describe('simulateRoulette', () => {
+  const sectorsConfig = [
+    { prize_id: COFFEE, probability: 70 },
+    { prize_id: SHIRT, probability: 10 },
+    { prize_id: COFFEE, probability: 20 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Prize, 'findByPk').mockImplementation(async id => PRIZES.get(id) || null);
+  });
+
+  it('calcula el costo esperado por giro y agrupa los sectores del mismo premio', async () => {
+    const report = await simulateRoulette({ sectors_config: sectorsConfig, spins: 2000, spins_per_day: 100 });
+
+    // 90% de Q15 + 10% de Q77.50
+    expect(report.expected_cost_per_spin).toBe(21.25);
+    expect(report.expected_cost_per_day).toBe(2125);
+    expect(report.distribution.map(row => [row.prize_id, row.sector_indexes, row.probability])).toEqual([
+      [COFFEE, [0, 2], 90],
+      [SHIRT, [1], 10]
+    ]);
+    expect(report.distribution.reduce((sum, row) => sum + row.wins, 0)).toBe(2000);
+  });
+
+  it('estima cuándo se agota cada premio con stock y advierte si es pronto', async () => {
+    const report = await simulateRoulette(
+      { sectors_config: sectorsConfig, spins: 100, spins_per_day: 100 },
+      { now: new Date('2026-03-09T12:00:00Z') }
+    );
+
+    expect(report.stock).toEqual([{
+      prize_id: SHIRT,
+      prize_name: 'Camiseta',
+      stock_remaining: 30,
+      expected_awards_per_day: 10,
+      days_until_depleted: 3,
+      depletion_date: '2026-03-12'
+    }]);
+    expect(report.warnings).toContain('Camiseta se agotaría en 3 días a este ritmo de giros');
+  });
+
+  it('compara el costo esperado con el presupuesto del período', async () => {
+    const report = await simulateRoulette({
+      sectors_config: sectorsConfig,
+      budget_period: 'monthly',
+      budget_amount: 50000,
+      spins: 100,
+      spins_per_day: 100
+    });
+
+    expect(report.budget).toEqual({ period: 'monthly', amount: 50000, expected_cost_per_period: 63750, exceeded: true });
+    expect(report.warnings.some(warning => warning.includes('supera el presupuesto'))).toBe(true);
+  });
+
+  it('advierte de los premios cuyo valor no tiene equivalencia en GTQ', async () => {
+    const report = await simulateRoulette({ sectors_config: [{ prize_id: DISCOUNT, probability: 100 }], spins: 10 });
+
+    expect(report.expected_cost_per_spin).toBe(0);
+    expect(report.warnings[0]).toContain('10% de descuento: su valor en PERCENT no tiene equivalencia en GTQ');
+  });
+
+  it('valida los parámetros antes de simular', async () => {
+    await expect(simulateRoulette({ sectors_config: sectorsConfig, spins: 100001 })).rejects.toMatchObject({ status: 400 });
+    await expect(simulateRoulette({ sectors_config: sectorsConfig, spins_per_day: 0 })).rejects.toMatchObject({ status: 400 });
+    await expect(simulateRoulette({})).rejects.toMatchObject({ status: 400 });
+    await expect(simulateRoulette({ sectors_config: [{ prize_id: COFFEE, probability: -5 }], spins: 10 }))
+      .rejects.toMatchObject({ status: 400, message: 'La probabilidad del sector 1 debe ser un número mayor o igual a 0' });
+  });
+
+  it('rechaza un roulette_id mal formado sin consultar la base de datos', async () => {
+    const findByPk = jest.spyOn(Roulette, 'findByPk');
+
+    await expect(simulateRoulette({ roulette_id: 'ruleta-1' })).rejects.toMatchObject({
+      status: 400,
+      message: 'roulette_id no es un ID de ruleta válido'
+    });
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+// Archivo: tests/services/rouletteVersionService.test.js
+// Pruebas de la programación y activación de versiones de ruleta
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { listVersions, getVersion, activateVersion, scheduleVersion } = require('../../src/services/rouletteVersionService');
+
+const { Roulette, RouletteVersion, Prize } = loadModels();
+
+const ROULETTE_ID = '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d01';
+const VERSION_ID = '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d02';
+const PRIZE_ID = '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d03';
+const USER_ID = '8b9c0d1e-2f3a-4b4c-9d5e-6f7a8b9c0d04';
+const NOW = new Date('2026-03-09T15:00:00Z');
+
+const OLD_SECTORS = [{ prize_id: PRIZE_ID, probability: 100, color: '#E63946' }];
+const NEW_SECTORS = [
+  { prize_id: PRIZE_ID, probability: 60, color: '#E63946' },
+  { prize_id: PRIZE_ID, probability: 40, color: '#457B9D' }
+];
+
+// Función para construir la ruleta como si viniera de la base de datos
+function buildRoulette(values = {}) {
+  return buildRecord(Roulette, {
+    id: ROULETTE_ID,
+    name: 'Ruleta general',
+    category: 'basic',
+    sectors_config: OLD_SECTORS,
+    is_default: false,
+    current_version_id: null,
+    ...values
+  });
+}
+
+// Función para construir una versión como si viniera de la base de datos
+function buildVersion(values = {}) {
+  return buildRecord(RouletteVersion, {
+    id: VERSION_ID,
+    roulette_id: ROULETTE_ID,
+    version_number: 2,
+    status: 'scheduled',
+    sectors_config: NEW_SECTORS,
+    is_default: false,
+    valid_from: new Date('2026-03-09T14:00:00Z'),
+    valid_until: null,
+    ...values
+  });
+}
+
+describe('activateVersion', () => {
+  let roulette;
+
+  beforeEach(() => {
+    stubDatabase();
+    roulette = buildRoulette();
+    jest.spyOn(Roulette, 'findByPk').mockResolvedValue(roulette);
+    jest.spyOn(Prize, 'findByPk').mockResolvedValue(buildRecord(Prize, { id: PRIZE_ID, name: 'Botella', is_active: true }));
+    jest.spyOn(RouletteVersion, 'update').mockResolvedValue([1]);
+  });
+
+  it('retira la versión en uso y pasa los sectores y fechas a la ruleta', async () => {
+    const version = buildVersion({ valid_until: new Date('2026-04-01T00:00:00Z') });
+    jest.spyOn(RouletteVersion, 'findByPk').mockResolvedValue(version);
+
+    const result = await activateVersion(VERSION_ID, { now: NOW });
+
+    expect(result).toEqual({ version, roulette });
+    expect(RouletteVersion.update).toHaveBeenCalledWith(
+      { status: 'retired', retired_at: NOW },
+      expect.objectContaining({ where: { roulette_id: ROULETTE_ID, status: 'active' } })
+    );
+    expect(roulette.sectors_config).toEqual(NEW_SECTORS);
+    expect(roulette.valid_until).toEqual(new Date('2026-04-01T00:00:00Z'));
+    expect(roulette.current_version_id).toBe(VERSION_ID);
+    expect(version).toMatchObject({ status: 'active', activated_at: NOW });
+  });
+
+  it('no hace nada si la versión ya no está programada', async () => {
+    jest.spyOn(RouletteVersion, 'findByPk').mockResolvedValue(buildVersion({ status: 'draft' }));
+
+    await expect(activateVersion(VERSION_ID, { now: NOW })).resolves.toBeNull();
+    expect(roulette.sectors_config).toEqual(OLD_SECTORS);
+  });
+
+  it('una versión que venció antes de activarse queda retirada sin tocar la ruleta', async () => {
+    const version = buildVersion({ valid_until: new Date('2026-03-09T14:30:00Z') });
+    jest.spyOn(RouletteVersion, 'findByPk').mockResolvedValue(version);
+
+    await expect(activateVersion(VERSION_ID, { now: NOW })).resolves.toBeNull();
+    expect(version).toMatchObject({ status: 'retired', retired_at: NOW });
+    expect(roulette.current_version_id).toBeNull();
+    expect(RouletteVersion.update).not.toHaveBeenCalled();
+  });
+
+  it('los sectores de una ruleta solo cambian al activar una versión', async () => {
+    roulette.sectors_config = NEW_SECTORS;
+
+    await expect(roulette.save()).rejects.toThrow('Para cambiar los sectores crea una nueva versión de la ruleta');
+  });
+});
+
+describe('scheduleVersion', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(Roulette, 'findByPk').mockResolvedValue(buildRoulette());
+    jest.spyOn(Prize, 'findByPk').mockResolvedValue(buildRecord(Prize, { id: PRIZE_ID, name: 'Botella', is_active: true }));
+  });
+
+  it('con fecha futura la deja programada sin activarla', async () => {
+    const version = buildVersion({ status: 'draft', valid_from: null });
+    jest.spyOn(RouletteVersion, 'findByPk').mockResolvedValue(version);
+
+    const result = await scheduleVersion(VERSION_ID, { valid_from: '2026-03-20T06:00:00Z' }, USER_ID, { now: NOW });
+
+    expect(result.activated).toBe(false);
+    expect(version).toMatchObject({ status: 'scheduled', scheduled_at: NOW, scheduled_by_user_id: USER_ID });
+  });
+
+  it('sin fecha de activación se activa de inmediato', async () => {
+    const version = buildVersion({ status: 'draft', valid_from: null });
+    jest.spyOn(RouletteVersion, 'findByPk').mockResolvedValue(version);
+    jest.spyOn(RouletteVersion, 'update').mockResolvedValue([0]);
+
+    const result = await scheduleVersion(VERSION_ID, {}, USER_ID, { now: NOW });
+
+    expect(result.activated).toBe(true);
+    expect(version).toMatchObject({ status: 'active', valid_from: NOW });
+  });
+
+  it('solo programa borradores con fechas válidas', async () => {
+    jest.spyOn(RouletteVersion, 'findByPk')
+      .mockResolvedValueOnce(buildVersion({ status: 'active' }))
+      .mockResolvedValueOnce(buildVersion({ status: 'draft' }))
+      .mockResolvedValueOnce(buildVersion({ status: 'draft' }))
+      .mockResolvedValueOnce(buildVersion({ status: 'draft' }));
+
+    await expect(scheduleVersion(VERSION_ID, {}, USER_ID, { now: NOW })).rejects.toMatchObject({ status: 409 });
+    await expect(scheduleVersion(VERSION_ID, { valid_from: 'mañana' }, USER_ID, { now: NOW })).rejects.toMatchObject({ status: 400 });
+    await expect(scheduleVersion(VERSION_ID, {
+      valid_from: '2026-03-20T06:00:00Z',
+      valid_until: '2026-03-19T06:00:00Z'
+    }, USER_ID, { now: NOW })).rejects.toMatchObject({ status: 400 });
+    await expect(scheduleVersion(VERSION_ID, {
+      valid_from: '2026-03-20T06:00:00Z',
+      valid_until: 'fin de mes'
+    }, USER_ID, { now: NOW })).rejects.toMatchObject({ status: 400, message: 'La fecha de fin no es válida' });
+  });
+
+  it('una versión programada ya no admite cambios en sus sectores', async () => {
+    const version = buildVersion();
+    version.sectors_config = OLD_SECTORS;
+
+    await expect(version.save()).rejects.toThrow('Solo se pueden editar las versiones en borrador');
+  });
+});
+
+describe('IDs mal formados', () => {
+  it('responden 404 sin consultar la base de datos', async () => {
+    const findRoulette = jest.spyOn(Roulette, 'findByPk');
+    const findVersion = jest.spyOn(RouletteVersion, 'findByPk');
+
+    await expect(listVersions('ruleta-1')).rejects.toMatchObject({ status: 404, message: 'Ruleta no encontrada' });
+    await expect(getVersion('42')).rejects.toMatchObject({ status: 404, message: 'Versión de ruleta no encontrada' });
+    await expect(scheduleVersion('42', {}, USER_ID, { now: NOW })).rejects.toMatchObject({ status: 404 });
+    expect(findRoulette).not.toHaveBeenCalled();
+    expect(findVersion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+// Archivo: tests/services/streakService.test.js
+// Pruebas de las rachas: días que no cuentan como faltas, protectores de racha y estado para la app
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { updateStreak, getStreakStatus, MAX_STREAK_FREEZES } = require('../../src/services/streakService');
+
+const { Client, ClientPreferences, GymClosure, Location } = loadModels();
+
+const CLIENT_ID = '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e01';
+
+// Función para construir un cliente como si viniera de la base de datos
+// Sin email verificado no recibe bonos por hitos, así las pruebas no tocan el saldo
+function buildClient(values = {}) {
+  return buildRecord(Client, {
+    id: CLIENT_ID,
+    first_name: 'Andrea',
+    last_name: 'Morales',
+    email: 'andrea@correo.gt',
+    is_active: true,
+    email_verified: false,
+    consecutive_days: 4,
+    max_consecutive_days: 10,
+    streak_freezes: 0,
+    last_checkin_date: '2026-03-09',
+    ...values
+  });
+}
+
+describe('updateStreak', () => {
+  beforeEach(() => {
+    stubDatabase();
+    jest.spyOn(GymClosure, 'findClosedDates').mockResolvedValue(new Set());
+    jest.spyOn(ClientPreferences, 'findOne').mockResolvedValue(null);
+  });
+
+  it('suma un día con el check-in del día siguiente', async () => {
+    const client = buildClient();
+
+    const result = await updateStreak(client, '2026-03-10');
+
+    expect(result).toMatchObject({ consecutive_days: 5, streak_extended: true, streak_broken: false, missed_days: [] });
+    expect(client.last_checkin_date).toBe('2026-03-10');
+  });
+
+  it('no cuenta como faltas los cierres, los días sin horario de la sede ni los días que no entrena', async () => {
+    const client = buildClient();
+    const hours = { open: '06:00', close: '21:00' };
+    GymClosure.findClosedDates.mockResolvedValue(new Set(['2026-03-10']));
+    // No entrena los jueves y la sede no abre los viernes
+    ClientPreferences.findOne.mockResolvedValue(buildRecord(ClientPreferences, {
+      client_id: CLIENT_ID,
+      monday_workout: true,
+      tuesday_workout: true,
+      wednesday_workout: true,
+      friday_workout: true,
+      saturday_workout: true
+    }));
+    jest.spyOn(Location, 'findByPk').mockResolvedValue(buildRecord(Location, {
+      id: '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e99',
+      opening_hours: { monday: hours, tuesday: hours, wednesday: hours, thursday: hours, saturday: hours }
+    }));
+
+    // Del lunes 9 al sábado 14: el martes cierra el gimnasio, el jueves no entrena y el viernes no abre la sede
+    const result = await updateStreak(client, '2026-03-14', { locationId: '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e99' });
+
+    expect(result.missed_days).toEqual(['2026-03-11']);
+    expect(result.streak_broken).toBe(true);
+    expect(GymClosure.findClosedDates).toHaveBeenCalledWith('2026-03-10', '2026-03-13', '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e99', expect.any(Object));
+  });
+
+  it('los protectores cubren los días faltados y se descuentan', async () => {
+    const client = buildClient({ streak_freezes: 2 });
+
+    const result = await updateStreak(client, '2026-03-12');
+
+    expect(result).toMatchObject({ consecutive_days: 5, freezes_used: 2, streak_freezes: 0, streak_broken: false });
+  });
+
+  it('sin protectores suficientes la racha vuelve a empezar', async () => {
+    const client = buildClient({ streak_freezes: 1 });
+
+    const result = await updateStreak(client, '2026-03-12');
+
+    expect(result).toMatchObject({ consecutive_days: 1, streak_broken: true, streak_extended: false, freezes_used: 0 });
+    expect(client.streak_freezes).toBe(1);
+    expect(client.max_consecutive_days).toBe(10);
+  });
+
+  it('gana un protector cada 7 días de racha hasta el máximo', async () => {
+    const earning = buildClient({ consecutive_days: 20, max_consecutive_days: 20 });
+    const full = buildClient({ consecutive_days: 20, max_consecutive_days: 20, streak_freezes: MAX_STREAK_FREEZES });
+
+    const earned = await updateStreak(earning, '2026-03-10');
+    const capped = await updateStreak(full, '2026-03-10');
+
+    expect(earned).toMatchObject({ consecutive_days: 21, freezes_earned: 1, streak_freezes: 1 });
+    expect(earning.max_consecutive_days).toBe(21);
+    expect(capped).toMatchObject({ freezes_earned: 0, streak_freezes: MAX_STREAK_FREEZES });
+  });
+
+  it('un segundo check-in el mismo día no cambia la racha', async () => {
+    const client = buildClient();
+    const save = jest.spyOn(client, 'save');
+
+    const result = await updateStreak(client, '2026-03-09');
+
+    expect(result.consecutive_days).toBe(4);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('getStreakStatus', () => {
+  beforeEach(() => {
+    jest.spyOn(GymClosure, 'findClosedDates').mockResolvedValue(new Set());
+    jest.spyOn(ClientPreferences, 'findOne').mockResolvedValue(null);
+  });
+
+  it('muestra la racha perdida cuando las faltas superan los protectores', async () => {
+    const status = await getStreakStatus(buildClient({ streak_freezes: 1 }), { now: new Date('2026-03-12T15:00:00Z') });
+
+    expect(status).toMatchObject({ consecutive_days: 0, freezes_needed: 2, next_milestone: { days: 7, days_left: 7 } });
+  });
+
+  it('conserva la racha mientras los protectores alcanzan', async () => {
+    const status = await getStreakStatus(buildClient({ streak_freezes: 2 }), { now: new Date('2026-03-12T15:00:00Z') });
+
+    expect(status).toMatchObject({ consecutive_days: 4, freezes_needed: 2, next_milestone: { days: 7, points: 25, days_left: 3 } });
+  });
+});
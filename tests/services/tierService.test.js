@@ -0,0 +1,107 @@
+// Archivo: tests/services/tierService.test.js
+// Pruebas de los niveles: calificación por puntos o visitas, ascensos inmediatos y descensos con período de gracia
+
+const { loadModels, buildRecord, stubDatabase } = require('../helpers/db');
+const { updateClientTier, canAccessRouletteCategory } = require('../../src/services/tierService');
+const { TIER_DEMOTION_GRACE_DAYS } = require('../../src/config/tiers');
+
+const { Client, PointsTransaction, ClientCheckin } = loadModels();
+
+const CLIENT_ID = '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e31';
+const NOW = new Date('2026-05-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para construir un cliente como si viniera de la base de datos
+function buildClient(values = {}) {
+  return buildRecord(Client, {
+    id: CLIENT_ID,
+    first_name: 'Lucía',
+    last_name: 'Pérez',
+    email: 'lucia@correo.gt',
+    is_active: true,
+    tier: 'bronze',
+    tier_achieved_at: null,
+    tier_pending_demotion: null,
+    tier_demotion_at: null,
+    ...values
+  });
+}
+
+// Función para simular los puntos ganados en total y las visitas de la ventana móvil
+function mockQualification(points, visits) {
+  jest.spyOn(PointsTransaction, 'sum').mockResolvedValue(points);
+  jest.spyOn(ClientCheckin, 'count').mockResolvedValue(visits);
+}
+
+describe('updateClientTier', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubDatabase();
+  });
+
+  it('asciende de inmediato al nivel más alto que se cumple por puntos o por visitas', async () => {
+    const client = buildClient();
+    mockQualification(1200, 50);
+
+    const result = await updateClientTier(client, { now: NOW });
+
+    expect(result).toMatchObject({ tier: 'gold', previous_tier: 'bronze', change: 'promoted' });
+    expect(client.tier_achieved_at).toEqual(NOW);
+    expect(db.created('Notification')).toHaveLength(1);
+  });
+
+  it('no baja de nivel al dejar de calificar: empieza el período de gracia', async () => {
+    const client = buildClient({ tier: 'gold' });
+    mockQualification(1200, 10);
+
+    const result = await updateClientTier(client, { now: NOW });
+
+    expect(result).toMatchObject({ tier: 'gold', change: 'grace_started' });
+    expect(client.tier_pending_demotion).toBe('silver');
+    expect(client.tier_demotion_at).toEqual(new Date(NOW.getTime() + TIER_DEMOTION_GRACE_DAYS * DAY_MS));
+  });
+
+  it('mantiene la fecha de descenso mientras dura la gracia', async () => {
+    const demotionAt = new Date(NOW.getTime() + 5 * DAY_MS);
+    const client = buildClient({ tier: 'gold', tier_pending_demotion: 'silver', tier_demotion_at: demotionAt });
+    mockQualification(200, 0);
+
+    const result = await updateClientTier(client, { now: NOW });
+
+    expect(result).toMatchObject({ tier: 'gold', change: null });
+    expect(client.tier_pending_demotion).toBe('bronze');
+    expect(client.tier_demotion_at).toEqual(demotionAt);
+  });
+
+  it('baja de nivel cuando termina la gracia', async () => {
+    const client = buildClient({ tier: 'gold', tier_pending_demotion: 'silver', tier_demotion_at: new Date(NOW.getTime() - DAY_MS) });
+    mockQualification(1200, 0);
+
+    const result = await updateClientTier(client, { now: NOW });
+
+    expect(result).toMatchObject({ tier: 'silver', previous_tier: 'gold', change: 'demoted' });
+    expect(client.tier_demotion_at).toBeNull();
+  });
+
+  it('cancela el descenso si vuelve a calificar durante la gracia', async () => {
+    const client = buildClient({ tier: 'gold', tier_pending_demotion: 'silver', tier_demotion_at: new Date(NOW.getTime() + DAY_MS) });
+    mockQualification(3500, 0);
+
+    const result = await updateClientTier(client, { now: NOW });
+
+    expect(result).toMatchObject({ tier: 'gold', change: 'grace_cleared' });
+    expect(client.tier_pending_demotion).toBeNull();
+    expect(db.created('Notification')).toHaveLength(0);
+  });
+});
+
+describe('canAccessRouletteCategory', () => {
+  it('limita las categorías por nivel y deja abiertas las especiales', () => {
+    expect(canAccessRouletteCategory('bronze', 'premium')).toBe(false);
+    expect(canAccessRouletteCategory('silver', 'premium')).toBe(true);
+    expect(canAccessRouletteCategory('gold', 'exclusive')).toBe(false);
+    expect(canAccessRouletteCategory('platinum', 'exclusive')).toBe(true);
+    expect(canAccessRouletteCategory('bronze', 'seasonal')).toBe(true);
+  });
+});
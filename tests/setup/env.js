@@ -0,0 +1,10 @@
+// Archivo: tests/setup/env.js
+// Variables de entorno para las pruebas (la configuración de la base de datos las exige al cargarse)
+
+process.env.NODE_ENV = 'test';
+process.env.DB_HOST = process.env.DB_HOST || 'localhost';
+process.env.DB_USER = process.env.DB_USER || 'test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'test';
+process.env.DB_NAME = process.env.DB_NAME || 'gym_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.GYM_TIMEZONE = process.env.GYM_TIMEZONE || 'America/Guatemala';
@@ -0,0 +1,18 @@
+// Archivo: tests/utils/dateRange.test.js
+// Pruebas de los rangos de fechas de los reportes (start_date, end_date)
+
+const { getDateRange } = require('../../src/utils/dateRange');
+
+describe('getDateRange', () => {
+  it('sin start_date cubre los 30 días anteriores a end_date', () => {
+    expect(getDateRange({ end_date: '2026-03-31' })).toEqual({ startDate: '2026-03-01', endDate: '2026-03-31' });
+    expect(getDateRange({ start_date: '2026-03-20', end_date: '2026-03-31' })).toEqual({ startDate: '2026-03-20', endDate: '2026-03-31' });
+  });
+
+  it('devuelve null con fechas mal formadas, inexistentes o un rango invertido', () => {
+    expect(getDateRange({ end_date: 'abc' })).toBeNull();
+    expect(getDateRange({ start_date: "2026-03-01' OR 1=1" })).toBeNull();
+    expect(getDateRange({ start_date: '2026-02-30', end_date: '2026-03-10' })).toBeNull();
+    expect(getDateRange({ start_date: '2026-03-10', end_date: '2026-03-01' })).toBeNull();
+  });
+});
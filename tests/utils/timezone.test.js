@@ -0,0 +1,37 @@
+// Archivo: tests/utils/timezone.test.js
+// Pruebas de la fecha y hora locales del gimnasio
+
+const { getLocalMoment, getLocalDayStart, GYM_TIMEZONE } = require('../../src/utils/timezone');
+
+describe('getLocalMoment', () => {
+  it('usa la zona del gimnasio por defecto (Guatemala, UTC-6)', () => {
+    expect(GYM_TIMEZONE).toBe('America/Guatemala');
+    expect(getLocalMoment(new Date('2026-03-10T01:30:15Z'))).toEqual({
+      date: '2026-03-09',
+      time: '19:30:15',
+      day: 'monday'
+    });
+  });
+
+  it('toma fecha y hora del mismo reloj en la zona de la sede', () => {
+    expect(getLocalMoment(new Date('2026-03-10T01:30:15Z'), 'America/Mexico_City')).toMatchObject({
+      date: '2026-03-09',
+      time: '19:30:15'
+    });
+    expect(getLocalMoment(new Date('2026-03-10T01:30:15Z'), 'Europe/Madrid')).toMatchObject({
+      date: '2026-03-10',
+      time: '02:30:15'
+    });
+  });
+
+  it('devuelve 00 y no 24 a medianoche', () => {
+    expect(getLocalMoment(new Date('2026-03-10T06:00:00Z')).time).toBe('00:00:00');
+  });
+});
+
+describe('getLocalDayStart', () => {
+  it('devuelve el instante de la medianoche local', () => {
+    expect(getLocalDayStart('2026-03-09')).toEqual(new Date('2026-03-09T06:00:00Z'));
+    expect(getLocalDayStart('2026-03-09', 'Europe/Madrid')).toEqual(new Date('2026-03-08T23:00:00Z'));
+  });
+});
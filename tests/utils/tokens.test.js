@@ -0,0 +1,24 @@
+// Archivo: tests/utils/tokens.test.js
+// Pruebas de los tokens JWT: los de propósito específico no sirven como tokens de acceso ni de refresco
+
+const tokens = require('../../src/utils/tokens');
+
+const SUBJECT = { id: '2f4e6d8c-0b1a-4c3e-8d5f-7a9b1c3d5e41', type: 'user', role: 'admin', tokenVersion: 0 };
+
+describe('tokens', () => {
+  it('verifica un token de propósito solo con su mismo propósito', () => {
+    const token = tokens.signPurposeToken({ sub: SUBJECT.id }, 'email_verification', '1h');
+
+    expect(tokens.verifyPurposeToken(token, 'email_verification')).toMatchObject({ sub: SUBJECT.id });
+    expect(() => tokens.verifyPurposeToken(token, 'password_reset')).toThrow();
+  });
+
+  it('no intercambia un token de propósito "refresh" con el token de refresco', () => {
+    const purposeToken = tokens.signPurposeToken({ sub: SUBJECT.id, type: SUBJECT.type, tv: 0 }, 'refresh', '1h');
+    const refreshToken = tokens.signRefreshToken(SUBJECT);
+
+    expect(() => tokens.verifyRefreshToken(purposeToken)).toThrow();
+    expect(() => tokens.verifyPurposeToken(refreshToken, 'refresh')).toThrow();
+    expect(() => tokens.verifyAccessToken(purposeToken)).toThrow();
+  });
+});
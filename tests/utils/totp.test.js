@@ -0,0 +1,42 @@
+// Archivo: tests/utils/totp.test.js
+// Pruebas de TOTP con los vectores del RFC 6238 (SHA-1, 6 dígitos)
+
+const totp = require('../../src/utils/totp');
+
+// Secreto del RFC: "12345678901234567890" en base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('codifica y decodifica base32 sin perder bytes', () => {
+    expect(totp.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(totp.base32Decode(RFC_SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+    expect(() => totp.base32Decode('ABC1')).toThrow('Secreto base32 inválido');
+  });
+
+  it('genera los códigos de los vectores del RFC 6238', () => {
+    expect(totp.generateCode(RFC_SECRET, new Date(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, new Date(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, new Date(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('acepta un paso de desfase y devuelve el paso que coincidió', () => {
+    const now = new Date(1234567890 * 1000);
+    const previous = new Date(now.getTime() - 30 * 1000);
+    const code = totp.generateCode(RFC_SECRET, previous);
+
+    expect(totp.verifyCode(RFC_SECRET, code, now)).toBe(totp.getTimeStep(previous));
+    expect(totp.verifyCode(RFC_SECRET, code, new Date(now.getTime() + 60 * 1000))).toBeNull();
+  });
+
+  it('rechaza códigos con formato inválido', () => {
+    const now = new Date(1234567890 * 1000);
+
+    expect(totp.verifyCode(RFC_SECRET, '00592', now)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '005 924', now)).toBe(totp.getTimeStep(now));
+  });
+
+  it('genera secretos de 160 bits', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});